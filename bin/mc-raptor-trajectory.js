@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+// Headless front end to src/trajectory.js for scripts and CI:
+//
+//   mc-raptor-trajectory command [params]   print the Mavlink shell command
+//   mc-raptor-trajectory peaks [params]     peak speed/acc/jerk vs. limits
+//   mc-raptor-trajectory sample [params]    sampled setpoints as CSV/JSON
+//
+// Exit codes: 0 ok, 1 a limit is exceeded (peaks), 2 bad arguments.
+import { parseArgs } from "node:util";
+import { readFileSync, writeFileSync } from "node:fs";
+
+import {
+  TRAJECTORY_TYPES,
+  DEFAULT_TYPE,
+  isFlyable,
+  LIMIT_FIELDS,
+  DEFAULT_LIMITS,
+  EXPORT_FIELDS,
+  parseCommand,
+  parseParams,
+  plotHorizon,
+  samplePlot,
+  findPeak,
+  exceeds,
+  rampAccStep,
+  sampleTrajectory,
+  toCsv,
+  toJson,
+} from "../src/trajectory.js";
+
+const USAGE = `usage: mc-raptor-trajectory <command|peaks|sample> [options]
+
+parameters (unset ones keep the type's defaults):
+  --type <${Object.keys(TRAJECTORY_TYPES).join("|")}>
+  --<name> <value>           e.g. --A 0.5 --duration 12
+  --from-command "<cmd>"     parse a 'mc_raptor intref ...' command
+  --preset <file.json>       { "type": ..., "params": { ... } }
+
+peaks:
+  --max-speed, --max-acc, --max-jerk <value>   limits (0 disables)
+  --json                                       machine-readable output
+
+sample:
+  --rate <Hz>                default 400
+  --horizon <s>              default ramp_duration + duration
+  --fields <a,b,...>         ${EXPORT_FIELDS.map((f) => f.key).join(",")}
+  --format <csv|json>        default csv
+  --output <file>            default stdout
+`;
+
+const PARAM_NAMES = [
+  ...new Set(
+    Object.values(TRAJECTORY_TYPES).flatMap((type) => Object.keys(type.sliders))
+  ),
+];
+
+const OPTIONS = {
+  type: { type: "string" },
+  "from-command": { type: "string" },
+  preset: { type: "string" },
+  "max-speed": { type: "string" },
+  "max-acc": { type: "string" },
+  "max-jerk": { type: "string" },
+  json: { type: "boolean" },
+  rate: { type: "string" },
+  horizon: { type: "string" },
+  fields: { type: "string" },
+  format: { type: "string" },
+  output: { type: "string" },
+  help: { type: "boolean", short: "h" },
+  ...Object.fromEntries(PARAM_NAMES.map((name) => [name, { type: "string" }])),
+};
+
+function fail(errors) {
+  throw new Error(errors.map((e) => `${e.field}: ${e.message}`).join("\n"));
+}
+
+function number(name, text, fallback) {
+  if (text === undefined) return fallback;
+  const v = parseFloat(text);
+  if (!Number.isFinite(v)) fail([{ field: name, message: `'${text}' is not a number` }]);
+  return v;
+}
+
+// Type and parameters from --from-command, --preset or --type, with
+// individual --<name> flags applied on top.
+function resolveParams(values) {
+  let typeKey = values.type ?? DEFAULT_TYPE;
+  let base = {};
+
+  if (values["from-command"] !== undefined) {
+    const parsed = parseCommand(values["from-command"]);
+    if (parsed.errors.length) fail(parsed.errors);
+    typeKey = parsed.typeKey;
+    base = parsed.params;
+  } else if (values.preset !== undefined) {
+    const preset = JSON.parse(readFileSync(values.preset, "utf8"));
+    typeKey = preset.type;
+    base = preset.params ?? {};
+  }
+
+  if (!TRAJECTORY_TYPES[typeKey]) {
+    fail([{ field: "type", message: `unknown trajectory type '${typeKey}'` }]);
+  }
+
+  const overrides = Object.fromEntries(
+    PARAM_NAMES.filter((name) => values[name] !== undefined).map((name) => [
+      name,
+      values[name],
+    ])
+  );
+  const { params, errors } = parseParams(typeKey, { ...base, ...overrides });
+  if (errors.length) fail(errors);
+  return { typeKey, type: TRAJECTORY_TYPES[typeKey], params };
+}
+
+function runPeaks(values, { type, params }) {
+  const limits = {
+    speed: number("max-speed", values["max-speed"], DEFAULT_LIMITS.speed),
+    acc: number("max-acc", values["max-acc"], DEFAULT_LIMITS.acc),
+    jerk: number("max-jerk", values["max-jerk"], DEFAULT_LIMITS.jerk),
+  };
+
+  const data = samplePlot(type, params);
+  const peaks = LIMIT_FIELDS.map(({ key, label, unit }) => {
+    const peak = findPeak(data, key);
+    const ok = !exceeds(peak.value, limits[key]);
+    return { key, label, unit, ...peak, limit: limits[key], ok };
+  });
+  const ok = peaks.every((p) => p.ok);
+  const accStep = rampAccStep(type, params);
+
+  if (values.json) {
+    const out = {
+      command: isFlyable(type) ? type.command(params) : null,
+      ok,
+      peaks: Object.fromEntries(
+        peaks.map(({ key, value, t, limit, ok }) => [key, { value, t, limit, ok }])
+      ),
+      ramp_acc_step: accStep,
+    };
+    process.stdout.write(JSON.stringify(out, null, 2) + "\n");
+  } else {
+    const lines = [
+      isFlyable(type) ? type.command(params) : `# ${type.label}: no intref mode flies it`,
+    ];
+    for (const p of peaks) {
+      lines.push(
+        `${p.label.padEnd(13)} ${p.value.toFixed(3).padStart(8)} ${p.unit.padEnd(5)}` +
+          ` at t=${p.t.toFixed(2)} s  limit ${p.limit > 0 ? p.limit : "off"}` +
+          `  ${p.ok ? "ok" : "EXCEEDED"}`
+      );
+    }
+    if (accStep > 0) {
+      lines.push(`acceleration step at ramp end: ${accStep.toFixed(3)} m/s²`);
+    }
+    process.stdout.write(lines.join("\n") + "\n");
+  }
+  return ok ? 0 : 1;
+}
+
+function runSample(values, { typeKey, type, params }) {
+  const rate = number("rate", values.rate, 400);
+  const horizon = number("horizon", values.horizon, plotHorizon(params));
+  if (!(rate > 0) || !(horizon >= 0)) {
+    fail([{ field: "rate/horizon", message: "must be positive" }]);
+  }
+
+  const keys = values.fields
+    ? values.fields.split(",").map((f) => f.trim())
+    : EXPORT_FIELDS.filter((f) => f.checked).map((f) => f.key);
+  const unknown = keys.filter((k) => !EXPORT_FIELDS.some((f) => f.key === k));
+  if (unknown.length) {
+    fail([{ field: "fields", message: `unknown field(s) ${unknown.join(", ")}` }]);
+  }
+  const columns = EXPORT_FIELDS.filter((f) => keys.includes(f.key)).flatMap(
+    (f) => f.columns
+  );
+
+  const rows = sampleTrajectory(type, params, rate, horizon, columns);
+  const format = values.format ?? "csv";
+  let content;
+  if (format === "csv") {
+    content = toCsv(columns, rows);
+  } else if (format === "json") {
+    const meta = {
+      type: typeKey,
+      params,
+      command: isFlyable(type) ? type.command(params) : null,
+      rate_hz: rate,
+      horizon_s: horizon,
+    };
+    content = toJson(meta, columns, rows) + "\n";
+  } else {
+    fail([{ field: "format", message: `expected csv or json, got '${format}'` }]);
+  }
+
+  if (values.output) writeFileSync(values.output, content);
+  else process.stdout.write(content);
+  return 0;
+}
+
+function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: OPTIONS,
+    allowPositionals: true,
+  });
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  if (positionals.length !== 1) throw new Error("expected one subcommand");
+
+  const resolved = resolveParams(values);
+  switch (positionals[0]) {
+    case "command":
+      if (!isFlyable(resolved.type)) {
+        fail([{ field: "type", message: `${resolved.typeKey}: no intref mode flies it` }]);
+      }
+      process.stdout.write(resolved.type.command(resolved.params) + "\n");
+      return 0;
+    case "peaks":
+      return runPeaks(values, resolved);
+    case "sample":
+      return runSample(values, resolved);
+    default:
+      throw new Error(`unknown subcommand '${positionals[0]}'`);
+  }
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+  // Bad flags, parameters and unreadable preset files alike.
+  process.stderr.write(`${err.message}\n\n${USAGE}`);
+  process.exitCode = 2;
+}
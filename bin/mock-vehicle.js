@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+// Local stand-in for a vehicle behind a MAVLink WebSocket bridge, for trying
+// the connection panel without hardware:
+//
+//   mock-vehicle [--port 8765] [--host 127.0.0.1]
+//
+// Every WebSocket client gets its own mock nsh (src/mock.js); binary
+// messages carry raw MAVLink bytes in both directions.
+import { createServer } from "node:http";
+import { createHash } from "node:crypto";
+import { parseArgs } from "node:util";
+
+import { createMockVehicle } from "../src/mock.js";
+
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const OP_BINARY = 0x2;
+const OP_CLOSE = 0x8;
+const OP_PING = 0x9;
+const OP_PONG = 0xa;
+
+// Unmasked server-to-client frame.
+function wsFrame(opcode, payload) {
+  const n = payload.length;
+  const header =
+    n < 126
+      ? Buffer.from([0x80 | opcode, n])
+      : n < 65536
+        ? Buffer.from([0x80 | opcode, 126, n >> 8, n & 0xff])
+        : Buffer.concat([Buffer.from([0x80 | opcode, 127]), bigEndian64(n)]);
+  return Buffer.concat([header, Buffer.from(payload)]);
+}
+
+function bigEndian64(n) {
+  const b = Buffer.alloc(8);
+  b.writeBigUInt64BE(BigInt(n));
+  return b;
+}
+
+// Splits complete client frames off `buffer`: { frames: [{ opcode, payload }],
+// rest }. Fragmented messages are not expected from a MAVLink bridge client.
+function readFrames(buffer) {
+  const frames = [];
+  let i = 0;
+  while (buffer.length - i >= 2) {
+    const opcode = buffer[i] & 0x0f;
+    const masked = buffer[i + 1] & 0x80;
+    let len = buffer[i + 1] & 0x7f;
+    let offset = i + 2;
+    if (len === 126) {
+      if (buffer.length < offset + 2) break;
+      len = buffer.readUInt16BE(offset);
+      offset += 2;
+    } else if (len === 127) {
+      if (buffer.length < offset + 8) break;
+      len = Number(buffer.readBigUInt64BE(offset));
+      offset += 8;
+    }
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buffer.length < offset + len) break;
+    const payload = Buffer.from(buffer.subarray(offset, offset + len));
+    if (masked) {
+      for (let k = 0; k < len; k++) payload[k] ^= buffer[maskOffset + (k % 4)];
+    }
+    frames.push({ opcode, payload });
+    i = offset + len;
+  }
+  return { frames, rest: buffer.subarray(i) };
+}
+
+function handleUpgrade(req, socket, head) {
+  const key = req.headers["sec-websocket-key"];
+  if (!key) {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+  const accept = createHash("sha1").update(key + WS_GUID).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+
+  const vehicle = createMockVehicle();
+  let pending = Buffer.alloc(0);
+  const onData = (chunk) => {
+    const { frames, rest } = readFrames(Buffer.concat([pending, chunk]));
+    pending = rest;
+    for (const { opcode, payload } of frames) {
+      if (opcode === OP_BINARY) {
+        for (const reply of vehicle.receive(payload)) socket.write(wsFrame(OP_BINARY, reply));
+      } else if (opcode === OP_PING) {
+        socket.write(wsFrame(OP_PONG, payload));
+      } else if (opcode === OP_CLOSE) {
+        socket.end(wsFrame(OP_CLOSE, payload));
+      }
+    }
+  };
+  // Bytes that came in with the upgrade request belong to the first frames.
+  if (head.length) onData(head);
+  socket.on("data", onData);
+  socket.on("error", () => socket.destroy());
+}
+
+function main(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      port: { type: "string", default: "8765" },
+      host: { type: "string", default: "127.0.0.1" },
+    },
+  });
+  const server = createServer((req, res) => {
+    res.writeHead(426, { "Content-Type": "text/plain" });
+    res.end("mock vehicle: connect with a WebSocket\n");
+  });
+  server.on("upgrade", handleUpgrade);
+  server.listen(Number(values.port), values.host, () => {
+    const { address, port } = server.address();
+    process.stdout.write(`mock vehicle listening on ws://${address}:${port}\n`);
+  });
+}
+
+main(process.argv.slice(2));
@@ -10,10 +10,18 @@ fi
 mkdir -p lib
 
 # Bundle the entire app with all dependencies included
-npx esbuild src/app.jsx --bundle --minify --format=esm --outfile=lib/app.js
+npx esbuild src/main.jsx --bundle --minify --format=esm --outfile=lib/app.js
+
+# Library build of the tuner component for embedding; the host provides
+# React and recharts
+npx esbuild src/index.js --bundle --format=esm --outfile=lib/tuner.js \
+  --external:react --external:react-dom --external:recharts
+
+# Plot sampling worker, loaded by lib/app.js and lib/tuner.js from next to them
+npx esbuild src/sampler.worker.js --bundle --minify --format=esm --outfile=lib/sampler.worker.js
 
 # Copy CSS
 cp src/styles.css lib/styles.css
 
-echo "App bundled to lib/app.js"
+echo "App bundled to lib/app.js, library to lib/tuner.js (worker: lib/sampler.worker.js)"
 echo "Styles copied to lib/styles.css"
@@ -0,0 +1 @@
+function $(e,t){let n=t.ramp_duration??0,r=n>0?Math.min(e,n)/n:1,s=(r*Math.min(e,n)/2+Math.max(0,e-n))*(2*Math.PI)/t.duration,i=2*Math.PI*r/t.duration,c=n>0&&e<n?2*Math.PI/(n*t.duration):0;return{time_velocity:r,progress:s,d_progress:i,dd_progress:c}}function x(e,t,n){let{time_velocity:r,progress:o,d_progress:s,dd_progress:i}=$(e,t),[c,u,l,v]=n(o,t),p=u.map(f=>f*s),m=u.map((f,h)=>l[h]*s**2+f*i),d=u.map((f,h)=>v[h]*s**3+3*l[h]*s*i);return{x:c[0],y:c[1],z:c[2],vx:p[0],vy:p[1],vz:p[2],speed:Math.hypot(...p),ax:m[0],ay:m[1],az:m[2],acc:Math.hypot(...m),jx:d[0],jy:d[1],jz:d[2],jerk:Math.hypot(...d),progress:o,time_velocity:r}}function y(e,t){let n=[[t.A,t.a],[t.B,t.b],[t.C,t.c]];return[n.map(([r,o])=>r*Math.sin(o*e)),n.map(([r,o])=>r*o*Math.cos(o*e)),n.map(([r,o])=>-r*o*o*Math.sin(o*e)),n.map(([r,o])=>-r*o*o*o*Math.cos(o*e))]}function b(e,t){return x(e,t,y)}function g(e,t){let n=t.R,r=Math.sin(e),o=Math.cos(e);return[[n*r,n*(1-o),0],[n*o,n*r,0],[-n*r,n*o,0],[-n*o,-n*r,0]]}function j(e){return{...e,C:0,a:2,b:1,c:1}}function M(){let e=[0,0,0];return[e,e,e,e]}var a={A:{min:0,max:3,step:.05,amp:!0},B:{min:0,max:3,step:.05,amp:!0},C:{min:0,max:3,step:.05},a:{min:0,max:10,step:.25},b:{min:0,max:10,step:.25},c:{min:0,max:10,step:.25},duration:{min:.1,max:60,step:.25},ramp_duration:{min:0,max:30,step:.25}},k={lissajous:{label:"Lissajous",sliders:a,defaults:{A:.5,B:1,C:0,a:2,b:1,c:1,duration:10,ramp_duration:3},shape:y,eval:b,axes:e=>[[e.A,e.a,"a"],[e.B,e.b,"b"],[e.C,e.c,"c"]],amplitudes:["A","B","C"],extents:{x:"A",y:"B"},intref:{mode:"lissajous",args:["A","B","C","a","b","c","duration","ramp_duration"]},command:e=>`mc_raptor intref lissajous ${e.A} ${e.B} ${e.C} ${e.a} ${e.b} ${e.c} ${e.duration} ${e.ramp_duration}`},circle:{label:"Circle",note:"Not flyable: no intref mode flies a circle, and the lissajous mode has no phase to make one. Plotted and checked for comparison only.",sliders:{R:{min:0,max:3,step:.05,amp:!0},duration:a.duration,ramp_duration:a.ramp_duration},defaults:{R:1,duration:10,ramp_duration:3},shape:g,eval:(e,t)=>x(e,t,g),axes:e=>[[e.R,1]],amplitudes:["R"],extents:{x:"R",y:"R"},command:null},figure_eight:{label:"Figure-eight",note:"Lissajous with a:b = 2:1 in the horizontal plane.",sliders:{A:a.A,B:a.B,duration:a.duration,ramp_duration:a.ramp_duration},defaults:{A:.5,B:1,duration:10,ramp_duration:3},shape:(e,t)=>y(e,j(t)),eval:(e,t)=>b(e,j(t)),axes:e=>[[e.A,2],[e.B,1]],amplitudes:["A","B"],extents:{x:"A",y:"B"},command:e=>`mc_raptor intref lissajous ${e.A} ${e.B} 0 2 1 1 ${e.duration} ${e.ramp_duration}`},hover:{label:"Hover",note:"Holds the start position: Lissajous with zero amplitudes.",sliders:{duration:a.duration},defaults:{duration:10},shape:M,eval:(e,t)=>x(e,t,M),axes:()=>[],amplitudes:[],extents:{},command:e=>`mc_raptor intref lissajous 0 0 0 0 0 0 ${e.duration} 0`}};function A(e,t=1){return e.duration>0?Math.max(0,e.ramp_duration??0)+t*e.duration:0}function E(e){return Math.min(12e3,Math.max(2e3,Math.round(e*300)))}var O=[{key:"x",label:"x",unit:"m",group:"position"},{key:"y",label:"y",unit:"m",group:"position"},{key:"z",label:"z",unit:"m",group:"position"},{key:"vx",label:"vx",unit:"m/s",group:"velocity"},{key:"vy",label:"vy",unit:"m/s",group:"velocity"},{key:"vz",label:"vz",unit:"m/s",group:"velocity"},{key:"speed",label:"speed",unit:"m/s",group:"velocity"},{key:"ax",label:"ax",unit:"m/s\xB2",group:"acceleration"},{key:"ay",label:"ay",unit:"m/s\xB2",group:"acceleration"},{key:"az",label:"az",unit:"m/s\xB2",group:"acceleration"},{key:"acc",label:"acceleration",unit:"m/s\xB2",group:"acceleration"},{key:"jx",label:"jx",unit:"m/s\xB3",group:"jerk"},{key:"jy",label:"jy",unit:"m/s\xB3",group:"jerk"},{key:"jz",label:"jz",unit:"m/s\xB3",group:"jerk"},{key:"jerk",label:"jerk",unit:"m/s\xB3",group:"jerk"},{key:"progress",label:"progress",unit:"rad",group:"progress"},{key:"time_velocity",label:"time_velocity",unit:"",group:"progress"}];function _(e,t,n=A(t),r=E(n)){let o=[];if(!(t.duration>0)||n<=0)return o;for(let s=0;s<r;s++){let i=s/(r-1)*n,c=e.eval(i,t),u={t:i};for(let{key:l}of O)u[l]=c[l];o.push(u)}return o}self.onmessage=({data:e})=>{let{id:t,typeKey:n,params:r,horizon:o,steps:s}=e,i=_(k[n],r,o,s);self.postMessage({id:t,full:e.full,points:i})};
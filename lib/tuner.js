@@ -0,0 +1,5061 @@
+// src/app.jsx
+import React11, { useState as useState11, useEffect as useEffect8, useMemo as useMemo5, useRef as useRef6 } from "react";
+import {
+  LineChart as LineChart2,
+  Line as Line2,
+  XAxis as XAxis2,
+  YAxis as YAxis2,
+  CartesianGrid as CartesianGrid2,
+  Tooltip as Tooltip2,
+  ReferenceDot as ReferenceDot2,
+  ReferenceLine as ReferenceLine2,
+  ResponsiveContainer as ResponsiveContainer2,
+  Customized as Customized2
+} from "recharts";
+
+// src/flightlog.js
+var ULOG_MAGIC = [85, 76, 111, 103, 1, 18, 53];
+var ULOG_TYPES = {
+  int8_t: [1, "getInt8"],
+  uint8_t: [1, "getUint8"],
+  int16_t: [2, "getInt16"],
+  uint16_t: [2, "getUint16"],
+  int32_t: [4, "getInt32"],
+  uint32_t: [4, "getUint32"],
+  int64_t: [8, "getBigInt64"],
+  uint64_t: [8, "getBigUint64"],
+  float: [4, "getFloat32"],
+  double: [8, "getFloat64"],
+  bool: [1, "getUint8"],
+  char: [1, "getUint8"]
+};
+var LOG_FIELDS = ["x", "y", "z", "vx", "vy", "vz", "heading"];
+function parseFormat(text) {
+  const colon = text.indexOf(":");
+  const name = text.slice(0, colon);
+  const fields = text.slice(colon + 1).split(";").filter((f) => f.trim()).map((f) => {
+    const [typeSpec, fieldName] = f.trim().split(/\s+/);
+    const m = /^([\w]+)(?:\[(\d+)\])?$/.exec(typeSpec);
+    return { type: m[1], count: m[2] ? parseInt(m[2], 10) : 1, name: fieldName };
+  });
+  return { name, fields };
+}
+function formatSize(formats, name) {
+  if (ULOG_TYPES[name]) return ULOG_TYPES[name][0];
+  const format = formats[name];
+  if (!format) throw new Error(`ULog: unknown type '${name}'`);
+  return format.fields.reduce(
+    (sum, f) => sum + formatSize(formats, f.type) * f.count,
+    0
+  );
+}
+function scalarLayout(formats, name) {
+  const layout = {};
+  let offset = 0;
+  for (const f of formats[name].fields) {
+    if (ULOG_TYPES[f.type] && f.count === 1) {
+      layout[f.name] = { offset, getter: ULOG_TYPES[f.type][1] };
+    }
+    offset += formatSize(formats, f.type) * f.count;
+  }
+  return layout;
+}
+function parseULog(buffer, topic = "vehicle_local_position") {
+  const view = new DataView(buffer);
+  if (view.byteLength < 16 || ULOG_MAGIC.some((b, i) => view.getUint8(i) !== b)) {
+    throw new Error("not a ULog file (bad header)");
+  }
+  const decoder = new TextDecoder();
+  const text = (start, end) => decoder.decode(new Uint8Array(buffer, start, end - start));
+  const formats = {};
+  let msgId = null;
+  let layout = null;
+  const samples = [];
+  let pos = 16;
+  while (pos + 3 <= view.byteLength) {
+    const size = view.getUint16(pos, true);
+    const msgType = String.fromCharCode(view.getUint8(pos + 2));
+    const start = pos + 3;
+    const end = start + size;
+    if (end > view.byteLength) break;
+    if (msgType === "F") {
+      const format = parseFormat(text(start, end));
+      formats[format.name] = format;
+    } else if (msgType === "A") {
+      const multiId = view.getUint8(start);
+      const name = text(start + 3, end);
+      if (name === topic && multiId === 0 && msgId === null) {
+        msgId = view.getUint16(start + 1, true);
+        layout = scalarLayout(formats, topic);
+        if (!layout.timestamp || !layout.x || !layout.y || !layout.z) {
+          throw new Error(`ULog: ${topic} has no timestamp/x/y/z fields`);
+        }
+      }
+    } else if (msgType === "D" && msgId !== null) {
+      if (view.getUint16(start, true) === msgId) {
+        const data = start + 2;
+        const read = ({ offset, getter }) => {
+          const v = view[getter](data + offset, true);
+          return typeof v === "bigint" ? Number(v) : v;
+        };
+        const sample = { t: read(layout.timestamp) / 1e6 };
+        for (const key of LOG_FIELDS) {
+          if (layout[key]) sample[key] = read(layout[key]);
+        }
+        samples.push(sample);
+      }
+    }
+    pos = end;
+  }
+  if (msgId === null) throw new Error(`ULog: no ${topic} messages`);
+  samples.sort((a, b) => a.t - b.t);
+  return { samples, frame: "ned" };
+}
+function parseLocalPositionCsv(text, frame = "ned") {
+  const lines = text.split(/\r?\n/).filter((l) => l.trim());
+  if (lines.length < 2) throw new Error("CSV: no data rows");
+  const header = lines[0].split(",").map((h) => h.trim().toLowerCase());
+  const col = (name) => header.indexOf(name);
+  let timeCol = col("timestamp");
+  let timeScale = 1e-6;
+  if (timeCol < 0) {
+    timeCol = col("t") >= 0 ? col("t") : col("time");
+    timeScale = 1;
+  }
+  if (timeCol < 0) throw new Error("CSV: no timestamp, t or time column");
+  for (const key of ["x", "y", "z"]) {
+    if (col(key) < 0) throw new Error(`CSV: no ${key} column`);
+  }
+  const samples = [];
+  for (let i = 1; i < lines.length; i++) {
+    const cells = lines[i].split(",");
+    const t = parseFloat(cells[timeCol]) * timeScale;
+    if (!Number.isFinite(t)) throw new Error(`CSV line ${i + 1}: bad time`);
+    const sample = { t };
+    for (const key of LOG_FIELDS) {
+      const c = col(key);
+      if (c < 0) continue;
+      const v = parseFloat(cells[c]);
+      if (Number.isFinite(v)) sample[key] = v;
+    }
+    if (["x", "y", "z"].some((k) => sample[k] === void 0)) {
+      throw new Error(`CSV line ${i + 1}: missing position`);
+    }
+    samples.push(sample);
+  }
+  samples.sort((a, b) => a.t - b.t);
+  return { samples, frame };
+}
+function hasVelocity(log) {
+  return log.samples.length > 0 && log.samples[0].vx !== void 0;
+}
+function sampleAt(samples, t) {
+  let lo = 0;
+  let hi = samples.length - 1;
+  if (t <= samples[lo].t) return samples[lo];
+  if (t >= samples[hi].t) return samples[hi];
+  while (hi - lo > 1) {
+    const mid = lo + hi >> 1;
+    if (samples[mid].t <= t) lo = mid;
+    else hi = mid;
+  }
+  const a = samples[lo];
+  const b = samples[hi];
+  const w = (t - a.t) / (b.t - a.t);
+  const out = { t };
+  for (const key of LOG_FIELDS) {
+    if (a[key] !== void 0 && b[key] !== void 0) {
+      out[key] = a[key] + (b[key] - a[key]) * w;
+    }
+  }
+  return out;
+}
+function frameYaw(log, start, yaw) {
+  if (Number.isFinite(yaw)) return yaw;
+  if (log.frame !== "ned") return 0;
+  return sampleAt(log.samples, start).heading ?? 0;
+}
+function toTrajectoryFrame(s, origin, frame, yaw) {
+  const dx = s.x - origin.x;
+  const dy = s.y - origin.y;
+  const dz = s.z - origin.z;
+  if (frame !== "ned") {
+    return { x: dx, y: dy, z: dz, vx: s.vx, vy: s.vy, vz: s.vz };
+  }
+  const c = Math.cos(yaw);
+  const sn = Math.sin(yaw);
+  const out = { x: c * dx + sn * dy, y: sn * dx - c * dy, z: -dz };
+  if (s.vx !== void 0) {
+    out.vx = c * s.vx + sn * s.vy;
+    out.vy = sn * s.vx - c * s.vy;
+    out.vz = -s.vz;
+  }
+  return out;
+}
+var ALIGN_POINTS = 200;
+function autoAlign(log, evalRef, horizon, yaw) {
+  const { samples } = log;
+  const useVel = hasVelocity(log);
+  const taus = Array.from(
+    { length: ALIGN_POINTS },
+    (_, i) => i / (ALIGN_POINTS - 1) * horizon
+  );
+  const refs = taus.map((tau) => evalRef(tau));
+  const cost = (start) => {
+    const origin = sampleAt(samples, start);
+    const psi = frameYaw(log, start, yaw);
+    let sum = 0;
+    taus.forEach((tau, i) => {
+      const a = toTrajectoryFrame(sampleAt(samples, start + tau), origin, log.frame, psi);
+      const r = refs[i];
+      sum += useVel ? (a.vx - r.vx) ** 2 + (a.vy - r.vy) ** 2 + (a.vz - r.vz) ** 2 : (a.x - r.x) ** 2 + (a.y - r.y) ** 2 + (a.z - r.z) ** 2;
+    });
+    return sum / taus.length;
+  };
+  const first = samples[0].t;
+  const last = Math.max(first, samples[samples.length - 1].t - horizon);
+  const search = (from, to, step) => {
+    let best = { start: from, cost: Infinity };
+    for (let s = from; s <= to + step * 1e-6; s += step) {
+      const c = cost(s);
+      if (c < best.cost) best = { start: s, cost: c };
+    }
+    return best;
+  };
+  const coarseStep = Math.max(0.05, (last - first) / 4e3);
+  const coarse = search(first, last, coarseStep);
+  const fine = search(
+    Math.max(first, coarse.start - coarseStep),
+    Math.min(last, coarse.start + coarseStep),
+    coarseStep / 20
+  );
+  return fine.start;
+}
+function trackingError(log, evalRef, horizon, start, yaw) {
+  const { samples } = log;
+  const origin = sampleAt(samples, start);
+  const psi = frameYaw(log, start, yaw);
+  const useVel = hasVelocity(log);
+  const series = [];
+  let sumSq = 0;
+  const axisSq = [0, 0, 0];
+  let velSq = 0;
+  let max = { value: 0, t: 0 };
+  for (const s of samples) {
+    const tau = s.t - start;
+    if (tau < 0 || tau > horizon) continue;
+    const a = toTrajectoryFrame(s, origin, log.frame, psi);
+    const r = evalRef(tau);
+    const ex = a.x - r.x;
+    const ey = a.y - r.y;
+    const ez = a.z - r.z;
+    const e = Math.hypot(ex, ey, ez);
+    const point = { t: tau, x: a.x, y: a.y, z: a.z, ex, ey, ez, e };
+    if (useVel) {
+      point.speed = Math.hypot(a.vx, a.vy, a.vz);
+      point.ev = Math.hypot(a.vx - r.vx, a.vy - r.vy, a.vz - r.vz);
+      velSq += point.ev ** 2;
+    }
+    series.push(point);
+    sumSq += e * e;
+    axisSq[0] += ex * ex;
+    axisSq[1] += ey * ey;
+    axisSq[2] += ez * ez;
+    if (e > max.value) max = { value: e, t: tau };
+  }
+  const n = series.length;
+  if (!n) return { series, count: 0 };
+  return {
+    series,
+    count: n,
+    yaw: psi,
+    rmsPos: Math.sqrt(sumSq / n),
+    maxPos: max,
+    rmsAxis: axisSq.map((v) => Math.sqrt(v / n)),
+    rmsVel: useVel ? Math.sqrt(velSq / n) : null
+  };
+}
+
+// src/trajectory.js
+function evalProgress(time, params) {
+  const ramp_duration = params.ramp_duration ?? 0;
+  const time_velocity = ramp_duration > 0 ? Math.min(time, ramp_duration) / ramp_duration : 1;
+  const ramp_time = time_velocity * Math.min(time, ramp_duration) / 2;
+  const progress = (ramp_time + Math.max(0, time - ramp_duration)) * (2 * Math.PI) / params.duration;
+  const d_progress = 2 * Math.PI * time_velocity / params.duration;
+  const dd_progress = ramp_duration > 0 && time < ramp_duration ? 2 * Math.PI / (ramp_duration * params.duration) : 0;
+  return { time_velocity, progress, d_progress, dd_progress };
+}
+function evalShape(time, params, shape) {
+  const { time_velocity, progress, d_progress, dd_progress } = evalProgress(time, params);
+  const [f, df, ddf, dddf] = shape(progress, params);
+  const v = df.map((d1) => d1 * d_progress);
+  const a = df.map((d1, i) => ddf[i] * d_progress ** 2 + d1 * dd_progress);
+  const j = df.map(
+    (_, i) => dddf[i] * d_progress ** 3 + 3 * ddf[i] * d_progress * dd_progress
+  );
+  return {
+    x: f[0],
+    y: f[1],
+    z: f[2],
+    vx: v[0],
+    vy: v[1],
+    vz: v[2],
+    speed: Math.hypot(...v),
+    ax: a[0],
+    ay: a[1],
+    az: a[2],
+    acc: Math.hypot(...a),
+    jx: j[0],
+    jy: j[1],
+    jz: j[2],
+    jerk: Math.hypot(...j),
+    progress,
+    time_velocity
+  };
+}
+function lissajousShape(progress, params) {
+  const axes = [
+    [params.A, params.a],
+    [params.B, params.b],
+    [params.C, params.c]
+  ];
+  return [
+    axes.map(([K, k]) => K * Math.sin(k * progress)),
+    axes.map(([K, k]) => K * k * Math.cos(k * progress)),
+    axes.map(([K, k]) => -K * k * k * Math.sin(k * progress)),
+    axes.map(([K, k]) => -K * k * k * k * Math.cos(k * progress))
+  ];
+}
+function evalXYZ(time, params) {
+  return evalShape(time, params, lissajousShape);
+}
+function circleShape(progress, params) {
+  const R = params.R;
+  const s = Math.sin(progress);
+  const c = Math.cos(progress);
+  return [
+    [R * s, R * (1 - c), 0],
+    [R * c, R * s, 0],
+    [-R * s, R * c, 0],
+    [-R * c, -R * s, 0]
+  ];
+}
+function figureEightParams(params) {
+  return { ...params, C: 0, a: 2, b: 1, c: 1 };
+}
+function hoverShape() {
+  const zero = [0, 0, 0];
+  return [zero, zero, zero, zero];
+}
+function decimalsFromStep(step) {
+  const s = String(step);
+  if (s.includes("e-")) return parseInt(s.split("e-")[1], 10) || 0;
+  const i = s.indexOf(".");
+  return i >= 0 ? s.length - i - 1 : 0;
+}
+function snapToStep(v, step) {
+  if (!Number.isFinite(v) || !Number.isFinite(step) || step <= 0) return v;
+  const snapped = Math.round(v / step) * step;
+  const dec = Math.min(8, decimalsFromStep(step));
+  return parseFloat(snapped.toFixed(dec));
+}
+function pow10(x) {
+  if (!(x > 0) || !Number.isFinite(x)) return 1;
+  return Math.pow(10, Math.floor(Math.log10(x)));
+}
+function makePow10Ticks(domain, maxTicks = 9) {
+  if (!domain || domain.length !== 2) return [];
+  let [min, max] = domain;
+  if (!Number.isFinite(min) || !Number.isFinite(max)) return [];
+  if (max < min) [min, max] = [max, min];
+  const range = max - min;
+  if (!(range > 0)) return [min];
+  let step = pow10(range / Math.max(1, maxTicks - 1));
+  let count = Math.floor(range / step) + 1;
+  while (count > maxTicks) {
+    step *= 10;
+    count = Math.floor(range / step) + 1;
+  }
+  const start = Math.ceil(min / step) * step;
+  const end = Math.floor(max / step) * step;
+  const ticks = [];
+  for (let v = start; v <= end + step * 0.5; v += step) {
+    let vv = parseFloat(v.toFixed(12));
+    if (Math.abs(vv) < step * 1e-9) vv = 0;
+    ticks.push(vv);
+  }
+  if (min <= 0 && max >= 0 && !ticks.some((x) => x === 0)) {
+    ticks.push(0);
+    ticks.sort((a, b) => a - b);
+  }
+  return ticks;
+}
+var PARAM_SLIDERS = {
+  A: { min: 0, max: 3, step: 0.05, amp: true },
+  B: { min: 0, max: 3, step: 0.05, amp: true },
+  C: { min: 0, max: 3, step: 0.05 },
+  a: { min: 0, max: 10, step: 0.25 },
+  b: { min: 0, max: 10, step: 0.25 },
+  c: { min: 0, max: 10, step: 0.25 },
+  duration: { min: 0.1, max: 60, step: 0.25 },
+  ramp_duration: { min: 0, max: 30, step: 0.25 }
+};
+var TRAJECTORY_TYPES = {
+  lissajous: {
+    label: "Lissajous",
+    sliders: PARAM_SLIDERS,
+    // Defaults match the provided C++ struct.
+    defaults: {
+      A: 0.5,
+      B: 1,
+      C: 0,
+      a: 2,
+      b: 1,
+      c: 1,
+      duration: 10,
+      ramp_duration: 3
+    },
+    shape: lissajousShape,
+    eval: evalXYZ,
+    axes: (p) => [[p.A, p.a, "a"], [p.B, p.b, "b"], [p.C, p.c, "c"]],
+    amplitudes: ["A", "B", "C"],
+    extents: { x: "A", y: "B" },
+    intref: {
+      mode: "lissajous",
+      args: ["A", "B", "C", "a", "b", "c", "duration", "ramp_duration"]
+    },
+    command: (p) => `mc_raptor intref lissajous ${p.A} ${p.B} ${p.C} ${p.a} ${p.b} ${p.c} ${p.duration} ${p.ramp_duration}`
+  },
+  circle: {
+    label: "Circle",
+    note: "Not flyable: no intref mode flies a circle, and the lissajous mode has no phase to make one. Plotted and checked for comparison only.",
+    sliders: {
+      R: { min: 0, max: 3, step: 0.05, amp: true },
+      duration: PARAM_SLIDERS.duration,
+      ramp_duration: PARAM_SLIDERS.ramp_duration
+    },
+    defaults: { R: 1, duration: 10, ramp_duration: 3 },
+    shape: circleShape,
+    eval: (time, params) => evalShape(time, params, circleShape),
+    axes: (p) => [[p.R, 1]],
+    amplitudes: ["R"],
+    extents: { x: "R", y: "R" },
+    command: null
+  },
+  figure_eight: {
+    label: "Figure-eight",
+    note: "Lissajous with a:b = 2:1 in the horizontal plane.",
+    sliders: {
+      A: PARAM_SLIDERS.A,
+      B: PARAM_SLIDERS.B,
+      duration: PARAM_SLIDERS.duration,
+      ramp_duration: PARAM_SLIDERS.ramp_duration
+    },
+    defaults: { A: 0.5, B: 1, duration: 10, ramp_duration: 3 },
+    shape: (progress, params) => lissajousShape(progress, figureEightParams(params)),
+    eval: (time, params) => evalXYZ(time, figureEightParams(params)),
+    axes: (p) => [[p.A, 2], [p.B, 1]],
+    amplitudes: ["A", "B"],
+    extents: { x: "A", y: "B" },
+    command: (p) => `mc_raptor intref lissajous ${p.A} ${p.B} 0 2 1 1 ${p.duration} ${p.ramp_duration}`
+  },
+  hover: {
+    label: "Hover",
+    note: "Holds the start position: Lissajous with zero amplitudes.",
+    sliders: { duration: PARAM_SLIDERS.duration },
+    defaults: { duration: 10 },
+    shape: hoverShape,
+    eval: (time, params) => evalShape(time, params, hoverShape),
+    axes: () => [],
+    amplitudes: [],
+    extents: {},
+    command: (p) => `mc_raptor intref lissajous 0 0 0 0 0 0 ${p.duration} 0`
+  }
+};
+var DEFAULT_TYPE = "lissajous";
+function isFlyable(type) {
+  return typeof type.command === "function";
+}
+var PARAM_UNITS = {
+  A: "m",
+  B: "m",
+  C: "m",
+  R: "m",
+  a: "",
+  b: "",
+  c: "",
+  duration: "s",
+  ramp_duration: "s"
+};
+function configureTypes(sliders = {}) {
+  const valid = (key, v) => Number.isFinite(v) && (key !== "step" || v > 0);
+  return Object.fromEntries(
+    Object.entries(TRAJECTORY_TYPES).map(([typeKey, type]) => {
+      const configured = Object.fromEntries(
+        Object.entries(type.sliders).map(([name, cfg]) => {
+          const range = Object.entries(sliders[name] ?? {}).filter(
+            ([key, v]) => ["min", "max", "step"].includes(key) && valid(key, v)
+          );
+          return [name, { ...cfg, ...Object.fromEntries(range) }];
+        })
+      );
+      return [typeKey, { ...type, sliders: configured }];
+    })
+  );
+}
+function defaultParamsByType() {
+  return Object.fromEntries(
+    Object.entries(TRAJECTORY_TYPES).map(([key, type]) => [
+      key,
+      { ...type.defaults }
+    ])
+  );
+}
+var NUMBER_RE = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+function parseCommand(command, types = TRAJECTORY_TYPES) {
+  const tokens = command.trim().split(/\s+/);
+  const start = tokens.indexOf("mc_raptor");
+  if (start < 0 || tokens[start + 1] !== "intref") {
+    return {
+      errors: [{ field: "command", message: "expected 'mc_raptor intref <mode> ...'" }]
+    };
+  }
+  const mode = tokens[start + 2];
+  const args = tokens.slice(start + 3);
+  const typeKey = Object.keys(types).find((key) => types[key].intref?.mode === mode);
+  if (!typeKey) {
+    const known = Object.values(types).filter((type2) => type2.intref).map((type2) => type2.intref.mode);
+    return {
+      errors: [
+        {
+          field: "mode",
+          message: `unknown intref mode '${mode ?? ""}' (expected ${known.join(", ")})`
+        }
+      ]
+    };
+  }
+  const type = types[typeKey];
+  const names = type.intref.args;
+  if (args.length !== names.length) {
+    return {
+      typeKey,
+      errors: [
+        {
+          field: "arguments",
+          message: `expected ${names.length} arguments (${names.join(" ")}), got ${args.length}`
+        }
+      ]
+    };
+  }
+  const raw = Object.fromEntries(names.map((name, i) => [name, args[i]]));
+  return { typeKey, ...parseParams(typeKey, raw, types) };
+}
+function parseParams(typeKey, raw, types = TRAJECTORY_TYPES) {
+  const type = types[typeKey];
+  const params = { ...type.defaults };
+  const errors = [];
+  for (const [name, value] of Object.entries(raw)) {
+    const cfg = type.sliders[name];
+    if (!cfg) {
+      errors.push({ field: name, message: `not a ${type.label} parameter` });
+      continue;
+    }
+    if (typeof value !== "number" && !NUMBER_RE.test(String(value))) {
+      errors.push({ field: name, message: `'${value}' is not a number` });
+      continue;
+    }
+    const v = typeof value === "number" ? value : parseFloat(value);
+    if (!Number.isFinite(v)) {
+      errors.push({ field: name, message: `'${value}' is not a number` });
+    } else if (v < cfg.min) {
+      errors.push({ field: name, message: `${v} is below the minimum ${cfg.min}` });
+    } else if (v > cfg.max) {
+      errors.push({ field: name, message: `${v} is above the maximum ${cfg.max}` });
+    }
+    params[name] = v;
+  }
+  return { params, errors };
+}
+function parseCommands(text, types = TRAJECTORY_TYPES) {
+  return text.split(/\r?\n/).map((line, i) => ({ line: i + 1, text: line.replace(/#.*$/, "").trim() })).filter(({ text: text2 }) => text2.includes("mc_raptor")).map((entry) => ({ ...entry, ...parseCommand(entry.text, types) }));
+}
+var LIMIT_FIELDS = [
+  { key: "speed", label: "speed", unit: "m/s", step: 0.1 },
+  { key: "acc", label: "acceleration", unit: "m/s\xB2", step: 0.1 },
+  { key: "jerk", label: "jerk", unit: "m/s\xB3", step: 1 }
+];
+var DEFAULT_LIMITS = { speed: 3, acc: 5, jerk: 30 };
+function exceeds(value, limit) {
+  return Number.isFinite(limit) && limit > 0 && value > limit;
+}
+function findPeak(trajectory, key) {
+  let peak = { value: 0, t: 0 };
+  for (const p of trajectory) {
+    if (p[key] > peak.value) peak = { value: p[key], t: p.t };
+  }
+  return peak;
+}
+function violationSpans(trajectory, key, limit) {
+  const spans = [];
+  let start = null;
+  for (let i = 0; i < trajectory.length; i++) {
+    const p = trajectory[i];
+    if (exceeds(p[key], limit)) {
+      if (start === null) start = p.t;
+    } else if (start !== null) {
+      spans.push([start, trajectory[i - 1].t]);
+      start = null;
+    }
+  }
+  if (start !== null) spans.push([start, trajectory[trajectory.length - 1].t]);
+  return spans;
+}
+function rampAccStep(type, params) {
+  if (!(params.ramp_duration > 0) || !(params.duration > 0)) return 0;
+  const { progress } = evalProgress(params.ramp_duration, params);
+  const dd_progress = 2 * Math.PI / (params.ramp_duration * params.duration);
+  const df = type.shape(progress, params)[1];
+  return Math.hypot(...df) * dd_progress;
+}
+var FREQUENCY_RESOLUTION = 1e3;
+var MAX_CYCLES = 100;
+var SEAM_TOLERANCE = 1e-9;
+function gcd(a, b) {
+  while (b) [a, b] = [b, a % b];
+  return a;
+}
+function periodicity(type, params) {
+  const frequencies = (type.axes?.(params) ?? []).filter(([amplitude, frequency]) => amplitude !== 0 && frequency !== 0).map(([, frequency]) => Math.abs(frequency));
+  const [f0, df0] = type.shape(0, params);
+  const [f1, df1] = type.shape(2 * Math.PI, params);
+  const d_progress = params.duration > 0 ? 2 * Math.PI / params.duration : 0;
+  const positionJump = Math.hypot(...f1.map((v, i) => v - f0[i]));
+  const velocityJump = Math.hypot(...df1.map((v, i) => v - df0[i])) * d_progress;
+  const closes = positionJump < SEAM_TOLERANCE && velocityJump < SEAM_TOLERANCE;
+  if (!frequencies.length) {
+    return { closes, cycles: 0, period: 0, positionJump, velocityJump };
+  }
+  const g = frequencies.map((f) => Math.round(f * FREQUENCY_RESOLUTION)).reduce(gcd);
+  const cycles = g > 0 ? FREQUENCY_RESOLUTION / g : Infinity;
+  return {
+    closes,
+    cycles: cycles <= MAX_CYCLES ? cycles : Infinity,
+    period: cycles <= MAX_CYCLES ? cycles * params.duration : Infinity,
+    positionJump,
+    velocityJump
+  };
+}
+function closingSnaps(type, params, unitLabel = (unit) => unit) {
+  const tunable = (type.axes?.(params) ?? []).filter(
+    ([amplitude, frequency, key]) => key && amplitude !== 0 && frequency !== 0
+  );
+  const { closes, cycles } = periodicity(type, params);
+  if (closes || !tunable.length) return [];
+  const inRange = (p) => Object.entries(type.sliders).every(
+    ([key, { min, max }]) => p[key] >= min && p[key] <= max
+  );
+  const ratio = (p) => tunable.map(([, , key]) => p[key]).join(":");
+  const snaps = [];
+  const rounded = { ...params };
+  for (const [, frequency, key] of tunable) {
+    rounded[key] = Math.sign(frequency) * Math.max(1, Math.round(Math.abs(frequency)));
+  }
+  if (inRange(rounded)) {
+    snaps.push({ kind: "round", label: `round to ${ratio(rounded)}`, params: rounded });
+  }
+  if (Number.isInteger(cycles)) {
+    const scaled = {
+      ...params,
+      duration: snapToStep(params.duration * cycles, type.sliders.duration.step)
+    };
+    for (const [, , key] of tunable) {
+      scaled[key] = snapToStep(params[key] * cycles, type.sliders[key].step);
+    }
+    if (inRange(scaled)) {
+      snaps.push({
+        kind: "scale",
+        label: `scale to ${ratio(scaled)} over ${scaled.duration} ${unitLabel("s")}`,
+        params: scaled
+      });
+    }
+  }
+  return snaps;
+}
+function sanitizeParams(typeKey, raw, types = TRAJECTORY_TYPES) {
+  const type = types[typeKey];
+  if (!type) return null;
+  const params = { ...type.defaults };
+  for (const key of Object.keys(type.sliders)) {
+    const v = typeof raw?.[key] === "string" ? parseFloat(raw[key]) : raw?.[key];
+    if (Number.isFinite(v)) params[key] = v;
+  }
+  return params;
+}
+function plotHorizon(params, cycles = 1) {
+  if (!(params.duration > 0)) return 0;
+  return Math.max(0, params.ramp_duration ?? 0) + cycles * params.duration;
+}
+function extentHandles(type, data) {
+  if (!data.length) return [];
+  const box = { x: [Infinity, -Infinity], y: [Infinity, -Infinity] };
+  for (const p of data) {
+    for (const axis of ["x", "y"]) {
+      box[axis][0] = Math.min(box[axis][0], p[axis]);
+      box[axis][1] = Math.max(box[axis][1], p[axis]);
+    }
+  }
+  const handles = [];
+  for (const [axis, key] of Object.entries(type.extents ?? {})) {
+    const other = axis === "x" ? "y" : "x";
+    const across = (box[other][0] + box[other][1]) / 2;
+    box[axis].forEach((value, i) => {
+      if (Math.abs(value) > 1e-6) {
+        handles.push({ key, axis, side: i ? "max" : "min", value, across });
+      }
+    });
+  }
+  return handles;
+}
+function amplitudeForHandle(handle, amplitude, v, cfg) {
+  const scaled = amplitude * v / handle.value;
+  return Math.max(cfg.min, snapToStep(scaled, cfg.step));
+}
+function plotSteps(horizon) {
+  return Math.min(12e3, Math.max(2e3, Math.round(horizon * 300)));
+}
+var PLOT_SIGNALS = [
+  { key: "x", label: "x", unit: "m", group: "position" },
+  { key: "y", label: "y", unit: "m", group: "position" },
+  { key: "z", label: "z", unit: "m", group: "position" },
+  { key: "vx", label: "vx", unit: "m/s", group: "velocity" },
+  { key: "vy", label: "vy", unit: "m/s", group: "velocity" },
+  { key: "vz", label: "vz", unit: "m/s", group: "velocity" },
+  { key: "speed", label: "speed", unit: "m/s", group: "velocity" },
+  { key: "ax", label: "ax", unit: "m/s\xB2", group: "acceleration" },
+  { key: "ay", label: "ay", unit: "m/s\xB2", group: "acceleration" },
+  { key: "az", label: "az", unit: "m/s\xB2", group: "acceleration" },
+  { key: "acc", label: "acceleration", unit: "m/s\xB2", group: "acceleration" },
+  { key: "jx", label: "jx", unit: "m/s\xB3", group: "jerk" },
+  { key: "jy", label: "jy", unit: "m/s\xB3", group: "jerk" },
+  { key: "jz", label: "jz", unit: "m/s\xB3", group: "jerk" },
+  { key: "jerk", label: "jerk", unit: "m/s\xB3", group: "jerk" },
+  { key: "progress", label: "progress", unit: "rad", group: "progress" },
+  { key: "time_velocity", label: "time_velocity", unit: "", group: "progress" }
+];
+function samplePlot(type, params, horizon = plotHorizon(params), steps = plotSteps(horizon)) {
+  const data = [];
+  if (!(params.duration > 0) || horizon <= 0) return data;
+  for (let i = 0; i < steps; i++) {
+    const time = i / (steps - 1) * horizon;
+    const s = type.eval(time, params);
+    const point = { t: time };
+    for (const { key } of PLOT_SIGNALS) point[key] = s[key];
+    data.push(point);
+  }
+  return data;
+}
+var EXPORT_FIELDS = [
+  { key: "position", label: "position", columns: ["x", "y", "z"], checked: true },
+  { key: "velocity", label: "velocity", columns: ["vx", "vy", "vz"], checked: true },
+  { key: "acceleration", label: "acceleration", columns: ["ax", "ay", "az"], checked: false },
+  { key: "jerk", label: "jerk", columns: ["jx", "jy", "jz"], checked: false },
+  { key: "progress", label: "progress", columns: ["progress"], checked: true },
+  { key: "time_velocity", label: "time_velocity", columns: ["time_velocity"], checked: true }
+];
+function sampleTrajectory(type, params, rate, horizon, columns) {
+  const n = Math.floor(horizon * rate + 1e-9);
+  const rows = [];
+  for (let i = 0; i <= n; i++) {
+    const time = i / rate;
+    const s = type.eval(time, params);
+    const row = [time];
+    for (const c of columns) row.push(s[c]);
+    rows.push(row);
+  }
+  return rows;
+}
+function toCsv(columns, rows) {
+  return [["t", ...columns].join(","), ...rows.map((r) => r.join(","))].join("\n") + "\n";
+}
+function toJson(meta, columns, rows) {
+  const keys = ["t", ...columns];
+  const samples = rows.map(
+    (r) => Object.fromEntries(keys.map((k, i) => [k, r[i]]))
+  );
+  return JSON.stringify({ ...meta, columns: keys, samples }, null, 1);
+}
+
+// src/arena.js
+var DEFAULT_ARENA = {
+  enabled: false,
+  x0: 0,
+  y0: 0,
+  z0: 1,
+  yawDeg: 0,
+  xMin: -3,
+  xMax: 3,
+  yMin: -2,
+  yMax: 2,
+  zMin: 0,
+  zMax: 3,
+  margin: 0.3
+};
+var ARENA_WALLS = [
+  { label: "x min wall", dist: (P, a) => P.X - a.xMin },
+  { label: "x max wall", dist: (P, a) => a.xMax - P.X },
+  { label: "y min wall", dist: (P, a) => P.Y - a.yMin },
+  { label: "y max wall", dist: (P, a) => a.yMax - P.Y },
+  { label: "floor", dist: (P, a) => P.Z - a.zMin },
+  { label: "ceiling", dist: (P, a) => a.zMax - P.Z }
+];
+function trajectoryToArena(arena, p) {
+  const psi = arena.yawDeg * Math.PI / 180;
+  const c = Math.cos(psi);
+  const s = Math.sin(psi);
+  return {
+    X: arena.x0 + c * p.x - s * p.y,
+    Y: arena.y0 + s * p.x + c * p.y,
+    Z: arena.z0 + p.z
+  };
+}
+function arenaToTrajectory(arena, X, Y, Z) {
+  const psi = arena.yawDeg * Math.PI / 180;
+  const c = Math.cos(psi);
+  const s = Math.sin(psi);
+  const dX = X - arena.x0;
+  const dY = Y - arena.y0;
+  return { x: c * dX + s * dY, y: -s * dX + c * dY, z: Z - arena.z0 };
+}
+function arenaCorners(arena) {
+  const ring = [
+    [arena.xMin, arena.yMin],
+    [arena.xMax, arena.yMin],
+    [arena.xMax, arena.yMax],
+    [arena.xMin, arena.yMax]
+  ];
+  return [arena.zMin, arena.zMax].flatMap(
+    (Z) => ring.map(([X, Y]) => arenaToTrajectory(arena, X, Y, Z))
+  );
+}
+function arenaOutlines(arena) {
+  const corners = arenaCorners(arena);
+  const footprint = corners.slice(0, 4);
+  const zLo = arena.zMin - arena.z0;
+  const zHi = arena.zMax - arena.z0;
+  const silhouette = (key) => {
+    const lo = Math.min(...corners.map((p) => p[key]));
+    const hi = Math.max(...corners.map((p) => p[key]));
+    return [
+      { [key]: lo, z: zLo },
+      { [key]: hi, z: zLo },
+      { [key]: hi, z: zHi },
+      { [key]: lo, z: zHi },
+      { [key]: lo, z: zLo }
+    ];
+  };
+  return {
+    xy: [...footprint, footprint[0]],
+    xz: silhouette("x"),
+    yz: silhouette("y")
+  };
+}
+function arenaClearance(trajectory, arena) {
+  const walls = ARENA_WALLS.map((w) => ({ label: w.label, min: Infinity, t: 0 }));
+  for (const p of trajectory) {
+    const P = trajectoryToArena(arena, p);
+    ARENA_WALLS.forEach((w, i) => {
+      const d = w.dist(P, arena);
+      if (d < walls[i].min) walls[i] = { ...walls[i], min: d, t: p.t };
+    });
+  }
+  const inside = walls.every((w) => w.min >= 0);
+  const safe = walls.every((w) => w.min >= arena.margin);
+  return { walls, inside, safe };
+}
+function sanitizeArena(raw) {
+  const arena = { ...DEFAULT_ARENA };
+  for (const key of Object.keys(DEFAULT_ARENA)) {
+    if (key === "enabled") continue;
+    if (Number.isFinite(raw?.[key])) arena[key] = raw[key];
+  }
+  arena.enabled = raw?.enabled !== false;
+  return arena;
+}
+
+// src/vehicle.js
+var GRAVITY = 9.81;
+var DEFAULT_VEHICLE = {
+  enabled: false,
+  mass: 1,
+  thrustToWeight: 2,
+  tiltDeg: 35
+};
+var VEHICLE_FIELDS = [
+  { key: "mass", label: "mass", unit: "kg", step: 0.05 },
+  { key: "thrustToWeight", label: "max thrust / weight", unit: "", step: 0.1 },
+  { key: "tiltDeg", label: "max tilt", unit: "deg", step: 1 }
+];
+var LOAD_FIELDS = [
+  { key: "tw", label: "thrust / weight", unit: "\xD7 weight", limitKey: "thrustToWeight" },
+  { key: "tilt", label: "tilt", unit: "deg", limitKey: "tiltDeg" }
+];
+function thrustAndTilt(p, vehicle) {
+  const fz = p.az + GRAVITY;
+  const f = Math.hypot(p.ax, p.ay, fz);
+  return {
+    thrust: vehicle.mass * f,
+    tw: f / GRAVITY,
+    tilt: f > 0 ? Math.acos(Math.min(1, fz / f)) * 180 / Math.PI : 0
+  };
+}
+function vehicleLoad(trajectory, vehicle) {
+  return trajectory.map((p) => ({ t: p.t, ...thrustAndTilt(p, vehicle) }));
+}
+function sanitizeVehicle(raw) {
+  const vehicle = { ...DEFAULT_VEHICLE };
+  for (const { key } of VEHICLE_FIELDS) {
+    if (Number.isFinite(raw?.[key]) && raw[key] > 0) vehicle[key] = raw[key];
+  }
+  vehicle.enabled = raw?.enabled !== false;
+  return vehicle;
+}
+
+// src/format.js
+import React, { useMemo, useContext } from "react";
+var DEFAULT_LOCALE = "de-DE";
+var LocaleContext = React.createContext(DEFAULT_LOCALE);
+function makeFmt2(locale) {
+  return (v) => {
+    const n = Number(v);
+    if (!Number.isFinite(n)) return String(v);
+    return n.toLocaleString(locale, {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    });
+  };
+}
+function useFmt2() {
+  const locale = useContext(LocaleContext);
+  return useMemo(() => makeFmt2(locale), [locale]);
+}
+var DEFAULT_UNITS = { length: "m", time: "s" };
+var UnitsContext = React.createContext(DEFAULT_UNITS);
+function makeUnitLabel({ length: m, time: s }) {
+  const labels = { m, s, "m/s": `${m}/${s}`, "m/s\xB2": `${m}/${s}\xB2`, "m/s\xB3": `${m}/${s}\xB3` };
+  return (unit) => labels[unit] ?? unit;
+}
+function useUnitLabel() {
+  const units = useContext(UnitsContext);
+  return useMemo(() => makeUnitLabel(units), [units]);
+}
+function formatParam(cfg, val) {
+  const dec = cfg ? Math.min(6, decimalsFromStep(cfg.step)) : 3;
+  return Number.isFinite(val) ? val.toFixed(dec) : String(val);
+}
+
+// src/browser.js
+function readUrlState(types = TRAJECTORY_TYPES) {
+  try {
+    const query = new URLSearchParams(window.location.search);
+    const typeKey = query.get("type");
+    if (!types[typeKey]) return null;
+    const params = sanitizeParams(typeKey, Object.fromEntries(query), types);
+    const t = parseFloat(query.get("t"));
+    return { typeKey, params, t: Number.isFinite(t) && t >= 0 ? t : 0 };
+  } catch {
+    return null;
+  }
+}
+function writeUrlState(typeKey, params, t) {
+  const query = new URLSearchParams({ type: typeKey });
+  for (const key of Object.keys(TRAJECTORY_TYPES[typeKey].sliders)) {
+    query.set(key, String(params[key]));
+  }
+  query.set("t", t.toFixed(2));
+  window.history.replaceState(null, "", `?${query}`);
+}
+function loadStored(key, sanitize) {
+  try {
+    return sanitize(JSON.parse(window.localStorage.getItem(key) ?? "[]"));
+  } catch {
+    return [];
+  }
+}
+function storeValue(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+  }
+}
+function downloadFile(filename, content, mime) {
+  const url = URL.createObjectURL(new Blob([content], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// src/charts.jsx
+import React2, { useState, useEffect, useMemo as useMemo2, useRef } from "react";
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceDot,
+  ReferenceLine,
+  ReferenceArea,
+  ResponsiveContainer,
+  Customized
+} from "recharts";
+function CanvasLines({ lines, xAxisMap, yAxisMap, offset }) {
+  const ref = useRef(null);
+  const xScale = xAxisMap && Object.values(xAxisMap)[0]?.scale;
+  const yScale = yAxisMap && Object.values(yAxisMap)[0]?.scale;
+  const scaleKey = xScale && yScale ? [...xScale.domain(), ...xScale.range(), ...yScale.domain(), ...yScale.range()].join() : "";
+  useEffect(() => {
+    const canvas = ref.current;
+    if (!canvas || !scaleKey) return;
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = Math.round(offset.width * dpr);
+    canvas.height = Math.round(offset.height * dpr);
+    const ctx = canvas.getContext("2d");
+    ctx.setTransform(dpr, 0, 0, dpr, -offset.left * dpr, -offset.top * dpr);
+    ctx.lineJoin = "round";
+    for (const { data, xKey, yKey, color, width = 1, dash = [] } of lines) {
+      if (!data?.length) continue;
+      ctx.beginPath();
+      ctx.strokeStyle = color;
+      ctx.lineWidth = width;
+      ctx.setLineDash(dash);
+      let drawing = false;
+      for (const p of data) {
+        if (p[xKey] == null || p[yKey] == null) {
+          drawing = false;
+          continue;
+        }
+        const X = xScale(p[xKey]);
+        const Y = yScale(p[yKey]);
+        if (drawing) ctx.lineTo(X, Y);
+        else ctx.moveTo(X, Y);
+        drawing = true;
+      }
+      ctx.stroke();
+    }
+  }, [lines, scaleKey, offset?.width, offset?.height]);
+  if (!offset) return null;
+  return /* @__PURE__ */ React2.createElement(
+    "foreignObject",
+    {
+      x: offset.left,
+      y: offset.top,
+      width: offset.width,
+      height: offset.height,
+      pointerEvents: "none"
+    },
+    /* @__PURE__ */ React2.createElement("canvas", { ref, style: { width: offset.width, height: offset.height, display: "block" } })
+  );
+}
+var SCRUB_TOLERANCE_PX = 4;
+function XYHandles({
+  handles,
+  params,
+  path,
+  marker,
+  t,
+  onAmplitude,
+  onScrub,
+  xAxisMap,
+  yAxisMap
+}) {
+  const drag = useRef(null);
+  const hScale = xAxisMap && Object.values(xAxisMap)[0]?.scale;
+  const vScale = yAxisMap && Object.values(yAxisMap)[0]?.scale;
+  if (!hScale || !vScale) return null;
+  const toPixel = (p) => [hScale(p.y), vScale(p.x)];
+  const local = (e) => {
+    const rect = e.currentTarget.ownerSVGElement.getBoundingClientRect();
+    return [e.clientX - rect.left, e.clientY - rect.top];
+  };
+  const start = (e, state) => {
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    drag.current = state;
+  };
+  const handleMove = (e) => {
+    const state = drag.current;
+    if (!state) return;
+    const [px, py] = local(e);
+    if (state.handle) {
+      const { handle, amplitude } = state;
+      const v = handle.axis === "x" ? vScale.invert(py) : hScale.invert(px);
+      onAmplitude(handle, amplitude, v);
+      return;
+    }
+    const dist = path.map((p) => {
+      const [x, y] = toPixel(p);
+      return Math.hypot(x - px, y - py);
+    });
+    const nearest = dist.reduce((a, b) => Math.min(a, b), Infinity);
+    let best = null;
+    path.forEach((p, i) => {
+      if (dist[i] > nearest + SCRUB_TOLERANCE_PX) return;
+      if (!best || Math.abs(p.t - t) < Math.abs(best.t - t)) best = p;
+    });
+    if (best) onScrub(best.t);
+  };
+  const end = (e) => {
+    if (!drag.current) return;
+    e.currentTarget.releasePointerCapture(e.pointerId);
+    drag.current = null;
+  };
+  const events = { onPointerMove: handleMove, onPointerUp: end, onPointerCancel: end };
+  const [mx, my] = toPixel(marker);
+  return /* @__PURE__ */ React2.createElement("g", { className: "xy-handles" }, handles.map((h) => {
+    const at = h.axis === "x" ? { x: h.value, y: h.across } : { x: h.across, y: h.value };
+    const [x, y] = toPixel(at);
+    return /* @__PURE__ */ React2.createElement(
+      "rect",
+      {
+        key: `${h.axis}-${h.side}`,
+        x: x - 5,
+        y: y - 5,
+        width: 10,
+        height: 10,
+        className: h.axis === "x" ? "xy-handle xy-handle-v" : "xy-handle xy-handle-h",
+        onPointerDown: (e) => start(e, { handle: h, amplitude: params[h.key] }),
+        ...events
+      },
+      /* @__PURE__ */ React2.createElement("title", null, "drag to set ", h.key)
+    );
+  }), /* @__PURE__ */ React2.createElement(
+    "circle",
+    {
+      cx: mx,
+      cy: my,
+      r: 11,
+      className: "xy-scrub",
+      onPointerDown: (e) => start(e, { scrub: true }),
+      ...events
+    },
+    /* @__PURE__ */ React2.createElement("title", null, "drag along the path to scrub t")
+  ));
+}
+function decimate(points, key, buckets = 300) {
+  if (points.length <= 2 * buckets) return points;
+  const size = points.length / buckets;
+  const out = [];
+  for (let b = 0; b < buckets; b++) {
+    const start = Math.floor(b * size);
+    const end = Math.floor((b + 1) * size);
+    let lo = start;
+    let hi = start;
+    for (let i = start; i < end; i++) {
+      if (points[i][key] < points[lo][key]) lo = i;
+      if (points[i][key] > points[hi][key]) hi = i;
+    }
+    out.push(points[Math.min(lo, hi)]);
+    if (lo !== hi) out.push(points[Math.max(lo, hi)]);
+  }
+  if (out[out.length - 1] !== points[points.length - 1]) {
+    out.push(points[points.length - 1]);
+  }
+  return out;
+}
+var SIGNAL_COLORS = ["#2563eb", "#dc2626", "#16a34a", "#a855f7", "#ca8a04", "#0f172a"];
+var DEFAULT_TIME_CHARTS = [["speed"], ["acc"], ["jerk"]];
+var MIN_ZOOM_FRACTION = 0.01;
+function timeWindow(data, [t0, t1]) {
+  const lo = data.findIndex((p) => p.t >= t0);
+  if (lo < 0) return [];
+  let hi = data.length - 1;
+  while (hi > lo && data[hi].t > t1) hi--;
+  return data.slice(Math.max(0, lo - 1), Math.min(data.length, hi + 2));
+}
+function TimeSeriesChart({
+  signals,
+  catalog,
+  limitFields,
+  data,
+  domain,
+  t,
+  timeBarHalf,
+  cur,
+  limits,
+  spans,
+  overlay,
+  baseline,
+  onSignals,
+  onRemove,
+  onZoom,
+  onSetT
+}) {
+  const fmt2 = useFmt2();
+  const unitLabel = useUnitLabel();
+  const [drag, setDrag] = useState(null);
+  const sparse = useMemo2(() => {
+    if (signals.length === 1) return decimate(data, signals[0]);
+    const kept = new Set(signals.flatMap((key) => decimate(data, key)));
+    return data.filter((p) => kept.has(p));
+  }, [data, signals]);
+  const signalInfo = (key) => catalog.find((s) => s.key === key);
+  const limited = limitFields.filter(({ key }) => signals.includes(key));
+  const lines = useMemo2(
+    () => [
+      ...signals.map((key, i) => ({
+        data,
+        xKey: "t",
+        yKey: key,
+        color: SIGNAL_COLORS[i % SIGNAL_COLORS.length]
+      })),
+      ...limited.map(({ key }) => ({
+        data,
+        xKey: "t",
+        yKey: `${key}Over`,
+        color: "#f97316",
+        width: 2.5
+      }))
+    ],
+    [data, signals]
+  );
+  const units = [...new Set(signals.map((key) => unitLabel(signalInfo(key).unit)))];
+  const unit = units.length === 1 && units[0] ? ` [${units[0]}]` : "";
+  const yLabel = `${signals.join(", ")}${unit}`;
+  const handleMouseUp = () => {
+    if (!drag) return;
+    const a = Math.min(drag.from, drag.to);
+    const b = Math.max(drag.from, drag.to);
+    if (b - a > MIN_ZOOM_FRACTION * (domain[1] - domain[0])) onZoom([a, b]);
+    else onSetT(drag.from);
+    setDrag(null);
+  };
+  const available = catalog.filter((s) => !signals.includes(s.key));
+  const groups = [...new Set(catalog.map((s) => s.group))];
+  return /* @__PURE__ */ React2.createElement("div", { className: "mt-2" }, /* @__PURE__ */ React2.createElement("div", { className: "row wrap" }, signals.map((key, i) => /* @__PURE__ */ React2.createElement(
+    "button",
+    {
+      key,
+      onClick: () => onSignals(signals.filter((k) => k !== key)),
+      disabled: signals.length === 1,
+      className: "small-button",
+      style: { color: SIGNAL_COLORS[i % SIGNAL_COLORS.length] },
+      title: "remove from this chart"
+    },
+    signalInfo(key).label,
+    " \xD7"
+  )), available.length > 0 && /* @__PURE__ */ React2.createElement(
+    "select",
+    {
+      value: "",
+      onChange: (e) => onSignals([...signals, e.target.value]),
+      className: "select-input"
+    },
+    /* @__PURE__ */ React2.createElement("option", { value: "" }, "add signal\u2026"),
+    groups.map((group) => /* @__PURE__ */ React2.createElement("optgroup", { key: group, label: group }, available.filter((s) => s.group === group).map((s) => /* @__PURE__ */ React2.createElement("option", { key: s.key, value: s.key }, s.label))))
+  ), onRemove && /* @__PURE__ */ React2.createElement("button", { onClick: onRemove, className: "small-button push-right" }, "Remove chart")), /* @__PURE__ */ React2.createElement("div", { className: "chart-container-wide" }, /* @__PURE__ */ React2.createElement(ResponsiveContainer, { width: "100%", height: 200 }, /* @__PURE__ */ React2.createElement(
+    LineChart,
+    {
+      data: sparse,
+      margin: { top: 10, right: 44, bottom: 28, left: 44 },
+      syncId: "time-series",
+      syncMethod: "value",
+      onMouseDown: (e) => {
+        if (e?.activeLabel === void 0) return;
+        setDrag({ from: e.activeLabel, to: e.activeLabel });
+      },
+      onMouseMove: (e) => {
+        if (drag && e?.activeLabel !== void 0) {
+          setDrag((prev) => ({ ...prev, to: e.activeLabel }));
+        }
+      },
+      onMouseUp: handleMouseUp,
+      onMouseLeave: () => setDrag(null)
+    },
+    /* @__PURE__ */ React2.createElement(CartesianGrid, { strokeDasharray: "3 3" }),
+    /* @__PURE__ */ React2.createElement(
+      XAxis,
+      {
+        dataKey: "t",
+        type: "number",
+        domain,
+        allowDataOverflow: true,
+        tickFormatter: fmt2,
+        label: {
+          value: `time [${unitLabel("s")}]`,
+          position: "insideBottomRight",
+          offset: -8
+        }
+      }
+    ),
+    /* @__PURE__ */ React2.createElement(
+      YAxis,
+      {
+        type: "number",
+        tickFormatter: fmt2,
+        label: { value: yLabel, angle: -90, position: "insideLeft", offset: -10 }
+      }
+    ),
+    limited.flatMap(
+      ({ key }) => spans[key].map(([t0, t1]) => /* @__PURE__ */ React2.createElement(
+        ReferenceArea,
+        {
+          key: `${key}-${t0}-${t1}`,
+          x1: t0,
+          x2: t1,
+          fill: "#f97316",
+          fillOpacity: 0.15,
+          ifOverflow: "hidden"
+        }
+      ))
+    ),
+    limited.map(
+      ({ key }) => limits[key] > 0 && /* @__PURE__ */ React2.createElement(
+        ReferenceLine,
+        {
+          key,
+          y: limits[key],
+          stroke: "#f97316",
+          strokeDasharray: "6 4",
+          ifOverflow: "extendDomain"
+        }
+      )
+    ),
+    /* @__PURE__ */ React2.createElement(
+      ReferenceArea,
+      {
+        x1: Math.max(domain[0], t - timeBarHalf),
+        x2: Math.min(domain[1], t + timeBarHalf),
+        fill: "#ef4444",
+        fillOpacity: 0.12,
+        ifOverflow: "hidden"
+      }
+    ),
+    /* @__PURE__ */ React2.createElement(ReferenceLine, { x: t, strokeOpacity: 0.35, ifOverflow: "hidden" }),
+    signals.map((key) => /* @__PURE__ */ React2.createElement(
+      ReferenceDot,
+      {
+        key,
+        x: t,
+        y: cur[key] ?? 0,
+        r: 4,
+        fill: "#ef4444",
+        stroke: "#991b1b",
+        ifOverflow: "hidden",
+        isFront: true
+      }
+    )),
+    drag && /* @__PURE__ */ React2.createElement(ReferenceArea, { x1: drag.from, x2: drag.to, fill: "#64748b", fillOpacity: 0.2 }),
+    /* @__PURE__ */ React2.createElement(
+      Tooltip,
+      {
+        formatter: (value, name) => [
+          `${fmt2(value)} ${unitLabel(signalInfo(name)?.unit ?? "")}`,
+          signalInfo(name)?.label ?? name
+        ],
+        labelFormatter: (label) => `t=${fmt2(label)} ${unitLabel("s")}`
+      }
+    ),
+    signals.map((key, i) => /* @__PURE__ */ React2.createElement(
+      Line,
+      {
+        key,
+        type: "linear",
+        dataKey: key,
+        name: key,
+        stroke: "none",
+        dot: false,
+        activeDot: { r: 3, fill: SIGNAL_COLORS[i % SIGNAL_COLORS.length] },
+        isAnimationActive: false
+      }
+    )),
+    /* @__PURE__ */ React2.createElement(Customized, { component: /* @__PURE__ */ React2.createElement(CanvasLines, { lines }) }),
+    signals.map(
+      (key) => overlay?.[0]?.[key] !== void 0 ? /* @__PURE__ */ React2.createElement(React2.Fragment, { key }, flownLine(overlay, key)) : null
+    ),
+    signals.map((key) => /* @__PURE__ */ React2.createElement(React2.Fragment, { key }, baselineLine(baseline, key)))
+  ))));
+}
+function TimeSeriesPanel({
+  title = "Signals over time",
+  catalog = PLOT_SIGNALS,
+  limitFields = LIMIT_FIELDS,
+  initialCharts = DEFAULT_TIME_CHARTS,
+  data,
+  plotTime,
+  t,
+  timeBarHalf,
+  cur,
+  limits,
+  spans,
+  overlay,
+  baseline,
+  onSetT
+}) {
+  const fmt2 = useFmt2();
+  const unitLabel = useUnitLabel();
+  const [charts, setCharts] = useState(initialCharts);
+  const [zoom, setZoom] = useState(null);
+  useEffect(() => setZoom(null), [plotTime]);
+  const domain = zoom ?? [0, plotTime];
+  const shown = useMemo2(() => zoom ? timeWindow(data, zoom) : data, [data, zoom]);
+  const shownOverlay = useMemo2(
+    () => zoom && overlay ? timeWindow(overlay, zoom) : overlay,
+    [overlay, zoom]
+  );
+  const shownBaseline = useMemo2(
+    () => zoom && baseline ? timeWindow(baseline, zoom) : baseline,
+    [baseline, zoom]
+  );
+  const setChart = (i, signals) => setCharts((prev) => prev.map((s, j) => j === i ? signals : s));
+  return /* @__PURE__ */ React2.createElement("div", { className: "card mt-6" }, /* @__PURE__ */ React2.createElement("div", { className: "section-label" }, title, " ", /* @__PURE__ */ React2.createElement("span", { className: "text-muted" }, zoom ? `${fmt2(zoom[0])}\u2013${fmt2(zoom[1])} ${unitLabel("s")}` : "drag across a chart to zoom, click to set t")), /* @__PURE__ */ React2.createElement("div", { className: "row" }, /* @__PURE__ */ React2.createElement(
+    "button",
+    {
+      onClick: () => setCharts((prev) => [...prev, [catalog[0].key]]),
+      className: "small-button"
+    },
+    "Add chart"
+  ), zoom && /* @__PURE__ */ React2.createElement("button", { onClick: () => setZoom(null), className: "small-button" }, "Reset zoom")), charts.map((signals, i) => /* @__PURE__ */ React2.createElement(
+    TimeSeriesChart,
+    {
+      key: i,
+      signals,
+      catalog,
+      limitFields,
+      data: shown,
+      domain,
+      t,
+      timeBarHalf,
+      cur,
+      limits,
+      spans,
+      overlay: shownOverlay,
+      baseline: shownBaseline,
+      onSignals: (next) => setChart(i, next),
+      onRemove: charts.length > 1 ? () => setCharts((prev) => prev.filter((_, j) => j !== i)) : null,
+      onZoom: setZoom,
+      onSetT
+    }
+  )));
+}
+function SideViewCard({
+  title,
+  data,
+  hKey,
+  hLabel,
+  hDomain,
+  hReversed,
+  zDomain,
+  curH,
+  curZ,
+  overlay,
+  outline
+}) {
+  const fmt2 = useFmt2();
+  const unitLabel = useUnitLabel();
+  const hTicks = useMemo2(() => makePow10Ticks(hDomain, 9), [hDomain]);
+  const zTicks = useMemo2(() => makePow10Ticks(zDomain, 5), [zDomain]);
+  const sparse = useMemo2(() => decimate(data, "z"), [data]);
+  const lines = useMemo2(
+    () => [
+      { data, xKey: hKey, yKey: "z", color: "#2563eb" },
+      { data, xKey: hKey, yKey: "zOver", color: "#f97316", width: 3 }
+    ],
+    [data, hKey]
+  );
+  return /* @__PURE__ */ React2.createElement("div", { className: "card-sm flex-col" }, /* @__PURE__ */ React2.createElement("div", { className: "section-label" }, title), /* @__PURE__ */ React2.createElement(ResponsiveContainer, { width: "100%", aspect: 2 }, /* @__PURE__ */ React2.createElement(
+    LineChart,
+    {
+      data: sparse,
+      margin: { top: 10, right: 44, bottom: 28, left: 16 }
+    },
+    /* @__PURE__ */ React2.createElement(CartesianGrid, { strokeDasharray: "3 3" }),
+    /* @__PURE__ */ React2.createElement(
+      XAxis,
+      {
+        dataKey: hKey,
+        type: "number",
+        domain: hDomain,
+        ticks: hTicks,
+        allowDataOverflow: true,
+        reversed: hReversed,
+        tickFormatter: fmt2,
+        label: { value: hLabel, position: "insideBottomRight", offset: -8 }
+      }
+    ),
+    /* @__PURE__ */ React2.createElement(
+      YAxis,
+      {
+        type: "number",
+        domain: zDomain,
+        ticks: zTicks,
+        orientation: "right",
+        allowDataOverflow: true,
+        tickFormatter: fmt2,
+        label: {
+          value: `z (up) [${unitLabel("m")}]`,
+          angle: 90,
+          position: "right",
+          offset: 18
+        }
+      }
+    ),
+    /* @__PURE__ */ React2.createElement(ReferenceLine, { x: 0, strokeOpacity: 0.35 }),
+    /* @__PURE__ */ React2.createElement(ReferenceLine, { y: 0, strokeOpacity: 0.35 }),
+    /* @__PURE__ */ React2.createElement(
+      Tooltip,
+      {
+        formatter: (value, name) => [`${fmt2(value)} ${unitLabel("m")}`, name],
+        labelFormatter: () => ""
+      }
+    ),
+    /* @__PURE__ */ React2.createElement(
+      Line,
+      {
+        type: "linear",
+        dataKey: "z",
+        name: "z (up)",
+        stroke: "none",
+        dot: false,
+        activeDot: { r: 3, fill: "#2563eb" },
+        isAnimationActive: false
+      }
+    ),
+    /* @__PURE__ */ React2.createElement(Customized, { component: /* @__PURE__ */ React2.createElement(CanvasLines, { lines }) }),
+    flownLine(overlay, "z"),
+    arenaLine(outline, "z"),
+    /* @__PURE__ */ React2.createElement(
+      ReferenceDot,
+      {
+        x: curH,
+        y: curZ,
+        r: 5,
+        fill: "#ef4444",
+        stroke: "#991b1b",
+        isFront: true
+      }
+    )
+  )));
+}
+var FLOWN_COLOR = "#16a34a";
+var LIVE_COLOR = "#0891b2";
+var ARENA_COLOR = "#7c3aed";
+var BASELINE_COLOR = "#db2777";
+function flownLine(series, dataKey) {
+  if (!series?.length) return null;
+  return /* @__PURE__ */ React2.createElement(
+    Line,
+    {
+      type: "linear",
+      data: series,
+      dataKey,
+      name: "flown",
+      stroke: FLOWN_COLOR,
+      strokeWidth: 1.5,
+      dot: false,
+      isAnimationActive: false
+    }
+  );
+}
+function liveLine(series, dataKey) {
+  if (!series?.length) return null;
+  return /* @__PURE__ */ React2.createElement(
+    Line,
+    {
+      type: "linear",
+      data: series,
+      dataKey,
+      name: "vehicle",
+      stroke: LIVE_COLOR,
+      strokeWidth: 1.5,
+      dot: false,
+      isAnimationActive: false
+    }
+  );
+}
+function baselineLine(series, dataKey) {
+  if (!series?.length) return null;
+  return /* @__PURE__ */ React2.createElement(
+    Line,
+    {
+      type: "linear",
+      data: series,
+      dataKey,
+      name: "baseline",
+      stroke: BASELINE_COLOR,
+      strokeDasharray: "4 3",
+      dot: false,
+      isAnimationActive: false
+    }
+  );
+}
+function arenaLine(outline, dataKey) {
+  if (!outline) return null;
+  return /* @__PURE__ */ React2.createElement(
+    Line,
+    {
+      type: "linear",
+      data: outline,
+      dataKey,
+      name: "geofence",
+      stroke: ARENA_COLOR,
+      strokeDasharray: "6 4",
+      dot: false,
+      isAnimationActive: false
+    }
+  );
+}
+function TrackingErrorCard({ tracking, plotTime, t }) {
+  const fmt2 = useFmt2();
+  const unitLabel = useUnitLabel();
+  const lines = [
+    { key: "e", name: "|position error|", color: "#0f172a" },
+    { key: "ex", name: "x error", color: "#dc2626" },
+    { key: "ey", name: "y error", color: "#16a34a" },
+    { key: "ez", name: "z error", color: "#2563eb" }
+  ];
+  if (tracking.rmsVel !== null) {
+    lines.push({ key: "ev", name: `|velocity error| [${unitLabel("m/s")}]`, color: "#a855f7" });
+  }
+  return /* @__PURE__ */ React2.createElement("div", { className: "card mt-6" }, /* @__PURE__ */ React2.createElement("div", { className: "section-label" }, "Tracking error over time"), /* @__PURE__ */ React2.createElement("div", { className: "chart-container-wide" }, /* @__PURE__ */ React2.createElement(ResponsiveContainer, { width: "100%", height: 240 }, /* @__PURE__ */ React2.createElement(
+    LineChart,
+    {
+      data: tracking.series,
+      margin: { top: 10, right: 44, bottom: 28, left: 44 }
+    },
+    /* @__PURE__ */ React2.createElement(CartesianGrid, { strokeDasharray: "3 3" }),
+    /* @__PURE__ */ React2.createElement(
+      XAxis,
+      {
+        dataKey: "t",
+        type: "number",
+        domain: [0, plotTime],
+        allowDataOverflow: true,
+        tickFormatter: fmt2,
+        label: {
+          value: `time [${unitLabel("s")}]`,
+          position: "insideBottomRight",
+          offset: -8
+        }
+      }
+    ),
+    /* @__PURE__ */ React2.createElement(
+      YAxis,
+      {
+        type: "number",
+        tickFormatter: fmt2,
+        label: {
+          value: `error [${unitLabel("m")}]`,
+          angle: -90,
+          position: "insideLeft",
+          offset: -10
+        }
+      }
+    ),
+    /* @__PURE__ */ React2.createElement(ReferenceLine, { y: 0, strokeOpacity: 0.35 }),
+    /* @__PURE__ */ React2.createElement(ReferenceLine, { x: t, strokeOpacity: 0.35 }),
+    /* @__PURE__ */ React2.createElement(
+      Tooltip,
+      {
+        formatter: (value, name) => [fmt2(value), name],
+        labelFormatter: (label) => `t=${fmt2(label)} ${unitLabel("s")}`
+      }
+    ),
+    lines.map(({ key, name, color }) => /* @__PURE__ */ React2.createElement(
+      Line,
+      {
+        key,
+        type: "linear",
+        dataKey: key,
+        name,
+        stroke: color,
+        dot: false,
+        isAnimationActive: false
+      }
+    ))
+  ))));
+}
+
+// src/view3d.jsx
+import React3, { useState as useState2, useMemo as useMemo3 } from "react";
+var VIEW3D_SIZE = 600;
+var VIEW3D_DEFAULT = { yaw: -35, pitch: 25 };
+var VIEW3D_MAX_POINTS = 1500;
+function makeProjector(view, center, scale) {
+  const cy = Math.cos(view.yaw * Math.PI / 180);
+  const sy = Math.sin(view.yaw * Math.PI / 180);
+  const cp = Math.cos(view.pitch * Math.PI / 180);
+  const sp = Math.sin(view.pitch * Math.PI / 180);
+  return (x, y, z) => {
+    const dx = x - center[0];
+    const dy = y - center[1];
+    const dz = z - center[2];
+    const xr = dx * cy - dy * sy;
+    const yr = dx * sy + dy * cy;
+    const up = dz * cp + xr * sp;
+    return [VIEW3D_SIZE / 2 - yr * scale, VIEW3D_SIZE / 2 - up * scale];
+  };
+}
+function Trajectory3DView({ data, cur, bounds, arena, groundZ }) {
+  const fmt2 = useFmt2();
+  const [view, setView] = useState2(VIEW3D_DEFAULT);
+  const [drag, setDrag] = useState2(null);
+  const points = useMemo3(() => {
+    const stride = Math.max(1, Math.ceil(data.length / VIEW3D_MAX_POINTS));
+    return data.filter((_, i) => i % stride === 0 || i === data.length - 1);
+  }, [data]);
+  const center = [
+    (bounds.xDomain[0] + bounds.xDomain[1]) / 2,
+    (bounds.yDomain[0] + bounds.yDomain[1]) / 2,
+    (bounds.zDomain[0] + bounds.zDomain[1]) / 2
+  ];
+  const radius = Math.hypot(
+    (bounds.xDomain[1] - bounds.xDomain[0]) / 2,
+    (bounds.yDomain[1] - bounds.yDomain[0]) / 2,
+    (bounds.zDomain[1] - bounds.zDomain[0]) / 2
+  );
+  const scale = (VIEW3D_SIZE / 2 - 24) / (radius > 0 ? radius : 1);
+  const project = makeProjector(view, center, scale);
+  const toPath = (pts) => pts.map(([u, v], i) => `${i ? "L" : "M"}${u.toFixed(1)},${v.toFixed(1)}`).join("");
+  const gridX = makePow10Ticks(bounds.xDomain, 9);
+  const gridY = makePow10Ticks(bounds.yDomain, 9);
+  const [x0, x1] = bounds.xDomain;
+  const [y0, y1] = bounds.yDomain;
+  const grid = [
+    ...gridX.map((gx) => toPath([project(gx, y0, groundZ), project(gx, y1, groundZ)])),
+    ...gridY.map((gy) => toPath([project(x0, gy, groundZ), project(x1, gy, groundZ)]))
+  ];
+  const ground = toPath([
+    project(x0, y0, groundZ),
+    project(x1, y0, groundZ),
+    project(x1, y1, groundZ),
+    project(x0, y1, groundZ)
+  ]);
+  const fence = arena ? [0, 1, 2, 3].flatMap((i) => {
+    const j = (i + 1) % 4;
+    const [a, b, c] = [arena[i], arena[j], arena[i + 4]];
+    const d = arena[j + 4];
+    return [
+      toPath([a, b].map((p) => project(p.x, p.y, p.z))),
+      toPath([c, d].map((p) => project(p.x, p.y, p.z))),
+      toPath([a, c].map((p) => project(p.x, p.y, p.z)))
+    ];
+  }) : [];
+  const axisLen = radius * 0.35;
+  const origin = project(0, 0, 0);
+  const axes = [
+    { label: "x", color: "#dc2626", tip: project(axisLen, 0, 0) },
+    { label: "y", color: "#16a34a", tip: project(0, axisLen, 0) },
+    { label: "z", color: "#2563eb", tip: project(0, 0, axisLen) }
+  ];
+  const path = toPath(points.map((p) => project(p.x, p.y, p.z)));
+  const shadow = toPath(points.map((p) => project(p.x, p.y, groundZ)));
+  const marker = project(cur.x, cur.y, cur.z);
+  const markerFoot = project(cur.x, cur.y, groundZ);
+  const onPointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDrag({ x: e.clientX, y: e.clientY, view });
+  };
+  const onPointerMove = (e) => {
+    if (!drag) return;
+    const yaw = drag.view.yaw + (e.clientX - drag.x) * 0.5;
+    const pitch = drag.view.pitch + (e.clientY - drag.y) * 0.5;
+    setView({ yaw, pitch: Math.min(90, Math.max(-90, pitch)) });
+  };
+  const onPointerUp = () => setDrag(null);
+  return /* @__PURE__ */ React3.createElement("div", { className: "flex-col" }, /* @__PURE__ */ React3.createElement(
+    "svg",
+    {
+      className: "view3d",
+      viewBox: `0 0 ${VIEW3D_SIZE} ${VIEW3D_SIZE}`,
+      onPointerDown,
+      onPointerMove,
+      onPointerUp,
+      onPointerCancel: onPointerUp
+    },
+    /* @__PURE__ */ React3.createElement("path", { d: ground, fill: "#f1f5f9", stroke: "#cbd5e1" }),
+    grid.map((d, i) => /* @__PURE__ */ React3.createElement("path", { key: i, d, stroke: "#e2e8f0", fill: "none" })),
+    /* @__PURE__ */ React3.createElement("path", { d: shadow, stroke: "#94a3b8", strokeOpacity: 0.5, fill: "none" }),
+    fence.map((d, i) => /* @__PURE__ */ React3.createElement("path", { key: i, d, stroke: ARENA_COLOR, strokeDasharray: "6 4", fill: "none" })),
+    axes.map(({ label, color, tip }) => /* @__PURE__ */ React3.createElement("g", { key: label }, /* @__PURE__ */ React3.createElement(
+      "line",
+      {
+        x1: origin[0],
+        y1: origin[1],
+        x2: tip[0],
+        y2: tip[1],
+        stroke: color,
+        strokeWidth: 2
+      }
+    ), /* @__PURE__ */ React3.createElement("text", { x: tip[0] + 4, y: tip[1] - 4, fill: color, fontSize: 14 }, label))),
+    /* @__PURE__ */ React3.createElement("circle", { cx: origin[0], cy: origin[1], r: 4, fill: "#0f172a" }),
+    /* @__PURE__ */ React3.createElement("path", { d: path, stroke: "#2563eb", strokeWidth: 1.5, fill: "none" }),
+    /* @__PURE__ */ React3.createElement(
+      "line",
+      {
+        x1: marker[0],
+        y1: marker[1],
+        x2: markerFoot[0],
+        y2: markerFoot[1],
+        stroke: "#991b1b",
+        strokeDasharray: "4 3"
+      }
+    ),
+    /* @__PURE__ */ React3.createElement(
+      "circle",
+      {
+        cx: marker[0],
+        cy: marker[1],
+        r: 6,
+        fill: "#ef4444",
+        stroke: "#991b1b"
+      }
+    )
+  ), /* @__PURE__ */ React3.createElement("div", { className: "row" }, /* @__PURE__ */ React3.createElement("span", { className: "text-muted" }, "drag to rotate \xB7 yaw ", view.yaw.toFixed(0), "\xB0 \xB7 pitch", " ", view.pitch.toFixed(0), "\xB0 \xB7 grey: ground plane (z = ", fmt2(groundZ), ") and shadow", arena ? " \xB7 purple: geofence" : ""), /* @__PURE__ */ React3.createElement(
+    "button",
+    {
+      onClick: () => setView(VIEW3D_DEFAULT),
+      className: "small-button push-right"
+    },
+    "Reset view"
+  )));
+}
+
+// src/presets.jsx
+import React4, { useState as useState3 } from "react";
+var PRESET_STORAGE_KEY = "mc-raptor-trajectory-tool.presets";
+var BUILTIN_PRESETS = [
+  {
+    name: "C++ struct defaults",
+    type: "lissajous",
+    params: TRAJECTORY_TYPES.lissajous.defaults
+  },
+  {
+    name: "Vertical figure-eight",
+    type: "lissajous",
+    params: { A: 0, B: 1, C: 0.5, a: 0, b: 1, c: 2, duration: 12, ramp_duration: 3 }
+  },
+  {
+    name: "Slow figure-eight",
+    type: "figure_eight",
+    params: { A: 0.5, B: 1, duration: 20, ramp_duration: 5 }
+  },
+  {
+    name: "Circle 1 m",
+    type: "circle",
+    params: TRAJECTORY_TYPES.circle.defaults
+  },
+  {
+    name: "Hover 10 s",
+    type: "hover",
+    params: TRAJECTORY_TYPES.hover.defaults
+  }
+];
+function sanitizePresets(raw) {
+  const list = Array.isArray(raw) ? raw : raw?.presets;
+  if (!Array.isArray(list)) return [];
+  return list.map((p) => {
+    const params = sanitizeParams(p?.type, p?.params);
+    const name = typeof p?.name === "string" ? p.name.trim() : "";
+    return params && name ? { name, type: p.type, params } : null;
+  }).filter(Boolean);
+}
+function uniqueName(name, presets) {
+  const taken = new Set(presets.map((p) => p.name));
+  if (!taken.has(name)) return name;
+  let i = 2;
+  while (taken.has(`${name} (${i})`)) i++;
+  return `${name} (${i})`;
+}
+function PresetManager({ typeKey, params, onLoad }) {
+  const [presets, setPresets] = useState3(
+    () => loadStored(PRESET_STORAGE_KEY, sanitizePresets)
+  );
+  const [name, setName] = useState3("");
+  const [renaming, setRenaming] = useState3(null);
+  const [message, setMessage] = useState3("");
+  const update = (next) => {
+    setPresets(next);
+    storeValue(PRESET_STORAGE_KEY, next);
+  };
+  const handleSave = () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    const preset = { name: trimmed, type: typeKey, params: { ...params } };
+    const i = presets.findIndex((p) => p.name === trimmed);
+    update(
+      i >= 0 ? presets.map((p, j) => j === i ? preset : p) : [...presets, preset]
+    );
+    setName("");
+    setMessage(`saved "${trimmed}"`);
+  };
+  const handleRename = (i) => {
+    const trimmed = renaming.name.trim();
+    if (trimmed && trimmed !== presets[i].name) {
+      const others = presets.filter((_, j) => j !== i);
+      const newName = uniqueName(trimmed, others);
+      update(presets.map((p, j) => j === i ? { ...p, name: newName } : p));
+    }
+    setRenaming(null);
+  };
+  const handleDelete = (i) => update(presets.filter((_, j) => j !== i));
+  const handleExport = () => {
+    downloadFile(
+      "mc-raptor-presets.json",
+      JSON.stringify({ presets }, null, 2),
+      "application/json"
+    );
+  };
+  const handleImport = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    file.text().then((text) => {
+      let imported;
+      try {
+        imported = sanitizePresets(JSON.parse(text));
+      } catch (err) {
+        setMessage(`import failed: ${err.message}`);
+        return;
+      }
+      const next = [...presets];
+      for (const p of imported) next.push({ ...p, name: uniqueName(p.name, next) });
+      update(next);
+      setMessage(`imported ${imported.length} preset(s)`);
+    });
+  };
+  const presetRow = (p, i, builtin) => /* @__PURE__ */ React4.createElement("li", { key: `${builtin ? "b" : "u"}-${i}`, className: "preset-item row" }, renaming?.index === i && !builtin ? /* @__PURE__ */ React4.createElement(
+    "input",
+    {
+      type: "text",
+      value: renaming.name,
+      onChange: (e) => setRenaming({ index: i, name: e.target.value }),
+      onKeyDown: (e) => e.key === "Enter" && handleRename(i),
+      onBlur: () => handleRename(i),
+      autoFocus: true,
+      className: "text-input"
+    }
+  ) : /* @__PURE__ */ React4.createElement("span", { className: "preset-name" }, p.name), /* @__PURE__ */ React4.createElement("span", { className: "text-muted" }, TRAJECTORY_TYPES[p.type].label, builtin ? " \xB7 built-in" : ""), /* @__PURE__ */ React4.createElement(
+    "button",
+    {
+      onClick: () => onLoad(p.type, p.params),
+      className: "small-button push-right"
+    },
+    "Load"
+  ), !builtin && /* @__PURE__ */ React4.createElement(React4.Fragment, null, /* @__PURE__ */ React4.createElement(
+    "button",
+    {
+      onClick: () => setRenaming({ index: i, name: p.name }),
+      className: "small-button"
+    },
+    "Rename"
+  ), /* @__PURE__ */ React4.createElement("button", { onClick: () => handleDelete(i), className: "small-button" }, "Delete")));
+  return /* @__PURE__ */ React4.createElement("div", { className: "card mt-6" }, /* @__PURE__ */ React4.createElement("div", { className: "section-label" }, "Presets"), /* @__PURE__ */ React4.createElement("div", { className: "row" }, /* @__PURE__ */ React4.createElement(
+    "input",
+    {
+      type: "text",
+      value: name,
+      onChange: (e) => setName(e.target.value),
+      onKeyDown: (e) => e.key === "Enter" && handleSave(),
+      placeholder: "preset name",
+      className: "text-input"
+    }
+  ), /* @__PURE__ */ React4.createElement("button", { onClick: handleSave, className: "copy-button" }, "Save current"), /* @__PURE__ */ React4.createElement("button", { onClick: handleExport, className: "small-button push-right" }, "Export JSON"), /* @__PURE__ */ React4.createElement("label", { className: "small-button" }, "Import JSON", /* @__PURE__ */ React4.createElement(
+    "input",
+    {
+      type: "file",
+      accept: "application/json,.json",
+      onChange: handleImport,
+      hidden: true
+    }
+  ))), message && /* @__PURE__ */ React4.createElement("div", { className: "text-muted mt-2" }, message), /* @__PURE__ */ React4.createElement("ul", { className: "preset-list" }, BUILTIN_PRESETS.map((p, i) => presetRow(p, i, true)), presets.map((p, i) => presetRow(p, i, false))));
+}
+
+// src/export.jsx
+import React5, { useState as useState4 } from "react";
+
+// src/sweep.js
+var MAX_SWEEP_RUNS = 200;
+var SWEEP_ORDERS = [
+  { key: "first", label: "first parameter outer" },
+  { key: "second", label: "second parameter outer" },
+  { key: "serpentine", label: "serpentine (inner loop alternates)" }
+];
+function sweepValues(axis) {
+  if (axis.mode === "list") {
+    const tokens = String(axis.list ?? "").split(/[\s,;]+/).filter(Boolean);
+    const values2 = tokens.map(Number);
+    const bad = tokens.find((_, i) => !Number.isFinite(values2[i]));
+    if (bad !== void 0) return { error: `'${bad}' is not a number` };
+    if (!values2.length) return { error: "the list is empty" };
+    return { values: values2 };
+  }
+  const { from, to, step } = axis;
+  if (![from, to, step].every(Number.isFinite)) {
+    return { error: "from, to and step must be numbers" };
+  }
+  if (!(step > 0)) return { error: "step must be positive" };
+  const count = Math.floor(Math.abs(to - from) / step + 1e-9) + 1;
+  if (count > MAX_SWEEP_RUNS) return { error: `more than ${MAX_SWEEP_RUNS} values` };
+  const dir = to >= from ? 1 : -1;
+  const values = Array.from(
+    { length: count },
+    (_, i) => Math.round((from + dir * i * step) * 1e9) / 1e9
+  );
+  return { values };
+}
+function buildSweep(typeKey, base, axes, order, limits, types = TRAJECTORY_TYPES) {
+  const type = types[typeKey];
+  if (!isFlyable(type)) return { runs: [], error: `${type.label}: no intref mode flies it` };
+  const [outer, inner] = order === "second" && axes.length > 1 ? [axes[1], axes[0]] : axes;
+  const total = outer.values.length * (inner ? inner.values.length : 1);
+  if (total > MAX_SWEEP_RUNS) {
+    return { runs: [], error: `${total} runs, at most ${MAX_SWEEP_RUNS} are supported` };
+  }
+  const combos = [];
+  outer.values.forEach((vo, i) => {
+    if (!inner) {
+      combos.push({ [outer.key]: vo });
+      return;
+    }
+    const innerValues = order === "serpentine" && i % 2 === 1 ? [...inner.values].reverse() : inner.values;
+    for (const vi of innerValues) combos.push({ [outer.key]: vo, [inner.key]: vi });
+  });
+  const runs = combos.map((values, i) => {
+    const { params, errors } = parseParams(typeKey, { ...base, ...values }, types);
+    const run = { index: i + 1, values, params, command: type.command(params), errors };
+    if (errors.length) return { ...run, peaks: null, over: [], ok: false };
+    const data = samplePlot(type, params);
+    const peaks = Object.fromEntries(
+      LIMIT_FIELDS.map(({ key }) => [key, findPeak(data, key).value])
+    );
+    const over = LIMIT_FIELDS.filter(({ key }) => exceeds(peaks[key], limits[key])).map(
+      ({ key }) => key
+    );
+    return { ...run, peaks, over, ok: over.length === 0 };
+  });
+  return { runs };
+}
+function oneLine(title) {
+  return String(title).replace(/\r?\n|\r/g, " ");
+}
+function describeValues(values) {
+  return Object.entries(values).map(([key, v]) => `${key} = ${v}`).join(", ");
+}
+function runStatus(run) {
+  if (run.errors.length) {
+    return `INVALID: ${run.errors.map((e) => `${e.field} ${e.message}`).join("; ")}`;
+  }
+  return run.ok ? "within limits" : `EXCEEDS ${run.over.join(", ")} limit`;
+}
+function toTestCards(runs, { title, typeKey, base, limits, types = TRAJECTORY_TYPES }) {
+  const type = types[typeKey];
+  const swept = Object.keys(runs[0]?.values ?? {});
+  const fixed = Object.fromEntries(
+    Object.keys(type.sliders).filter((key) => !swept.includes(key)).map((key) => [key, base[key]])
+  );
+  const lines = [
+    `# ${oneLine(title)}`,
+    "",
+    `${type.label}, ${runs.length} runs. Fixed parameters: ${describeValues(fixed)}.`,
+    "",
+    "Limits: " + LIMIT_FIELDS.map(
+      ({ key, label, unit }) => `${label} ${limits[key] > 0 ? `${limits[key]} ${unit}` : "off"}`
+    ).join(", ") + "."
+  ];
+  for (const run of runs) {
+    lines.push(
+      "",
+      `## Run ${run.index} of ${runs.length}: ${describeValues(run.values)}`,
+      "",
+      "```",
+      run.command,
+      "```",
+      ""
+    );
+    if (run.peaks) {
+      lines.push(
+        "- peaks: " + LIMIT_FIELDS.map(
+          ({ key, label, unit }) => `${label} ${run.peaks[key].toFixed(2)} ${unit}`
+        ).join(", ")
+      );
+    }
+    lines.push(`- check: ${runStatus(run)}`, "- [ ] flown   log: ________   notes: ________");
+  }
+  return lines.join("\n") + "\n";
+}
+function toShellScript(runs, { title }) {
+  const lines = [
+    "#!/bin/sh",
+    `# ${oneLine(title)}`,
+    "# usage: $0 <run number>   print the mc_raptor command of one run",
+    "#        $0 list           list all runs",
+    "",
+    'case "$1" in'
+  ];
+  for (const run of runs) {
+    lines.push(`  ${run.index})`, `    # ${describeValues(run.values)}: ${runStatus(run)}`);
+    if (run.errors.length) {
+      lines.push(`    echo "run ${run.index}: ${runStatus(run)}" >&2`, "    exit 1");
+    } else {
+      if (!run.ok) lines.push(`    echo "warning: run ${run.index} ${runStatus(run)}" >&2`);
+      lines.push(`    echo '${run.command}'`);
+    }
+    lines.push("    ;;");
+  }
+  lines.push(
+    "  list)",
+    "    cat <<'RUNS'",
+    ...runs.map((run) => `${run.index}	${describeValues(run.values)}	${runStatus(run)}`),
+    "RUNS",
+    "    ;;",
+    "  *)",
+    `    echo "usage: $0 <1-${runs.length}|list>" >&2`,
+    "    exit 2",
+    "    ;;",
+    "esac"
+  );
+  return lines.join("\n") + "\n";
+}
+
+// src/solver.js
+var SOLVER_TARGETS = [
+  { key: "sizeX", label: "box x", unit: "m", step: 0.1 },
+  { key: "sizeY", label: "box y", unit: "m", step: 0.1 },
+  { key: "sizeZ", label: "box z", unit: "m", step: 0.1 },
+  { key: "time", label: "total time", unit: "s", step: 0.5 }
+];
+var AXES = [
+  ["sizeX", "x"],
+  ["sizeY", "y"],
+  ["sizeZ", "z"]
+];
+var MAX_SOLVE_CYCLES = 20;
+var MAX_SNAP_RETRIES = 40;
+var SHRINK_STEP = 0.99;
+var isOn = (v) => Number.isFinite(v) && v > 0;
+var ceilToStep = (v, step) => snapToStep(Math.ceil(v / step - 1e-9) * step, step);
+var floorToStep = (v, step) => snapToStep(Math.floor(v / step + 1e-9) * step, step);
+function measure(type, params) {
+  const { cycles } = periodicity(type, params);
+  const n = Number.isFinite(cycles) && cycles > 0 ? Math.min(MAX_SOLVE_CYCLES, Math.ceil(cycles)) : MAX_SOLVE_CYCLES;
+  const data = samplePlot(type, params, plotHorizon(params, n));
+  const out = {
+    speed: findPeak(data, "speed").value,
+    acc: findPeak(data, "acc").value,
+    jerk: findPeak(data, "jerk").value,
+    time: Math.max(0, params.ramp_duration ?? 0) + params.duration
+  };
+  for (const [key, axis] of AXES) {
+    let lo = 0;
+    let hi = 0;
+    for (const p of data) {
+      lo = Math.min(lo, p[axis]);
+      hi = Math.max(hi, p[axis]);
+    }
+    out[key] = hi - lo;
+  }
+  return out;
+}
+function infeasible(reason) {
+  return { ok: false, reason };
+}
+function solveParams(type, params, targets) {
+  const amplitudes = type.amplitudes ?? [];
+  if (!amplitudes.some((key) => params[key] !== 0)) {
+    return infeasible("all amplitudes are zero, so there is no shape to scale");
+  }
+  if (!(params.duration > 0)) return infeasible("duration must be positive");
+  const base = measure(type, params);
+  const D0 = params.duration;
+  const rho = Math.max(0, params.ramp_duration ?? 0) / D0;
+  const { duration: durCfg, ramp_duration: rampCfg } = type.sliders;
+  let k = 1;
+  let active = [];
+  const boxed = AXES.filter(([key]) => isOn(targets[key]) && base[key] > 1e-9);
+  if (boxed.length) {
+    const fits = boxed.map(([key]) => [key, targets[key] / base[key]]);
+    k = Math.min(...fits.map(([, f]) => f));
+    active = fits.filter(([, f]) => f <= k * (1 + 1e-9)).map(([key]) => key);
+  }
+  const limits = [
+    ["speed", (lim) => D0 * k * base.speed / lim],
+    ["acc", (lim) => D0 * Math.sqrt(k * base.acc / lim)],
+    ["jerk", (lim) => D0 * Math.cbrt(k * base.jerk / lim)]
+  ].filter(([key]) => isOn(targets[key]) && base[key] > 0);
+  const needed = limits.map(([key, f]) => [key, f(targets[key])]);
+  const minTime = (D2) => D2 * (1 + rho);
+  const hasRamp = "ramp_duration" in type.sliders;
+  const rampFor = (D2) => hasRamp ? snapToStep(rho * D2, rampCfg.step) : 0;
+  let D;
+  let R;
+  if (isOn(targets.time)) {
+    R = rampFor(targets.time / (1 + rho));
+    D = snapToStep(targets.time - R, durCfg.step);
+    const tight = needed.filter(([, d]) => d > D * (1 + 1e-9));
+    if (tight.length) {
+      const worst = tight.reduce((a, b) => b[1] > a[1] ? b : a);
+      const shrink = Math.min(
+        ...tight.map(([key, d]) => {
+          const r = D / d;
+          return key === "speed" ? r : key === "acc" ? r * r : r * r * r;
+        })
+      );
+      return infeasible(
+        `${worst[0]} limit needs at least ${minTime(worst[1]).toFixed(2)} s total at this size; within ${targets.time} s the path must shrink to ${(shrink * 100).toFixed(0)} % of it`
+      );
+    }
+    active = [...active, "time"];
+  } else {
+    if (!needed.length) {
+      return infeasible("set a speed, acceleration or jerk limit, or a total time");
+    }
+    const longest = needed.reduce((a, b) => b[1] > a[1] ? b : a);
+    D = Math.max(durCfg.min, ceilToStep(longest[1], durCfg.step));
+    R = rampFor(D);
+    active = [...active, longest[0]];
+  }
+  const build = (D2, R2, k2) => {
+    const next2 = { ...params, duration: D2 };
+    if (hasRamp) next2.ramp_duration = R2;
+    for (const key of amplitudes) {
+      next2[key] = floorToStep(params[key] * k2, type.sliders[key].step);
+    }
+    return next2;
+  };
+  const violates = (m) => limits.some(([key]) => exceeds(m[key], targets[key]));
+  let next = build(D, R, k);
+  let achieved = measure(type, next);
+  const solved = achieved;
+  const over = limits.filter(([key]) => exceeds(achieved[key], targets[key])).map(([key]) => key);
+  for (let i = 0; i < MAX_SNAP_RETRIES && violates(achieved); i++) {
+    if (isOn(targets.time)) {
+      k *= SHRINK_STEP;
+    } else {
+      D = snapToStep(D + durCfg.step, durCfg.step);
+      R = rampFor(D);
+    }
+    next = build(D, R, k);
+    achieved = measure(type, next);
+  }
+  if (violates(achieved)) {
+    return infeasible("rounding to the slider steps keeps a peak over its limit");
+  }
+  const outOfRange = Object.entries(type.sliders).find(
+    ([key, cfg]) => !cfg.amp && (next[key] < cfg.min || next[key] > cfg.max)
+  );
+  if (outOfRange) {
+    const [key, cfg] = outOfRange;
+    return infeasible(
+      `${key} would be ${next[key]}, outside its range ${cfg.min}\u2013${cfg.max}`
+    );
+  }
+  if (!amplitudes.some((key) => next[key] > 0)) {
+    return infeasible("the box is smaller than one amplitude step");
+  }
+  if (achieved !== solved && isOn(targets.time)) {
+    const size = (m) => Math.max(...AXES.map(([key]) => m[key]));
+    active = [...active, ...over.filter((key) => !active.includes(key))];
+    return { ok: true, params: next, achieved, active, shrink: size(achieved) / size(solved) };
+  }
+  return { ok: true, params: next, achieved, active, shrink: 1 };
+}
+
+// src/report.js
+var REPORT_FIELDS = [
+  { key: "date", label: "test date" },
+  { key: "pilot", label: "pilot" },
+  { key: "airframe", label: "airframe" },
+  { key: "notes", label: "notes", multiline: true }
+];
+var REPORT_STEPS = 1500;
+var PATH_COLOR = "#2563eb";
+var LIMIT_COLOR = "#dc2626";
+function reportMetrics(type, params) {
+  const { cycles, period } = periodicity(type, params);
+  return { ...measure(type, params), cycles, period };
+}
+var escapeHtml = (s) => String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+var num = (v, digits = 2) => Number.isFinite(v) ? v.toFixed(digits) : String(v);
+function padDomain([lo, hi]) {
+  if (!(hi > lo)) return [lo - 1, hi + 1];
+  const pad = (hi - lo) * 0.05;
+  return [lo - pad, hi + pad];
+}
+function svgPlot({ series, hLines = [], uLabel, vLabel, width, height, equal, reversedU }) {
+  const margin = { top: 10, right: 14, bottom: 38, left: 52 };
+  const w = width - margin.left - margin.right;
+  const h = height - margin.top - margin.bottom;
+  const all = series.flatMap((s) => s.points);
+  let uDomain = padDomain([
+    Math.min(...all.map((p) => p[0])),
+    Math.max(...all.map((p) => p[0]))
+  ]);
+  let vDomain = padDomain([
+    Math.min(...all.map((p) => p[1]), ...hLines.map((l) => l.value)),
+    Math.max(...all.map((p) => p[1]), ...hLines.map((l) => l.value))
+  ]);
+  if (equal) {
+    const scale = Math.max((uDomain[1] - uDomain[0]) / w, (vDomain[1] - vDomain[0]) / h);
+    const widen = ([lo, hi], size) => {
+      const mid = (lo + hi) / 2;
+      return [mid - scale * size / 2, mid + scale * size / 2];
+    };
+    uDomain = widen(uDomain, w);
+    vDomain = widen(vDomain, h);
+  }
+  const px = (u) => {
+    const f = (u - uDomain[0]) / (uDomain[1] - uDomain[0]);
+    return margin.left + (reversedU ? 1 - f : f) * w;
+  };
+  const py = (v) => margin.top + (1 - (v - vDomain[0]) / (vDomain[1] - vDomain[0])) * h;
+  const out = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif" font-size="10">`
+  ];
+  for (const u of makePow10Ticks(uDomain, 8)) {
+    const x = px(u).toFixed(1);
+    out.push(
+      `<line x1="${x}" x2="${x}" y1="${margin.top}" y2="${margin.top + h}" stroke="#e5e7eb"/>`,
+      `<text x="${x}" y="${margin.top + h + 13}" text-anchor="middle">${num(u)}</text>`
+    );
+  }
+  for (const v of makePow10Ticks(vDomain, 8)) {
+    const y = py(v).toFixed(1);
+    out.push(
+      `<line x1="${margin.left}" x2="${margin.left + w}" y1="${y}" y2="${y}" stroke="#e5e7eb"/>`,
+      `<text x="${margin.left - 4}" y="${y}" dy="3" text-anchor="end">${num(v)}</text>`
+    );
+  }
+  out.push(
+    `<rect x="${margin.left}" y="${margin.top}" width="${w}" height="${h}" fill="none" stroke="#9ca3af"/>`,
+    `<text x="${margin.left + w / 2}" y="${height - 6}" text-anchor="middle">${escapeHtml(uLabel)}</text>`,
+    `<text transform="translate(12 ${margin.top + h / 2}) rotate(-90)" text-anchor="middle">${escapeHtml(vLabel)}</text>`
+  );
+  for (const { value, color } of hLines) {
+    const y = py(value).toFixed(1);
+    out.push(
+      `<line x1="${margin.left}" x2="${margin.left + w}" y1="${y}" y2="${y}" stroke="${color}" stroke-dasharray="6 4"/>`
+    );
+  }
+  for (const { points, color, dash } of series) {
+    const d = points.map(([u, v], i) => `${i ? "L" : "M"}${px(u).toFixed(1)} ${py(v).toFixed(1)}`).join("");
+    out.push(
+      `<path d="${d}" fill="none" stroke="${color}" stroke-width="1.5"${dash ? ` stroke-dasharray="${dash}"` : ""}/>`
+    );
+  }
+  out.push("</svg>");
+  return out.join("");
+}
+var STYLE = `
+body { font-family: sans-serif; font-size: 12px; color: #111827; margin: 24px; }
+h1 { font-size: 18px; margin: 0 0 4px; }
+h2 { font-size: 14px; margin: 18px 0 6px; }
+table { border-collapse: collapse; }
+td, th { border: 1px solid #d1d5db; padding: 3px 8px; text-align: left; vertical-align: top; }
+td.num { text-align: right; font-variant-numeric: tabular-nums; }
+tr.bad td { color: #b91c1c; font-weight: bold; }
+pre { background: #f3f4f6; padding: 6px 8px; white-space: pre-wrap; word-break: break-all; }
+.fields td:last-child { min-width: 320px; white-space: pre-wrap; }
+.plots { display: flex; flex-wrap: wrap; gap: 12px; align-items: flex-start; }
+.plots figure { margin: 0; }
+.plots figcaption { font-size: 11px; color: #4b5563; }
+.sign td { height: 32px; min-width: 200px; }
+@media print { body { margin: 0; } .no-print { display: none; } h2, table, figure { break-inside: avoid; } }
+`;
+function toReportHtml({
+  typeKey,
+  params,
+  limits,
+  fields = {},
+  horizon = plotHorizon(params),
+  generatedAt = /* @__PURE__ */ new Date(),
+  types = TRAJECTORY_TYPES
+}) {
+  const type = types[typeKey];
+  const command = isFlyable(type) ? type.command(params) : `none: no intref mode flies a ${type.label.toLowerCase()}`;
+  const metrics = reportMetrics(type, params);
+  const data = samplePlot(type, params, horizon, REPORT_STEPS);
+  const title = `${type.label} flight test`;
+  const fieldRows = REPORT_FIELDS.map(
+    ({ key, label }) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(fields[key] ?? "")}</td></tr>`
+  );
+  const paramRows = Object.entries(type.sliders).map(
+    ([key, cfg]) => `<tr><th>${escapeHtml(key)}</th><td class="num">${escapeHtml(params[key])}</td><td>${cfg.min} \u2026 ${cfg.max}</td></tr>`
+  );
+  const limitRows = LIMIT_FIELDS.map(({ key, label, unit }) => {
+    const limit = limits?.[key];
+    const over = exceeds(metrics[key], limit);
+    return `<tr${over ? ' class="bad"' : ""}><th>peak ${escapeHtml(label)}</th><td class="num">${num(metrics[key])} ${unit}</td><td>${limit > 0 ? `limit ${limit} ${unit}${over ? ", EXCEEDED" : ""}` : "no limit"}</td></tr>`;
+  });
+  const period = Number.isFinite(metrics.period) ? `${num(metrics.period)} s (${metrics.cycles} \xD7 duration)` : "does not repeat";
+  const metricRows = [
+    ...limitRows,
+    ...["x", "y", "z"].map((axis) => {
+      const key = `size${axis.toUpperCase()}`;
+      return `<tr><th>extent ${axis}</th><td class="num">${num(metrics[key])} m</td><td></td></tr>`;
+    }),
+    `<tr><th>true period</th><td class="num">${period}</td><td></td></tr>`,
+    `<tr><th>total time</th><td class="num">${num(metrics.time)} s</td><td>ramp_duration + duration</td></tr>`
+  ];
+  const plots = [];
+  if (data.length) {
+    plots.push({
+      caption: "XY path (x forward is up, y left is left)",
+      svg: svgPlot({
+        series: [{ points: data.map((p) => [p.y, p.x]), color: PATH_COLOR }],
+        uLabel: "y (left) [m]",
+        vLabel: "x (forward) [m]",
+        width: 340,
+        height: 340,
+        equal: true,
+        reversedU: true
+      })
+    });
+    for (const { key, label, unit } of LIMIT_FIELDS) {
+      const limit = limits?.[key];
+      plots.push({
+        caption: `${label} over ${num(horizon)} s${limit > 0 ? `, dashed: limit ${limit} ${unit}` : ""}`,
+        svg: svgPlot({
+          series: [{ points: data.map((p) => [p.t, p[key]]), color: PATH_COLOR }],
+          hLines: limit > 0 ? [{ value: limit, color: LIMIT_COLOR }] : [],
+          uLabel: "t [s]",
+          vLabel: `${label} [${unit}]`,
+          width: 340,
+          height: 200
+        })
+      });
+    }
+  }
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}${fields.date ? ` ${escapeHtml(fields.date)}` : ""}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<button class="no-print" onclick="window.print()">Print</button>
+<h1>${escapeHtml(title)}</h1>
+<div>generated ${escapeHtml(generatedAt.toISOString())}</div>
+
+<h2>Test card</h2>
+<table class="fields">${fieldRows.join("")}</table>
+
+<h2>Command</h2>
+<pre>${escapeHtml(command)}</pre>
+
+<h2>Parameters</h2>
+<table><tr><th>parameter</th><th>value</th><th>range</th></tr>${paramRows.join("")}</table>
+
+<h2>Derived metrics</h2>
+<table>${metricRows.join("")}</table>
+
+<h2>Plots</h2>
+<div class="plots">${plots.map((p) => `<figure>${p.svg}<figcaption>${escapeHtml(p.caption)}</figcaption></figure>`).join("")}</div>
+
+<h2>Sign-off</h2>
+<table class="sign"><tr><th>flown</th><td></td><th>log file</th><td></td></tr><tr><th>signature</th><td></td><th>remarks</th><td></td></tr></table>
+</body>
+</html>
+`;
+}
+
+// src/export.jsx
+var EXPORT_RATES = [50, 100, 200, 400];
+function ExportPanel({ typeKey, params, command, plotTime }) {
+  const fmt2 = useFmt2();
+  const unitLabel = useUnitLabel();
+  const [rate, setRate] = useState4(400);
+  const [horizon, setHorizon] = useState4(null);
+  const [fields, setFields] = useState4(
+    () => Object.fromEntries(EXPORT_FIELDS.map((f) => [f.key, f.checked]))
+  );
+  const [format, setFormat] = useState4("csv");
+  const horizonS = horizon ?? plotTime;
+  const columns = EXPORT_FIELDS.filter((f) => fields[f.key]).flatMap(
+    (f) => f.columns
+  );
+  const valid = rate > 0 && horizonS >= 0 && Number.isFinite(horizonS);
+  const count = valid ? Math.floor(horizonS * rate + 1e-9) + 1 : 0;
+  const handleExport = () => {
+    if (!valid) return;
+    const type = TRAJECTORY_TYPES[typeKey];
+    const rows = sampleTrajectory(type, params, rate, horizonS, columns);
+    const base = `${typeKey}_${rate}hz`;
+    if (format === "csv") {
+      downloadFile(`${base}.csv`, toCsv(columns, rows), "text/csv");
+    } else {
+      const meta = {
+        type: typeKey,
+        params,
+        command,
+        rate_hz: rate,
+        horizon_s: horizonS
+      };
+      downloadFile(`${base}.json`, toJson(meta, columns, rows), "application/json");
+    }
+  };
+  return /* @__PURE__ */ React5.createElement("div", { className: "card mt-6" }, /* @__PURE__ */ React5.createElement("div", { className: "section-label" }, "Export reference samples"), /* @__PURE__ */ React5.createElement("div", { className: "export-grid" }, /* @__PURE__ */ React5.createElement("label", { className: "label-sm" }, "rate [Hz]"), /* @__PURE__ */ React5.createElement("div", { className: "row" }, /* @__PURE__ */ React5.createElement(
+    "input",
+    {
+      type: "number",
+      min: 1,
+      step: 1,
+      value: rate,
+      onChange: (e) => setRate(parseFloat(e.target.value)),
+      className: "number-input"
+    }
+  ), EXPORT_RATES.map((r) => /* @__PURE__ */ React5.createElement(
+    "button",
+    {
+      key: r,
+      onClick: () => setRate(r),
+      className: r === rate ? "small-button active" : "small-button"
+    },
+    r
+  ))), /* @__PURE__ */ React5.createElement("label", { className: "label-sm" }, "horizon [", unitLabel("s"), "]"), /* @__PURE__ */ React5.createElement("div", { className: "row" }, /* @__PURE__ */ React5.createElement(
+    "input",
+    {
+      type: "number",
+      min: 0,
+      step: 0.25,
+      value: horizonS,
+      onChange: (e) => setHorizon(parseFloat(e.target.value)),
+      className: "number-input"
+    }
+  ), /* @__PURE__ */ React5.createElement("button", { onClick: () => setHorizon(null), className: "small-button" }, "Use plotted (", fmt2(plotTime), " ", unitLabel("s"), ")")), /* @__PURE__ */ React5.createElement("label", { className: "label-sm" }, "fields"), /* @__PURE__ */ React5.createElement("div", { className: "row wrap" }, EXPORT_FIELDS.map((f) => /* @__PURE__ */ React5.createElement("label", { key: f.key, className: "checkbox-label" }, /* @__PURE__ */ React5.createElement(
+    "input",
+    {
+      type: "checkbox",
+      checked: fields[f.key],
+      onChange: (e) => setFields((prev) => ({ ...prev, [f.key]: e.target.checked }))
+    }
+  ), f.label))), /* @__PURE__ */ React5.createElement("label", { className: "label-sm" }, "format"), /* @__PURE__ */ React5.createElement("div", { className: "row" }, ["csv", "json"].map((f) => /* @__PURE__ */ React5.createElement("label", { key: f, className: "checkbox-label" }, /* @__PURE__ */ React5.createElement(
+    "input",
+    {
+      type: "radio",
+      name: "export-format",
+      checked: format === f,
+      onChange: () => setFormat(f)
+    }
+  ), f.toUpperCase())))), /* @__PURE__ */ React5.createElement("div", { className: "row mt-2" }, /* @__PURE__ */ React5.createElement("button", { onClick: handleExport, disabled: !valid, className: "copy-button" }, "Download"), /* @__PURE__ */ React5.createElement("span", { className: "text-muted" }, valid ? `${count} samples \xD7 ${columns.length + 1} columns` : "rate and horizon must be positive numbers")));
+}
+function today() {
+  const d = /* @__PURE__ */ new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+var REPORT_URL_LIFETIME_MS = 6e4;
+function ReportPanel({ typeKey, types, params, limits, plotTime }) {
+  const [fields, setFields] = useState4(() => ({
+    ...Object.fromEntries(REPORT_FIELDS.map((f) => [f.key, ""])),
+    date: today()
+  }));
+  const [message, setMessage] = useState4(null);
+  const html = () => toReportHtml({ typeKey, types, params, limits, fields, horizon: plotTime });
+  const filename = `${typeKey}_report_${fields.date.replace(/[^\w.-]+/g, "_") || "undated"}.html`;
+  const handleOpen = () => {
+    const url = URL.createObjectURL(new Blob([html()], { type: "text/html" }));
+    const win = window.open(url, "_blank");
+    setMessage(win ? null : "the browser blocked the new window, use Download HTML");
+    setTimeout(() => URL.revokeObjectURL(url), REPORT_URL_LIFETIME_MS);
+  };
+  return /* @__PURE__ */ React5.createElement("div", { className: "card mt-6" }, /* @__PURE__ */ React5.createElement("div", { className: "section-label" }, "Flight-test report"), /* @__PURE__ */ React5.createElement("div", { className: "export-grid" }, REPORT_FIELDS.map(({ key, label, multiline }) => /* @__PURE__ */ React5.createElement(React5.Fragment, { key }, /* @__PURE__ */ React5.createElement("label", { className: "label-sm" }, label), multiline ? /* @__PURE__ */ React5.createElement(
+    "textarea",
+    {
+      value: fields[key],
+      onChange: (e) => setFields((prev) => ({ ...prev, [key]: e.target.value })),
+      rows: 2,
+      className: "textarea-input"
+    }
+  ) : /* @__PURE__ */ React5.createElement(
+    "input",
+    {
+      type: "text",
+      value: fields[key],
+      onChange: (e) => setFields((prev) => ({ ...prev, [key]: e.target.value })),
+      className: "text-input"
+    }
+  )))), /* @__PURE__ */ React5.createElement("div", { className: "row mt-2" }, /* @__PURE__ */ React5.createElement("button", { onClick: handleOpen, className: "copy-button" }, "Generate report"), /* @__PURE__ */ React5.createElement(
+    "button",
+    {
+      onClick: () => downloadFile(filename, html(), "text/html"),
+      className: "small-button"
+    },
+    "Download HTML"
+  ), /* @__PURE__ */ React5.createElement("span", { className: "text-muted" }, message ?? "XY and time plots, parameters, metrics and the command; print or save as PDF")));
+}
+var DEFAULT_SWEEP_AXES = [
+  { key: "duration", mode: "range", from: 20, to: 6, step: 2, list: "" },
+  { key: "", mode: "list", from: 0, to: 0, step: 0, list: "" }
+];
+function SweepPanel({ typeKey, type, types, params, limits }) {
+  const fmt2 = useFmt2();
+  const unitLabel = useUnitLabel();
+  const [axes, setAxes] = useState4(DEFAULT_SWEEP_AXES);
+  const [order, setOrder] = useState4("first");
+  const [title, setTitle] = useState4("Test campaign");
+  const [sweep, setSweep] = useState4(null);
+  const keys = Object.keys(type.sliders);
+  const active = axes.filter((axis) => keys.includes(axis.key));
+  const values = active.map(sweepValues);
+  const valuesError = values.find((v) => v.error)?.error;
+  const runCount = valuesError ? 0 : values.reduce((n, v) => n * v.values.length, active.length ? 1 : 0);
+  const updateAxis = (i, patch) => setAxes((prev) => prev.map((axis, j) => j === i ? { ...axis, ...patch } : axis));
+  const handleGenerate = () => {
+    if (!active.length || valuesError) return;
+    const sweepAxes = active.map((axis, i) => ({ key: axis.key, values: values[i].values }));
+    setSweep({
+      typeKey,
+      base: params,
+      ...buildSweep(typeKey, params, sweepAxes, order, limits, types)
+    });
+  };
+  const filename = title.trim().replace(/[^\w.-]+/g, "_") || "campaign";
+  const meta = sweep && {
+    title: title.trim() || "Test campaign",
+    typeKey: sweep.typeKey,
+    base: sweep.base,
+    limits,
+    types
+  };
+  return /* @__PURE__ */ React5.createElement("div", { className: "card mt-6" }, /* @__PURE__ */ React5.createElement("div", { className: "section-label" }, "Parameter sweep"), /* @__PURE__ */ React5.createElement("div", { className: "export-grid" }, axes.map((axis, i) => /* @__PURE__ */ React5.createElement(React5.Fragment, { key: i }, /* @__PURE__ */ React5.createElement("label", { className: "label-sm" }, i === 0 ? "parameter" : "second"), /* @__PURE__ */ React5.createElement("div", { className: "row wrap" }, /* @__PURE__ */ React5.createElement(
+    "select",
+    {
+      value: axis.key,
+      onChange: (e) => updateAxis(i, { key: e.target.value }),
+      className: "select-input"
+    },
+    i > 0 && /* @__PURE__ */ React5.createElement("option", { value: "" }, "none"),
+    keys.map((key) => /* @__PURE__ */ React5.createElement("option", { key, value: key }, key))
+  ), keys.includes(axis.key) && /* @__PURE__ */ React5.createElement(React5.Fragment, null, /* @__PURE__ */ React5.createElement(
+    "select",
+    {
+      value: axis.mode,
+      onChange: (e) => updateAxis(i, { mode: e.target.value }),
+      className: "select-input"
+    },
+    /* @__PURE__ */ React5.createElement("option", { value: "range" }, "range"),
+    /* @__PURE__ */ React5.createElement("option", { value: "list" }, "list")
+  ), axis.mode === "range" ? ["from", "to", "step"].map((field) => /* @__PURE__ */ React5.createElement("label", { key: field, className: "checkbox-label" }, field, /* @__PURE__ */ React5.createElement(
+    "input",
+    {
+      type: "number",
+      step: type.sliders[axis.key].step,
+      value: axis[field],
+      onChange: (e) => updateAxis(i, { [field]: parseFloat(e.target.value) }),
+      className: "number-input"
+    }
+  ))) : /* @__PURE__ */ React5.createElement(
+    "input",
+    {
+      type: "text",
+      value: axis.list,
+      onChange: (e) => updateAxis(i, { list: e.target.value }),
+      placeholder: "e.g. 0.5, 0.75, 1",
+      className: "text-input"
+    }
+  ))))), /* @__PURE__ */ React5.createElement("label", { className: "label-sm" }, "order"), /* @__PURE__ */ React5.createElement("div", { className: "row" }, /* @__PURE__ */ React5.createElement(
+    "select",
+    {
+      value: order,
+      onChange: (e) => setOrder(e.target.value),
+      disabled: active.length < 2,
+      className: "select-input"
+    },
+    SWEEP_ORDERS.map(({ key, label }) => /* @__PURE__ */ React5.createElement("option", { key, value: key }, label))
+  )), /* @__PURE__ */ React5.createElement("label", { className: "label-sm" }, "title"), /* @__PURE__ */ React5.createElement(
+    "input",
+    {
+      type: "text",
+      value: title,
+      onChange: (e) => setTitle(e.target.value),
+      className: "text-input"
+    }
+  )), /* @__PURE__ */ React5.createElement("div", { className: "row mt-2" }, /* @__PURE__ */ React5.createElement(
+    "button",
+    {
+      onClick: handleGenerate,
+      disabled: !active.length || !!valuesError,
+      className: "copy-button"
+    },
+    "Generate runs"
+  ), /* @__PURE__ */ React5.createElement("span", { className: "text-muted" }, valuesError ?? `${runCount} runs; other parameters as set above`), sweep?.runs.length > 0 && /* @__PURE__ */ React5.createElement(React5.Fragment, null, /* @__PURE__ */ React5.createElement(
+    "button",
+    {
+      onClick: () => downloadFile(`${filename}.md`, toTestCards(sweep.runs, meta), "text/markdown"),
+      className: "small-button push-right"
+    },
+    "Test cards"
+  ), /* @__PURE__ */ React5.createElement(
+    "button",
+    {
+      onClick: () => downloadFile(`${filename}.sh`, toShellScript(sweep.runs, meta), "text/x-sh"),
+      className: "small-button"
+    },
+    "Shell script"
+  ))), sweep?.error && /* @__PURE__ */ React5.createElement("div", { className: "parse-error" }, sweep.error), sweep?.runs.length > 0 && /* @__PURE__ */ React5.createElement("table", { className: "summary-table mt-2" }, /* @__PURE__ */ React5.createElement("thead", null, /* @__PURE__ */ React5.createElement("tr", null, /* @__PURE__ */ React5.createElement("th", null, "#"), /* @__PURE__ */ React5.createElement("th", null, "values"), /* @__PURE__ */ React5.createElement("th", null, "peak speed"), /* @__PURE__ */ React5.createElement("th", null, "check"), /* @__PURE__ */ React5.createElement("th", null, "command"))), /* @__PURE__ */ React5.createElement("tbody", null, sweep.runs.map((run) => /* @__PURE__ */ React5.createElement("tr", { key: run.index, className: run.ok ? void 0 : "row-bad" }, /* @__PURE__ */ React5.createElement("td", null, run.index), /* @__PURE__ */ React5.createElement("td", null, Object.entries(run.values).map(([key, v]) => `${key}=${v}`).join(" ")), /* @__PURE__ */ React5.createElement("td", null, run.peaks ? `${fmt2(run.peaks.speed)} ${unitLabel("m/s")}` : "\u2013"), /* @__PURE__ */ React5.createElement("td", null, run.errors.length ? run.errors.map((e) => `${e.field}: ${e.message}`).join("; ") : run.ok ? "ok" : `exceeds ${run.over.join(", ")}`), /* @__PURE__ */ React5.createElement("td", null, /* @__PURE__ */ React5.createElement("code", { className: "parse-command" }, run.command)))))));
+}
+
+// src/flights.jsx
+import React6, { useState as useState5, useEffect as useEffect2, useRef as useRef2 } from "react";
+
+// src/mavlink.js
+var MAGIC_V1 = 254;
+var MAGIC_V2 = 253;
+var MSG_HEARTBEAT = 0;
+var MSG_ATTITUDE = 30;
+var MSG_LOCAL_POSITION_NED = 32;
+var MSG_SERIAL_CONTROL = 126;
+var MSG_STATUSTEXT = 253;
+var CRC_EXTRA = {
+  [MSG_HEARTBEAT]: 50,
+  [MSG_ATTITUDE]: 39,
+  [MSG_LOCAL_POSITION_NED]: 185,
+  [MSG_SERIAL_CONTROL]: 220,
+  [MSG_STATUSTEXT]: 83
+};
+var STATUSTEXT_LENGTH = 50;
+var SERIAL_CONTROL_DEV_SHELL = 10;
+var SERIAL_CONTROL_FLAG_REPLY = 1;
+var SERIAL_CONTROL_FLAG_RESPOND = 2;
+var SERIAL_CONTROL_FLAG_EXCLUSIVE = 4;
+var SERIAL_CONTROL_DATA_LENGTH = 70;
+var GCS_SYSTEM_ID = 255;
+var GCS_COMPONENT_ID = 190;
+var MAV_TYPE_GCS = 6;
+var MAV_AUTOPILOT_INVALID = 8;
+function crcX25(bytes, crc = 65535) {
+  for (const b of bytes) {
+    let tmp = (b ^ crc) & 255;
+    tmp = (tmp ^ tmp << 4) & 255;
+    crc = (crc >> 8 ^ tmp << 8 ^ tmp << 3 ^ tmp >> 4) & 65535;
+  }
+  return crc;
+}
+function encodeFrame(msgid, payload, { seq = 0, sysid = GCS_SYSTEM_ID, compid = GCS_COMPONENT_ID } = {}) {
+  let len = payload.length;
+  while (len > 1 && payload[len - 1] === 0) len--;
+  const frame = new Uint8Array(10 + len + 2);
+  frame.set([
+    MAGIC_V2,
+    len,
+    0,
+    0,
+    seq & 255,
+    sysid,
+    compid,
+    msgid & 255,
+    msgid >> 8 & 255,
+    msgid >> 16 & 255
+  ]);
+  frame.set(payload.subarray(0, len), 10);
+  const crc = crcX25([CRC_EXTRA[msgid]], crcX25(frame.subarray(1, 10 + len)));
+  frame[10 + len] = crc & 255;
+  frame[11 + len] = crc >> 8;
+  return frame;
+}
+function createFrameParser() {
+  let buffer = new Uint8Array(0);
+  return {
+    push(chunk) {
+      const joined = new Uint8Array(buffer.length + chunk.length);
+      joined.set(buffer);
+      joined.set(chunk, buffer.length);
+      buffer = joined;
+      const messages = [];
+      let i = 0;
+      while (i < buffer.length) {
+        const magic = buffer[i];
+        if (magic !== MAGIC_V1 && magic !== MAGIC_V2) {
+          i++;
+          continue;
+        }
+        const v2 = magic === MAGIC_V2;
+        const headerLength = v2 ? 10 : 6;
+        if (buffer.length - i < headerLength) break;
+        const len = buffer[i + 1];
+        const incompat = v2 ? buffer[i + 2] : 0;
+        if (incompat & ~1) {
+          i++;
+          continue;
+        }
+        const total = headerLength + len + 2 + (incompat ? 13 : 0);
+        if (buffer.length - i < total) break;
+        const msgid = v2 ? buffer[i + 7] | buffer[i + 8] << 8 | buffer[i + 9] << 16 : buffer[i + 5];
+        const extra = CRC_EXTRA[msgid];
+        const end = i + headerLength + len;
+        const crc = buffer[end] | buffer[end + 1] << 8;
+        if (extra === void 0) {
+          i += total;
+          continue;
+        }
+        if (crcX25([extra], crcX25(buffer.subarray(i + 1, end))) !== crc) {
+          i++;
+          continue;
+        }
+        messages.push({
+          msgid,
+          sysid: buffer[i + (v2 ? 5 : 3)],
+          compid: buffer[i + (v2 ? 6 : 4)],
+          seq: buffer[i + (v2 ? 4 : 2)],
+          payload: buffer.slice(i + headerLength, end)
+        });
+        i += total;
+      }
+      buffer = buffer.slice(i);
+      return messages;
+    }
+  };
+}
+function encodeHeartbeat() {
+  const payload = new Uint8Array(9);
+  payload[4] = MAV_TYPE_GCS;
+  payload[5] = MAV_AUTOPILOT_INVALID;
+  payload[8] = 3;
+  return payload;
+}
+function encodeSerialControl({
+  data = new Uint8Array(0),
+  flags = SERIAL_CONTROL_FLAG_RESPOND | SERIAL_CONTROL_FLAG_EXCLUSIVE,
+  device = SERIAL_CONTROL_DEV_SHELL,
+  timeout = 0,
+  targetSystem = 0,
+  targetComponent = 0
+} = {}) {
+  if (data.length > SERIAL_CONTROL_DATA_LENGTH) {
+    throw new Error(
+      `SERIAL_CONTROL: at most ${SERIAL_CONTROL_DATA_LENGTH} bytes per message`
+    );
+  }
+  const payload = new Uint8Array(81);
+  const view = new DataView(payload.buffer);
+  view.setUint16(4, timeout, true);
+  payload[6] = device;
+  payload[7] = flags;
+  payload[8] = data.length;
+  payload.set(data, 9);
+  payload[79] = targetSystem;
+  payload[80] = targetComponent;
+  return payload;
+}
+function padded(payload, length) {
+  const full = new Uint8Array(length);
+  full.set(payload.subarray(0, length));
+  return full;
+}
+function decodeSerialControl(payload) {
+  const full = padded(payload, 81);
+  const count = Math.min(full[8], SERIAL_CONTROL_DATA_LENGTH);
+  return {
+    device: full[6],
+    flags: full[7],
+    data: full.slice(9, 9 + count)
+  };
+}
+function shellChunks(text) {
+  const bytes = new TextEncoder().encode(text);
+  const chunks = [];
+  for (let i = 0; i < bytes.length; i += SERIAL_CONTROL_DATA_LENGTH) {
+    chunks.push(bytes.subarray(i, i + SERIAL_CONTROL_DATA_LENGTH));
+  }
+  return chunks;
+}
+function encodeLocalPositionNed({ timeBootMs, x, y, z, vx = 0, vy = 0, vz = 0 }) {
+  const payload = new Uint8Array(28);
+  const view = new DataView(payload.buffer);
+  view.setUint32(0, timeBootMs, true);
+  [x, y, z, vx, vy, vz].forEach((v, i) => view.setFloat32(4 + 4 * i, v, true));
+  return payload;
+}
+function decodeLocalPositionNed(payload) {
+  const view = new DataView(padded(payload, 28).buffer);
+  const [x, y, z, vx, vy, vz] = [0, 1, 2, 3, 4, 5].map(
+    (i) => view.getFloat32(4 + 4 * i, true)
+  );
+  return { timeBootMs: view.getUint32(0, true), x, y, z, vx, vy, vz };
+}
+function encodeAttitude({ timeBootMs, roll = 0, pitch = 0, yaw = 0 }) {
+  const payload = new Uint8Array(28);
+  const view = new DataView(payload.buffer);
+  view.setUint32(0, timeBootMs, true);
+  [roll, pitch, yaw].forEach((v, i) => view.setFloat32(4 + 4 * i, v, true));
+  return payload;
+}
+function decodeAttitude(payload) {
+  const view = new DataView(padded(payload, 28).buffer);
+  return {
+    timeBootMs: view.getUint32(0, true),
+    roll: view.getFloat32(4, true),
+    pitch: view.getFloat32(8, true),
+    yaw: view.getFloat32(12, true)
+  };
+}
+function encodeStatusText(severity, text) {
+  const payload = new Uint8Array(1 + STATUSTEXT_LENGTH);
+  payload[0] = severity;
+  payload.set(new TextEncoder().encode(text).subarray(0, STATUSTEXT_LENGTH), 1);
+  return payload;
+}
+function decodeStatusText(payload) {
+  const full = padded(payload, 1 + STATUSTEXT_LENGTH);
+  const bytes = full.subarray(1);
+  const end = bytes.indexOf(0);
+  return {
+    severity: full[0],
+    text: new TextDecoder().decode(end < 0 ? bytes : bytes.subarray(0, end))
+  };
+}
+
+// src/shell.js
+var SHELL_ACTIONS = [
+  { key: "start", label: "Start", command: "mc_raptor start" },
+  { key: "stop", label: "Stop", command: "mc_raptor stop" }
+];
+var TRANSPORTS = [
+  { key: "websocket", label: "WebSocket bridge" },
+  { key: "webserial", label: "WebSerial" },
+  { key: "mock", label: "Mock vehicle (in page)" }
+];
+var DEFAULT_BRIDGE_URL = "ws://127.0.0.1:8765";
+var DEFAULT_BAUD_RATE = 57600;
+var HEARTBEAT_INTERVAL_MS = 1e3;
+var POLL_INTERVAL_MS = 100;
+var SHELL_FLAGS = SERIAL_CONTROL_FLAG_RESPOND | SERIAL_CONTROL_FLAG_EXCLUSIVE;
+function createShellSession(transport, { onOutput, onClose, pollInterval = POLL_INTERVAL_MS }) {
+  const parser = createFrameParser();
+  const decoder = new TextDecoder();
+  let seq = 0;
+  let open = true;
+  const send = (msgid, payload) => {
+    if (open) transport.send(encodeFrame(msgid, payload, { seq: seq++ }));
+  };
+  const serial = (data, flags = SHELL_FLAGS) => send(MSG_SERIAL_CONTROL, encodeSerialControl({ data, flags }));
+  transport.onData = (chunk) => {
+    for (const msg of parser.push(chunk)) {
+      if (msg.msgid !== MSG_SERIAL_CONTROL) continue;
+      const { device, flags, data } = decodeSerialControl(msg.payload);
+      const fromShell = device === SERIAL_CONTROL_DEV_SHELL && flags & SERIAL_CONTROL_FLAG_REPLY;
+      if (fromShell && data.length) onOutput(decoder.decode(data, { stream: true }));
+    }
+  };
+  const heartbeat = setInterval(
+    () => send(MSG_HEARTBEAT, encodeHeartbeat()),
+    HEARTBEAT_INTERVAL_MS
+  );
+  const poll = setInterval(() => serial(new Uint8Array(0)), pollInterval);
+  const stop = () => {
+    if (!open) return;
+    open = false;
+    clearInterval(heartbeat);
+    clearInterval(poll);
+    onClose?.();
+  };
+  transport.onClose = stop;
+  send(MSG_HEARTBEAT, encodeHeartbeat());
+  serial(shellChunks("\n")[0]);
+  return {
+    run(command) {
+      for (const chunk of shellChunks(`${command}
+`)) serial(chunk);
+    },
+    close() {
+      serial(new Uint8Array(0), 0);
+      stop();
+      transport.close();
+    }
+  };
+}
+function connectWebSocket(url) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(url);
+    ws.binaryType = "arraybuffer";
+    const transport = {
+      onData: null,
+      onClose: null,
+      send: (bytes) => ws.readyState === WebSocket.OPEN && ws.send(bytes),
+      close: () => ws.close()
+    };
+    ws.onopen = () => resolve(transport);
+    ws.onerror = () => reject(new Error(`could not connect to ${url}`));
+    ws.onmessage = ({ data }) => {
+      if (typeof data !== "string") transport.onData?.(new Uint8Array(data));
+    };
+    ws.onclose = () => transport.onClose?.();
+  });
+}
+async function connectWebSerial(baudRate = DEFAULT_BAUD_RATE) {
+  if (!navigator.serial) throw new Error("WebSerial is not available in this browser");
+  const port = await navigator.serial.requestPort();
+  await port.open({ baudRate });
+  const reader = port.readable.getReader();
+  const writer = port.writable.getWriter();
+  let open = true;
+  const transport = {
+    onData: null,
+    onClose: null,
+    send: (bytes) => {
+      if (open) writer.write(bytes).catch(() => {
+      });
+    },
+    close: async () => {
+      open = false;
+      await reader.cancel().catch(() => {
+      });
+    }
+  };
+  (async () => {
+    try {
+      for (; ; ) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        transport.onData?.(value);
+      }
+    } catch {
+    } finally {
+      open = false;
+      reader.releaseLock();
+      writer.releaseLock();
+      await port.close().catch(() => {
+      });
+      transport.onClose?.();
+    }
+  })();
+  return transport;
+}
+
+// src/telemetry.js
+var DEFAULT_START_PATTERN = "intref.*start";
+var MAX_LIVE_SAMPLES = 2e4;
+var HEARTBEAT_INTERVAL_MS2 = 1e3;
+var MAV_SEVERITY_INFO = 6;
+var START_TEXT = "mc_raptor: intref started";
+function startPatternError(startPattern) {
+  try {
+    new RegExp(startPattern, "i");
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+function createTelemetrySession(transport, { onSample, onStart, onClose, startPattern = DEFAULT_START_PATTERN }) {
+  const parser = createFrameParser();
+  const pattern = new RegExp(startPattern, "i");
+  let seq = 0;
+  let open = true;
+  let lastTime = 0;
+  let heading;
+  transport.onData = (chunk) => {
+    for (const msg of parser.push(chunk)) {
+      if (msg.msgid === MSG_ATTITUDE) {
+        const att = decodeAttitude(msg.payload);
+        heading = att.yaw;
+        lastTime = Math.max(lastTime, att.timeBootMs / 1e3);
+      } else if (msg.msgid === MSG_LOCAL_POSITION_NED) {
+        const { timeBootMs, ...pos } = decodeLocalPositionNed(msg.payload);
+        lastTime = Math.max(lastTime, timeBootMs / 1e3);
+        const sample = { t: timeBootMs / 1e3, ...pos };
+        if (heading !== void 0) sample.heading = heading;
+        onSample(sample);
+      } else if (msg.msgid === MSG_STATUSTEXT) {
+        if (pattern.test(decodeStatusText(msg.payload).text)) onStart(lastTime);
+      }
+    }
+  };
+  const sendHeartbeat = () => {
+    if (!open) return;
+    transport.send(encodeFrame(MSG_HEARTBEAT, encodeHeartbeat(), { seq: seq++ }));
+  };
+  const heartbeat = setInterval(sendHeartbeat, HEARTBEAT_INTERVAL_MS2);
+  const stop = () => {
+    if (!open) return;
+    open = false;
+    clearInterval(heartbeat);
+    onClose?.();
+  };
+  transport.onClose = stop;
+  sendHeartbeat();
+  return {
+    close() {
+      stop();
+      transport.close();
+    }
+  };
+}
+function readTlog(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const records = [];
+  let i = 0;
+  while (i + 8 + 8 <= bytes.length) {
+    const magic = bytes[i + 8];
+    if (magic !== 253 && magic !== 254) {
+      throw new Error(`tlog: no MAVLink frame at byte ${i + 8}`);
+    }
+    const len = bytes[i + 9];
+    const signed = magic === 253 && bytes[i + 10] & 1;
+    const frameLength = (magic === 253 ? 12 : 8) + len + (signed ? 13 : 0);
+    if (i + 8 + frameLength > bytes.length) break;
+    records.push({
+      time: Number(view.getBigUint64(i, false)) / 1e6,
+      bytes: bytes.slice(i + 8, i + 8 + frameLength)
+    });
+    i += 8 + frameLength;
+  }
+  if (!records.length) throw new Error("tlog: no frames");
+  return records;
+}
+function connectReplay(records, { speed = 1 } = {}) {
+  let timer = null;
+  let next = 0;
+  const t0 = records[0].time;
+  const started = Date.now();
+  const transport = {
+    onData: null,
+    onClose: null,
+    send: () => {
+    },
+    close: () => {
+      if (next > records.length) return;
+      next = records.length + 1;
+      clearTimeout(timer);
+      setTimeout(() => transport.onClose?.(), 0);
+    }
+  };
+  const pump = () => {
+    const now = (Date.now() - started) / 1e3 * speed;
+    while (next < records.length && records[next].time - t0 <= now) {
+      transport.onData?.(records[next++].bytes);
+    }
+    if (next < records.length) {
+      const wait = (records[next].time - t0 - now) / speed * 1e3;
+      timer = setTimeout(pump, Math.max(0, wait));
+    } else {
+      transport.close();
+    }
+  };
+  timer = setTimeout(pump, 0);
+  return Promise.resolve(transport);
+}
+function simulateFlight(type, params, {
+  rate = 30,
+  delay = 2,
+  lag = 0.15,
+  yawDeg = 0,
+  origin = { x: 0, y: 0, z: -1.5 },
+  horizon = plotHorizon(params)
+} = {}) {
+  const yaw = yawDeg * Math.PI / 180;
+  const c = Math.cos(yaw);
+  const s = Math.sin(yaw);
+  const end = delay + horizon + 1;
+  const bootOffset = 5;
+  const records = [];
+  let seq = 0;
+  const push = (time, msgid, payload) => records.push({
+    time,
+    bytes: encodeFrame(msgid, payload, { seq: seq++, sysid: 1, compid: 1 })
+  });
+  for (let i = 0; i / rate <= end; i++) {
+    const time = i / rate;
+    const timeBootMs = Math.round((bootOffset + time) * 1e3);
+    const tau = time - delay - lag;
+    const r = tau > 0 ? type.eval(tau, params) : { x: 0, y: 0, z: 0, vx: 0, vy: 0, vz: 0 };
+    push(time, MSG_ATTITUDE, encodeAttitude({ timeBootMs, yaw }));
+    push(
+      time,
+      MSG_LOCAL_POSITION_NED,
+      encodeLocalPositionNed({
+        timeBootMs,
+        x: origin.x + c * r.x + s * r.y,
+        y: origin.y + s * r.x - c * r.y,
+        z: origin.z - r.z,
+        vx: c * r.vx + s * r.vy,
+        vy: s * r.vx - c * r.vy,
+        vz: -r.vz
+      })
+    );
+    if (Math.abs(time - delay) < 0.5 / rate) {
+      push(time, MSG_STATUSTEXT, encodeStatusText(MAV_SEVERITY_INFO, START_TEXT));
+    }
+  }
+  return records;
+}
+
+// src/flights.jsx
+function FlightLogPanel({
+  flightLog,
+  align,
+  tracking,
+  onLoad,
+  onAlignChange,
+  onAutoAlign,
+  onFrameChange,
+  onClear
+}) {
+  const fmt2 = useFmt2();
+  const unitLabel = useUnitLabel();
+  const [csvFrame, setCsvFrame] = useState5("ned");
+  const [error, setError] = useState5("");
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    const isULog = /\.ulg$/i.test(file.name);
+    const read = isULog ? file.arrayBuffer() : file.text();
+    read.then((content) => {
+      const log = isULog ? parseULog(content) : parseLocalPositionCsv(content, csvFrame);
+      if (log.samples.length < 2) throw new Error("log has fewer than 2 samples");
+      setError("");
+      onLoad({ ...log, name: file.name });
+    }).catch((err) => setError(err.message));
+  };
+  const yawFromLog = align.yawDeg === null;
+  return /* @__PURE__ */ React6.createElement("div", { className: "card mt-6" }, /* @__PURE__ */ React6.createElement("div", { className: "section-label" }, "Flight log"), /* @__PURE__ */ React6.createElement("div", { className: "row" }, /* @__PURE__ */ React6.createElement("label", { className: "copy-button" }, "Load ULog / CSV", /* @__PURE__ */ React6.createElement("input", { type: "file", accept: ".ulg,.csv", onChange: handleFile, hidden: true })), /* @__PURE__ */ React6.createElement("span", { className: "text-muted" }, "log frame"), /* @__PURE__ */ React6.createElement(
+    "select",
+    {
+      value: flightLog?.frame ?? csvFrame,
+      onChange: (e) => flightLog ? onFrameChange(e.target.value) : setCsvFrame(e.target.value),
+      className: "select-input"
+    },
+    /* @__PURE__ */ React6.createElement("option", { value: "ned" }, "NED (PX4 local position)"),
+    /* @__PURE__ */ React6.createElement("option", { value: "flu" }, "trajectory frame (x fwd, y left, z up)")
+  ), flightLog && /* @__PURE__ */ React6.createElement("button", { onClick: onClear, className: "small-button push-right" }, "Clear")), error && /* @__PURE__ */ React6.createElement("div", { className: "parse-error" }, error), flightLog && /* @__PURE__ */ React6.createElement(React6.Fragment, null, /* @__PURE__ */ React6.createElement("div", { className: "text-muted mt-2" }, flightLog.name, ": ", flightLog.samples.length, " samples,", " ", fmt2(flightLog.samples[0].t), "\u2013", fmt2(flightLog.samples[flightLog.samples.length - 1].t), " ", unitLabel("s"), hasVelocity(flightLog) ? "" : " (no velocity)"), /* @__PURE__ */ React6.createElement("div", { className: "export-grid mt-2" }, /* @__PURE__ */ React6.createElement("label", { className: "label-sm" }, "start [", unitLabel("s"), ", log time]"), /* @__PURE__ */ React6.createElement("div", { className: "row" }, /* @__PURE__ */ React6.createElement(
+    "input",
+    {
+      type: "number",
+      step: 0.01,
+      value: align.start,
+      onChange: (e) => {
+        const v = parseFloat(e.target.value);
+        if (Number.isFinite(v)) onAlignChange({ start: v });
+      },
+      className: "number-input"
+    }
+  ), /* @__PURE__ */ React6.createElement("button", { onClick: onAutoAlign, className: "small-button" }, "Auto-align")), flightLog.frame === "ned" && /* @__PURE__ */ React6.createElement(React6.Fragment, null, /* @__PURE__ */ React6.createElement("label", { className: "label-sm" }, "frame yaw [deg]"), /* @__PURE__ */ React6.createElement("div", { className: "row" }, /* @__PURE__ */ React6.createElement(
+    "input",
+    {
+      type: "number",
+      step: 1,
+      value: yawFromLog ? (tracking?.yaw ?? 0) * 180 / Math.PI : align.yawDeg,
+      disabled: yawFromLog,
+      onChange: (e) => {
+        const v = parseFloat(e.target.value);
+        if (Number.isFinite(v)) onAlignChange({ yawDeg: v });
+      },
+      className: "number-input"
+    }
+  ), /* @__PURE__ */ React6.createElement("label", { className: "checkbox-label" }, /* @__PURE__ */ React6.createElement(
+    "input",
+    {
+      type: "checkbox",
+      checked: yawFromLog,
+      onChange: (e) => onAlignChange({
+        yawDeg: e.target.checked ? null : Math.round((tracking?.yaw ?? 0) * 180 / Math.PI)
+      })
+    }
+  ), "heading at start")))), tracking?.count > 0 ? /* @__PURE__ */ React6.createElement("table", { className: "summary-table mt-2" }, /* @__PURE__ */ React6.createElement("tbody", null, /* @__PURE__ */ React6.createElement("tr", null, /* @__PURE__ */ React6.createElement("td", null, "RMS position error"), /* @__PURE__ */ React6.createElement("td", null, fmt2(tracking.rmsPos), " ", unitLabel("m"))), /* @__PURE__ */ React6.createElement("tr", null, /* @__PURE__ */ React6.createElement("td", null, "max position error"), /* @__PURE__ */ React6.createElement("td", null, fmt2(tracking.maxPos.value), " ", unitLabel("m"), " at t=", fmt2(tracking.maxPos.t), " ", unitLabel("s"))), /* @__PURE__ */ React6.createElement("tr", null, /* @__PURE__ */ React6.createElement("td", null, "RMS error x / y / z"), /* @__PURE__ */ React6.createElement("td", null, tracking.rmsAxis.map(fmt2).join(" / "), " ", unitLabel("m"))), tracking.rmsVel !== null && /* @__PURE__ */ React6.createElement("tr", null, /* @__PURE__ */ React6.createElement("td", null, "RMS velocity error"), /* @__PURE__ */ React6.createElement("td", null, fmt2(tracking.rmsVel), " ", unitLabel("m/s"))))) : /* @__PURE__ */ React6.createElement("div", { className: "parse-error" }, "no log samples inside the reference horizon from this start")));
+}
+var LIVE_REFRESH_MS = 100;
+var LIVE_REPLAY_SPEEDS = [1, 2, 4];
+function useLiveTelemetry() {
+  const [live, setLive] = useState5({
+    status: "disconnected",
+    source: null,
+    samples: [],
+    start: null,
+    error: null
+  });
+  const session = useRef2(null);
+  const pending = useRef2([]);
+  const flush = () => {
+    if (!pending.current.length) return;
+    const batch = pending.current;
+    pending.current = [];
+    setLive((prev) => ({
+      ...prev,
+      samples: [...prev.samples, ...batch].slice(-MAX_LIVE_SAMPLES)
+    }));
+  };
+  useEffect2(() => {
+    if (live.status !== "connected") return;
+    const timer = setInterval(flush, LIVE_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [live.status]);
+  useEffect2(() => () => session.current?.close(), []);
+  const connect = async (open, source, startPattern) => {
+    const patternError = startPatternError(startPattern);
+    if (patternError) {
+      setLive((prev) => ({ ...prev, error: `start event: ${patternError}` }));
+      return;
+    }
+    pending.current = [];
+    setLive({ status: "connecting", source, samples: [], start: null, error: null });
+    let transport = null;
+    try {
+      transport = await open();
+      session.current = createTelemetrySession(transport, {
+        startPattern,
+        onSample: (s) => pending.current.push(s),
+        onStart: (t) => setLive((prev) => ({ ...prev, start: t })),
+        onClose: () => {
+          session.current = null;
+          flush();
+          setLive((prev) => ({ ...prev, status: "disconnected" }));
+        }
+      });
+      setLive((prev) => ({ ...prev, status: "connected" }));
+    } catch (err) {
+      transport?.close();
+      setLive((prev) => ({ ...prev, status: "disconnected", error: err.message }));
+    }
+  };
+  return {
+    ...live,
+    connect,
+    disconnect: () => session.current?.close(),
+    markStart: () => setLive(
+      (prev) => prev.samples.length ? { ...prev, start: prev.samples[prev.samples.length - 1].t } : prev
+    ),
+    clear: () => setLive((prev) => ({ ...prev, samples: [], start: null, source: null }))
+  };
+}
+function LivePanel({
+  live,
+  tracking,
+  elapsed,
+  yawDeg,
+  onYawDeg,
+  follow,
+  onFollow,
+  type,
+  params
+}) {
+  const fmt2 = useFmt2();
+  const unitLabel = useUnitLabel();
+  const [sourceKey, setSourceKey] = useState5("websocket");
+  const [url, setUrl] = useState5(DEFAULT_BRIDGE_URL);
+  const [startPattern, setStartPattern] = useState5(DEFAULT_START_PATTERN);
+  const [speed, setSpeed] = useState5(1);
+  const [fileError, setFileError] = useState5("");
+  const idle = live.status === "disconnected";
+  const patternError = startPatternError(startPattern);
+  const replay = (records, source) => live.connect(() => connectReplay(records, { speed }), source, startPattern);
+  const handleConnect = () => {
+    if (sourceKey === "websocket") {
+      live.connect(() => connectWebSocket(url), url, startPattern);
+    } else {
+      replay(simulateFlight(type, params), "simulated flight");
+    }
+  };
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    file.arrayBuffer().then((buffer) => {
+      const records = readTlog(buffer);
+      setFileError("");
+      replay(records, file.name);
+    }).catch((err) => setFileError(err.message));
+  };
+  const now = tracking?.count > 0 ? tracking.series[tracking.series.length - 1] : null;
+  const yawFromHeading = yawDeg === null;
+  return /* @__PURE__ */ React6.createElement("div", { className: "card mt-6" }, /* @__PURE__ */ React6.createElement("div", { className: "section-label" }, "Live telemetry", " ", /* @__PURE__ */ React6.createElement("span", { className: live.status === "connected" ? "badge-ok" : "text-muted" }, live.status)), /* @__PURE__ */ React6.createElement("div", { className: "export-grid" }, /* @__PURE__ */ React6.createElement("label", { className: "label-sm" }, "source"), /* @__PURE__ */ React6.createElement("div", { className: "row wrap" }, /* @__PURE__ */ React6.createElement(
+    "select",
+    {
+      value: sourceKey,
+      onChange: (e) => setSourceKey(e.target.value),
+      disabled: !idle,
+      className: "select-input"
+    },
+    /* @__PURE__ */ React6.createElement("option", { value: "websocket" }, "WebSocket bridge"),
+    /* @__PURE__ */ React6.createElement("option", { value: "replay" }, "replay a .tlog"),
+    /* @__PURE__ */ React6.createElement("option", { value: "simulated" }, "simulated flight of these parameters")
+  ), sourceKey === "websocket" && /* @__PURE__ */ React6.createElement(
+    "input",
+    {
+      type: "text",
+      value: url,
+      onChange: (e) => setUrl(e.target.value),
+      disabled: !idle,
+      className: "text-input"
+    }
+  ), sourceKey !== "websocket" && LIVE_REPLAY_SPEEDS.map((s) => /* @__PURE__ */ React6.createElement(
+    "button",
+    {
+      key: s,
+      onClick: () => setSpeed(s),
+      disabled: !idle,
+      className: s === speed ? "small-button active" : "small-button"
+    },
+    s,
+    "\xD7"
+  )), !idle ? /* @__PURE__ */ React6.createElement("button", { onClick: live.disconnect, className: "small-button" }, sourceKey === "websocket" ? "Disconnect" : "Stop") : sourceKey === "replay" ? /* @__PURE__ */ React6.createElement("label", { className: "small-button" }, "Open .tlog", /* @__PURE__ */ React6.createElement(
+    "input",
+    {
+      type: "file",
+      accept: ".tlog",
+      onChange: handleFile,
+      disabled: Boolean(patternError),
+      hidden: true
+    }
+  )) : /* @__PURE__ */ React6.createElement(
+    "button",
+    {
+      onClick: handleConnect,
+      disabled: Boolean(patternError),
+      className: "small-button"
+    },
+    sourceKey === "websocket" ? "Connect" : "Play"
+  )), /* @__PURE__ */ React6.createElement("label", { className: "label-sm" }, "start event"), /* @__PURE__ */ React6.createElement("div", null, /* @__PURE__ */ React6.createElement("div", { className: "row" }, /* @__PURE__ */ React6.createElement(
+    "input",
+    {
+      type: "text",
+      value: startPattern,
+      onChange: (e) => setStartPattern(e.target.value),
+      disabled: !idle,
+      className: "text-input",
+      title: "regular expression matched against STATUSTEXT messages"
+    }
+  ), /* @__PURE__ */ React6.createElement(
+    "button",
+    {
+      onClick: live.markStart,
+      disabled: !live.samples.length,
+      className: "small-button"
+    },
+    "Mark start now"
+  )), patternError && /* @__PURE__ */ React6.createElement("div", { className: "parse-error mt-2" }, patternError)), /* @__PURE__ */ React6.createElement("label", { className: "label-sm" }, "frame yaw [deg]"), /* @__PURE__ */ React6.createElement("div", { className: "row" }, /* @__PURE__ */ React6.createElement(
+    "input",
+    {
+      type: "number",
+      step: 1,
+      value: yawFromHeading ? (tracking?.yaw ?? 0) * 180 / Math.PI : yawDeg,
+      disabled: yawFromHeading,
+      onChange: (e) => {
+        const v = parseFloat(e.target.value);
+        if (Number.isFinite(v)) onYawDeg(v);
+      },
+      className: "number-input"
+    }
+  ), /* @__PURE__ */ React6.createElement("label", { className: "checkbox-label" }, /* @__PURE__ */ React6.createElement(
+    "input",
+    {
+      type: "checkbox",
+      checked: yawFromHeading,
+      onChange: (e) => onYawDeg(
+        e.target.checked ? null : Math.round((tracking?.yaw ?? 0) * 180 / Math.PI)
+      )
+    }
+  ), "heading at start"), /* @__PURE__ */ React6.createElement("label", { className: "checkbox-label" }, /* @__PURE__ */ React6.createElement(
+    "input",
+    {
+      type: "checkbox",
+      checked: follow,
+      onChange: (e) => onFollow(e.target.checked)
+    }
+  ), "marker follows the vehicle's time"))), (live.error || fileError) && /* @__PURE__ */ React6.createElement("div", { className: "parse-error mt-2" }, live.error || fileError), live.source && /* @__PURE__ */ React6.createElement("div", { className: "text-muted mt-2" }, live.source, ": ", live.samples.length, " position samples", live.start === null ? ", waiting for the start event" : `, started at ${fmt2(live.start)} ${unitLabel("s")} boot time`, elapsed !== null && `, t=${fmt2(elapsed)} ${unitLabel("s")}`), now && /* @__PURE__ */ React6.createElement("table", { className: "summary-table mt-2" }, /* @__PURE__ */ React6.createElement("tbody", null, /* @__PURE__ */ React6.createElement("tr", null, /* @__PURE__ */ React6.createElement("td", null, "current position error"), /* @__PURE__ */ React6.createElement("td", null, fmt2(now.e), " ", unitLabel("m"), " (x ", fmt2(now.ex), ", y ", fmt2(now.ey), ", z ", fmt2(now.ez), ")", elapsed > now.t && " at the end of the reference")), /* @__PURE__ */ React6.createElement("tr", null, /* @__PURE__ */ React6.createElement("td", null, "RMS / max so far"), /* @__PURE__ */ React6.createElement("td", null, fmt2(tracking.rmsPos), " ", unitLabel("m"), " /", " ", fmt2(tracking.maxPos.value), " ", unitLabel("m"), " at t=", fmt2(tracking.maxPos.t), " ", unitLabel("s"))))));
+}
+
+// src/playback.jsx
+import React7, { useState as useState6, useEffect as useEffect3, useRef as useRef3 } from "react";
+var PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4];
+var PLAYBACK_STEP = 0.1;
+function usePlayback(t, setT, plotTime) {
+  const [playing, setPlaying] = useState6(false);
+  const [speed, setSpeed] = useState6(1);
+  const [loop, setLoop] = useState6(false);
+  const [realTime, setRealTime] = useState6(false);
+  const tRef = useRef3(t);
+  tRef.current = t;
+  useEffect3(() => {
+    if (!playing || !(plotTime > 0)) return;
+    let raf;
+    let last = performance.now();
+    let anchor = { wall: last, t: tRef.current };
+    let lastSet = tRef.current;
+    const tick = (now) => {
+      if (tRef.current !== lastSet) anchor = { wall: now, t: tRef.current };
+      let next = realTime ? anchor.t + (now - anchor.wall) / 1e3 : tRef.current + Math.min(0.1, (now - last) / 1e3) * speed;
+      last = now;
+      if (next >= plotTime) {
+        if (loop) {
+          next %= plotTime;
+          anchor = { wall: now, t: next };
+        } else {
+          next = plotTime;
+          setPlaying(false);
+        }
+      }
+      lastSet = next;
+      tRef.current = next;
+      setT(next);
+      if (next < plotTime || loop) raf = requestAnimationFrame(tick);
+    };
+    raf = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(raf);
+  }, [playing, speed, loop, realTime, plotTime, setT]);
+  const togglePlay = () => {
+    if (!playing && tRef.current >= plotTime) setT(0);
+    setPlaying((p) => !p);
+  };
+  const step = (dir) => setT((prev) => Math.min(plotTime, Math.max(0, prev + dir * PLAYBACK_STEP)));
+  return {
+    playing,
+    togglePlay,
+    step,
+    speed,
+    setSpeed,
+    loop,
+    setLoop,
+    realTime,
+    setRealTime
+  };
+}
+function TransportControls({ playback, disabled, onRewind }) {
+  const { playing, togglePlay, step, speed, setSpeed } = playback;
+  const { loop, setLoop, realTime, setRealTime } = playback;
+  const unitLabel = useUnitLabel();
+  return /* @__PURE__ */ React7.createElement("div", { className: "row mt-2 wrap" }, /* @__PURE__ */ React7.createElement(
+    "button",
+    {
+      onClick: onRewind,
+      disabled,
+      className: "small-button",
+      title: "Back to start"
+    },
+    "\u23EE"
+  ), /* @__PURE__ */ React7.createElement(
+    "button",
+    {
+      onClick: () => step(-1),
+      disabled,
+      className: "small-button",
+      title: `Back ${PLAYBACK_STEP} ${unitLabel("s")}`
+    },
+    "\u25C0 ",
+    PLAYBACK_STEP,
+    " ",
+    unitLabel("s")
+  ), /* @__PURE__ */ React7.createElement("button", { onClick: togglePlay, disabled, className: "copy-button" }, playing ? "Pause" : "Play"), /* @__PURE__ */ React7.createElement(
+    "button",
+    {
+      onClick: () => step(1),
+      disabled,
+      className: "small-button",
+      title: `Forward ${PLAYBACK_STEP} ${unitLabel("s")}`
+    },
+    PLAYBACK_STEP,
+    " ",
+    unitLabel("s"),
+    " \u25B6"
+  ), /* @__PURE__ */ React7.createElement(
+    "select",
+    {
+      value: realTime ? 1 : speed,
+      onChange: (e) => setSpeed(parseFloat(e.target.value)),
+      disabled: realTime,
+      className: "select-input",
+      title: "Playback speed"
+    },
+    PLAYBACK_SPEEDS.map((s) => /* @__PURE__ */ React7.createElement("option", { key: s, value: s }, s, "\xD7"))
+  ), /* @__PURE__ */ React7.createElement("label", { className: "checkbox-label" }, /* @__PURE__ */ React7.createElement(
+    "input",
+    {
+      type: "checkbox",
+      checked: loop,
+      onChange: (e) => setLoop(e.target.checked)
+    }
+  ), "loop"), /* @__PURE__ */ React7.createElement("label", { className: "checkbox-label" }, /* @__PURE__ */ React7.createElement(
+    "input",
+    {
+      type: "checkbox",
+      checked: realTime,
+      onChange: (e) => setRealTime(e.target.checked)
+    }
+  ), "follow in real time"));
+}
+
+// src/sampling.js
+import { useState as useState7, useEffect as useEffect4, useRef as useRef4 } from "react";
+var REFINE_DELAY_MS = 150;
+var coarseSteps = (horizon) => Math.max(300, Math.round(plotSteps(horizon) / 8));
+function useSampledTrajectory(typeKey, params, horizon) {
+  const [state, setState] = useState7(() => {
+    const points = samplePlot(TRAJECTORY_TYPES[typeKey], params, horizon);
+    return { id: 0, display: points, exact: points, exactFor: { typeKey, params, horizon } };
+  });
+  const worker = useRef4(null);
+  const inFlight = useRef4(null);
+  const queued = useRef4(null);
+  const nextId = useRef4(0);
+  const mounted = useRef4(false);
+  const apply = (request, points) => setState((prev) => {
+    const { id, full, typeKey: typeKey2, params: params2, horizon: horizon2 } = request;
+    if (id < prev.id) return prev;
+    return full ? { id, display: points, exact: points, exactFor: { typeKey: typeKey2, params: params2, horizon: horizon2 } } : { ...prev, id, display: points };
+  });
+  const sampleInline = (request) => apply(
+    request,
+    samplePlot(
+      TRAJECTORY_TYPES[request.typeKey],
+      request.params,
+      request.horizon,
+      request.steps
+    )
+  );
+  const send = (request) => {
+    if (!worker.current) return sampleInline(request);
+    if (inFlight.current) {
+      queued.current = request;
+      return;
+    }
+    inFlight.current = request;
+    worker.current.postMessage(request);
+  };
+  useEffect4(() => {
+    if (typeof Worker === "undefined") return;
+    let w;
+    try {
+      w = new Worker(new URL("./sampler.worker.js", import.meta.url), { type: "module" });
+    } catch {
+      return;
+    }
+    const next = () => {
+      inFlight.current = null;
+      const request = queued.current;
+      queued.current = null;
+      if (request) send(request);
+    };
+    w.onmessage = ({ data }) => {
+      apply(inFlight.current, data.points);
+      next();
+    };
+    w.onerror = () => {
+      w.terminate();
+      worker.current = null;
+      if (inFlight.current) sampleInline(inFlight.current);
+      next();
+    };
+    worker.current = w;
+    return () => {
+      w.terminate();
+      worker.current = null;
+    };
+  }, []);
+  useEffect4(() => {
+    if (!mounted.current) {
+      mounted.current = true;
+      return;
+    }
+    const request = { typeKey, params, horizon };
+    send({ ...request, id: ++nextId.current, full: false, steps: coarseSteps(horizon) });
+    const timer = setTimeout(
+      () => send({ ...request, id: ++nextId.current, full: true }),
+      REFINE_DELAY_MS
+    );
+    return () => clearTimeout(timer);
+  }, [typeKey, params, horizon]);
+  const { display, exact, exactFor } = state;
+  const stale = exactFor.typeKey !== typeKey || exactFor.params !== params || exactFor.horizon !== horizon;
+  return { display, exact, stale };
+}
+
+// src/history.jsx
+import React8, { useState as useState8, useEffect as useEffect5 } from "react";
+var HISTORY_LIMIT = 100;
+var HISTORY_MERGE_MS = 1e3;
+function changedKeys(a, b) {
+  if (a.typeKey !== b.typeKey) return ["type"];
+  return Object.keys(b.params).filter((key) => a.params[key] !== b.params[key]);
+}
+function describeChange(from, to) {
+  const keys = changedKeys(from, to);
+  if (keys[0] === "type") return `type \u2192 ${TRAJECTORY_TYPES[to.typeKey].label}`;
+  if (keys.length === 1) return `${keys[0]} ${from.params[keys[0]]} \u2192 ${to.params[keys[0]]}`;
+  return `${keys.join(", ")} changed`;
+}
+function useParamHistory(typeKey, params, restore) {
+  const [history, setHistory] = useState8(() => ({
+    entries: [{ typeKey, params, label: "start", mergeKey: null, at: Date.now() }],
+    index: 0
+  }));
+  useEffect5(() => {
+    setHistory(({ entries, index }) => {
+      const state = { typeKey, params };
+      const last = entries[index];
+      if (!changedKeys(last, state).length) return { entries, index };
+      const now = Date.now();
+      const keys = changedKeys(last, state);
+      const mergeKey = keys.length === 1 ? keys[0] : null;
+      const merge = index > 0 && mergeKey !== null && last.mergeKey === mergeKey && now - last.at < HISTORY_MERGE_MS;
+      const from = merge ? entries[index - 1] : last;
+      const entry = { ...state, label: describeChange(from, state), mergeKey, at: now };
+      const kept = entries.slice(0, merge ? index : index + 1);
+      const next = [...kept, entry].slice(-HISTORY_LIMIT);
+      return { entries: next, index: next.length - 1 };
+    });
+  }, [typeKey, params]);
+  const jump = (i) => {
+    const entry = history.entries[i];
+    if (!entry) return;
+    setHistory(({ entries }) => ({
+      entries: entries.map((e, j) => j === i ? { ...e, mergeKey: null } : e),
+      index: i
+    }));
+    restore(entry.typeKey, entry.params);
+  };
+  return {
+    ...history,
+    jump,
+    undo: () => jump(history.index - 1),
+    redo: () => jump(history.index + 1),
+    canUndo: history.index > 0,
+    canRedo: history.index < history.entries.length - 1
+  };
+}
+function HistoryPanel({ history, selectedKey }) {
+  const { entries, index, jump, undo, redo, canUndo, canRedo } = history;
+  return /* @__PURE__ */ React8.createElement("div", { className: "card mb-6" }, /* @__PURE__ */ React8.createElement("div", { className: "row wrap" }, /* @__PURE__ */ React8.createElement("div", { className: "label" }, "history"), /* @__PURE__ */ React8.createElement("button", { onClick: undo, disabled: !canUndo, className: "small-button" }, "Undo"), /* @__PURE__ */ React8.createElement("button", { onClick: redo, disabled: !canRedo, className: "small-button" }, "Redo"), /* @__PURE__ */ React8.createElement("span", { className: "text-muted" }, "Ctrl+Z / Ctrl+Shift+Z \xB7 1\u20139 select a parameter", selectedKey ? ` (${selectedKey})` : "", " \xB7 \u2191/\u2193 nudge by one step, with Shift by ten \xB7 Esc deselect")), /* @__PURE__ */ React8.createElement("ol", { className: "history-list" }, entries.map((entry, i) => /* @__PURE__ */ React8.createElement("li", { key: `${entry.at}-${i}` }, /* @__PURE__ */ React8.createElement(
+    "button",
+    {
+      onClick: () => jump(i),
+      className: i === index ? "history-item active" : "history-item"
+    },
+    /* @__PURE__ */ React8.createElement("span", { className: "text-muted" }, new Date(entry.at).toLocaleTimeString()),
+    " ",
+    entry.label
+  )))));
+}
+
+// src/checks.jsx
+import React9, { useState as useState9, useMemo as useMemo4, useEffect as useEffect6 } from "react";
+function summarize({ typeKey, params }) {
+  const type = TRAJECTORY_TYPES[typeKey];
+  return {
+    ...measure(type, params),
+    period: periodicity(type, params).period,
+    label: type.label,
+    command: isFlyable(type) ? type.command(params) : null
+  };
+}
+var COMPARISON_SETTLE_MS = 300;
+function ComparisonPanel({ baseline, current, onPin, onClear, onRestore }) {
+  const fmt2 = useFmt2();
+  const unitLabel = useUnitLabel();
+  const [settled, setSettled] = useState9(current);
+  useEffect6(() => {
+    const id = setTimeout(() => setSettled(current), COMPARISON_SETTLE_MS);
+    return () => clearTimeout(id);
+  }, [current]);
+  const pinned = Boolean(baseline);
+  const baselineSummary = useMemo4(() => baseline && summarize(baseline), [baseline]);
+  const currentSummary = useMemo4(
+    () => pinned ? summarize(settled) : null,
+    [pinned, settled]
+  );
+  const summaries = pinned && [baselineSummary, currentSummary];
+  const settling = settled !== current;
+  const rows = [
+    { key: "speed", label: "peak speed", unit: "m/s" },
+    { key: "acc", label: "peak acceleration", unit: "m/s\xB2" },
+    { key: "sizeX", label: "extent x", unit: "m" },
+    { key: "sizeY", label: "extent y", unit: "m" },
+    { key: "sizeZ", label: "extent z", unit: "m" },
+    { key: "period", label: "true period", unit: "s" },
+    { key: "time", label: "ramp + duration", unit: "s" }
+  ];
+  const value = (v, unit) => Number.isFinite(v) ? `${fmt2(v)} ${unitLabel(unit)}` : "does not repeat";
+  return /* @__PURE__ */ React9.createElement("div", { className: "card mt-6" }, /* @__PURE__ */ React9.createElement("div", { className: "section-label" }, "Compare with baseline"), /* @__PURE__ */ React9.createElement("div", { className: "row wrap" }, /* @__PURE__ */ React9.createElement("button", { onClick: onPin, className: "small-button" }, baseline ? "Re-pin current" : "Pin current as baseline"), /* @__PURE__ */ React9.createElement("button", { onClick: onRestore, disabled: !baseline, className: "small-button" }, "Load baseline"), /* @__PURE__ */ React9.createElement("button", { onClick: onClear, disabled: !baseline, className: "small-button" }, "Clear"), baseline && /* @__PURE__ */ React9.createElement("span", { className: "text-muted" }, "pink dashed: baseline on the XY and speed plots")), summaries && /* @__PURE__ */ React9.createElement("table", { className: "summary-table mt-2" }, /* @__PURE__ */ React9.createElement("thead", null, /* @__PURE__ */ React9.createElement("tr", null, /* @__PURE__ */ React9.createElement("th", null), /* @__PURE__ */ React9.createElement("th", null, "baseline (", summaries[0].label, ")"), /* @__PURE__ */ React9.createElement("th", null, "current (", summaries[1].label, ")", settling && /* @__PURE__ */ React9.createElement("span", { className: "text-muted" }, " measuring\u2026")), /* @__PURE__ */ React9.createElement("th", null, "change"))), /* @__PURE__ */ React9.createElement("tbody", null, rows.map(({ key, label, unit }) => {
+    const [a, b] = summaries.map((s) => s[key]);
+    const delta = b - a;
+    return /* @__PURE__ */ React9.createElement("tr", { key }, /* @__PURE__ */ React9.createElement("td", null, label), /* @__PURE__ */ React9.createElement("td", null, value(a, unit)), /* @__PURE__ */ React9.createElement("td", null, value(b, unit)), /* @__PURE__ */ React9.createElement("td", null, Number.isFinite(delta) && Math.abs(delta) >= 5e-3 ? `${delta > 0 ? "+" : ""}${fmt2(delta)} ${unitLabel(unit)}` : ""));
+  }), /* @__PURE__ */ React9.createElement("tr", null, /* @__PURE__ */ React9.createElement("td", null, "command"), summaries.map((s, i) => /* @__PURE__ */ React9.createElement("td", { key: i }, s.command ? /* @__PURE__ */ React9.createElement("code", { className: "parse-command" }, s.command) : /* @__PURE__ */ React9.createElement("span", { className: "text-muted" }, "not flyable"))), /* @__PURE__ */ React9.createElement("td", null, summaries[0].command === summaries[1].command ? "same" : "")))));
+}
+var AIRFRAME_STORAGE_KEY = "mc-raptor-trajectory-tool.airframes";
+function sanitizeAirframes(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw.filter((p) => typeof p?.name === "string" && p.name.trim()).map((p) => ({ name: p.name.trim(), vehicle: sanitizeVehicle(p.vehicle) }));
+}
+function VehiclePanel({ vehicle, onChange, load, checking }) {
+  const fmt2 = useFmt2();
+  const unitLabel = useUnitLabel();
+  const [airframes, setAirframes] = useState9(
+    () => loadStored(AIRFRAME_STORAGE_KEY, sanitizeAirframes)
+  );
+  const [name, setName] = useState9("");
+  const update = (next) => {
+    setAirframes(next);
+    storeValue(AIRFRAME_STORAGE_KEY, next);
+  };
+  const handleSave = () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    const airframe = { name: trimmed, vehicle: { ...vehicle, enabled: true } };
+    const i = airframes.findIndex((p) => p.name === trimmed);
+    update(
+      i >= 0 ? airframes.map((p, j) => j === i ? airframe : p) : [...airframes, airframe]
+    );
+    setName("");
+  };
+  const handleField = (key) => (e) => {
+    const v = parseFloat(e.target.value);
+    if (Number.isFinite(v) && v > 0) onChange({ ...vehicle, [key]: v });
+  };
+  const maxThrust = vehicle.thrustToWeight * vehicle.mass * GRAVITY;
+  return /* @__PURE__ */ React9.createElement("div", { className: "card mt-6" }, /* @__PURE__ */ React9.createElement("div", { className: "section-label" }, "Vehicle", " ", vehicle.enabled && load && checking && /* @__PURE__ */ React9.createElement("span", { className: "text-muted" }, "checking\u2026"), vehicle.enabled && load && !checking && /* @__PURE__ */ React9.createElement("span", { className: load.ok ? "badge-ok" : "badge-bad" }, load.ok ? "within airframe limits" : "saturates")), /* @__PURE__ */ React9.createElement("div", { className: "row wrap" }, /* @__PURE__ */ React9.createElement("label", { className: "checkbox-label" }, /* @__PURE__ */ React9.createElement(
+    "input",
+    {
+      type: "checkbox",
+      checked: vehicle.enabled,
+      onChange: (e) => onChange({ ...vehicle, enabled: e.target.checked })
+    }
+  ), "use vehicle model"), /* @__PURE__ */ React9.createElement(
+    "select",
+    {
+      value: "",
+      onChange: (e) => {
+        const p = airframes[parseInt(e.target.value, 10)];
+        if (p) onChange({ ...p.vehicle, enabled: true });
+      },
+      className: "select-input"
+    },
+    /* @__PURE__ */ React9.createElement("option", { value: "", disabled: true }, "load airframe\u2026"),
+    airframes.map((p, i) => /* @__PURE__ */ React9.createElement("option", { key: p.name, value: i }, p.name))
+  ), /* @__PURE__ */ React9.createElement(
+    "input",
+    {
+      type: "text",
+      value: name,
+      onChange: (e) => setName(e.target.value),
+      onKeyDown: (e) => e.key === "Enter" && handleSave(),
+      placeholder: "airframe name",
+      className: "text-input"
+    }
+  ), /* @__PURE__ */ React9.createElement("button", { onClick: handleSave, className: "small-button" }, "Save"), /* @__PURE__ */ React9.createElement(
+    "button",
+    {
+      onClick: () => update(airframes.filter((p) => p.name !== name.trim())),
+      disabled: !airframes.some((p) => p.name === name.trim()),
+      className: "small-button"
+    },
+    "Delete"
+  )), vehicle.enabled && /* @__PURE__ */ React9.createElement(React9.Fragment, null, /* @__PURE__ */ React9.createElement("div", { className: "export-grid mt-2" }, VEHICLE_FIELDS.map(({ key, label, unit, step }) => /* @__PURE__ */ React9.createElement(React9.Fragment, { key }, /* @__PURE__ */ React9.createElement("label", { className: "label-sm" }, label), /* @__PURE__ */ React9.createElement("div", { className: "row" }, /* @__PURE__ */ React9.createElement(
+    "input",
+    {
+      type: "number",
+      min: 0,
+      step,
+      value: vehicle[key],
+      onChange: handleField(key),
+      className: "number-input"
+    }
+  ), /* @__PURE__ */ React9.createElement("span", { className: "text-muted" }, unitLabel(unit)))))), load && /* @__PURE__ */ React9.createElement("table", { className: "summary-table mt-2" }, /* @__PURE__ */ React9.createElement("thead", null, /* @__PURE__ */ React9.createElement("tr", null, /* @__PURE__ */ React9.createElement("th", null, "quantity"), /* @__PURE__ */ React9.createElement("th", null, "peak"), /* @__PURE__ */ React9.createElement("th", null, "at"), /* @__PURE__ */ React9.createElement("th", null, "limit"), /* @__PURE__ */ React9.createElement("th", null, "headroom"))), /* @__PURE__ */ React9.createElement("tbody", null, LOAD_FIELDS.map(({ key, label, unit, limitKey }) => {
+    const peak = load.peaks[key];
+    const limit = vehicle[limitKey];
+    return /* @__PURE__ */ React9.createElement(
+      "tr",
+      {
+        key,
+        className: load.spans[key].length ? "row-bad" : void 0
+      },
+      /* @__PURE__ */ React9.createElement("td", null, label),
+      /* @__PURE__ */ React9.createElement("td", null, fmt2(peak.value), " ", unitLabel(unit)),
+      /* @__PURE__ */ React9.createElement("td", null, "t=", fmt2(peak.t), " ", unitLabel("s")),
+      /* @__PURE__ */ React9.createElement("td", null, fmt2(limit), " ", unitLabel(unit)),
+      /* @__PURE__ */ React9.createElement("td", null, fmt2(limit - peak.value), " ", unitLabel(unit))
+    );
+  }), /* @__PURE__ */ React9.createElement(
+    "tr",
+    {
+      className: load.peaks.thrust.value > maxThrust ? "row-bad" : void 0
+    },
+    /* @__PURE__ */ React9.createElement("td", null, "collective thrust"),
+    /* @__PURE__ */ React9.createElement("td", null, fmt2(load.peaks.thrust.value), " N"),
+    /* @__PURE__ */ React9.createElement("td", null, "t=", fmt2(load.peaks.thrust.t), " ", unitLabel("s")),
+    /* @__PURE__ */ React9.createElement("td", null, fmt2(maxThrust), " N"),
+    /* @__PURE__ */ React9.createElement("td", null, fmt2(maxThrust - load.peaks.thrust.value), " N (", fmt2(100 * (1 - load.peaks.thrust.value / maxThrust)), " %)")
+  ))), /* @__PURE__ */ React9.createElement("div", { className: "text-muted mt-2" }, "Point-mass estimate from the reference acceleration: no drag, no attitude dynamics, no thrust reserve for control.")));
+}
+var DEFAULT_SOLVER_TARGETS = { sizeX: 0, sizeY: 0, sizeZ: 0, time: 0 };
+function SolverPanel({ type, params, limits, onApply }) {
+  const fmt2 = useFmt2();
+  const unitLabel = useUnitLabel();
+  const [targets, setTargets] = useState9(DEFAULT_SOLVER_TARGETS);
+  const [solved, setSolved] = useState9(null);
+  const result = solved && solved.type === type && solved.params === params && solved.limits === limits && solved.targets === targets ? solved.result : null;
+  const handleSolve = () => setSolved({
+    type,
+    params,
+    limits,
+    targets,
+    result: solveParams(type, params, { ...limits, ...targets })
+  });
+  const handleTarget = (key) => (e) => {
+    const raw = parseFloat(e.target.value);
+    setTargets((prev) => ({ ...prev, [key]: Number.isFinite(raw) ? raw : 0 }));
+  };
+  const rows = [
+    ...LIMIT_FIELDS.map((f) => ({ ...f, target: limits[f.key] })),
+    ...SOLVER_TARGETS.map((f) => ({ ...f, target: targets[f.key] }))
+  ];
+  const changed = result?.ok ? Object.keys(type.sliders).filter((key) => result.params[key] !== params[key]) : [];
+  return /* @__PURE__ */ React9.createElement("div", { className: "card mt-6" }, /* @__PURE__ */ React9.createElement("div", { className: "section-label" }, "Solve for targets", " ", result && /* @__PURE__ */ React9.createElement("span", { className: result.ok ? "badge-ok" : "badge-bad" }, result.ok ? "solved" : "infeasible")), /* @__PURE__ */ React9.createElement("div", { className: "text-muted" }, "Keeps the frequencies, the amplitude proportions and the ramp share of the current parameters. Speed, acceleration and jerk come from the limits above; 0 turns a target off."), /* @__PURE__ */ React9.createElement("div", { className: "row wrap mt-2" }, SOLVER_TARGETS.map(({ key, label, unit, step }) => /* @__PURE__ */ React9.createElement("label", { key, className: "checkbox-label" }, label, /* @__PURE__ */ React9.createElement(
+    "input",
+    {
+      type: "number",
+      min: 0,
+      step,
+      value: targets[key],
+      onChange: handleTarget(key),
+      className: "number-input"
+    }
+  ), unitLabel(unit))), /* @__PURE__ */ React9.createElement("button", { onClick: handleSolve, className: "small-button push-right" }, "Solve")), !result ? /* @__PURE__ */ React9.createElement("div", { className: "text-muted mt-2" }, solved ? "The parameters, limits or targets changed since the last solve." : "Solve fits the parameters to these targets.") : result.ok ? /* @__PURE__ */ React9.createElement(React9.Fragment, null, /* @__PURE__ */ React9.createElement("table", { className: "summary-table mt-2" }, /* @__PURE__ */ React9.createElement("thead", null, /* @__PURE__ */ React9.createElement("tr", null, /* @__PURE__ */ React9.createElement("th", null, "target"), /* @__PURE__ */ React9.createElement("th", null, "value"), /* @__PURE__ */ React9.createElement("th", null, "solved"), /* @__PURE__ */ React9.createElement("th", null))), /* @__PURE__ */ React9.createElement("tbody", null, rows.map(({ key, label, unit, target }) => /* @__PURE__ */ React9.createElement("tr", { key }, /* @__PURE__ */ React9.createElement("td", null, label), /* @__PURE__ */ React9.createElement("td", null, target > 0 ? `${fmt2(target)} ${unitLabel(unit)}` : "off"), /* @__PURE__ */ React9.createElement("td", null, fmt2(result.achieved[key]), " ", unitLabel(unit)), /* @__PURE__ */ React9.createElement("td", null, result.active.includes(key) ? "active" : ""))))), result.shrink < 1 && /* @__PURE__ */ React9.createElement("div", { className: "parse-error mt-2" }, "To keep ", LIMIT_FIELDS.filter(({ key }) => result.active.includes(key)).map(({ label }) => label).join(", "), " within its limit at this total time, the path shrank to", " ", (result.shrink * 100).toFixed(0), " % of the solved size."), /* @__PURE__ */ React9.createElement("div", { className: "row mt-2" }, /* @__PURE__ */ React9.createElement("span", { className: "text-muted" }, changed.length ? changed.map((key) => `${key} ${params[key]} \u2192 ${result.params[key]}`).join(", ") : "The current parameters already are the solution."), /* @__PURE__ */ React9.createElement(
+    "button",
+    {
+      onClick: () => onApply(result.params),
+      disabled: !changed.length,
+      className: "small-button push-right"
+    },
+    "Apply"
+  ))) : /* @__PURE__ */ React9.createElement("div", { className: "parse-error" }, "Cannot meet the targets: ", result.reason, "."));
+}
+var MAX_PLOT_CYCLES = 20;
+function ClosurePanel({ closure, snaps, onSnap, cycles, onCycles }) {
+  const fmt2 = useFmt2();
+  const unitLabel = useUnitLabel();
+  const { closes, cycles: periodCycles, period, positionJump, velocityJump } = closure;
+  const canShowPeriod = Number.isFinite(periodCycles) && periodCycles > 0 && Math.ceil(periodCycles) <= MAX_PLOT_CYCLES && Math.ceil(periodCycles) !== cycles;
+  const handleCycles = (e) => {
+    const v = parseInt(e.target.value, 10);
+    if (Number.isFinite(v)) onCycles(Math.min(MAX_PLOT_CYCLES, Math.max(1, v)));
+  };
+  return /* @__PURE__ */ React9.createElement("div", { className: "card mt-6" }, /* @__PURE__ */ React9.createElement("div", { className: "section-label" }, "Closure", " ", /* @__PURE__ */ React9.createElement("span", { className: closes ? "badge-ok" : "badge-bad" }, closes ? "closes after one duration" : "open seam")), /* @__PURE__ */ React9.createElement("div", { className: "text-muted" }, periodCycles === 0 ? "No motion, so there is nothing to repeat." : Number.isFinite(periodCycles) ? `True period: ${fmt2(periodCycles)} \xD7 duration = ${fmt2(period)} ${unitLabel("s")}.` : "The frequency ratios do not repeat within 100 durations."), !closes && /* @__PURE__ */ React9.createElement(React9.Fragment, null, /* @__PURE__ */ React9.createElement("div", { className: "text-muted mt-2" }, "Restarting the pattern after one duration jumps by", " ", fmt2(positionJump), " ", unitLabel("m"), " in position and", " ", fmt2(velocityJump), " ", unitLabel("m/s"), " in velocity."), snaps.length > 0 && /* @__PURE__ */ React9.createElement("div", { className: "row wrap mt-2" }, /* @__PURE__ */ React9.createElement("span", { className: "label-sm" }, "snap"), snaps.map((snap) => /* @__PURE__ */ React9.createElement(
+    "button",
+    {
+      key: snap.kind,
+      onClick: () => onSnap(snap.params),
+      title: snap.kind === "scale" ? "same path and speed, closes after the new duration" : "nearest whole-number frequencies",
+      className: "small-button"
+    },
+    snap.label
+  )))), /* @__PURE__ */ React9.createElement("div", { className: "row mt-2" }, /* @__PURE__ */ React9.createElement("label", { className: "label-sm" }, "plot cycles"), /* @__PURE__ */ React9.createElement(
+    "input",
+    {
+      type: "number",
+      min: 1,
+      max: MAX_PLOT_CYCLES,
+      step: 1,
+      value: cycles,
+      onChange: handleCycles,
+      className: "number-input"
+    }
+  ), canShowPeriod && /* @__PURE__ */ React9.createElement(
+    "button",
+    {
+      onClick: () => onCycles(Math.ceil(periodCycles)),
+      className: "small-button"
+    },
+    "Show true period"
+  )));
+}
+var ARENA_FIELD_GROUPS = [
+  { label: "takeoff", unit: "m", keys: ["x0", "y0", "z0"] },
+  { label: "frame yaw", unit: "deg", keys: ["yawDeg"] },
+  { label: "box x", unit: "m", keys: ["xMin", "xMax"] },
+  { label: "box y", unit: "m", keys: ["yMin", "yMax"] },
+  { label: "box z", unit: "m", keys: ["zMin", "zMax"] },
+  { label: "margin", unit: "m", keys: ["margin"] }
+];
+var ARENA_STORAGE_KEY = "mc-raptor-trajectory-tool.arenas";
+function sanitizeArenaProfiles(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw.filter((p) => typeof p?.name === "string" && p.name.trim()).map((p) => ({ name: p.name.trim(), arena: sanitizeArena(p.arena) }));
+}
+function ArenaPanel({ arena, onChange, clearance, checking }) {
+  const fmt2 = useFmt2();
+  const unitLabel = useUnitLabel();
+  const [profiles, setProfiles] = useState9(
+    () => loadStored(ARENA_STORAGE_KEY, sanitizeArenaProfiles)
+  );
+  const [name, setName] = useState9("");
+  const update = (next) => {
+    setProfiles(next);
+    storeValue(ARENA_STORAGE_KEY, next);
+  };
+  const handleSave = () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    const profile = { name: trimmed, arena: { ...arena, enabled: true } };
+    const i = profiles.findIndex((p) => p.name === trimmed);
+    update(
+      i >= 0 ? profiles.map((p, j) => j === i ? profile : p) : [...profiles, profile]
+    );
+    setName("");
+  };
+  const handleField = (key) => (e) => {
+    const v = parseFloat(e.target.value);
+    if (Number.isFinite(v)) onChange({ ...arena, [key]: v });
+  };
+  return /* @__PURE__ */ React9.createElement("div", { className: "card mt-6" }, /* @__PURE__ */ React9.createElement("div", { className: "section-label" }, "Arena", " ", arena.enabled && clearance && checking && /* @__PURE__ */ React9.createElement("span", { className: "text-muted" }, "checking\u2026"), arena.enabled && clearance && !checking && /* @__PURE__ */ React9.createElement("span", { className: clearance.safe ? "badge-ok" : "badge-bad" }, clearance.safe ? "inside geofence" : clearance.inside ? "closer than margin" : "leaves geofence")), /* @__PURE__ */ React9.createElement("div", { className: "row wrap" }, /* @__PURE__ */ React9.createElement("label", { className: "checkbox-label" }, /* @__PURE__ */ React9.createElement(
+    "input",
+    {
+      type: "checkbox",
+      checked: arena.enabled,
+      onChange: (e) => onChange({ ...arena, enabled: e.target.checked })
+    }
+  ), "use arena"), /* @__PURE__ */ React9.createElement(
+    "select",
+    {
+      value: "",
+      onChange: (e) => {
+        const p = profiles[parseInt(e.target.value, 10)];
+        if (p) onChange({ ...p.arena, enabled: true });
+      },
+      className: "select-input"
+    },
+    /* @__PURE__ */ React9.createElement("option", { value: "", disabled: true }, "load profile\u2026"),
+    profiles.map((p, i) => /* @__PURE__ */ React9.createElement("option", { key: p.name, value: i }, p.name))
+  ), /* @__PURE__ */ React9.createElement(
+    "input",
+    {
+      type: "text",
+      value: name,
+      onChange: (e) => setName(e.target.value),
+      onKeyDown: (e) => e.key === "Enter" && handleSave(),
+      placeholder: "profile name",
+      className: "text-input"
+    }
+  ), /* @__PURE__ */ React9.createElement("button", { onClick: handleSave, className: "small-button" }, "Save"), /* @__PURE__ */ React9.createElement(
+    "button",
+    {
+      onClick: () => update(profiles.filter((p) => p.name !== name.trim())),
+      disabled: !profiles.some((p) => p.name === name.trim()),
+      className: "small-button"
+    },
+    "Delete"
+  )), arena.enabled && /* @__PURE__ */ React9.createElement(React9.Fragment, null, /* @__PURE__ */ React9.createElement("div", { className: "export-grid mt-2" }, ARENA_FIELD_GROUPS.map(({ label, unit, keys }) => /* @__PURE__ */ React9.createElement(React9.Fragment, { key: label }, /* @__PURE__ */ React9.createElement("label", { className: "label-sm" }, label, " [", unitLabel(unit), "]"), /* @__PURE__ */ React9.createElement("div", { className: "row" }, keys.map((key) => /* @__PURE__ */ React9.createElement(
+    "input",
+    {
+      key,
+      type: "number",
+      step: key === "yawDeg" ? 1 : 0.1,
+      value: arena[key],
+      onChange: handleField(key),
+      title: key,
+      className: "number-input"
+    }
+  )))))), clearance && /* @__PURE__ */ React9.createElement("table", { className: "summary-table mt-2" }, /* @__PURE__ */ React9.createElement("thead", null, /* @__PURE__ */ React9.createElement("tr", null, /* @__PURE__ */ React9.createElement("th", null, "wall"), /* @__PURE__ */ React9.createElement("th", null, "min clearance"), /* @__PURE__ */ React9.createElement("th", null, "at"))), /* @__PURE__ */ React9.createElement("tbody", null, clearance.walls.map((w) => /* @__PURE__ */ React9.createElement(
+    "tr",
+    {
+      key: w.label,
+      className: w.min < arena.margin ? "row-bad" : void 0
+    },
+    /* @__PURE__ */ React9.createElement("td", null, w.label),
+    /* @__PURE__ */ React9.createElement("td", null, fmt2(w.min), " ", unitLabel("m")),
+    /* @__PURE__ */ React9.createElement("td", null, "t=", fmt2(w.t), " ", unitLabel("s"))
+  ))))));
+}
+
+// src/shellpanel.jsx
+import React10, { useState as useState10, useEffect as useEffect7, useRef as useRef5 } from "react";
+
+// src/mock.js
+var PROMPT = "nsh> ";
+var UNBOUNDED = { min: -Number.MAX_VALUE, max: Number.MAX_VALUE };
+var FIRMWARE_TYPES = configureTypes(
+  Object.fromEntries(Object.keys(PARAM_SLIDERS).map((name) => [name, UNBOUNDED]))
+);
+function createMockVehicle({ sysid = 1, compid = 1 } = {}) {
+  const parser = createFrameParser();
+  const decoder = new TextDecoder();
+  let seq = 0;
+  let line = "";
+  let running = false;
+  let intref = null;
+  function execute(command) {
+    const tokens = command.trim().split(/\s+/).filter(Boolean);
+    if (!tokens.length) return "";
+    if (tokens[0] !== "mc_raptor") return `nsh: ${tokens[0]}: command not found
+`;
+    switch (tokens[1]) {
+      case "start":
+        if (running) return "mc_raptor already running\n";
+        running = true;
+        return "INFO  [mc_raptor] started\n";
+      case "stop":
+        if (!running) return "mc_raptor not running\n";
+        running = false;
+        intref = null;
+        return "INFO  [mc_raptor] stopped\n";
+      case "status":
+        if (!running) return "mc_raptor not running\n";
+        return `INFO  [mc_raptor] running, intref: ${intref ?? "none"}
+`;
+      case "intref": {
+        if (!running) return "mc_raptor not running\n";
+        const { errors } = parseCommand(command, FIRMWARE_TYPES);
+        if (errors.length) {
+          return errors.map((e) => `ERROR [mc_raptor] ${e.field}: ${e.message}
+`).join("");
+        }
+        intref = tokens.slice(2).join(" ");
+        return `INFO  [mc_raptor] intref ${tokens[2]} set
+`;
+      }
+      default:
+        return "Usage: mc_raptor <start|stop|status|intref ...>\n";
+    }
+  }
+  function input(text) {
+    let output = "";
+    for (const ch of text) {
+      if (ch === "\r") continue;
+      if (ch !== "\n") {
+        line += ch;
+        continue;
+      }
+      output += `${line}\r
+${execute(line).replace(/\n/g, "\r\n")}${PROMPT}`;
+      line = "";
+    }
+    return output;
+  }
+  const reply = (data) => encodeFrame(
+    MSG_SERIAL_CONTROL,
+    encodeSerialControl({
+      data,
+      flags: SERIAL_CONTROL_FLAG_REPLY,
+      device: SERIAL_CONTROL_DEV_SHELL
+    }),
+    { seq: seq++, sysid, compid }
+  );
+  return {
+    receive(chunk) {
+      let output = "";
+      for (const msg of parser.push(chunk)) {
+        if (msg.msgid !== MSG_SERIAL_CONTROL) continue;
+        const { device, data } = decodeSerialControl(msg.payload);
+        if (device === SERIAL_CONTROL_DEV_SHELL) {
+          output += input(decoder.decode(data, { stream: true }));
+        }
+      }
+      return shellChunks(output).map(reply);
+    },
+    state: () => ({ running, intref })
+  };
+}
+function connectMock(vehicle = createMockVehicle()) {
+  let open = true;
+  const transport = {
+    onData: null,
+    onClose: null,
+    send: (bytes) => {
+      if (!open) return;
+      for (const frame of vehicle.receive(bytes)) {
+        setTimeout(() => open && transport.onData?.(frame), 0);
+      }
+    },
+    close: () => {
+      if (!open) return;
+      open = false;
+      setTimeout(() => transport.onClose?.(), 0);
+    }
+  };
+  return Promise.resolve(transport);
+}
+
+// src/shellpanel.jsx
+var SHELL_LOG_LIMIT = 2e4;
+function ShellPanel({ command, warnings, checking }) {
+  const [transportKey, setTransportKey] = useState10("websocket");
+  const [url, setUrl] = useState10(DEFAULT_BRIDGE_URL);
+  const [baudRate, setBaudRate] = useState10(DEFAULT_BAUD_RATE);
+  const [status, setStatus] = useState10("disconnected");
+  const [error, setError] = useState10(null);
+  const [dryRun, setDryRun] = useState10(false);
+  const [pending, setPending] = useState10(null);
+  const [log, setLog] = useState10("");
+  const session = useRef5(null);
+  const appendLog = (text) => setLog((prev) => (prev + text.replace(/\r/g, "")).slice(-SHELL_LOG_LIMIT));
+  useEffect7(() => () => session.current?.close(), []);
+  const handleConnect = async () => {
+    setError(null);
+    setStatus("connecting");
+    try {
+      const transport = transportKey === "websocket" ? await connectWebSocket(url) : transportKey === "webserial" ? await connectWebSerial(baudRate) : await connectMock();
+      session.current = createShellSession(transport, {
+        onOutput: appendLog,
+        onClose: () => {
+          session.current = null;
+          setPending(null);
+          setStatus("disconnected");
+        }
+      });
+      setStatus("connected");
+    } catch (err) {
+      setError(err.message);
+      setStatus("disconnected");
+    }
+  };
+  const request = (label, text, cautions = []) => {
+    if (dryRun) {
+      appendLog(`[dry run] ${text}
+`);
+      return;
+    }
+    setPending({ label, command: text, cautions });
+  };
+  const handleConfirm = () => {
+    session.current?.run(pending.command);
+    setPending(null);
+  };
+  const connected = status === "connected";
+  const canSend = dryRun || connected;
+  return /* @__PURE__ */ React10.createElement("div", { className: "card mt-6" }, /* @__PURE__ */ React10.createElement("div", { className: "section-label" }, "Vehicle shell", " ", /* @__PURE__ */ React10.createElement("span", { className: connected ? "badge-ok" : "text-muted" }, status)), /* @__PURE__ */ React10.createElement("div", { className: "export-grid" }, /* @__PURE__ */ React10.createElement("label", { className: "label-sm" }, "link"), /* @__PURE__ */ React10.createElement("div", { className: "row wrap" }, /* @__PURE__ */ React10.createElement(
+    "select",
+    {
+      value: transportKey,
+      onChange: (e) => setTransportKey(e.target.value),
+      disabled: status !== "disconnected",
+      className: "select-input"
+    },
+    TRANSPORTS.map(({ key, label }) => /* @__PURE__ */ React10.createElement("option", { key, value: key }, label))
+  ), transportKey === "websocket" && /* @__PURE__ */ React10.createElement(
+    "input",
+    {
+      type: "text",
+      value: url,
+      onChange: (e) => setUrl(e.target.value),
+      disabled: status !== "disconnected",
+      className: "text-input"
+    }
+  ), transportKey === "webserial" && /* @__PURE__ */ React10.createElement(React10.Fragment, null, /* @__PURE__ */ React10.createElement(
+    "input",
+    {
+      type: "number",
+      min: 1,
+      step: 1,
+      value: baudRate,
+      onChange: (e) => setBaudRate(parseInt(e.target.value, 10)),
+      disabled: status !== "disconnected",
+      className: "number-input"
+    }
+  ), /* @__PURE__ */ React10.createElement("span", { className: "text-muted" }, "baud")), connected ? /* @__PURE__ */ React10.createElement("button", { onClick: () => session.current?.close(), className: "small-button" }, "Disconnect") : /* @__PURE__ */ React10.createElement(
+    "button",
+    {
+      onClick: handleConnect,
+      disabled: status === "connecting",
+      className: "small-button"
+    },
+    "Connect"
+  )), /* @__PURE__ */ React10.createElement("label", { className: "label-sm" }, "mode"), /* @__PURE__ */ React10.createElement("div", { className: "row" }, /* @__PURE__ */ React10.createElement("label", { className: "checkbox-label" }, /* @__PURE__ */ React10.createElement(
+    "input",
+    {
+      type: "checkbox",
+      checked: dryRun,
+      onChange: (e) => {
+        setDryRun(e.target.checked);
+        setPending(null);
+      }
+    }
+  ), "dry run (log commands, send nothing)"))), transportKey === "websocket" && /* @__PURE__ */ React10.createElement("div", { className: "text-muted mt-2" }, "The bridge forwards raw MAVLink bytes as binary WebSocket messages. Without a vehicle, ", /* @__PURE__ */ React10.createElement("code", null, "npm run mock-vehicle"), " serves a mock shell at ", DEFAULT_BRIDGE_URL, "."), error && /* @__PURE__ */ React10.createElement("div", { className: "parse-error mt-2" }, error), /* @__PURE__ */ React10.createElement("div", { className: "row wrap mt-2" }, /* @__PURE__ */ React10.createElement(
+    "button",
+    {
+      onClick: () => request("Send trajectory", command, warnings),
+      disabled: !canSend || checking || !command,
+      title: !command ? "no intref mode flies this trajectory type" : checking ? "checking the new parameters against the limits" : void 0,
+      className: "copy-button"
+    },
+    "Send command"
+  ), SHELL_ACTIONS.map(({ key, label, command: action }) => /* @__PURE__ */ React10.createElement(
+    "button",
+    {
+      key,
+      onClick: () => request(label, action),
+      disabled: !canSend,
+      className: "small-button",
+      title: action
+    },
+    label
+  ))), pending && /* @__PURE__ */ React10.createElement("div", { className: "confirm-box mt-2" }, /* @__PURE__ */ React10.createElement("div", null, pending.label, ": ", /* @__PURE__ */ React10.createElement("code", null, pending.command)), pending.cautions.map((c) => /* @__PURE__ */ React10.createElement("div", { key: c, className: "parse-error" }, c)), /* @__PURE__ */ React10.createElement("div", { className: "row mt-2" }, /* @__PURE__ */ React10.createElement("button", { onClick: handleConfirm, disabled: !connected, className: "copy-button" }, "Confirm and send"), /* @__PURE__ */ React10.createElement("button", { onClick: () => setPending(null), className: "small-button" }, "Cancel"))), log && /* @__PURE__ */ React10.createElement(React10.Fragment, null, /* @__PURE__ */ React10.createElement("pre", { className: "shell-log mt-2" }, log), /* @__PURE__ */ React10.createElement("div", { className: "row mt-2" }, /* @__PURE__ */ React10.createElement("button", { onClick: () => setLog(""), className: "small-button" }, "Clear output"))));
+}
+
+// src/app.jsx
+var LOAD_SIGNALS = LOAD_FIELDS.map(({ key, label, unit }) => ({
+  key,
+  label,
+  unit,
+  group: "load"
+}));
+function LissajousTuner({
+  initialType = DEFAULT_TYPE,
+  initialParams,
+  sliders,
+  locale = DEFAULT_LOCALE,
+  units,
+  onParamsChange,
+  onCommand,
+  syncUrl = false
+}) {
+  const slidersKey = JSON.stringify(sliders ?? {});
+  const types = useMemo5(() => configureTypes(JSON.parse(slidersKey)), [slidersKey]);
+  const [urlState] = useState11(() => syncUrl ? readUrlState(types) : null);
+  const unitsKey = JSON.stringify(units ?? {});
+  const unitNames = useMemo5(() => ({ ...DEFAULT_UNITS, ...JSON.parse(unitsKey) }), [unitsKey]);
+  const unitLabel = useMemo5(() => makeUnitLabel(unitNames), [unitNames]);
+  const fmt2 = useMemo5(() => makeFmt2(locale), [locale]);
+  const [typeKey, setTypeKey] = useState11(
+    urlState?.typeKey ?? (types[initialType] ? initialType : DEFAULT_TYPE)
+  );
+  const type = types[typeKey];
+  const [paramsByType, setParamsByType] = useState11(() => {
+    const byType = defaultParamsByType();
+    if (urlState) {
+      byType[urlState.typeKey] = urlState.params;
+    } else if (initialParams && types[initialType]) {
+      byType[initialType] = sanitizeParams(initialType, initialParams, types);
+    }
+    return byType;
+  });
+  const params = paramsByType[typeKey];
+  const setParams = (update) => setParamsByType((prev) => ({ ...prev, [typeKey]: update(prev[typeKey]) }));
+  const [copied, setCopied] = useState11(false);
+  const mavlinkCommand = useMemo5(
+    () => isFlyable(type) ? type.command(params) : null,
+    [type, params]
+  );
+  const callbacks = useRef6({});
+  callbacks.current = { onParamsChange, onCommand };
+  useEffect8(() => {
+    callbacks.current.onParamsChange?.(typeKey, params);
+  }, [typeKey, params]);
+  useEffect8(() => {
+    callbacks.current.onCommand?.(mavlinkCommand);
+  }, [mavlinkCommand]);
+  const copyToClipboard = () => {
+    navigator.clipboard.writeText(mavlinkCommand).then(() => {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2e3);
+    });
+  };
+  const [pasted, setPasted] = useState11("");
+  const [parsed, setParsed] = useState11(null);
+  const loadParams = (key, loaded) => {
+    setTypeKey(key);
+    setParamsByType((prev) => ({ ...prev, [key]: { ...prev[key], ...loaded } }));
+  };
+  const handleParse = () => {
+    const results = parseCommands(pasted, types);
+    setParsed(results);
+    if (results.length === 1 && results[0].errors.length === 0) {
+      loadParams(results[0].typeKey, results[0].params);
+    }
+  };
+  const [ampMax, setAmpMax] = useState11(
+    () => Math.max(
+      ...Object.values(types).flatMap(
+        (t2) => Object.values(t2.sliders).filter((cfg) => cfg.amp).map((cfg) => cfg.max)
+      )
+    )
+  );
+  useEffect8(() => {
+    const amps = Object.keys(type.sliders).filter((key) => type.sliders[key].amp).map((key) => params[key]);
+    setAmpMax((prev) => Math.max(prev, ...amps));
+  }, [type, params]);
+  const [cycles, setCycles] = useState11(1);
+  const plotTime = useMemo5(() => plotHorizon(params, cycles), [params, cycles]);
+  const closure = useMemo5(() => periodicity(type, params), [type, params]);
+  const snaps = useMemo5(
+    () => closingSnaps(type, params, unitLabel),
+    [type, params, unitLabel]
+  );
+  const timeBarHalf = useMemo5(() => {
+    if (!(plotTime > 0)) return 0.01;
+    const w = plotTime / 600;
+    return Math.min(0.25, Math.max(0.01, w));
+  }, [plotTime]);
+  const [t, setT] = useState11(urlState?.t ?? 0);
+  useEffect8(() => {
+    setT((prev) => Math.min(prev, plotTime));
+  }, [plotTime]);
+  useEffect8(() => {
+    if (!syncUrl) return void 0;
+    const id = setTimeout(() => writeUrlState(typeKey, params, t), 250);
+    return () => clearTimeout(id);
+  }, [syncUrl, typeKey, params, t]);
+  const handleChange = (key) => (e) => {
+    const baseCfg = type.sliders[key] ?? { step: 0.01, min: -Infinity, max: Infinity };
+    const isAmpAB = !!baseCfg.amp;
+    const cfg = isAmpAB ? { ...baseCfg, max: ampMax } : baseCfg;
+    const raw = parseFloat(e.target.value);
+    if (!Number.isFinite(raw)) return;
+    const v0 = snapToStep(raw, cfg.step);
+    let maxForClamp = cfg.max;
+    if (isAmpAB && e.target.type === "number" && v0 > ampMax) {
+      maxForClamp = v0;
+      setAmpMax(v0);
+    }
+    const v = Math.min(maxForClamp, Math.max(cfg.min, v0));
+    setParams((prev) => ({ ...prev, [key]: v }));
+  };
+  const history = useParamHistory(typeKey, params, loadParams);
+  const [selectedKey, setSelectedKey] = useState11(null);
+  const sliderKeys = Object.keys(type.sliders);
+  const nudge = (key, steps) => {
+    const baseCfg = type.sliders[key];
+    const max = baseCfg.amp ? ampMax : baseCfg.max;
+    setParams((prev) => ({
+      ...prev,
+      [key]: Math.min(
+        max,
+        Math.max(baseCfg.min, snapToStep(prev[key] + steps * baseCfg.step, baseCfg.step))
+      )
+    }));
+  };
+  const handleAmplitude = (handle, amplitude, v) => {
+    const cfg = type.sliders[handle.key];
+    let next = amplitudeForHandle(handle, amplitude, v, cfg);
+    if (cfg.amp) {
+      if (next > ampMax) setAmpMax(next);
+    } else {
+      next = Math.min(cfg.max, next);
+    }
+    setParams((prev) => prev[handle.key] === next ? prev : { ...prev, [handle.key]: next });
+  };
+  const keyHandler = useRef6(null);
+  keyHandler.current = (e) => {
+    if (e.target.closest?.("input, textarea, select, [contenteditable]")) return;
+    const mod = e.ctrlKey || e.metaKey;
+    if (mod && e.key.toLowerCase() === "z") {
+      e.preventDefault();
+      if (e.shiftKey) history.redo();
+      else history.undo();
+    } else if (mod && e.key.toLowerCase() === "y") {
+      e.preventDefault();
+      history.redo();
+    } else if (mod || e.altKey) {
+      return;
+    } else if (/^[1-9]$/.test(e.key) && sliderKeys[Number(e.key) - 1]) {
+      setSelectedKey(sliderKeys[Number(e.key) - 1]);
+    } else if (e.key === "Escape") {
+      setSelectedKey(null);
+    } else if ((e.key === "ArrowUp" || e.key === "ArrowDown") && sliderKeys.includes(selectedKey)) {
+      e.preventDefault();
+      nudge(selectedKey, (e.key === "ArrowUp" ? 1 : -1) * (e.shiftKey ? 10 : 1));
+    }
+  };
+  useEffect8(() => {
+    const onKey = (e) => keyHandler.current(e);
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+  const handleTime = (e) => {
+    const raw = parseFloat(e.target.value);
+    if (!Number.isFinite(raw)) return;
+    const v = snapToStep(raw, 0.01);
+    setT(Math.min(Math.max(0, v), plotTime));
+  };
+  const playback = usePlayback(t, setT, plotTime);
+  const sampled = useSampledTrajectory(typeKey, params, plotTime);
+  const trajectory = sampled.exact;
+  const checking = sampled.stale;
+  const [limits, setLimits] = useState11(DEFAULT_LIMITS);
+  const handleLimit = (key) => (e) => {
+    const raw = parseFloat(e.target.value);
+    setLimits((prev) => ({ ...prev, [key]: Number.isFinite(raw) ? raw : 0 }));
+  };
+  const plotData = useMemo5(
+    () => sampled.display.map((p) => {
+      const over = {};
+      let any = false;
+      for (const { key } of LIMIT_FIELDS) {
+        const bad = exceeds(p[key], limits[key]);
+        over[`${key}Over`] = bad ? p[key] : null;
+        any = any || bad;
+      }
+      return { ...p, ...over, xOver: any ? p.x : null, zOver: any ? p.z : null };
+    }),
+    [sampled.display, limits]
+  );
+  const feasibility = useMemo5(() => {
+    const peaks = {};
+    const spans = {};
+    for (const { key } of LIMIT_FIELDS) {
+      peaks[key] = findPeak(trajectory, key);
+      spans[key] = violationSpans(trajectory, key, limits[key]);
+    }
+    const ok = LIMIT_FIELDS.every(({ key }) => spans[key].length === 0);
+    return { peaks, spans, ok };
+  }, [trajectory, limits]);
+  const accStep = useMemo5(() => rampAccStep(type, params), [type, params]);
+  const [flightLog, setFlightLog] = useState11(null);
+  const [align, setAlign] = useState11({ start: 0, yawDeg: null });
+  const evalRef = (tau) => type.eval(tau, params);
+  const yawRad = (yawDeg) => yawDeg === null ? null : yawDeg * Math.PI / 180;
+  const autoAlignLog = (log, yawDeg) => {
+    if (!(plotTime > 0)) return;
+    const start = autoAlign(log, evalRef, plotTime, yawRad(yawDeg));
+    setAlign((prev) => ({ ...prev, start: parseFloat(start.toFixed(3)) }));
+  };
+  const handleLogLoad = (log) => {
+    setFlightLog(log);
+    autoAlignLog(log, align.yawDeg);
+  };
+  const tracking = useMemo5(() => {
+    if (!flightLog || !(plotTime > 0)) return null;
+    return trackingError(
+      flightLog,
+      evalRef,
+      plotTime,
+      align.start,
+      yawRad(align.yawDeg)
+    );
+  }, [flightLog, align, type, params, plotTime]);
+  const live = useLiveTelemetry();
+  const [liveYawDeg, setLiveYawDeg] = useState11(null);
+  const [followLive, setFollowLive] = useState11(true);
+  const liveTracking = useMemo5(() => {
+    if (live.start === null || !live.samples.length || !(plotTime > 0)) return null;
+    return trackingError(
+      { samples: live.samples, frame: "ned" },
+      evalRef,
+      plotTime,
+      live.start,
+      yawRad(liveYawDeg)
+    );
+  }, [live.samples, live.start, liveYawDeg, type, params, plotTime]);
+  const liveElapsed = live.start !== null && live.samples.length ? live.samples[live.samples.length - 1].t - live.start : null;
+  const liveNow = liveTracking?.count > 0 ? liveTracking.series[liveTracking.series.length - 1] : null;
+  useEffect8(() => {
+    if (followLive && liveElapsed !== null) {
+      setT(Math.min(Math.max(0, liveElapsed), plotTime));
+    }
+  }, [followLive, liveElapsed, plotTime]);
+  const cur = useMemo5(() => {
+    if (!(params.duration > 0))
+      return {
+        x: 0,
+        y: 0,
+        z: 0,
+        vx: 0,
+        vy: 0,
+        vz: 0,
+        speed: 0,
+        ax: 0,
+        ay: 0,
+        az: 0,
+        acc: 0,
+        jerk: 0,
+        progress: 0,
+        time_velocity: 0
+      };
+    return type.eval(t, params);
+  }, [t, type, params]);
+  const [vehicle, setVehicle] = useState11(DEFAULT_VEHICLE);
+  const load = useMemo5(() => {
+    if (!vehicle.enabled) return null;
+    const series = vehicleLoad(trajectory, vehicle);
+    const data = series.map((p) => {
+      const over = {};
+      for (const { key, limitKey } of LOAD_FIELDS) {
+        over[`${key}Over`] = exceeds(p[key], vehicle[limitKey]) ? p[key] : null;
+      }
+      return { ...p, ...over };
+    });
+    const peaks = Object.fromEntries(
+      ["thrust", ...LOAD_FIELDS.map(({ key }) => key)].map((key) => [
+        key,
+        findPeak(series, key)
+      ])
+    );
+    const spans = Object.fromEntries(
+      LOAD_FIELDS.map(({ key, limitKey }) => [
+        key,
+        violationSpans(series, key, vehicle[limitKey])
+      ])
+    );
+    const ok = LOAD_FIELDS.every(({ key }) => spans[key].length === 0);
+    return { data, peaks, spans, ok };
+  }, [trajectory, vehicle]);
+  const curLoad = useMemo5(() => thrustAndTilt(cur, vehicle), [cur, vehicle]);
+  const loadLimits = useMemo5(
+    () => Object.fromEntries(LOAD_FIELDS.map(({ key, limitKey }) => [key, vehicle[limitKey]])),
+    [vehicle]
+  );
+  const [baseline, setBaseline] = useState11(null);
+  const baselineTrajectory = useMemo5(() => {
+    if (!baseline) return null;
+    const horizon = plotHorizon(baseline.params, cycles);
+    return samplePlot(
+      types[baseline.typeKey],
+      baseline.params,
+      horizon,
+      coarseSteps(horizon)
+    );
+  }, [baseline, cycles, types]);
+  const current = useMemo5(() => ({ typeKey, params }), [typeKey, params]);
+  const [arena, setArena] = useState11(DEFAULT_ARENA);
+  const outlines = useMemo5(
+    () => arena.enabled ? arenaOutlines(arena) : null,
+    [arena]
+  );
+  const clearance = useMemo5(
+    () => arena.enabled && trajectory.length ? arenaClearance(trajectory, arena) : null,
+    [trajectory, arena]
+  );
+  const shellWarnings = useMemo5(() => {
+    const warnings = [];
+    if (!feasibility.ok) warnings.push("exceeds a speed, acceleration or jerk limit");
+    if (load && !load.ok) warnings.push("exceeds the vehicle's thrust or tilt limit");
+    if (clearance && !clearance.safe) warnings.push("leaves the geofence or its margin");
+    return warnings;
+  }, [feasibility, load, clearance]);
+  const bounds = useMemo5(() => {
+    const shown = sampled.display;
+    if (!shown.length) {
+      return {
+        xDomain: [-1, 1],
+        yDomain: [-1, 1],
+        zDomain: [-0.5, 0.5]
+      };
+    }
+    let xMin = Infinity, xMax = -Infinity, yMin = Infinity, yMax = -Infinity, zMin = Infinity, zMax = -Infinity;
+    const points = shown.concat(
+      arena.enabled ? arenaCorners(arena) : [],
+      baselineTrajectory ?? []
+    );
+    for (const p of points) {
+      if (p.x < xMin) xMin = p.x;
+      if (p.x > xMax) xMax = p.x;
+      if (p.y < yMin) yMin = p.y;
+      if (p.y > yMax) yMax = p.y;
+      if (p.z < zMin) zMin = p.z;
+      if (p.z > zMax) zMax = p.z;
+    }
+    const cx = (xMin + xMax) / 2;
+    const cy = (yMin + yMax) / 2;
+    const range = Math.max(xMax - xMin, yMax - yMin);
+    const pad = range > 0 ? range * 0.06 : 0.1;
+    const half = range / 2 + pad;
+    const cz = (zMin + zMax) / 2;
+    const zRange = zMax - zMin;
+    const zHalf = Math.max(zRange / 2 + (zRange > 0 ? zRange * 0.06 : 0), half / 2);
+    return {
+      xDomain: [cx - half, cx + half],
+      yDomain: [cy - half, cy + half],
+      zDomain: [cz - zHalf, cz + zHalf]
+    };
+  }, [sampled.display, arena, baselineTrajectory]);
+  const handles = useMemo5(() => extentHandles(type, sampled.display), [type, sampled.display]);
+  const xyData = useMemo5(() => decimate(plotData, "x"), [plotData]);
+  const xyLines = useMemo5(
+    () => [
+      { data: plotData, xKey: "y", yKey: "x", color: "#2563eb" },
+      { data: plotData, xKey: "y", yKey: "xOver", color: "#f97316", width: 3 }
+    ],
+    [plotData]
+  );
+  const xyTicks = useMemo5(() => {
+    return {
+      xTicks: makePow10Ticks(bounds.xDomain, 9),
+      yTicks: makePow10Ticks(bounds.yDomain, 9)
+    };
+  }, [bounds]);
+  return /* @__PURE__ */ React11.createElement(LocaleContext.Provider, { value: locale }, /* @__PURE__ */ React11.createElement(UnitsContext.Provider, { value: unitNames }, /* @__PURE__ */ React11.createElement("div", { className: "container" }, /* @__PURE__ */ React11.createElement("div", { className: "card mb-6" }, /* @__PURE__ */ React11.createElement("div", { className: "row" }, /* @__PURE__ */ React11.createElement("div", { className: "label" }, "trajectory"), /* @__PURE__ */ React11.createElement(
+    "select",
+    {
+      value: typeKey,
+      onChange: (e) => setTypeKey(e.target.value),
+      className: "select-input"
+    },
+    Object.entries(types).map(([key, { label }]) => /* @__PURE__ */ React11.createElement("option", { key, value: key }, label))
+  ), type.note && /* @__PURE__ */ React11.createElement("span", { className: "text-muted" }, type.note))), /* @__PURE__ */ React11.createElement("div", { className: "card mb-6" }, /* @__PURE__ */ React11.createElement("div", { className: "row" }, /* @__PURE__ */ React11.createElement("div", { className: "label" }, "time"), /* @__PURE__ */ React11.createElement(
+    "input",
+    {
+      type: "range",
+      min: 0,
+      max: plotTime,
+      step: 0.01,
+      value: t,
+      onChange: handleTime,
+      onInput: handleTime,
+      className: "range-input"
+    }
+  ), /* @__PURE__ */ React11.createElement("div", { className: "time-display" }, t.toFixed(2), " ", unitLabel("s"))), /* @__PURE__ */ React11.createElement(
+    TransportControls,
+    {
+      playback,
+      disabled: !(plotTime > 0),
+      onRewind: () => setT(0)
+    }
+  )), /* @__PURE__ */ React11.createElement("div", { className: "grid-2" }, sliderKeys.map((key, i) => {
+    const baseCfg = type.sliders[key];
+    const isAmpAB = !!baseCfg.amp;
+    const cfg = isAmpAB ? { ...baseCfg, max: ampMax } : baseCfg;
+    return /* @__PURE__ */ React11.createElement(
+      "div",
+      {
+        key,
+        onClick: () => setSelectedKey(key),
+        className: key === selectedKey ? "card-sm flex-col card-selected" : "card-sm flex-col"
+      },
+      /* @__PURE__ */ React11.createElement("label", { className: "label-sm" }, key, PARAM_UNITS[key] && ` [${unitLabel(PARAM_UNITS[key])}]`, " ", i < 9 && /* @__PURE__ */ React11.createElement("span", { className: "text-muted" }, "[", i + 1, "]")),
+      /* @__PURE__ */ React11.createElement("div", { className: "row" }, /* @__PURE__ */ React11.createElement(
+        "input",
+        {
+          type: "range",
+          min: cfg.min,
+          max: cfg.max,
+          step: cfg.step,
+          value: params[key],
+          onChange: handleChange(key),
+          onInput: handleChange(key),
+          className: "range-input"
+        }
+      ), /* @__PURE__ */ React11.createElement(
+        "input",
+        {
+          type: "number",
+          min: cfg.min,
+          step: cfg.step,
+          value: params[key],
+          onChange: handleChange(key),
+          onInput: handleChange(key),
+          className: "number-input"
+        }
+      )),
+      /* @__PURE__ */ React11.createElement("span", { className: "text-muted" }, formatParam(baseCfg, params[key]))
+    );
+  })), /* @__PURE__ */ React11.createElement(HistoryPanel, { history, selectedKey }), /* @__PURE__ */ React11.createElement("div", { className: "card" }, /* @__PURE__ */ React11.createElement("div", { className: "chart-container" }, /* @__PURE__ */ React11.createElement(ResponsiveContainer2, { width: "100%", aspect: 1 }, /* @__PURE__ */ React11.createElement(
+    LineChart2,
+    {
+      data: xyData,
+      margin: { top: 10, right: 52, bottom: 28, left: 44 },
+      className: "xy-chart"
+    },
+    /* @__PURE__ */ React11.createElement(CartesianGrid2, { strokeDasharray: "3 3" }),
+    /* @__PURE__ */ React11.createElement(
+      XAxis2,
+      {
+        dataKey: "y",
+        type: "number",
+        domain: bounds.yDomain,
+        ticks: xyTicks.yTicks,
+        allowDataOverflow: true,
+        axisLine: true,
+        tickLine: true,
+        reversed: true,
+        tickFormatter: fmt2,
+        label: {
+          value: `y (left) [${unitLabel("m")}]`,
+          position: "insideBottomRight",
+          offset: -8
+        }
+      }
+    ),
+    /* @__PURE__ */ React11.createElement(
+      YAxis2,
+      {
+        dataKey: "x",
+        type: "number",
+        domain: bounds.xDomain,
+        ticks: xyTicks.xTicks,
+        orientation: "right",
+        allowDataOverflow: true,
+        axisLine: true,
+        tickLine: true,
+        tickFormatter: fmt2,
+        label: {
+          value: `x (forward) [${unitLabel("m")}]`,
+          angle: 90,
+          position: "right",
+          offset: 18
+        }
+      }
+    ),
+    /* @__PURE__ */ React11.createElement(ReferenceLine2, { x: 0, strokeOpacity: 0.35 }),
+    /* @__PURE__ */ React11.createElement(ReferenceLine2, { y: 0, strokeOpacity: 0.35 }),
+    /* @__PURE__ */ React11.createElement(
+      Tooltip2,
+      {
+        formatter: (value, name) => [`${fmt2(value)} ${unitLabel("m")}`, name],
+        labelFormatter: () => ""
+      }
+    ),
+    /* @__PURE__ */ React11.createElement(
+      Line2,
+      {
+        type: "linear",
+        dataKey: "x",
+        name: "x (forward)",
+        stroke: "none",
+        dot: false,
+        activeDot: { r: 3, fill: "#2563eb" },
+        isAnimationActive: false
+      }
+    ),
+    /* @__PURE__ */ React11.createElement(Customized2, { component: /* @__PURE__ */ React11.createElement(CanvasLines, { lines: xyLines }) }),
+    flownLine(tracking?.series, "x"),
+    liveLine(liveTracking?.series, "x"),
+    baselineLine(baselineTrajectory, "x"),
+    arenaLine(outlines?.xy, "x"),
+    /* @__PURE__ */ React11.createElement(
+      ReferenceDot2,
+      {
+        x: cur.y,
+        y: cur.x,
+        r: 6,
+        fill: "#ef4444",
+        stroke: "#991b1b",
+        isFront: true
+      }
+    ),
+    liveNow && /* @__PURE__ */ React11.createElement(
+      ReferenceDot2,
+      {
+        x: liveNow.y,
+        y: liveNow.x,
+        r: 5,
+        fill: LIVE_COLOR,
+        stroke: "#155e75",
+        isFront: true
+      }
+    ),
+    /* @__PURE__ */ React11.createElement(
+      Customized2,
+      {
+        component: /* @__PURE__ */ React11.createElement(
+          XYHandles,
+          {
+            handles,
+            params,
+            path: sampled.display,
+            marker: cur,
+            t,
+            onAmplitude: handleAmplitude,
+            onScrub: setT
+          }
+        )
+      }
+    )
+  ))), handles.length > 0 && /* @__PURE__ */ React11.createElement("div", { className: "text-muted" }, "drag the square grips to set ", [...new Set(handles.map((h) => h.key))].join(" and "), ", the red marker to move t"), liveNow && /* @__PURE__ */ React11.createElement("div", { className: "text-muted" }, "vehicle at t=", fmt2(liveElapsed), " ", unitLabel("s"), ",", " ", fmt2(liveNow.e), " ", unitLabel("m"), " from the reference")), /* @__PURE__ */ React11.createElement("div", { className: "grid-2 mt-6" }, /* @__PURE__ */ React11.createElement(
+    SideViewCard,
+    {
+      title: "XZ side view (from the right)",
+      data: plotData,
+      hKey: "x",
+      hLabel: `x (forward) [${unitLabel("m")}]`,
+      hDomain: bounds.xDomain,
+      zDomain: bounds.zDomain,
+      curH: cur.x,
+      curZ: cur.z,
+      overlay: tracking?.series,
+      outline: outlines?.xz
+    }
+  ), /* @__PURE__ */ React11.createElement(
+    SideViewCard,
+    {
+      title: "YZ side view (from behind)",
+      data: plotData,
+      hKey: "y",
+      hLabel: `y (left) [${unitLabel("m")}]`,
+      hDomain: bounds.yDomain,
+      hReversed: true,
+      zDomain: bounds.zDomain,
+      curH: cur.y,
+      curZ: cur.z,
+      overlay: tracking?.series,
+      outline: outlines?.yz
+    }
+  )), /* @__PURE__ */ React11.createElement("div", { className: "card" }, /* @__PURE__ */ React11.createElement("div", { className: "section-label" }, "3D trajectory"), /* @__PURE__ */ React11.createElement("div", { className: "chart-container" }, /* @__PURE__ */ React11.createElement(
+    Trajectory3DView,
+    {
+      data: sampled.display,
+      cur,
+      bounds,
+      arena: arena.enabled ? arenaCorners(arena) : null,
+      groundZ: arena.enabled ? -arena.z0 : 0
+    }
+  ))), /* @__PURE__ */ React11.createElement(
+    TimeSeriesPanel,
+    {
+      data: plotData,
+      plotTime,
+      t,
+      timeBarHalf,
+      cur,
+      limits,
+      spans: feasibility.spans,
+      overlay: tracking?.series,
+      baseline: baselineTrajectory,
+      onSetT: (v) => setT(Math.min(Math.max(0, v), plotTime))
+    }
+  ), load && /* @__PURE__ */ React11.createElement(
+    TimeSeriesPanel,
+    {
+      title: "Required thrust and tilt",
+      catalog: LOAD_SIGNALS,
+      limitFields: LOAD_FIELDS,
+      initialCharts: LOAD_FIELDS.map(({ key }) => [key]),
+      data: load.data,
+      plotTime,
+      t,
+      timeBarHalf,
+      cur: curLoad,
+      limits: loadLimits,
+      spans: load.spans,
+      onSetT: (v) => setT(Math.min(Math.max(0, v), plotTime))
+    }
+  ), tracking?.count > 0 && /* @__PURE__ */ React11.createElement(TrackingErrorCard, { tracking, plotTime, t }), /* @__PURE__ */ React11.createElement("div", { className: "card mt-6" }, /* @__PURE__ */ React11.createElement("div", { className: "section-label" }, "Feasibility", " ", checking ? /* @__PURE__ */ React11.createElement("span", { className: "text-muted" }, "checking\u2026") : /* @__PURE__ */ React11.createElement("span", { className: feasibility.ok ? "badge-ok" : "badge-bad" }, feasibility.ok ? "within limits" : "limits exceeded")), /* @__PURE__ */ React11.createElement("table", { className: checking ? "summary-table stale" : "summary-table" }, /* @__PURE__ */ React11.createElement("thead", null, /* @__PURE__ */ React11.createElement("tr", null, /* @__PURE__ */ React11.createElement("th", null, "quantity"), /* @__PURE__ */ React11.createElement("th", null, "peak"), /* @__PURE__ */ React11.createElement("th", null, "at"), /* @__PURE__ */ React11.createElement("th", null, "limit"))), /* @__PURE__ */ React11.createElement("tbody", null, LIMIT_FIELDS.map(({ key, label, unit, step }) => {
+    const peak = feasibility.peaks[key];
+    const bad = feasibility.spans[key].length > 0;
+    return /* @__PURE__ */ React11.createElement("tr", { key, className: bad ? "row-bad" : void 0 }, /* @__PURE__ */ React11.createElement("td", null, label), /* @__PURE__ */ React11.createElement("td", null, fmt2(peak.value), " ", unitLabel(unit)), /* @__PURE__ */ React11.createElement("td", null, "t=", fmt2(peak.t), " ", unitLabel("s")), /* @__PURE__ */ React11.createElement("td", null, /* @__PURE__ */ React11.createElement(
+      "input",
+      {
+        type: "number",
+        min: 0,
+        step,
+        value: limits[key],
+        onChange: handleLimit(key),
+        className: "number-input"
+      }
+    ), " ", unitLabel(unit)));
+  }))), accStep > 0 && /* @__PURE__ */ React11.createElement("div", { className: "text-muted mt-2" }, "The ramp ends at t=", fmt2(params.ramp_duration), " ", unitLabel("s"), " ", "with an acceleration step of ", fmt2(accStep), " ", unitLabel("m/s\xB2"), ", so the jerk there is an impulse that the peak above does not include.")), /* @__PURE__ */ React11.createElement(
+    ComparisonPanel,
+    {
+      baseline,
+      current,
+      onPin: () => setBaseline(current),
+      onClear: () => setBaseline(null),
+      onRestore: () => loadParams(baseline.typeKey, baseline.params)
+    }
+  ), /* @__PURE__ */ React11.createElement(
+    VehiclePanel,
+    {
+      vehicle,
+      onChange: setVehicle,
+      load,
+      checking
+    }
+  ), /* @__PURE__ */ React11.createElement(
+    SolverPanel,
+    {
+      type,
+      params,
+      limits,
+      onApply: (next) => setParams(() => next)
+    }
+  ), /* @__PURE__ */ React11.createElement(
+    ClosurePanel,
+    {
+      closure,
+      snaps,
+      onSnap: (next) => setParams(() => next),
+      cycles,
+      onCycles: setCycles
+    }
+  ), /* @__PURE__ */ React11.createElement(
+    ArenaPanel,
+    {
+      arena,
+      onChange: setArena,
+      clearance,
+      checking
+    }
+  ), /* @__PURE__ */ React11.createElement("div", { className: "card mt-6" }, /* @__PURE__ */ React11.createElement("div", { className: "section-label" }, "Mavlink Shell Command", " ", clearance && checking ? /* @__PURE__ */ React11.createElement("span", { className: "text-muted" }, "checking geofence\u2026") : clearance ? /* @__PURE__ */ React11.createElement("span", { className: clearance.safe ? "badge-ok" : "badge-bad" }, clearance.safe ? "safe: inside geofence" : "not safe: path leaves the geofence or its margin") : /* @__PURE__ */ React11.createElement("span", { className: "text-muted" }, "no geofence check")), /* @__PURE__ */ React11.createElement("div", { className: "command-row" }, /* @__PURE__ */ React11.createElement(
+    "code",
+    {
+      className: clearance && !checking && !clearance.safe ? "command-output command-unsafe" : "command-output"
+    },
+    mavlinkCommand ?? "none: no intref mode flies this trajectory type"
+  ), /* @__PURE__ */ React11.createElement(
+    "button",
+    {
+      onClick: copyToClipboard,
+      disabled: !mavlinkCommand,
+      className: "copy-button",
+      title: "Copy to clipboard"
+    },
+    copied ? "\u2713 Copied" : "Copy"
+  ))), /* @__PURE__ */ React11.createElement(ShellPanel, { command: mavlinkCommand, warnings: shellWarnings, checking }), /* @__PURE__ */ React11.createElement(
+    ExportPanel,
+    {
+      typeKey,
+      params,
+      command: mavlinkCommand,
+      plotTime
+    }
+  ), /* @__PURE__ */ React11.createElement(
+    ReportPanel,
+    {
+      typeKey,
+      types,
+      params,
+      limits,
+      plotTime
+    }
+  ), /* @__PURE__ */ React11.createElement(
+    SweepPanel,
+    {
+      typeKey,
+      type,
+      types,
+      params,
+      limits
+    }
+  ), /* @__PURE__ */ React11.createElement(PresetManager, { typeKey, params, onLoad: loadParams }), /* @__PURE__ */ React11.createElement(
+    FlightLogPanel,
+    {
+      flightLog,
+      align,
+      tracking,
+      onLoad: handleLogLoad,
+      onAlignChange: (change) => setAlign((prev) => ({ ...prev, ...change })),
+      onAutoAlign: () => autoAlignLog(flightLog, align.yawDeg),
+      onFrameChange: (frame) => setFlightLog((prev) => ({ ...prev, frame })),
+      onClear: () => setFlightLog(null)
+    }
+  ), /* @__PURE__ */ React11.createElement(
+    LivePanel,
+    {
+      live,
+      tracking: liveTracking,
+      elapsed: liveElapsed,
+      yawDeg: liveYawDeg,
+      onYawDeg: setLiveYawDeg,
+      follow: followLive,
+      onFollow: setFollowLive,
+      type,
+      params
+    }
+  ), /* @__PURE__ */ React11.createElement("div", { className: "card mt-6" }, /* @__PURE__ */ React11.createElement("div", { className: "section-label" }, "Load from Mavlink Shell Command"), /* @__PURE__ */ React11.createElement(
+    "textarea",
+    {
+      value: pasted,
+      onChange: (e) => setPasted(e.target.value),
+      placeholder: "mc_raptor intref lissajous 0.5 1 0 2 1 1 10 3",
+      rows: 3,
+      className: "textarea-input"
+    }
+  ), /* @__PURE__ */ React11.createElement("div", { className: "row mt-2" }, /* @__PURE__ */ React11.createElement("button", { onClick: handleParse, className: "copy-button" }, "Parse"), parsed && /* @__PURE__ */ React11.createElement("span", { className: "text-muted" }, parsed.length === 0 ? "no mc_raptor command found" : `${parsed.filter((r) => r.errors.length === 0).length} of ${parsed.length} command(s) valid`)), parsed && parsed.length > 0 && /* @__PURE__ */ React11.createElement("ul", { className: "parse-list" }, parsed.map((r) => /* @__PURE__ */ React11.createElement("li", { key: r.line, className: "parse-item" }, /* @__PURE__ */ React11.createElement("div", { className: "row" }, /* @__PURE__ */ React11.createElement("span", { className: "text-muted" }, "line ", r.line), /* @__PURE__ */ React11.createElement("code", { className: "parse-command" }, r.text), r.errors.length === 0 && /* @__PURE__ */ React11.createElement(
+    "button",
+    {
+      onClick: () => loadParams(r.typeKey, r.params),
+      className: "small-button push-right"
+    },
+    "Load"
+  )), r.errors.map((err) => /* @__PURE__ */ React11.createElement("div", { key: err.field, className: "parse-error" }, err.field, ": ", err.message)))))))));
+}
+export {
+  DEFAULT_TYPE,
+  LissajousTuner,
+  PARAM_SLIDERS,
+  PARAM_UNITS,
+  TRAJECTORY_TYPES,
+  configureTypes,
+  isFlyable
+};
@@ -1,5 +1,4 @@
-import React, { useState, useEffect, useMemo } from 'react';
-import { createRoot } from 'react-dom/client';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import {
   LineChart,
   Line,
@@ -9,141 +8,175 @@ import {
   Tooltip,
   ReferenceDot,
   ReferenceLine,
-  ReferenceArea,
   ResponsiveContainer,
+  Customized,
 } from 'recharts';
+import { autoAlign, trackingError } from './flightlog.js';
+import {
+  snapToStep,
+  makePow10Ticks,
+  PARAM_UNITS,
+  isFlyable,
+  configureTypes,
+  DEFAULT_TYPE,
+  defaultParamsByType,
+  parseCommands,
+  sanitizeParams,
+  LIMIT_FIELDS,
+  DEFAULT_LIMITS,
+  exceeds,
+  findPeak,
+  violationSpans,
+  rampAccStep,
+  periodicity,
+  closingSnaps,
+  plotHorizon,
+  extentHandles,
+  amplitudeForHandle,
+  samplePlot,
+} from './trajectory.js';
+import {
+  DEFAULT_ARENA,
+  arenaCorners,
+  arenaOutlines,
+  arenaClearance,
+} from './arena.js';
+import {
+  DEFAULT_VEHICLE,
+  LOAD_FIELDS,
+  thrustAndTilt,
+  vehicleLoad,
+} from './vehicle.js';
+import {
+  DEFAULT_LOCALE,
+  LocaleContext,
+  makeFmt2,
+  DEFAULT_UNITS,
+  UnitsContext,
+  makeUnitLabel,
+  formatParam,
+} from './format.js';
+import { readUrlState, writeUrlState } from './browser.js';
+import {
+  CanvasLines,
+  XYHandles,
+  decimate,
+  TimeSeriesPanel,
+  SideViewCard,
+  LIVE_COLOR,
+  flownLine,
+  liveLine,
+  baselineLine,
+  arenaLine,
+  TrackingErrorCard,
+} from './charts.jsx';
+import { Trajectory3DView } from './view3d.jsx';
+import { PresetManager } from './presets.jsx';
+import { ExportPanel, ReportPanel, SweepPanel } from './export.jsx';
+import { FlightLogPanel, useLiveTelemetry, LivePanel } from './flights.jsx';
+import { usePlayback, TransportControls } from './playback.jsx';
+import { coarseSteps, useSampledTrajectory } from './sampling.js';
+import { useParamHistory, HistoryPanel } from './history.jsx';
+import {
+  ComparisonPanel,
+  VehiclePanel,
+  SolverPanel,
+  ClosurePanel,
+  ArenaPanel,
+} from './checks.jsx';
+import { ShellPanel } from './shellpanel.jsx';
 
-// Mathematically identical to the C++ implementation:
-// time_velocity, ramp_time, progress, d_progress
-// x = A*sin(a*progress), y = B*sin(b*progress), z = C*sin(c*progress)
-// v = [A*cos(a*progress)*a*d_progress, ...]
-function evalXYZ(time, params) {
-  const time_velocity =
-    params.ramp_duration > 0
-      ? Math.min(time, params.ramp_duration) / params.ramp_duration
-      : 1.0;
-
-  const ramp_time = time_velocity * Math.min(time, params.ramp_duration) / 2.0;
-  const progress =
-    (ramp_time + Math.max(0, time - params.ramp_duration)) *
-    (2 * Math.PI) /
-    params.duration;
-
-  const d_progress = (2 * Math.PI * time_velocity) / params.duration;
-
-  const x = params.A * Math.sin(params.a * progress);
-  const y = params.B * Math.sin(params.b * progress);
-  const z = params.C * Math.sin(params.c * progress);
-
-  const vx = params.A * Math.cos(params.a * progress) * params.a * d_progress;
-  const vy = params.B * Math.cos(params.b * progress) * params.b * d_progress;
-  const vz = params.C * Math.cos(params.c * progress) * params.c * d_progress;
-
-  const speed = Math.hypot(vx, vy, vz);
+// The airframe's required thrust and tilt, as signals for the time charts.
+const LOAD_SIGNALS = LOAD_FIELDS.map(({ key, label, unit }) => ({
+  key,
+  label,
+  unit,
+  group: "load",
+}));
 
-  return { x, y, z, vx, vy, vz, speed, progress, time_velocity };
-}
+// The tuner, as embedded in other pages (the library build, lib/tuner.js)
+// and mounted by main.jsx for the standalone one. Props, all optional:
+//
+//   initialType     trajectory type key to start with (default "lissajous")
+//   initialParams   its parameters; missing or malformed ones take the
+//                   type's defaults. Read once, like useState's argument.
+//   sliders         slider ranges replacing PARAM_SLIDERS, per parameter:
+//                   { A: { min: 0, max: 5, step: 0.1 }, duration: { max: 30 } }.
+//                   Pasted commands, sweeps and reports check against them.
+//   locale          BCP 47 locale of the displayed numbers (default "de-DE")
+//   units           symbols of the length and time units in the tuner's
+//                   labels, e.g. { length: "м", time: "с" } (default
+//                   { length: "m", time: "s" }). Labels only; the numbers,
+//                   the command and the exported files stay in metres and
+//                   seconds.
+//   onParamsChange  (typeKey, params) whenever the type or a parameter changes
+//   onCommand       (command) whenever the Mavlink shell command changes;
+//                   null for a type that no intref mode flies (the circle)
+//   syncUrl         keep type, parameters and time in the page's query string
+//                   (default false; the standalone page turns it on)
+//
+// Both callbacks are also called once with the initial values.
+export function LissajousTuner({
+  initialType = DEFAULT_TYPE,
+  initialParams,
+  sliders,
+  locale = DEFAULT_LOCALE,
+  units,
+  onParamsChange,
+  onCommand,
+  syncUrl = false,
+}) {
+  // Hosts tend to pass `sliders` inline, so it is compared by value.
+  const slidersKey = JSON.stringify(sliders ?? {});
+  const types = useMemo(() => configureTypes(JSON.parse(slidersKey)), [slidersKey]);
 
-function decimalsFromStep(step) {
-  const s = String(step);
-  if (s.includes("e-")) return parseInt(s.split("e-")[1], 10) || 0;
-  const i = s.indexOf(".");
-  return i >= 0 ? s.length - i - 1 : 0;
-}
+  // A shared link restores type, parameters and time.
+  const [urlState] = useState(() => (syncUrl ? readUrlState(types) : null));
+  // Compared by value for the same reason.
+  const unitsKey = JSON.stringify(units ?? {});
+  const unitNames = useMemo(() => ({ ...DEFAULT_UNITS, ...JSON.parse(unitsKey) }), [unitsKey]);
+  const unitLabel = useMemo(() => makeUnitLabel(unitNames), [unitNames]);
+  const fmt2 = useMemo(() => makeFmt2(locale), [locale]);
 
-function snapToStep(v, step) {
-  if (!Number.isFinite(v) || !Number.isFinite(step) || step <= 0) return v;
-  const snapped = Math.round(v / step) * step;
-  const dec = Math.min(8, decimalsFromStep(step));
-  return parseFloat(snapped.toFixed(dec));
-}
+  const [typeKey, setTypeKey] = useState(
+    urlState?.typeKey ?? (types[initialType] ? initialType : DEFAULT_TYPE)
+  );
+  const type = types[typeKey];
 
-function fmt2(v) {
-  const n = Number(v);
-  if (!Number.isFinite(n)) return String(v);
-  // German-style decimal comma, always 2 digits.
-  return n.toLocaleString("de-DE", {
-    minimumFractionDigits: 2,
-    maximumFractionDigits: 2,
+  // Each type keeps its own parameters, so switching back and forth
+  // does not lose a tuned setup.
+  const [paramsByType, setParamsByType] = useState(() => {
+    const byType = defaultParamsByType();
+    if (urlState) {
+      byType[urlState.typeKey] = urlState.params;
+    } else if (initialParams && types[initialType]) {
+      byType[initialType] = sanitizeParams(initialType, initialParams, types);
+    }
+    return byType;
   });
-}
+  const params = paramsByType[typeKey];
 
-function pow10(x) {
-  if (!(x > 0) || !Number.isFinite(x)) return 1;
-  return Math.pow(10, Math.floor(Math.log10(x)));
-}
-
-// Clean ticks: step is a pure power-of-ten (… 0.01, 0.1, 1, 10, …)
-function makePow10Ticks(domain, maxTicks = 9) {
-  if (!domain || domain.length !== 2) return [];
-  let [min, max] = domain;
-  if (!Number.isFinite(min) || !Number.isFinite(max)) return [];
-  if (max < min) [min, max] = [max, min];
-
-  const range = max - min;
-  if (!(range > 0)) return [min];
-
-  let step = pow10(range / Math.max(1, maxTicks - 1));
-  let count = Math.floor(range / step) + 1;
-  while (count > maxTicks) {
-    step *= 10;
-    count = Math.floor(range / step) + 1;
-  }
-
-  const start = Math.ceil(min / step) * step;
-  const end = Math.floor(max / step) * step;
-
-  const ticks = [];
-  for (let v = start; v <= end + step * 0.5; v += step) {
-    let vv = parseFloat(v.toFixed(12));
-    if (Math.abs(vv) < step * 1e-9) vv = 0; // avoid -0
-    ticks.push(vv);
-  }
-
-  if (min <= 0 && max >= 0 && !ticks.some((x) => x === 0)) {
-    ticks.push(0);
-    ticks.sort((a, b) => a - b);
-  }
-
-  return ticks;
-}
-
-const PARAM_SLIDERS = {
-  A: { min: 0, max: 3, step: 0.05 },
-  B: { min: 0, max: 3, step: 0.05 },
-  C: { min: 0, max: 3, step: 0.05 },
-  a: { min: 0, max: 10, step: 0.25 },
-  b: { min: 0, max: 10, step: 0.25 },
-  c: { min: 0, max: 10, step: 0.25 },
-  duration: { min: 0.1, max: 60, step: 0.25 },
-  ramp_duration: { min: 0, max: 30, step: 0.25 },
-};
-
-function formatParam(key, val) {
-  const cfg = PARAM_SLIDERS[key];
-  const dec = cfg ? Math.min(6, decimalsFromStep(cfg.step)) : 3;
-  return Number.isFinite(val) ? val.toFixed(dec) : String(val);
-}
-
-function LissajousTuner() {
-  // Defaults match the provided C++ struct.
-  const [params, setParams] = useState({
-    A: 0.5,
-    B: 1.0,
-    C: 0.0,
-    a: 2.0,
-    b: 1.0,
-    c: 1.0,
-    duration: 10.0,
-    ramp_duration: 3.0,
-  });
+  const setParams = (update) =>
+    setParamsByType((prev) => ({ ...prev, [typeKey]: update(prev[typeKey]) }));
 
   const [copied, setCopied] = useState(false);
 
-  // Generate Mavlink shell command
-  const mavlinkCommand = useMemo(() => {
-    return `mc_raptor intref lissajous ${params.A} ${params.B} ${params.C} ${params.a} ${params.b} ${params.c} ${params.duration} ${params.ramp_duration}`;
-  }, [params]);
+  // Generate Mavlink shell command (null for types no intref mode flies)
+  const mavlinkCommand = useMemo(
+    () => (isFlyable(type) ? type.command(params) : null),
+    [type, params]
+  );
+
+  // The host's callbacks may change on every render; only changes of the
+  // values themselves are reported.
+  const callbacks = useRef({});
+  callbacks.current = { onParamsChange, onCommand };
+  useEffect(() => {
+    callbacks.current.onParamsChange?.(typeKey, params);
+  }, [typeKey, params]);
+  useEffect(() => {
+    callbacks.current.onCommand?.(mavlinkCommand);
+  }, [mavlinkCommand]);
 
   const copyToClipboard = () => {
     navigator.clipboard.writeText(mavlinkCommand).then(() => {
@@ -152,15 +185,52 @@ function LissajousTuner() {
     });
   };
 
+  // Pasted commands (one or several lines of flight notes).
+  const [pasted, setPasted] = useState("");
+  const [parsed, setParsed] = useState(null);
+
+  const loadParams = (key, loaded) => {
+    setTypeKey(key);
+    setParamsByType((prev) => ({ ...prev, [key]: { ...prev[key], ...loaded } }));
+  };
+
+  const handleParse = () => {
+    const results = parseCommands(pasted, types);
+    setParsed(results);
+    // A single valid command is loaded right away.
+    if (results.length === 1 && results[0].errors.length === 0) {
+      loadParams(results[0].typeKey, results[0].params);
+    }
+  };
+
   // Dynamic amplitude slider max (shared between A and B, as requested).
-  const [ampMax, setAmpMax] = useState(PARAM_SLIDERS.A.max);
+  const [ampMax, setAmpMax] = useState(() =>
+    Math.max(
+      ...Object.values(types).flatMap((t) =>
+        Object.values(t.sliders)
+          .filter((cfg) => cfg.amp)
+          .map((cfg) => cfg.max)
+      )
+    )
+  );
 
-  // Match the UI time-range to the earlier request: [0, duration + ramp_duration]
+  // Loaded amplitudes (link, preset) may exceed the slider range.
+  useEffect(() => {
+    const amps = Object.keys(type.sliders)
+      .filter((key) => type.sliders[key].amp)
+      .map((key) => params[key]);
+    setAmpMax((prev) => Math.max(prev, ...amps));
+  }, [type, params]);
+
+  // Plotted horizon: [0, ramp_duration + cycles * duration]
   // (The math inside evalXYZ matches C++ exactly; this is only the plotted horizon.)
-  const plotTime = useMemo(() => {
-    if (!(params.duration > 0)) return 0;
-    return Math.max(0, params.ramp_duration) + params.duration;
-  }, [params.duration, params.ramp_duration]);
+  const [cycles, setCycles] = useState(1);
+  const plotTime = useMemo(() => plotHorizon(params, cycles), [params, cycles]);
+  const closure = useMemo(() => periodicity(type, params), [type, params]);
+  const snaps = useMemo(
+    () => closingSnaps(type, params, unitLabel),
+    [type, params, unitLabel]
+  );
 
   // Width of the scanning "speed bar" in seconds.
   const timeBarHalf = useMemo(() => {
@@ -169,17 +239,24 @@ function LissajousTuner() {
     return Math.min(0.25, Math.max(0.01, w));
   }, [plotTime]);
 
-  const [t, setT] = useState(0.0);
+  const [t, setT] = useState(urlState?.t ?? 0.0);
 
   useEffect(() => {
     setT((prev) => Math.min(prev, plotTime));
   }, [plotTime]);
 
+  // Debounced: browsers throttle history.replaceState during slider drags.
+  useEffect(() => {
+    if (!syncUrl) return undefined;
+    const id = setTimeout(() => writeUrlState(typeKey, params, t), 250);
+    return () => clearTimeout(id);
+  }, [syncUrl, typeKey, params, t]);
+
   const handleChange = (key) => (e) => {
     const baseCfg =
-      PARAM_SLIDERS[key] ?? { step: 0.01, min: -Infinity, max: Infinity };
+      type.sliders[key] ?? { step: 0.01, min: -Infinity, max: Infinity };
 
-    const isAmpAB = key === "A" || key === "B";
+    const isAmpAB = !!baseCfg.amp;
     const cfg = isAmpAB ? { ...baseCfg, max: ampMax } : baseCfg;
 
     const raw = parseFloat(e.target.value);
@@ -197,6 +274,71 @@ function LissajousTuner() {
     setParams((prev) => ({ ...prev, [key]: v }));
   };
 
+  const history = useParamHistory(typeKey, params, loadParams);
+
+  // Keyboard editing: digits pick a slider, arrows nudge it by its step.
+  const [selectedKey, setSelectedKey] = useState(null);
+  const sliderKeys = Object.keys(type.sliders);
+
+  const nudge = (key, steps) => {
+    const baseCfg = type.sliders[key];
+    const max = baseCfg.amp ? ampMax : baseCfg.max;
+    setParams((prev) => ({
+      ...prev,
+      [key]: Math.min(
+        max,
+        Math.max(baseCfg.min, snapToStep(prev[key] + steps * baseCfg.step, baseCfg.step))
+      ),
+    }));
+  };
+
+  // Amplitude from an XY drag handle, with the same ampMax rule as typing a
+  // number: going past the slider range widens it.
+  const handleAmplitude = (handle, amplitude, v) => {
+    const cfg = type.sliders[handle.key];
+    let next = amplitudeForHandle(handle, amplitude, v, cfg);
+    if (cfg.amp) {
+      if (next > ampMax) setAmpMax(next);
+    } else {
+      next = Math.min(cfg.max, next);
+    }
+    setParams((prev) => (prev[handle.key] === next ? prev : { ...prev, [handle.key]: next }));
+  };
+
+  const keyHandler = useRef(null);
+  keyHandler.current = (e) => {
+    // Leave typing in inputs (and their own arrow keys) alone.
+    if (e.target.closest?.("input, textarea, select, [contenteditable]")) return;
+
+    const mod = e.ctrlKey || e.metaKey;
+    if (mod && e.key.toLowerCase() === "z") {
+      e.preventDefault();
+      if (e.shiftKey) history.redo();
+      else history.undo();
+    } else if (mod && e.key.toLowerCase() === "y") {
+      e.preventDefault();
+      history.redo();
+    } else if (mod || e.altKey) {
+      return;
+    } else if (/^[1-9]$/.test(e.key) && sliderKeys[Number(e.key) - 1]) {
+      setSelectedKey(sliderKeys[Number(e.key) - 1]);
+    } else if (e.key === "Escape") {
+      setSelectedKey(null);
+    } else if (
+      (e.key === "ArrowUp" || e.key === "ArrowDown") &&
+      sliderKeys.includes(selectedKey)
+    ) {
+      e.preventDefault();
+      nudge(selectedKey, (e.key === "ArrowUp" ? 1 : -1) * (e.shiftKey ? 10 : 1));
+    }
+  };
+
+  useEffect(() => {
+    const onKey = (e) => keyHandler.current(e);
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
   const handleTime = (e) => {
     const raw = parseFloat(e.target.value);
     if (!Number.isFinite(raw)) return;
@@ -204,21 +346,111 @@ function LissajousTuner() {
     setT(Math.min(Math.max(0, v), plotTime));
   };
 
-  const trajectory = useMemo(() => {
-    const data = [];
-    if (!(params.duration > 0) || plotTime <= 0) return data;
+  const playback = usePlayback(t, setT, plotTime);
+
+  // `sampled.display` feeds the charts; `trajectory` is the full-density
+  // sampling behind every peak, span and clearance. While it still belongs to
+  // earlier parameters (`checking`), no check is reported as passed.
+  const sampled = useSampledTrajectory(typeKey, params, plotTime);
+  const trajectory = sampled.exact;
+  const checking = sampled.stale;
 
-    // Keep density roughly constant with duration.
-    const steps = Math.min(12000, Math.max(2000, Math.round(plotTime * 300)));
+  const [limits, setLimits] = useState(DEFAULT_LIMITS);
+
+  const handleLimit = (key) => (e) => {
+    const raw = parseFloat(e.target.value);
+    setLimits((prev) => ({ ...prev, [key]: Number.isFinite(raw) ? raw : 0 }));
+  };
+
+  // Plotted samples annotated with the parts that exceed a limit; the *Over
+  // keys are null where the limit holds so the highlight lines break there.
+  const plotData = useMemo(
+    () =>
+      sampled.display.map((p) => {
+        const over = {};
+        let any = false;
+        for (const { key } of LIMIT_FIELDS) {
+          const bad = exceeds(p[key], limits[key]);
+          over[`${key}Over`] = bad ? p[key] : null;
+          any = any || bad;
+        }
+        return { ...p, ...over, xOver: any ? p.x : null, zOver: any ? p.z : null };
+      }),
+    [sampled.display, limits]
+  );
 
-    for (let i = 0; i < steps; i++) {
-      const time = (i / (steps - 1)) * plotTime;
-      const { x, y, speed } = evalXYZ(time, params);
-      data.push({ t: time, x, y, speed });
+  const feasibility = useMemo(() => {
+    const peaks = {};
+    const spans = {};
+    for (const { key } of LIMIT_FIELDS) {
+      peaks[key] = findPeak(trajectory, key);
+      spans[key] = violationSpans(trajectory, key, limits[key]);
     }
 
-    return data;
-  }, [params, plotTime]);
+    const ok = LIMIT_FIELDS.every(({ key }) => spans[key].length === 0);
+    return { peaks, spans, ok };
+  }, [trajectory, limits]);
+
+  const accStep = useMemo(() => rampAccStep(type, params), [type, params]);
+
+  // Recorded flight, aligned to the reference by its start in log time.
+  // yawDeg null takes the frame yaw from the logged heading at the start.
+  const [flightLog, setFlightLog] = useState(null);
+  const [align, setAlign] = useState({ start: 0, yawDeg: null });
+
+  const evalRef = (tau) => type.eval(tau, params);
+  const yawRad = (yawDeg) => (yawDeg === null ? null : (yawDeg * Math.PI) / 180);
+
+  const autoAlignLog = (log, yawDeg) => {
+    if (!(plotTime > 0)) return;
+    const start = autoAlign(log, evalRef, plotTime, yawRad(yawDeg));
+    setAlign((prev) => ({ ...prev, start: parseFloat(start.toFixed(3)) }));
+  };
+
+  const handleLogLoad = (log) => {
+    setFlightLog(log);
+    autoAlignLog(log, align.yawDeg);
+  };
+
+  const tracking = useMemo(() => {
+    if (!flightLog || !(plotTime > 0)) return null;
+    return trackingError(
+      flightLog,
+      evalRef,
+      plotTime,
+      align.start,
+      yawRad(align.yawDeg)
+    );
+  }, [flightLog, align, type, params, plotTime]);
+
+  // Live vehicle position, tied to the reference by the start event.
+  const live = useLiveTelemetry();
+  const [liveYawDeg, setLiveYawDeg] = useState(null);
+  const [followLive, setFollowLive] = useState(true);
+
+  const liveTracking = useMemo(() => {
+    if (live.start === null || !live.samples.length || !(plotTime > 0)) return null;
+    return trackingError(
+      { samples: live.samples, frame: "ned" },
+      evalRef,
+      plotTime,
+      live.start,
+      yawRad(liveYawDeg)
+    );
+  }, [live.samples, live.start, liveYawDeg, type, params, plotTime]);
+
+  const liveElapsed =
+    live.start !== null && live.samples.length
+      ? live.samples[live.samples.length - 1].t - live.start
+      : null;
+  const liveNow =
+    liveTracking?.count > 0 ? liveTracking.series[liveTracking.series.length - 1] : null;
+
+  useEffect(() => {
+    if (followLive && liveElapsed !== null) {
+      setT(Math.min(Math.max(0, liveElapsed), plotTime));
+    }
+  }, [followLive, liveElapsed, plotTime]);
 
   const cur = useMemo(() => {
     if (!(params.duration > 0))
@@ -230,30 +462,126 @@ function LissajousTuner() {
         vy: 0,
         vz: 0,
         speed: 0,
+        ax: 0,
+        ay: 0,
+        az: 0,
+        acc: 0,
+        jerk: 0,
         progress: 0,
         time_velocity: 0,
       };
-    return evalXYZ(t, params);
-  }, [t, params]);
+    return type.eval(t, params);
+  }, [t, type, params]);
+
+  // Required thrust and tilt, with the same *Over highlight keys as the
+  // feasibility data.
+  const [vehicle, setVehicle] = useState(DEFAULT_VEHICLE);
+
+  const load = useMemo(() => {
+    if (!vehicle.enabled) return null;
+    const series = vehicleLoad(trajectory, vehicle);
+    const data = series.map((p) => {
+      const over = {};
+      for (const { key, limitKey } of LOAD_FIELDS) {
+        over[`${key}Over`] = exceeds(p[key], vehicle[limitKey]) ? p[key] : null;
+      }
+      return { ...p, ...over };
+    });
+
+    // Collective thrust has no field of its own; VehiclePanel checks it
+    // against the thrust the airframe can give.
+    const peaks = Object.fromEntries(
+      ["thrust", ...LOAD_FIELDS.map(({ key }) => key)].map((key) => [
+        key,
+        findPeak(series, key),
+      ])
+    );
+    const spans = Object.fromEntries(
+      LOAD_FIELDS.map(({ key, limitKey }) => [
+        key,
+        violationSpans(series, key, vehicle[limitKey]),
+      ])
+    );
+
+    const ok = LOAD_FIELDS.every(({ key }) => spans[key].length === 0);
+    return { data, peaks, spans, ok };
+  }, [trajectory, vehicle]);
 
+  const curLoad = useMemo(() => thrustAndTilt(cur, vehicle), [cur, vehicle]);
+  const loadLimits = useMemo(
+    () => Object.fromEntries(LOAD_FIELDS.map(({ key, limitKey }) => [key, vehicle[limitKey]])),
+    [vehicle]
+  );
+
+  // { typeKey, params } pinned for comparison, sampled over the same cycles.
+  const [baseline, setBaseline] = useState(null);
+
+  const baselineTrajectory = useMemo(() => {
+    if (!baseline) return null;
+    // Only drawn (ComparisonPanel measures on its own), so coarse will do.
+    const horizon = plotHorizon(baseline.params, cycles);
+    return samplePlot(
+      types[baseline.typeKey],
+      baseline.params,
+      horizon,
+      coarseSteps(horizon)
+    );
+  }, [baseline, cycles, types]);
+
+  const current = useMemo(() => ({ typeKey, params }), [typeKey, params]);
+
+  const [arena, setArena] = useState(DEFAULT_ARENA);
+
+  const outlines = useMemo(
+    () => (arena.enabled ? arenaOutlines(arena) : null),
+    [arena]
+  );
+
+  const clearance = useMemo(
+    () => (arena.enabled && trajectory.length ? arenaClearance(trajectory, arena) : null),
+    [trajectory, arena]
+  );
+
+  // Shown with the confirmation before the command goes to the vehicle.
+  const shellWarnings = useMemo(() => {
+    const warnings = [];
+    if (!feasibility.ok) warnings.push("exceeds a speed, acceleration or jerk limit");
+    if (load && !load.ok) warnings.push("exceeds the vehicle's thrust or tilt limit");
+    if (clearance && !clearance.safe) warnings.push("leaves the geofence or its margin");
+    return warnings;
+  }, [feasibility, load, clearance]);
+
+  // From the plotted samples, so the axes follow a drag right away.
   const bounds = useMemo(() => {
-    if (!trajectory.length) {
+    const shown = sampled.display;
+    if (!shown.length) {
       return {
         xDomain: [-1, 1],
         yDomain: [-1, 1],
+        zDomain: [-0.5, 0.5],
       };
     }
 
     let xMin = Infinity,
       xMax = -Infinity,
       yMin = Infinity,
-      yMax = -Infinity;
+      yMax = -Infinity,
+      zMin = Infinity,
+      zMax = -Infinity;
+
+    // Keep the whole geofence and the baseline in view.
+    const points = shown.concat(
+      arena.enabled ? arenaCorners(arena) : [],
+      baselineTrajectory ?? []
+    );
 
-    for (const p of trajectory) {
+    for (const p of points) {
       if (p.x < xMin) xMin = p.x;
       if (p.x > xMax) xMax = p.x;
       if (p.y < yMin) yMin = p.y;
       if (p.y > yMax) yMax = p.y;
+      if (p.z < zMin) zMin = p.z;
+      if (p.z > zMax) zMax = p.z;
     }
 
     const cx = (xMin + xMax) / 2;
@@ -262,11 +590,29 @@ function LissajousTuner() {
     const pad = range > 0 ? range * 0.06 : 0.1;
     const half = range / 2 + pad;
 
+    // Side views are twice as wide as tall: keep them true to scale unless
+    // the vertical extent does not fit.
+    const cz = (zMin + zMax) / 2;
+    const zRange = zMax - zMin;
+    const zHalf = Math.max(zRange / 2 + (zRange > 0 ? zRange * 0.06 : 0), half / 2);
+
     return {
       xDomain: [cx - half, cx + half],
       yDomain: [cy - half, cy + half],
+      zDomain: [cz - zHalf, cz + zHalf],
     };
-  }, [trajectory]);
+  }, [sampled.display, arena, baselineTrajectory]);
+
+  const handles = useMemo(() => extentHandles(type, sampled.display), [type, sampled.display]);
+
+  const xyData = useMemo(() => decimate(plotData, "x"), [plotData]);
+  const xyLines = useMemo(
+    () => [
+      { data: plotData, xKey: "y", yKey: "x", color: "#2563eb" },
+      { data: plotData, xKey: "y", yKey: "xOver", color: "#f97316", width: 3 },
+    ],
+    [plotData]
+  );
 
   const xyTicks = useMemo(() => {
     return {
@@ -276,194 +622,525 @@ function LissajousTuner() {
   }, [bounds]);
 
   return (
-    <div className="container">
-      {/* Time slider */}
-      <div className="card mb-6">
-        <div className="row">
-          <div className="label">time</div>
-          <input
-            type="range"
-            min={0}
-            max={plotTime}
-            step={0.01}
-            value={t}
-            onChange={handleTime}
-            onInput={handleTime}
-            className="range-input"
-          />
-          <div className="time-display">{t.toFixed(2)} s</div>
-        </div>
-      </div>
-
-      {/* Parameter sliders */}
-      <div className="grid-2">
-        {Object.keys(params).map((key) => {
-          const baseCfg = PARAM_SLIDERS[key] ?? { min: 0, max: 5, step: 0.01 };
-          const isAmpAB = key === "A" || key === "B";
-          const cfg = isAmpAB ? { ...baseCfg, max: ampMax } : baseCfg;
-
-          return (
-            <div key={key} className="card-sm flex-col">
-              <label className="label-sm">{key}</label>
-              <div className="row">
-                <input
-                  type="range"
-                  min={cfg.min}
-                  max={cfg.max}
-                  step={cfg.step}
-                  value={params[key]}
-                  onChange={handleChange(key)}
-                  onInput={handleChange(key)}
-                  className="range-input"
-                />
-                <input
-                  type="number"
-                  min={cfg.min}
-                  step={cfg.step}
-                  value={params[key]}
-                  onChange={handleChange(key)}
-                  onInput={handleChange(key)}
-                  className="number-input"
-                />
-              </div>
-              <span className="text-muted">{formatParam(key, params[key])}</span>
+    <LocaleContext.Provider value={locale}>
+      <UnitsContext.Provider value={unitNames}>
+        <div className="container">
+          {/* Trajectory type */}
+          <div className="card mb-6">
+            <div className="row">
+              <div className="label">trajectory</div>
+              <select
+                value={typeKey}
+                onChange={(e) => setTypeKey(e.target.value)}
+                className="select-input"
+              >
+                {Object.entries(types).map(([key, { label }]) => (
+                  <option key={key} value={key}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              {type.note && <span className="text-muted">{type.note}</span>}
             </div>
-          );
-        })}
-      </div>
-
-      {/* XY plot (display rotated: x forward is up, y left is left) */}
-      <div className="card">
-        <div className="chart-container">
-          <ResponsiveContainer width="100%" aspect={1}>
-            <LineChart
-              data={trajectory}
-              margin={{ top: 10, right: 52, bottom: 28, left: 44 }}
-            >
-              <CartesianGrid strokeDasharray="3 3" />
-              <XAxis
-                dataKey="y"
-                type="number"
-                domain={bounds.yDomain}
-                ticks={xyTicks.yTicks}
-                allowDataOverflow
-                axisLine
-                tickLine
-                reversed
-                tickFormatter={fmt2}
-                label={{ value: "y (left) [m]", position: "insideBottomRight", offset: -8 }}
-              />
-              <YAxis
-                dataKey="x"
-                type="number"
-                domain={bounds.xDomain}
-                ticks={xyTicks.xTicks}
-                orientation="right"
-                allowDataOverflow
-                axisLine
-                tickLine
-                tickFormatter={fmt2}
-                label={{ value: "x (forward) [m]", angle: 90, position: "right", offset: 18 }}
-              />
-              <ReferenceLine x={0} strokeOpacity={0.35} />
-              <ReferenceLine y={0} strokeOpacity={0.35} />
-              <Tooltip
-                formatter={(value, name) => [`${fmt2(value)} m`, name]}
-                labelFormatter={() => ""}
-              />
-              <Line
-                type="linear"
-                dataKey="x"
-                name="x (forward)"
-                stroke="#2563eb"
-                dot={false}
-                isAnimationActive={false}
-              />
-              <ReferenceDot
-                x={cur.y}
-                y={cur.x}
-                r={6}
-                fill="#ef4444"
-                stroke="#991b1b"
-                isFront
-              />
-            </LineChart>
-          </ResponsiveContainer>
-        </div>
-      </div>
-
-      {/* Velocity plot */}
-      <div className="card mt-6">
-        <div className="section-label">Speed over time</div>
-        <div className="chart-container-wide">
-          <ResponsiveContainer width="100%" height={240}>
-            <LineChart
-              data={trajectory}
-              margin={{ top: 10, right: 44, bottom: 28, left: 44 }}
-            >
-              <CartesianGrid strokeDasharray="3 3" />
-              <XAxis
-                dataKey="t"
-                type="number"
-                domain={[0, plotTime]}
-                allowDataOverflow
-                tickFormatter={fmt2}
-                label={{ value: "time [s]", position: "insideBottomRight", offset: -8 }}
-              />
-              <YAxis
-                type="number"
-                tickFormatter={fmt2}
-                label={{ value: "speed [m/s]", angle: -90, position: "insideLeft", offset: -10 }}
-              />
-              <ReferenceArea
-                x1={Math.max(0, t - timeBarHalf)}
-                x2={Math.min(plotTime, t + timeBarHalf)}
-                fill="#ef4444"
-                fillOpacity={0.12}
-              />
-              <ReferenceLine x={t} strokeOpacity={0.35} />
-              <ReferenceDot
-                x={t}
-                y={cur.speed}
-                r={4}
-                fill="#ef4444"
-                stroke="#991b1b"
-                isFront
-              />
-              <Tooltip
-                formatter={(value, name) => [`${fmt2(value)} m/s`, name]}
-                labelFormatter={(label) => `t=${fmt2(label)} s`}
+          </div>
+
+          {/* Time slider */}
+          <div className="card mb-6">
+            <div className="row">
+              <div className="label">time</div>
+              <input
+                type="range"
+                min={0}
+                max={plotTime}
+                step={0.01}
+                value={t}
+                onChange={handleTime}
+                onInput={handleTime}
+                className="range-input"
               />
-              <Line
-                type="linear"
-                dataKey="speed"
-                stroke="#2563eb"
-                dot={false}
-                isAnimationActive={false}
+              <div className="time-display">
+                {t.toFixed(2)} {unitLabel("s")}
+              </div>
+            </div>
+            <TransportControls
+              playback={playback}
+              disabled={!(plotTime > 0)}
+              onRewind={() => setT(0)}
+            />
+          </div>
+
+          {/* Parameter sliders */}
+          <div className="grid-2">
+            {sliderKeys.map((key, i) => {
+              const baseCfg = type.sliders[key];
+              const isAmpAB = !!baseCfg.amp;
+              const cfg = isAmpAB ? { ...baseCfg, max: ampMax } : baseCfg;
+
+              return (
+                <div
+                  key={key}
+                  onClick={() => setSelectedKey(key)}
+                  className={
+                    key === selectedKey ? "card-sm flex-col card-selected" : "card-sm flex-col"
+                  }
+                >
+                  <label className="label-sm">
+                    {key}
+                    {PARAM_UNITS[key] && ` [${unitLabel(PARAM_UNITS[key])}]`}{" "}
+                    {i < 9 && <span className="text-muted">[{i + 1}]</span>}
+                  </label>
+                  <div className="row">
+                    <input
+                      type="range"
+                      min={cfg.min}
+                      max={cfg.max}
+                      step={cfg.step}
+                      value={params[key]}
+                      onChange={handleChange(key)}
+                      onInput={handleChange(key)}
+                      className="range-input"
+                    />
+                    <input
+                      type="number"
+                      min={cfg.min}
+                      step={cfg.step}
+                      value={params[key]}
+                      onChange={handleChange(key)}
+                      onInput={handleChange(key)}
+                      className="number-input"
+                    />
+                  </div>
+                  <span className="text-muted">{formatParam(baseCfg, params[key])}</span>
+                </div>
+              );
+            })}
+          </div>
+
+          <HistoryPanel history={history} selectedKey={selectedKey} />
+
+          {/* XY plot (display rotated: x forward is up, y left is left) */}
+          <div className="card">
+            <div className="chart-container">
+              <ResponsiveContainer width="100%" aspect={1}>
+                <LineChart
+                  data={xyData}
+                  margin={{ top: 10, right: 52, bottom: 28, left: 44 }}
+                  className="xy-chart"
+                >
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis
+                    dataKey="y"
+                    type="number"
+                    domain={bounds.yDomain}
+                    ticks={xyTicks.yTicks}
+                    allowDataOverflow
+                    axisLine
+                    tickLine
+                    reversed
+                    tickFormatter={fmt2}
+                    label={{
+                      value: `y (left) [${unitLabel("m")}]`,
+                      position: "insideBottomRight",
+                      offset: -8,
+                    }}
+                  />
+                  <YAxis
+                    dataKey="x"
+                    type="number"
+                    domain={bounds.xDomain}
+                    ticks={xyTicks.xTicks}
+                    orientation="right"
+                    allowDataOverflow
+                    axisLine
+                    tickLine
+                    tickFormatter={fmt2}
+                    label={{
+                      value: `x (forward) [${unitLabel("m")}]`,
+                      angle: 90,
+                      position: "right",
+                      offset: 18,
+                    }}
+                  />
+                  <ReferenceLine x={0} strokeOpacity={0.35} />
+                  <ReferenceLine y={0} strokeOpacity={0.35} />
+                  <Tooltip
+                    formatter={(value, name) => [`${fmt2(value)} ${unitLabel("m")}`, name]}
+                    labelFormatter={() => ""}
+                  />
+                  <Line
+                    type="linear"
+                    dataKey="x"
+                    name="x (forward)"
+                    stroke="none"
+                    dot={false}
+                    activeDot={{ r: 3, fill: "#2563eb" }}
+                    isAnimationActive={false}
+                  />
+                  <Customized component={<CanvasLines lines={xyLines} />} />
+                  {flownLine(tracking?.series, "x")}
+                  {liveLine(liveTracking?.series, "x")}
+                  {baselineLine(baselineTrajectory, "x")}
+                  {arenaLine(outlines?.xy, "x")}
+                  <ReferenceDot
+                    x={cur.y}
+                    y={cur.x}
+                    r={6}
+                    fill="#ef4444"
+                    stroke="#991b1b"
+                    isFront
+                  />
+                  {liveNow && (
+                    <ReferenceDot
+                      x={liveNow.y}
+                      y={liveNow.x}
+                      r={5}
+                      fill={LIVE_COLOR}
+                      stroke="#155e75"
+                      isFront
+                    />
+                  )}
+                  <Customized
+                    component={
+                      <XYHandles
+                        handles={handles}
+                        params={params}
+                        path={sampled.display}
+                        marker={cur}
+                        t={t}
+                        onAmplitude={handleAmplitude}
+                        onScrub={setT}
+                      />
+                    }
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+            {handles.length > 0 && (
+              <div className="text-muted">
+                drag the square grips to set {[...new Set(handles.map((h) => h.key))].join(" and ")},
+                the red marker to move t
+              </div>
+            )}
+            {liveNow && (
+              <div className="text-muted">
+                vehicle at t={fmt2(liveElapsed)} {unitLabel("s")},{" "}
+                {fmt2(liveNow.e)} {unitLabel("m")} from the reference
+              </div>
+            )}
+          </div>
+
+          {/* Side views (x forward is right in XZ, y left is left in YZ) */}
+          <div className="grid-2 mt-6">
+            <SideViewCard
+              title="XZ side view (from the right)"
+              data={plotData}
+              hKey="x"
+              hLabel={`x (forward) [${unitLabel("m")}]`}
+              hDomain={bounds.xDomain}
+              zDomain={bounds.zDomain}
+              curH={cur.x}
+              curZ={cur.z}
+              overlay={tracking?.series}
+              outline={outlines?.xz}
+            />
+            <SideViewCard
+              title="YZ side view (from behind)"
+              data={plotData}
+              hKey="y"
+              hLabel={`y (left) [${unitLabel("m")}]`}
+              hDomain={bounds.yDomain}
+              hReversed
+              zDomain={bounds.zDomain}
+              curH={cur.y}
+              curZ={cur.z}
+              overlay={tracking?.series}
+              outline={outlines?.yz}
+            />
+          </div>
+
+          {/* 3D view */}
+          <div className="card">
+            <div className="section-label">3D trajectory</div>
+            <div className="chart-container">
+              <Trajectory3DView
+                data={sampled.display}
+                cur={cur}
+                bounds={bounds}
+                arena={arena.enabled ? arenaCorners(arena) : null}
+                groundZ={arena.enabled ? -arena.z0 : 0}
               />
-            </LineChart>
-          </ResponsiveContainer>
-        </div>
-      </div>
-
-      {/* Mavlink command output */}
-      <div className="card mt-6">
-        <div className="section-label">Mavlink Shell Command</div>
-        <div className="command-row">
-          <code className="command-output">{mavlinkCommand}</code>
-          <button
-            onClick={copyToClipboard}
-            className="copy-button"
-            title="Copy to clipboard"
-          >
-            {copied ? '✓ Copied' : 'Copy'}
-          </button>
+            </div>
+          </div>
+
+          {/* Any signals over time, stacked; speed, acceleration and jerk at first */}
+          <TimeSeriesPanel
+            data={plotData}
+            plotTime={plotTime}
+            t={t}
+            timeBarHalf={timeBarHalf}
+            cur={cur}
+            limits={limits}
+            spans={feasibility.spans}
+            overlay={tracking?.series}
+            baseline={baselineTrajectory}
+            onSetT={(v) => setT(Math.min(Math.max(0, v), plotTime))}
+          />
+
+          {/* Thrust and tilt the airframe needs */}
+          {load && (
+            <TimeSeriesPanel
+              title="Required thrust and tilt"
+              catalog={LOAD_SIGNALS}
+              limitFields={LOAD_FIELDS}
+              initialCharts={LOAD_FIELDS.map(({ key }) => [key])}
+              data={load.data}
+              plotTime={plotTime}
+              t={t}
+              timeBarHalf={timeBarHalf}
+              cur={curLoad}
+              limits={loadLimits}
+              spans={load.spans}
+              onSetT={(v) => setT(Math.min(Math.max(0, v), plotTime))}
+            />
+          )}
+
+          {tracking?.count > 0 && (
+            <TrackingErrorCard tracking={tracking} plotTime={plotTime} t={t} />
+          )}
+
+          {/* Feasibility summary */}
+          <div className="card mt-6">
+            <div className="section-label">
+              Feasibility{" "}
+              {checking ? (
+                <span className="text-muted">checking…</span>
+              ) : (
+                <span className={feasibility.ok ? "badge-ok" : "badge-bad"}>
+                  {feasibility.ok ? "within limits" : "limits exceeded"}
+                </span>
+              )}
+            </div>
+            <table className={checking ? "summary-table stale" : "summary-table"}>
+              <thead>
+                <tr>
+                  <th>quantity</th>
+                  <th>peak</th>
+                  <th>at</th>
+                  <th>limit</th>
+                </tr>
+              </thead>
+              <tbody>
+                {LIMIT_FIELDS.map(({ key, label, unit, step }) => {
+                  const peak = feasibility.peaks[key];
+                  const bad = feasibility.spans[key].length > 0;
+                  return (
+                    <tr key={key} className={bad ? "row-bad" : undefined}>
+                      <td>{label}</td>
+                      <td>
+                        {fmt2(peak.value)} {unitLabel(unit)}
+                      </td>
+                      <td>
+                        t={fmt2(peak.t)} {unitLabel("s")}
+                      </td>
+                      <td>
+                        <input
+                          type="number"
+                          min={0}
+                          step={step}
+                          value={limits[key]}
+                          onChange={handleLimit(key)}
+                          className="number-input"
+                        />{" "}
+                        {unitLabel(unit)}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            {accStep > 0 && (
+              <div className="text-muted mt-2">
+                The ramp ends at t={fmt2(params.ramp_duration)} {unitLabel("s")}{" "}
+                with an acceleration step of {fmt2(accStep)} {unitLabel("m/s²")}, so
+                the jerk there is an impulse that the peak above does not include.
+              </div>
+            )}
+          </div>
+
+          <ComparisonPanel
+            baseline={baseline}
+            current={current}
+            onPin={() => setBaseline(current)}
+            onClear={() => setBaseline(null)}
+            onRestore={() => loadParams(baseline.typeKey, baseline.params)}
+          />
+
+          <VehiclePanel
+            vehicle={vehicle}
+            onChange={setVehicle}
+            load={load}
+            checking={checking}
+          />
+
+          <SolverPanel
+            type={type}
+            params={params}
+            limits={limits}
+            onApply={(next) => setParams(() => next)}
+          />
+
+          <ClosurePanel
+            closure={closure}
+            snaps={snaps}
+            onSnap={(next) => setParams(() => next)}
+            cycles={cycles}
+            onCycles={setCycles}
+          />
+
+          <ArenaPanel
+            arena={arena}
+            onChange={setArena}
+            clearance={clearance}
+            checking={checking}
+          />
+
+          {/* Mavlink command output */}
+          <div className="card mt-6">
+            <div className="section-label">
+              Mavlink Shell Command{" "}
+              {clearance && checking ? (
+                <span className="text-muted">checking geofence…</span>
+              ) : clearance ? (
+                <span className={clearance.safe ? "badge-ok" : "badge-bad"}>
+                  {clearance.safe
+                    ? "safe: inside geofence"
+                    : "not safe: path leaves the geofence or its margin"}
+                </span>
+              ) : (
+                <span className="text-muted">no geofence check</span>
+              )}
+            </div>
+            <div className="command-row">
+              <code
+                className={
+                  clearance && !checking && !clearance.safe
+                    ? "command-output command-unsafe"
+                    : "command-output"
+                }
+              >
+                {mavlinkCommand ?? "none: no intref mode flies this trajectory type"}
+              </code>
+              <button
+                onClick={copyToClipboard}
+                disabled={!mavlinkCommand}
+                className="copy-button"
+                title="Copy to clipboard"
+              >
+                {copied ? '✓ Copied' : 'Copy'}
+              </button>
+            </div>
+          </div>
+
+          <ShellPanel command={mavlinkCommand} warnings={shellWarnings} checking={checking} />
+
+          <ExportPanel
+            typeKey={typeKey}
+            params={params}
+            command={mavlinkCommand}
+            plotTime={plotTime}
+          />
+
+          <ReportPanel
+            typeKey={typeKey}
+            types={types}
+            params={params}
+            limits={limits}
+            plotTime={plotTime}
+          />
+
+          <SweepPanel
+            typeKey={typeKey}
+            type={type}
+            types={types}
+            params={params}
+            limits={limits}
+          />
+
+          <PresetManager typeKey={typeKey} params={params} onLoad={loadParams} />
+
+          <FlightLogPanel
+            flightLog={flightLog}
+            align={align}
+            tracking={tracking}
+            onLoad={handleLogLoad}
+            onAlignChange={(change) => setAlign((prev) => ({ ...prev, ...change }))}
+            onAutoAlign={() => autoAlignLog(flightLog, align.yawDeg)}
+            onFrameChange={(frame) => setFlightLog((prev) => ({ ...prev, frame }))}
+            onClear={() => setFlightLog(null)}
+          />
+
+          <LivePanel
+            live={live}
+            tracking={liveTracking}
+            elapsed={liveElapsed}
+            yawDeg={liveYawDeg}
+            onYawDeg={setLiveYawDeg}
+            follow={followLive}
+            onFollow={setFollowLive}
+            type={type}
+            params={params}
+          />
+
+          {/* Load parameters from pasted commands */}
+          <div className="card mt-6">
+            <div className="section-label">Load from Mavlink Shell Command</div>
+            <textarea
+              value={pasted}
+              onChange={(e) => setPasted(e.target.value)}
+              placeholder="mc_raptor intref lissajous 0.5 1 0 2 1 1 10 3"
+              rows={3}
+              className="textarea-input"
+            />
+            <div className="row mt-2">
+              <button onClick={handleParse} className="copy-button">
+                Parse
+              </button>
+              {parsed && (
+                <span className="text-muted">
+                  {parsed.length === 0
+                    ? "no mc_raptor command found"
+                    : `${parsed.filter((r) => r.errors.length === 0).length} of ${parsed.length} command(s) valid`}
+                </span>
+              )}
+            </div>
+            {parsed && parsed.length > 0 && (
+              <ul className="parse-list">
+                {parsed.map((r) => (
+                  <li key={r.line} className="parse-item">
+                    <div className="row">
+                      <span className="text-muted">line {r.line}</span>
+                      <code className="parse-command">{r.text}</code>
+                      {r.errors.length === 0 && (
+                        <button
+                          onClick={() => loadParams(r.typeKey, r.params)}
+                          className="small-button push-right"
+                        >
+                          Load
+                        </button>
+                      )}
+                    </div>
+                    {r.errors.map((err) => (
+                      <div key={err.field} className="parse-error">
+                        {err.field}: {err.message}
+                      </div>
+                    ))}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
         </div>
-      </div>
-    </div>
+      </UnitsContext.Provider>
+    </LocaleContext.Provider>
   );
 }
-
-// Mount the app
-const root = createRoot(document.getElementById("root"));
-root.render(<LissajousTuner />);
@@ -0,0 +1,112 @@
+// Flight area in room ("arena") coordinates: x, y horizontal, z up from the
+// floor. The trajectory frame starts at the takeoff position (x0, y0, z0)
+// and is yawed by yawDeg about z. The geofence is an axis-aligned box in
+// arena coordinates; margin is the clearance required to every wall.
+export const DEFAULT_ARENA = {
+  enabled: false,
+  x0: 0,
+  y0: 0,
+  z0: 1.0,
+  yawDeg: 0,
+  xMin: -3,
+  xMax: 3,
+  yMin: -2,
+  yMax: 2,
+  zMin: 0,
+  zMax: 3,
+  margin: 0.3,
+};
+
+const ARENA_WALLS = [
+  { label: "x min wall", dist: (P, a) => P.X - a.xMin },
+  { label: "x max wall", dist: (P, a) => a.xMax - P.X },
+  { label: "y min wall", dist: (P, a) => P.Y - a.yMin },
+  { label: "y max wall", dist: (P, a) => a.yMax - P.Y },
+  { label: "floor", dist: (P, a) => P.Z - a.zMin },
+  { label: "ceiling", dist: (P, a) => a.zMax - P.Z },
+];
+
+export function trajectoryToArena(arena, p) {
+  const psi = (arena.yawDeg * Math.PI) / 180;
+  const c = Math.cos(psi);
+  const s = Math.sin(psi);
+  return {
+    X: arena.x0 + c * p.x - s * p.y,
+    Y: arena.y0 + s * p.x + c * p.y,
+    Z: arena.z0 + p.z,
+  };
+}
+
+export function arenaToTrajectory(arena, X, Y, Z) {
+  const psi = (arena.yawDeg * Math.PI) / 180;
+  const c = Math.cos(psi);
+  const s = Math.sin(psi);
+  const dX = X - arena.x0;
+  const dY = Y - arena.y0;
+  return { x: c * dX + s * dY, y: -s * dX + c * dY, z: Z - arena.z0 };
+}
+
+// Geofence corners in the trajectory frame: the floor rectangle (in order)
+// followed by the ceiling rectangle.
+export function arenaCorners(arena) {
+  const ring = [
+    [arena.xMin, arena.yMin],
+    [arena.xMax, arena.yMin],
+    [arena.xMax, arena.yMax],
+    [arena.xMin, arena.yMax],
+  ];
+  return [arena.zMin, arena.zMax].flatMap((Z) =>
+    ring.map(([X, Y]) => arenaToTrajectory(arena, X, Y, Z))
+  );
+}
+
+// Outlines for the 2D charts: the box footprint for XY and its silhouettes
+// for the side views, as closed polylines in the trajectory frame.
+export function arenaOutlines(arena) {
+  const corners = arenaCorners(arena);
+  const footprint = corners.slice(0, 4);
+  const zLo = arena.zMin - arena.z0;
+  const zHi = arena.zMax - arena.z0;
+  const silhouette = (key) => {
+    const lo = Math.min(...corners.map((p) => p[key]));
+    const hi = Math.max(...corners.map((p) => p[key]));
+    return [
+      { [key]: lo, z: zLo },
+      { [key]: hi, z: zLo },
+      { [key]: hi, z: zHi },
+      { [key]: lo, z: zHi },
+      { [key]: lo, z: zLo },
+    ];
+  };
+  return {
+    xy: [...footprint, footprint[0]],
+    xz: silhouette("x"),
+    yz: silhouette("y"),
+  };
+}
+
+// Minimum clearance to each wall over the sampled trajectory (negative
+// means the path is outside the box) and whether all of them keep the margin.
+export function arenaClearance(trajectory, arena) {
+  const walls = ARENA_WALLS.map((w) => ({ label: w.label, min: Infinity, t: 0 }));
+  for (const p of trajectory) {
+    const P = trajectoryToArena(arena, p);
+    ARENA_WALLS.forEach((w, i) => {
+      const d = w.dist(P, arena);
+      if (d < walls[i].min) walls[i] = { ...walls[i], min: d, t: p.t };
+    });
+  }
+  const inside = walls.every((w) => w.min >= 0);
+  const safe = walls.every((w) => w.min >= arena.margin);
+  return { walls, inside, safe };
+}
+
+export function sanitizeArena(raw) {
+  const arena = { ...DEFAULT_ARENA };
+  for (const key of Object.keys(DEFAULT_ARENA)) {
+    if (key === "enabled") continue;
+    if (Number.isFinite(raw?.[key])) arena[key] = raw[key];
+  }
+  arena.enabled = raw?.enabled !== false;
+  return arena;
+}
@@ -0,0 +1,53 @@
+// Browser plumbing of the tuner UI: the shareable query string, stored
+// settings (localStorage; unavailable storage is ignored) and downloads.
+import { TRAJECTORY_TYPES, sanitizeParams } from "./trajectory.js";
+
+// The URL query holds the type, its parameters and the current time, e.g.
+// ?type=lissajous&A=0.5&B=1&...&t=2.5
+export function readUrlState(types = TRAJECTORY_TYPES) {
+  try {
+    const query = new URLSearchParams(window.location.search);
+    const typeKey = query.get("type");
+    if (!types[typeKey]) return null;
+    const params = sanitizeParams(typeKey, Object.fromEntries(query), types);
+    const t = parseFloat(query.get("t"));
+    return { typeKey, params, t: Number.isFinite(t) && t >= 0 ? t : 0 };
+  } catch {
+    return null;
+  }
+}
+
+export function writeUrlState(typeKey, params, t) {
+  const query = new URLSearchParams({ type: typeKey });
+  for (const key of Object.keys(TRAJECTORY_TYPES[typeKey].sliders)) {
+    query.set(key, String(params[key]));
+  }
+  query.set("t", t.toFixed(2));
+  window.history.replaceState(null, "", `?${query}`);
+}
+
+// localStorage lists (presets, arena profiles), validated on the way in.
+export function loadStored(key, sanitize) {
+  try {
+    return sanitize(JSON.parse(window.localStorage.getItem(key) ?? "[]"));
+  } catch {
+    return [];
+  }
+}
+
+export function storeValue(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // Storage may be full or disabled; the list then lives for this session.
+  }
+}
+
+export function downloadFile(filename, content, mime) {
+  const url = URL.createObjectURL(new Blob([content], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
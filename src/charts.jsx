@@ -0,0 +1,778 @@
+// recharts building blocks of the tuner: paths drawn on a canvas over the
+// chart, the XY drag handles, the stacked time-series charts, the side views
+// and the overlays (flown, live, baseline, geofence).
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceDot,
+  ReferenceLine,
+  ReferenceArea,
+  ResponsiveContainer,
+  Customized,
+} from 'recharts';
+import { makePow10Ticks, LIMIT_FIELDS, PLOT_SIGNALS } from './trajectory.js';
+import { useFmt2, useUnitLabel } from './format.js';
+
+// Dense curves are drawn on a canvas inside the plot area, using the chart's
+// own axis scales (recharts hands them to <Customized>). SVG keeps the axes,
+// grid and markers; thousands of path points there make dragging stutter.
+// `lines`: [{ data, xKey, yKey, color, width?, dash? }], null values break
+// a line like they do for recharts' <Line>.
+export function CanvasLines({ lines, xAxisMap, yAxisMap, offset }) {
+  const ref = useRef(null);
+  const xScale = xAxisMap && Object.values(xAxisMap)[0]?.scale;
+  const yScale = yAxisMap && Object.values(yAxisMap)[0]?.scale;
+  // Scales are rebuilt on every chart render; redraw only when they change.
+  const scaleKey =
+    xScale && yScale
+      ? [...xScale.domain(), ...xScale.range(), ...yScale.domain(), ...yScale.range()].join()
+      : "";
+
+  useEffect(() => {
+    const canvas = ref.current;
+    if (!canvas || !scaleKey) return;
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = Math.round(offset.width * dpr);
+    canvas.height = Math.round(offset.height * dpr);
+    const ctx = canvas.getContext("2d");
+    // Scales map to chart pixels; shift them into the plot area.
+    ctx.setTransform(dpr, 0, 0, dpr, -offset.left * dpr, -offset.top * dpr);
+    ctx.lineJoin = "round";
+
+    for (const { data, xKey, yKey, color, width = 1, dash = [] } of lines) {
+      if (!data?.length) continue;
+      ctx.beginPath();
+      ctx.strokeStyle = color;
+      ctx.lineWidth = width;
+      ctx.setLineDash(dash);
+      let drawing = false;
+      for (const p of data) {
+        if (p[xKey] == null || p[yKey] == null) {
+          drawing = false;
+          continue;
+        }
+        const X = xScale(p[xKey]);
+        const Y = yScale(p[yKey]);
+        if (drawing) ctx.lineTo(X, Y);
+        else ctx.moveTo(X, Y);
+        drawing = true;
+      }
+      ctx.stroke();
+    }
+  }, [lines, scaleKey, offset?.width, offset?.height]);
+
+  if (!offset) return null;
+  return (
+    <foreignObject
+      x={offset.left}
+      y={offset.top}
+      width={offset.width}
+      height={offset.height}
+      pointerEvents="none"
+    >
+      <canvas ref={ref} style={{ width: offset.width, height: offset.height, display: "block" }} />
+    </foreignObject>
+  );
+}
+
+// Pixels around the red marker within which a scrub prefers the point
+// closest in time, so crossings of the path do not make t jump.
+const SCRUB_TOLERANCE_PX = 4;
+
+// Direct manipulation on the XY chart, through <Customized> like
+// CanvasLines. Squares on the edges of the path's bounding box (see
+// extentHandles) drag the amplitudes; the red marker drags along `path` and
+// scrubs t. The chart's horizontal axis is the path's y, the vertical its x.
+export function XYHandles({
+  handles,
+  params,
+  path,
+  marker,
+  t,
+  onAmplitude,
+  onScrub,
+  xAxisMap,
+  yAxisMap,
+}) {
+  const drag = useRef(null);
+  const hScale = xAxisMap && Object.values(xAxisMap)[0]?.scale;
+  const vScale = yAxisMap && Object.values(yAxisMap)[0]?.scale;
+  if (!hScale || !vScale) return null;
+
+  const toPixel = (p) => [hScale(p.y), vScale(p.x)];
+  // Pointer position in the chart's pixel space (the scales' range).
+  const local = (e) => {
+    const rect = e.currentTarget.ownerSVGElement.getBoundingClientRect();
+    return [e.clientX - rect.left, e.clientY - rect.top];
+  };
+
+  const start = (e, state) => {
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    drag.current = state;
+  };
+
+  const handleMove = (e) => {
+    const state = drag.current;
+    if (!state) return;
+    const [px, py] = local(e);
+    if (state.handle) {
+      const { handle, amplitude } = state;
+      const v = handle.axis === "x" ? vScale.invert(py) : hScale.invert(px);
+      onAmplitude(handle, amplitude, v);
+      return;
+    }
+    const dist = path.map((p) => {
+      const [x, y] = toPixel(p);
+      return Math.hypot(x - px, y - py);
+    });
+    const nearest = dist.reduce((a, b) => Math.min(a, b), Infinity);
+    let best = null;
+    path.forEach((p, i) => {
+      if (dist[i] > nearest + SCRUB_TOLERANCE_PX) return;
+      if (!best || Math.abs(p.t - t) < Math.abs(best.t - t)) best = p;
+    });
+    if (best) onScrub(best.t);
+  };
+
+  const end = (e) => {
+    if (!drag.current) return;
+    e.currentTarget.releasePointerCapture(e.pointerId);
+    drag.current = null;
+  };
+
+  const events = { onPointerMove: handleMove, onPointerUp: end, onPointerCancel: end };
+  const [mx, my] = toPixel(marker);
+
+  return (
+    <g className="xy-handles">
+      {handles.map((h) => {
+        const at = h.axis === "x" ? { x: h.value, y: h.across } : { x: h.across, y: h.value };
+        const [x, y] = toPixel(at);
+        return (
+          <rect
+            key={`${h.axis}-${h.side}`}
+            x={x - 5}
+            y={y - 5}
+            width={10}
+            height={10}
+            className={h.axis === "x" ? "xy-handle xy-handle-v" : "xy-handle xy-handle-h"}
+            onPointerDown={(e) => start(e, { handle: h, amplitude: params[h.key] })}
+            {...events}
+          >
+            <title>drag to set {h.key}</title>
+          </rect>
+        );
+      })}
+      <circle
+        cx={mx}
+        cy={my}
+        r={11}
+        className="xy-scrub"
+        onPointerDown={(e) => start(e, { scrub: true })}
+        {...events}
+      >
+        <title>drag along the path to scrub t</title>
+      </circle>
+    </g>
+  );
+}
+
+// The points at every bucket's minimum and maximum of `key`, in order. Used as
+// the (invisible) SVG data of canvas charts: auto domains still see the
+// extremes and tooltips still find a nearby point.
+export function decimate(points, key, buckets = 300) {
+  if (points.length <= 2 * buckets) return points;
+  const size = points.length / buckets;
+  const out = [];
+  for (let b = 0; b < buckets; b++) {
+    const start = Math.floor(b * size);
+    const end = Math.floor((b + 1) * size);
+    let lo = start;
+    let hi = start;
+    for (let i = start; i < end; i++) {
+      if (points[i][key] < points[lo][key]) lo = i;
+      if (points[i][key] > points[hi][key]) hi = i;
+    }
+    out.push(points[Math.min(lo, hi)]);
+    if (lo !== hi) out.push(points[Math.max(lo, hi)]);
+  }
+  if (out[out.length - 1] !== points[points.length - 1]) {
+    out.push(points[points.length - 1]);
+  }
+  return out;
+}
+
+// Colors of the signals within one chart, in the order they were added.
+const SIGNAL_COLORS = ["#2563eb", "#dc2626", "#16a34a", "#a855f7", "#ca8a04", "#0f172a"];
+const DEFAULT_TIME_CHARTS = [["speed"], ["acc"], ["jerk"]];
+// A drag shorter than this fraction of the shown time span counts as a click.
+const MIN_ZOOM_FRACTION = 0.01;
+
+// The samples inside [t0, t1] plus one on either side, so lines reach the
+// edges of a zoomed chart.
+function timeWindow(data, [t0, t1]) {
+  const lo = data.findIndex((p) => p.t >= t0);
+  if (lo < 0) return [];
+  let hi = data.length - 1;
+  while (hi > lo && data[hi].t > t1) hi--;
+  return data.slice(Math.max(0, lo - 1), Math.min(data.length, hi + 2));
+}
+
+// One stacked chart of TimeSeriesPanel: any number of the `catalog` signals
+// on a shared y axis, those in `limitFields` checked against `limits`.
+// Dragging across it selects a time window to zoom into; a click sets t.
+function TimeSeriesChart({
+  signals,
+  catalog,
+  limitFields,
+  data,
+  domain,
+  t,
+  timeBarHalf,
+  cur,
+  limits,
+  spans,
+  overlay,
+  baseline,
+  onSignals,
+  onRemove,
+  onZoom,
+  onSetT,
+}) {
+  const fmt2 = useFmt2();
+  const unitLabel = useUnitLabel();
+  const [drag, setDrag] = useState(null);
+
+  // Invisible SVG data: the extremes of every signal, for domain and tooltip.
+  const sparse = useMemo(() => {
+    if (signals.length === 1) return decimate(data, signals[0]);
+    const kept = new Set(signals.flatMap((key) => decimate(data, key)));
+    return data.filter((p) => kept.has(p));
+  }, [data, signals]);
+
+  const signalInfo = (key) => catalog.find((s) => s.key === key);
+  const limited = limitFields.filter(({ key }) => signals.includes(key));
+  const lines = useMemo(
+    () => [
+      ...signals.map((key, i) => ({
+        data,
+        xKey: "t",
+        yKey: key,
+        color: SIGNAL_COLORS[i % SIGNAL_COLORS.length],
+      })),
+      ...limited.map(({ key }) => ({
+        data,
+        xKey: "t",
+        yKey: `${key}Over`,
+        color: "#f97316",
+        width: 2.5,
+      })),
+    ],
+    [data, signals]
+  );
+
+  const units = [...new Set(signals.map((key) => unitLabel(signalInfo(key).unit)))];
+  const unit = units.length === 1 && units[0] ? ` [${units[0]}]` : "";
+  const yLabel = `${signals.join(", ")}${unit}`;
+
+  const handleMouseUp = () => {
+    if (!drag) return;
+    const a = Math.min(drag.from, drag.to);
+    const b = Math.max(drag.from, drag.to);
+    if (b - a > MIN_ZOOM_FRACTION * (domain[1] - domain[0])) onZoom([a, b]);
+    else onSetT(drag.from);
+    setDrag(null);
+  };
+
+  const available = catalog.filter((s) => !signals.includes(s.key));
+  const groups = [...new Set(catalog.map((s) => s.group))];
+
+  return (
+    <div className="mt-2">
+      <div className="row wrap">
+        {signals.map((key, i) => (
+          <button
+            key={key}
+            onClick={() => onSignals(signals.filter((k) => k !== key))}
+            disabled={signals.length === 1}
+            className="small-button"
+            style={{ color: SIGNAL_COLORS[i % SIGNAL_COLORS.length] }}
+            title="remove from this chart"
+          >
+            {signalInfo(key).label} ×
+          </button>
+        ))}
+        {available.length > 0 && (
+          <select
+            value=""
+            onChange={(e) => onSignals([...signals, e.target.value])}
+            className="select-input"
+          >
+            <option value="">add signal…</option>
+            {groups.map((group) => (
+              <optgroup key={group} label={group}>
+                {available
+                  .filter((s) => s.group === group)
+                  .map((s) => (
+                    <option key={s.key} value={s.key}>
+                      {s.label}
+                    </option>
+                  ))}
+              </optgroup>
+            ))}
+          </select>
+        )}
+        {onRemove && (
+          <button onClick={onRemove} className="small-button push-right">
+            Remove chart
+          </button>
+        )}
+      </div>
+      <div className="chart-container-wide">
+        <ResponsiveContainer width="100%" height={200}>
+          <LineChart
+            data={sparse}
+            margin={{ top: 10, right: 44, bottom: 28, left: 44 }}
+            syncId="time-series"
+            syncMethod="value"
+            onMouseDown={(e) => {
+              if (e?.activeLabel === undefined) return;
+              setDrag({ from: e.activeLabel, to: e.activeLabel });
+            }}
+            onMouseMove={(e) => {
+              if (drag && e?.activeLabel !== undefined) {
+                setDrag((prev) => ({ ...prev, to: e.activeLabel }));
+              }
+            }}
+            onMouseUp={handleMouseUp}
+            onMouseLeave={() => setDrag(null)}
+          >
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis
+              dataKey="t"
+              type="number"
+              domain={domain}
+              allowDataOverflow
+              tickFormatter={fmt2}
+              label={{
+                value: `time [${unitLabel("s")}]`,
+                position: "insideBottomRight",
+                offset: -8,
+              }}
+            />
+            <YAxis
+              type="number"
+              tickFormatter={fmt2}
+              label={{ value: yLabel, angle: -90, position: "insideLeft", offset: -10 }}
+            />
+            {limited.flatMap(({ key }) =>
+              spans[key].map(([t0, t1]) => (
+                <ReferenceArea
+                  key={`${key}-${t0}-${t1}`}
+                  x1={t0}
+                  x2={t1}
+                  fill="#f97316"
+                  fillOpacity={0.15}
+                  ifOverflow="hidden"
+                />
+              ))
+            )}
+            {limited.map(
+              ({ key }) =>
+                limits[key] > 0 && (
+                  <ReferenceLine
+                    key={key}
+                    y={limits[key]}
+                    stroke="#f97316"
+                    strokeDasharray="6 4"
+                    ifOverflow="extendDomain"
+                  />
+                )
+            )}
+            <ReferenceArea
+              x1={Math.max(domain[0], t - timeBarHalf)}
+              x2={Math.min(domain[1], t + timeBarHalf)}
+              fill="#ef4444"
+              fillOpacity={0.12}
+              ifOverflow="hidden"
+            />
+            <ReferenceLine x={t} strokeOpacity={0.35} ifOverflow="hidden" />
+            {signals.map((key) => (
+              <ReferenceDot
+                key={key}
+                x={t}
+                y={cur[key] ?? 0}
+                r={4}
+                fill="#ef4444"
+                stroke="#991b1b"
+                ifOverflow="hidden"
+                isFront
+              />
+            ))}
+            {drag && (
+              <ReferenceArea x1={drag.from} x2={drag.to} fill="#64748b" fillOpacity={0.2} />
+            )}
+            <Tooltip
+              formatter={(value, name) => [
+                `${fmt2(value)} ${unitLabel(signalInfo(name)?.unit ?? "")}`,
+                signalInfo(name)?.label ?? name,
+              ]}
+              labelFormatter={(label) => `t=${fmt2(label)} ${unitLabel("s")}`}
+            />
+            {signals.map((key, i) => (
+              <Line
+                key={key}
+                type="linear"
+                dataKey={key}
+                name={key}
+                stroke="none"
+                dot={false}
+                activeDot={{ r: 3, fill: SIGNAL_COLORS[i % SIGNAL_COLORS.length] }}
+                isAnimationActive={false}
+              />
+            ))}
+            <Customized component={<CanvasLines lines={lines} />} />
+            {signals.map((key) =>
+              overlay?.[0]?.[key] !== undefined ? (
+                <React.Fragment key={key}>{flownLine(overlay, key)}</React.Fragment>
+              ) : null
+            )}
+            {signals.map((key) => (
+              <React.Fragment key={key}>{baselineLine(baseline, key)}</React.Fragment>
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
+
+// Stacked time-series charts of any `catalog` signals (PLOT_SIGNALS by
+// default), sharing the time cursor, the hover position and the zoom window.
+export function TimeSeriesPanel({
+  title = "Signals over time",
+  catalog = PLOT_SIGNALS,
+  limitFields = LIMIT_FIELDS,
+  initialCharts = DEFAULT_TIME_CHARTS,
+  data,
+  plotTime,
+  t,
+  timeBarHalf,
+  cur,
+  limits,
+  spans,
+  overlay,
+  baseline,
+  onSetT,
+}) {
+  const fmt2 = useFmt2();
+  const unitLabel = useUnitLabel();
+  const [charts, setCharts] = useState(initialCharts);
+  const [zoom, setZoom] = useState(null);
+
+  // A new horizon invalidates the window.
+  useEffect(() => setZoom(null), [plotTime]);
+
+  const domain = zoom ?? [0, plotTime];
+  const shown = useMemo(() => (zoom ? timeWindow(data, zoom) : data), [data, zoom]);
+  const shownOverlay = useMemo(
+    () => (zoom && overlay ? timeWindow(overlay, zoom) : overlay),
+    [overlay, zoom]
+  );
+  const shownBaseline = useMemo(
+    () => (zoom && baseline ? timeWindow(baseline, zoom) : baseline),
+    [baseline, zoom]
+  );
+
+  const setChart = (i, signals) =>
+    setCharts((prev) => prev.map((s, j) => (j === i ? signals : s)));
+
+  return (
+    <div className="card mt-6">
+      <div className="section-label">
+        {title}{" "}
+        <span className="text-muted">
+          {zoom
+            ? `${fmt2(zoom[0])}–${fmt2(zoom[1])} ${unitLabel("s")}`
+            : "drag across a chart to zoom, click to set t"}
+        </span>
+      </div>
+      <div className="row">
+        <button
+          onClick={() => setCharts((prev) => [...prev, [catalog[0].key]])}
+          className="small-button"
+        >
+          Add chart
+        </button>
+        {zoom && (
+          <button onClick={() => setZoom(null)} className="small-button">
+            Reset zoom
+          </button>
+        )}
+      </div>
+      {charts.map((signals, i) => (
+        <TimeSeriesChart
+          key={i}
+          signals={signals}
+          catalog={catalog}
+          limitFields={limitFields}
+          data={shown}
+          domain={domain}
+          t={t}
+          timeBarHalf={timeBarHalf}
+          cur={cur}
+          limits={limits}
+          spans={spans}
+          overlay={shownOverlay}
+          baseline={shownBaseline}
+          onSignals={(next) => setChart(i, next)}
+          onRemove={
+            charts.length > 1 ? () => setCharts((prev) => prev.filter((_, j) => j !== i)) : null
+          }
+          onZoom={setZoom}
+          onSetT={onSetT}
+        />
+      ))}
+    </div>
+  );
+}
+
+// Side view of the path: `hKey` runs along the horizontal axis, z is up.
+export function SideViewCard({
+  title,
+  data,
+  hKey,
+  hLabel,
+  hDomain,
+  hReversed,
+  zDomain,
+  curH,
+  curZ,
+  overlay,
+  outline,
+}) {
+  const fmt2 = useFmt2();
+  const unitLabel = useUnitLabel();
+  const hTicks = useMemo(() => makePow10Ticks(hDomain, 9), [hDomain]);
+  const zTicks = useMemo(() => makePow10Ticks(zDomain, 5), [zDomain]);
+  const sparse = useMemo(() => decimate(data, "z"), [data]);
+  const lines = useMemo(
+    () => [
+      { data, xKey: hKey, yKey: "z", color: "#2563eb" },
+      { data, xKey: hKey, yKey: "zOver", color: "#f97316", width: 3 },
+    ],
+    [data, hKey]
+  );
+
+  return (
+    <div className="card-sm flex-col">
+      <div className="section-label">{title}</div>
+      <ResponsiveContainer width="100%" aspect={2}>
+        <LineChart
+          data={sparse}
+          margin={{ top: 10, right: 44, bottom: 28, left: 16 }}
+        >
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis
+            dataKey={hKey}
+            type="number"
+            domain={hDomain}
+            ticks={hTicks}
+            allowDataOverflow
+            reversed={hReversed}
+            tickFormatter={fmt2}
+            label={{ value: hLabel, position: "insideBottomRight", offset: -8 }}
+          />
+          <YAxis
+            type="number"
+            domain={zDomain}
+            ticks={zTicks}
+            orientation="right"
+            allowDataOverflow
+            tickFormatter={fmt2}
+            label={{
+              value: `z (up) [${unitLabel("m")}]`,
+              angle: 90,
+              position: "right",
+              offset: 18,
+            }}
+          />
+          <ReferenceLine x={0} strokeOpacity={0.35} />
+          <ReferenceLine y={0} strokeOpacity={0.35} />
+          <Tooltip
+            formatter={(value, name) => [`${fmt2(value)} ${unitLabel("m")}`, name]}
+            labelFormatter={() => ""}
+          />
+          <Line
+            type="linear"
+            dataKey="z"
+            name="z (up)"
+            stroke="none"
+            dot={false}
+            activeDot={{ r: 3, fill: "#2563eb" }}
+            isAnimationActive={false}
+          />
+          <Customized component={<CanvasLines lines={lines} />} />
+          {flownLine(overlay, "z")}
+          {arenaLine(outline, "z")}
+          <ReferenceDot
+            x={curH}
+            y={curZ}
+            r={5}
+            fill="#ef4444"
+            stroke="#991b1b"
+            isFront
+          />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+const FLOWN_COLOR = "#16a34a";
+export const LIVE_COLOR = "#0891b2";
+export const ARENA_COLOR = "#7c3aed";
+const BASELINE_COLOR = "#db2777";
+
+// Path actually flown, drawn over a chart from its own data series.
+export function flownLine(series, dataKey) {
+  if (!series?.length) return null;
+  return (
+    <Line
+      type="linear"
+      data={series}
+      dataKey={dataKey}
+      name="flown"
+      stroke={FLOWN_COLOR}
+      strokeWidth={1.5}
+      dot={false}
+      isAnimationActive={false}
+    />
+  );
+}
+
+// Live vehicle trail (see LivePanel).
+export function liveLine(series, dataKey) {
+  if (!series?.length) return null;
+  return (
+    <Line
+      type="linear"
+      data={series}
+      dataKey={dataKey}
+      name="vehicle"
+      stroke={LIVE_COLOR}
+      strokeWidth={1.5}
+      dot={false}
+      isAnimationActive={false}
+    />
+  );
+}
+
+// Pinned baseline trajectory (see ComparisonPanel).
+export function baselineLine(series, dataKey) {
+  if (!series?.length) return null;
+  return (
+    <Line
+      type="linear"
+      data={series}
+      dataKey={dataKey}
+      name="baseline"
+      stroke={BASELINE_COLOR}
+      strokeDasharray="4 3"
+      dot={false}
+      isAnimationActive={false}
+    />
+  );
+}
+
+// Geofence outline (closed polyline from arenaOutlines).
+export function arenaLine(outline, dataKey) {
+  if (!outline) return null;
+  return (
+    <Line
+      type="linear"
+      data={outline}
+      dataKey={dataKey}
+      name="geofence"
+      stroke={ARENA_COLOR}
+      strokeDasharray="6 4"
+      dot={false}
+      isAnimationActive={false}
+    />
+  );
+}
+
+export function TrackingErrorCard({ tracking, plotTime, t }) {
+  const fmt2 = useFmt2();
+  const unitLabel = useUnitLabel();
+  const lines = [
+    { key: "e", name: "|position error|", color: "#0f172a" },
+    { key: "ex", name: "x error", color: "#dc2626" },
+    { key: "ey", name: "y error", color: "#16a34a" },
+    { key: "ez", name: "z error", color: "#2563eb" },
+  ];
+  if (tracking.rmsVel !== null) {
+    lines.push({ key: "ev", name: `|velocity error| [${unitLabel("m/s")}]`, color: "#a855f7" });
+  }
+
+  return (
+    <div className="card mt-6">
+      <div className="section-label">Tracking error over time</div>
+      <div className="chart-container-wide">
+        <ResponsiveContainer width="100%" height={240}>
+          <LineChart
+            data={tracking.series}
+            margin={{ top: 10, right: 44, bottom: 28, left: 44 }}
+          >
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis
+              dataKey="t"
+              type="number"
+              domain={[0, plotTime]}
+              allowDataOverflow
+              tickFormatter={fmt2}
+              label={{
+                value: `time [${unitLabel("s")}]`,
+                position: "insideBottomRight",
+                offset: -8,
+              }}
+            />
+            <YAxis
+              type="number"
+              tickFormatter={fmt2}
+              label={{
+                value: `error [${unitLabel("m")}]`,
+                angle: -90,
+                position: "insideLeft",
+                offset: -10,
+              }}
+            />
+            <ReferenceLine y={0} strokeOpacity={0.35} />
+            <ReferenceLine x={t} strokeOpacity={0.35} />
+            <Tooltip
+              formatter={(value, name) => [fmt2(value), name]}
+              labelFormatter={(label) => `t=${fmt2(label)} ${unitLabel("s")}`}
+            />
+            {lines.map(({ key, name, color }) => (
+              <Line
+                key={key}
+                type="linear"
+                dataKey={key}
+                name={name}
+                stroke={color}
+                dot={false}
+                isAnimationActive={false}
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
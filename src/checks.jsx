@@ -0,0 +1,724 @@
+// Panels that check the path against limits or fit it to them: comparison
+// with a pinned baseline, the airframe, the solver, closure and the arena.
+import React, { useState, useMemo, useEffect } from 'react';
+import {
+  TRAJECTORY_TYPES,
+  isFlyable,
+  LIMIT_FIELDS,
+  periodicity,
+} from './trajectory.js';
+import { sanitizeArena } from './arena.js';
+import { SOLVER_TARGETS, solveParams, measure } from './solver.js';
+import {
+  GRAVITY,
+  VEHICLE_FIELDS,
+  LOAD_FIELDS,
+  sanitizeVehicle,
+} from './vehicle.js';
+import { useFmt2, useUnitLabel } from './format.js';
+import { loadStored, storeValue } from './browser.js';
+
+// Table values of one parameter set. Measuring samples the whole flight
+// (about a quarter second), hence the memoized baseline and the settle delay
+// on the current set.
+function summarize({ typeKey, params }) {
+  const type = TRAJECTORY_TYPES[typeKey];
+  return {
+    ...measure(type, params),
+    period: periodicity(type, params).period,
+    label: type.label,
+    command: isFlyable(type) ? type.command(params) : null,
+  };
+}
+
+const COMPARISON_SETTLE_MS = 300;
+
+// Pinned parameter set (e.g. the last one flown) compared with the current
+// one: overlaid on the XY and speed plots, summarized in a table.
+export function ComparisonPanel({ baseline, current, onPin, onClear, onRestore }) {
+  const fmt2 = useFmt2();
+  const unitLabel = useUnitLabel();
+  const [settled, setSettled] = useState(current);
+  useEffect(() => {
+    const id = setTimeout(() => setSettled(current), COMPARISON_SETTLE_MS);
+    return () => clearTimeout(id);
+  }, [current]);
+
+  const pinned = Boolean(baseline);
+  const baselineSummary = useMemo(() => baseline && summarize(baseline), [baseline]);
+  const currentSummary = useMemo(
+    () => (pinned ? summarize(settled) : null),
+    [pinned, settled]
+  );
+  const summaries = pinned && [baselineSummary, currentSummary];
+  const settling = settled !== current;
+
+  const rows = [
+    { key: "speed", label: "peak speed", unit: "m/s" },
+    { key: "acc", label: "peak acceleration", unit: "m/s²" },
+    { key: "sizeX", label: "extent x", unit: "m" },
+    { key: "sizeY", label: "extent y", unit: "m" },
+    { key: "sizeZ", label: "extent z", unit: "m" },
+    { key: "period", label: "true period", unit: "s" },
+    { key: "time", label: "ramp + duration", unit: "s" },
+  ];
+  const value = (v, unit) =>
+    Number.isFinite(v) ? `${fmt2(v)} ${unitLabel(unit)}` : "does not repeat";
+
+  return (
+    <div className="card mt-6">
+      <div className="section-label">Compare with baseline</div>
+      <div className="row wrap">
+        <button onClick={onPin} className="small-button">
+          {baseline ? "Re-pin current" : "Pin current as baseline"}
+        </button>
+        <button onClick={onRestore} disabled={!baseline} className="small-button">
+          Load baseline
+        </button>
+        <button onClick={onClear} disabled={!baseline} className="small-button">
+          Clear
+        </button>
+        {baseline && (
+          <span className="text-muted">
+            pink dashed: baseline on the XY and speed plots
+          </span>
+        )}
+      </div>
+
+      {summaries && (
+        <table className="summary-table mt-2">
+          <thead>
+            <tr>
+              <th></th>
+              <th>baseline ({summaries[0].label})</th>
+              <th>
+                current ({summaries[1].label})
+                {settling && <span className="text-muted"> measuring…</span>}
+              </th>
+              <th>change</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(({ key, label, unit }) => {
+              const [a, b] = summaries.map((s) => s[key]);
+              const delta = b - a;
+              return (
+                <tr key={key}>
+                  <td>{label}</td>
+                  <td>{value(a, unit)}</td>
+                  <td>{value(b, unit)}</td>
+                  <td>
+                    {Number.isFinite(delta) && Math.abs(delta) >= 0.005
+                      ? `${delta > 0 ? "+" : ""}${fmt2(delta)} ${unitLabel(unit)}`
+                      : ""}
+                  </td>
+                </tr>
+              );
+            })}
+            <tr>
+              <td>command</td>
+              {summaries.map((s, i) => (
+                <td key={i}>
+                  {s.command ? (
+                    <code className="parse-command">{s.command}</code>
+                  ) : (
+                    <span className="text-muted">not flyable</span>
+                  )}
+                </td>
+              ))}
+              <td>{summaries[0].command === summaries[1].command ? "same" : ""}</td>
+            </tr>
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+const AIRFRAME_STORAGE_KEY = "mc-raptor-trajectory-tool.airframes";
+
+function sanitizeAirframes(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter((p) => typeof p?.name === "string" && p.name.trim())
+    .map((p) => ({ name: p.name.trim(), vehicle: sanitizeVehicle(p.vehicle) }));
+}
+
+export function VehiclePanel({ vehicle, onChange, load, checking }) {
+  const fmt2 = useFmt2();
+  const unitLabel = useUnitLabel();
+  const [airframes, setAirframes] = useState(() =>
+    loadStored(AIRFRAME_STORAGE_KEY, sanitizeAirframes)
+  );
+  const [name, setName] = useState("");
+
+  const update = (next) => {
+    setAirframes(next);
+    storeValue(AIRFRAME_STORAGE_KEY, next);
+  };
+
+  const handleSave = () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    const airframe = { name: trimmed, vehicle: { ...vehicle, enabled: true } };
+    const i = airframes.findIndex((p) => p.name === trimmed);
+    update(
+      i >= 0
+        ? airframes.map((p, j) => (j === i ? airframe : p))
+        : [...airframes, airframe]
+    );
+    setName("");
+  };
+
+  const handleField = (key) => (e) => {
+    const v = parseFloat(e.target.value);
+    if (Number.isFinite(v) && v > 0) onChange({ ...vehicle, [key]: v });
+  };
+
+  const maxThrust = vehicle.thrustToWeight * vehicle.mass * GRAVITY;
+
+  return (
+    <div className="card mt-6">
+      <div className="section-label">
+        Vehicle{" "}
+        {vehicle.enabled && load && checking && (
+          <span className="text-muted">checking…</span>
+        )}
+        {vehicle.enabled && load && !checking && (
+          <span className={load.ok ? "badge-ok" : "badge-bad"}>
+            {load.ok ? "within airframe limits" : "saturates"}
+          </span>
+        )}
+      </div>
+      <div className="row wrap">
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={vehicle.enabled}
+            onChange={(e) => onChange({ ...vehicle, enabled: e.target.checked })}
+          />
+          use vehicle model
+        </label>
+        <select
+          value=""
+          onChange={(e) => {
+            const p = airframes[parseInt(e.target.value, 10)];
+            if (p) onChange({ ...p.vehicle, enabled: true });
+          }}
+          className="select-input"
+        >
+          <option value="" disabled>
+            load airframe…
+          </option>
+          {airframes.map((p, i) => (
+            <option key={p.name} value={i}>
+              {p.name}
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && handleSave()}
+          placeholder="airframe name"
+          className="text-input"
+        />
+        <button onClick={handleSave} className="small-button">
+          Save
+        </button>
+        <button
+          onClick={() => update(airframes.filter((p) => p.name !== name.trim()))}
+          disabled={!airframes.some((p) => p.name === name.trim())}
+          className="small-button"
+        >
+          Delete
+        </button>
+      </div>
+
+      {vehicle.enabled && (
+        <>
+          <div className="export-grid mt-2">
+            {VEHICLE_FIELDS.map(({ key, label, unit, step }) => (
+              <React.Fragment key={key}>
+                <label className="label-sm">{label}</label>
+                <div className="row">
+                  <input
+                    type="number"
+                    min={0}
+                    step={step}
+                    value={vehicle[key]}
+                    onChange={handleField(key)}
+                    className="number-input"
+                  />
+                  <span className="text-muted">{unitLabel(unit)}</span>
+                </div>
+              </React.Fragment>
+            ))}
+          </div>
+
+          {load && (
+            <table className="summary-table mt-2">
+              <thead>
+                <tr>
+                  <th>quantity</th>
+                  <th>peak</th>
+                  <th>at</th>
+                  <th>limit</th>
+                  <th>headroom</th>
+                </tr>
+              </thead>
+              <tbody>
+                {LOAD_FIELDS.map(({ key, label, unit, limitKey }) => {
+                  const peak = load.peaks[key];
+                  const limit = vehicle[limitKey];
+                  return (
+                    <tr
+                      key={key}
+                      className={load.spans[key].length ? "row-bad" : undefined}
+                    >
+                      <td>{label}</td>
+                      <td>
+                        {fmt2(peak.value)} {unitLabel(unit)}
+                      </td>
+                      <td>
+                        t={fmt2(peak.t)} {unitLabel("s")}
+                      </td>
+                      <td>
+                        {fmt2(limit)} {unitLabel(unit)}
+                      </td>
+                      <td>
+                        {fmt2(limit - peak.value)} {unitLabel(unit)}
+                      </td>
+                    </tr>
+                  );
+                })}
+                <tr
+                  className={load.peaks.thrust.value > maxThrust ? "row-bad" : undefined}
+                >
+                  <td>collective thrust</td>
+                  <td>{fmt2(load.peaks.thrust.value)} N</td>
+                  <td>
+                    t={fmt2(load.peaks.thrust.t)} {unitLabel("s")}
+                  </td>
+                  <td>{fmt2(maxThrust)} N</td>
+                  <td>
+                    {fmt2(maxThrust - load.peaks.thrust.value)} N (
+                    {fmt2(100 * (1 - load.peaks.thrust.value / maxThrust))} %)
+                  </td>
+                </tr>
+              </tbody>
+            </table>
+          )}
+          <div className="text-muted mt-2">
+            Point-mass estimate from the reference acceleration: no drag, no
+            attitude dynamics, no thrust reserve for control.
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// Targets that are not a positive number are off (like the limits).
+const DEFAULT_SOLVER_TARGETS = { sizeX: 0, sizeY: 0, sizeZ: 0, time: 0 };
+
+// Keeps the shape and solves duration, ramp and amplitudes for the limits
+// of the feasibility table plus a box and/or total flight time. The solve
+// takes a few hundred milliseconds, so it runs on the Solve button and its
+// result only holds for the inputs it was solved with.
+export function SolverPanel({ type, params, limits, onApply }) {
+  const fmt2 = useFmt2();
+  const unitLabel = useUnitLabel();
+  const [targets, setTargets] = useState(DEFAULT_SOLVER_TARGETS);
+  const [solved, setSolved] = useState(null);
+  const result =
+    solved &&
+    solved.type === type &&
+    solved.params === params &&
+    solved.limits === limits &&
+    solved.targets === targets
+      ? solved.result
+      : null;
+
+  const handleSolve = () =>
+    setSolved({
+      type,
+      params,
+      limits,
+      targets,
+      result: solveParams(type, params, { ...limits, ...targets }),
+    });
+
+  const handleTarget = (key) => (e) => {
+    const raw = parseFloat(e.target.value);
+    setTargets((prev) => ({ ...prev, [key]: Number.isFinite(raw) ? raw : 0 }));
+  };
+
+  const rows = [
+    ...LIMIT_FIELDS.map((f) => ({ ...f, target: limits[f.key] })),
+    ...SOLVER_TARGETS.map((f) => ({ ...f, target: targets[f.key] })),
+  ];
+  const changed = result?.ok
+    ? Object.keys(type.sliders).filter((key) => result.params[key] !== params[key])
+    : [];
+
+  return (
+    <div className="card mt-6">
+      <div className="section-label">
+        Solve for targets{" "}
+        {result && (
+          <span className={result.ok ? "badge-ok" : "badge-bad"}>
+            {result.ok ? "solved" : "infeasible"}
+          </span>
+        )}
+      </div>
+      <div className="text-muted">
+        Keeps the frequencies, the amplitude proportions and the ramp share of
+        the current parameters. Speed, acceleration and jerk come from the
+        limits above; 0 turns a target off.
+      </div>
+      <div className="row wrap mt-2">
+        {SOLVER_TARGETS.map(({ key, label, unit, step }) => (
+          <label key={key} className="checkbox-label">
+            {label}
+            <input
+              type="number"
+              min={0}
+              step={step}
+              value={targets[key]}
+              onChange={handleTarget(key)}
+              className="number-input"
+            />
+            {unitLabel(unit)}
+          </label>
+        ))}
+        <button onClick={handleSolve} className="small-button push-right">
+          Solve
+        </button>
+      </div>
+
+      {!result ? (
+        <div className="text-muted mt-2">
+          {solved
+            ? "The parameters, limits or targets changed since the last solve."
+            : "Solve fits the parameters to these targets."}
+        </div>
+      ) : result.ok ? (
+        <>
+          <table className="summary-table mt-2">
+            <thead>
+              <tr>
+                <th>target</th>
+                <th>value</th>
+                <th>solved</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(({ key, label, unit, target }) => (
+                <tr key={key}>
+                  <td>{label}</td>
+                  <td>
+                    {target > 0 ? `${fmt2(target)} ${unitLabel(unit)}` : "off"}
+                  </td>
+                  <td>
+                    {fmt2(result.achieved[key])} {unitLabel(unit)}
+                  </td>
+                  <td>{result.active.includes(key) ? "active" : ""}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {result.shrink < 1 && (
+            <div className="parse-error mt-2">
+              To keep {LIMIT_FIELDS.filter(({ key }) => result.active.includes(key))
+                .map(({ label }) => label)
+                .join(", ")} within
+              its limit at this total time, the path shrank to{" "}
+              {(result.shrink * 100).toFixed(0)} % of the solved size.
+            </div>
+          )}
+          <div className="row mt-2">
+            <span className="text-muted">
+              {changed.length
+                ? changed
+                    .map((key) => `${key} ${params[key]} → ${result.params[key]}`)
+                    .join(", ")
+                : "The current parameters already are the solution."}
+            </span>
+            <button
+              onClick={() => onApply(result.params)}
+              disabled={!changed.length}
+              className="small-button push-right"
+            >
+              Apply
+            </button>
+          </div>
+        </>
+      ) : (
+        <div className="parse-error">
+          Cannot meet the targets: {result.reason}.
+        </div>
+      )}
+    </div>
+  );
+}
+
+const MAX_PLOT_CYCLES = 20;
+
+// Whether the path closes after one duration, the seam jump when it does
+// not, and how many cycles to plot.
+export function ClosurePanel({ closure, snaps, onSnap, cycles, onCycles }) {
+  const fmt2 = useFmt2();
+  const unitLabel = useUnitLabel();
+  const { closes, cycles: periodCycles, period, positionJump, velocityJump } =
+    closure;
+  const canShowPeriod =
+    Number.isFinite(periodCycles) &&
+    periodCycles > 0 &&
+    Math.ceil(periodCycles) <= MAX_PLOT_CYCLES &&
+    Math.ceil(periodCycles) !== cycles;
+
+  const handleCycles = (e) => {
+    const v = parseInt(e.target.value, 10);
+    if (Number.isFinite(v)) onCycles(Math.min(MAX_PLOT_CYCLES, Math.max(1, v)));
+  };
+
+  return (
+    <div className="card mt-6">
+      <div className="section-label">
+        Closure{" "}
+        <span className={closes ? "badge-ok" : "badge-bad"}>
+          {closes ? "closes after one duration" : "open seam"}
+        </span>
+      </div>
+      <div className="text-muted">
+        {periodCycles === 0
+          ? "No motion, so there is nothing to repeat."
+          : Number.isFinite(periodCycles)
+            ? `True period: ${fmt2(periodCycles)} × duration = ` +
+              `${fmt2(period)} ${unitLabel("s")}.`
+            : "The frequency ratios do not repeat within 100 durations."}
+      </div>
+      {!closes && (
+        <>
+          <div className="text-muted mt-2">
+            Restarting the pattern after one duration jumps by{" "}
+            {fmt2(positionJump)} {unitLabel("m")} in position and{" "}
+            {fmt2(velocityJump)} {unitLabel("m/s")} in velocity.
+          </div>
+          {snaps.length > 0 && (
+            <div className="row wrap mt-2">
+              <span className="label-sm">snap</span>
+              {snaps.map((snap) => (
+                <button
+                  key={snap.kind}
+                  onClick={() => onSnap(snap.params)}
+                  title={
+                    snap.kind === "scale"
+                      ? "same path and speed, closes after the new duration"
+                      : "nearest whole-number frequencies"
+                  }
+                  className="small-button"
+                >
+                  {snap.label}
+                </button>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+      <div className="row mt-2">
+        <label className="label-sm">plot cycles</label>
+        <input
+          type="number"
+          min={1}
+          max={MAX_PLOT_CYCLES}
+          step={1}
+          value={cycles}
+          onChange={handleCycles}
+          className="number-input"
+        />
+        {canShowPeriod && (
+          <button
+            onClick={() => onCycles(Math.ceil(periodCycles))}
+            className="small-button"
+          >
+            Show true period
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const ARENA_FIELD_GROUPS = [
+  { label: "takeoff", unit: "m", keys: ["x0", "y0", "z0"] },
+  { label: "frame yaw", unit: "deg", keys: ["yawDeg"] },
+  { label: "box x", unit: "m", keys: ["xMin", "xMax"] },
+  { label: "box y", unit: "m", keys: ["yMin", "yMax"] },
+  { label: "box z", unit: "m", keys: ["zMin", "zMax"] },
+  { label: "margin", unit: "m", keys: ["margin"] },
+];
+
+const ARENA_STORAGE_KEY = "mc-raptor-trajectory-tool.arenas";
+
+function sanitizeArenaProfiles(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter((p) => typeof p?.name === "string" && p.name.trim())
+    .map((p) => ({ name: p.name.trim(), arena: sanitizeArena(p.arena) }));
+}
+
+export function ArenaPanel({ arena, onChange, clearance, checking }) {
+  const fmt2 = useFmt2();
+  const unitLabel = useUnitLabel();
+  const [profiles, setProfiles] = useState(() =>
+    loadStored(ARENA_STORAGE_KEY, sanitizeArenaProfiles)
+  );
+  const [name, setName] = useState("");
+
+  const update = (next) => {
+    setProfiles(next);
+    storeValue(ARENA_STORAGE_KEY, next);
+  };
+
+  const handleSave = () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    const profile = { name: trimmed, arena: { ...arena, enabled: true } };
+    const i = profiles.findIndex((p) => p.name === trimmed);
+    update(
+      i >= 0
+        ? profiles.map((p, j) => (j === i ? profile : p))
+        : [...profiles, profile]
+    );
+    setName("");
+  };
+
+  const handleField = (key) => (e) => {
+    const v = parseFloat(e.target.value);
+    if (Number.isFinite(v)) onChange({ ...arena, [key]: v });
+  };
+
+  return (
+    <div className="card mt-6">
+      <div className="section-label">
+        Arena{" "}
+        {arena.enabled && clearance && checking && (
+          <span className="text-muted">checking…</span>
+        )}
+        {arena.enabled && clearance && !checking && (
+          <span className={clearance.safe ? "badge-ok" : "badge-bad"}>
+            {clearance.safe
+              ? "inside geofence"
+              : clearance.inside
+                ? "closer than margin"
+                : "leaves geofence"}
+          </span>
+        )}
+      </div>
+      <div className="row wrap">
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={arena.enabled}
+            onChange={(e) => onChange({ ...arena, enabled: e.target.checked })}
+          />
+          use arena
+        </label>
+        <select
+          value=""
+          onChange={(e) => {
+            const p = profiles[parseInt(e.target.value, 10)];
+            if (p) onChange({ ...p.arena, enabled: true });
+          }}
+          className="select-input"
+        >
+          <option value="" disabled>
+            load profile…
+          </option>
+          {profiles.map((p, i) => (
+            <option key={p.name} value={i}>
+              {p.name}
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && handleSave()}
+          placeholder="profile name"
+          className="text-input"
+        />
+        <button onClick={handleSave} className="small-button">
+          Save
+        </button>
+        <button
+          onClick={() => update(profiles.filter((p) => p.name !== name.trim()))}
+          disabled={!profiles.some((p) => p.name === name.trim())}
+          className="small-button"
+        >
+          Delete
+        </button>
+      </div>
+
+      {arena.enabled && (
+        <>
+          <div className="export-grid mt-2">
+            {ARENA_FIELD_GROUPS.map(({ label, unit, keys }) => (
+              <React.Fragment key={label}>
+                <label className="label-sm">
+                  {label} [{unitLabel(unit)}]
+                </label>
+                <div className="row">
+                  {keys.map((key) => (
+                    <input
+                      key={key}
+                      type="number"
+                      step={key === "yawDeg" ? 1 : 0.1}
+                      value={arena[key]}
+                      onChange={handleField(key)}
+                      title={key}
+                      className="number-input"
+                    />
+                  ))}
+                </div>
+              </React.Fragment>
+            ))}
+          </div>
+
+          {clearance && (
+            <table className="summary-table mt-2">
+              <thead>
+                <tr>
+                  <th>wall</th>
+                  <th>min clearance</th>
+                  <th>at</th>
+                </tr>
+              </thead>
+              <tbody>
+                {clearance.walls.map((w) => (
+                  <tr
+                    key={w.label}
+                    className={w.min < arena.margin ? "row-bad" : undefined}
+                  >
+                    <td>{w.label}</td>
+                    <td>
+                      {fmt2(w.min)} {unitLabel("m")}
+                    </td>
+                    <td>
+                      t={fmt2(w.t)} {unitLabel("s")}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,420 @@
+// Output for the flight test: sampled setpoints, the printable report and
+// parameter sweeps with their test cards and shell script.
+import React, { useState } from 'react';
+import {
+  TRAJECTORY_TYPES,
+  EXPORT_FIELDS,
+  sampleTrajectory,
+  toCsv,
+  toJson,
+} from './trajectory.js';
+import {
+  SWEEP_ORDERS,
+  sweepValues,
+  buildSweep,
+  toTestCards,
+  toShellScript,
+} from './sweep.js';
+import { REPORT_FIELDS, toReportHtml } from './report.js';
+import { useFmt2, useUnitLabel } from './format.js';
+import { downloadFile } from './browser.js';
+
+const EXPORT_RATES = [50, 100, 200, 400];
+
+export function ExportPanel({ typeKey, params, command, plotTime }) {
+  const fmt2 = useFmt2();
+  const unitLabel = useUnitLabel();
+  const [rate, setRate] = useState(400);
+  const [horizon, setHorizon] = useState(null);
+  const [fields, setFields] = useState(() =>
+    Object.fromEntries(EXPORT_FIELDS.map((f) => [f.key, f.checked]))
+  );
+  const [format, setFormat] = useState("csv");
+
+  // Follows the plotted horizon until the user enters one.
+  const horizonS = horizon ?? plotTime;
+  const columns = EXPORT_FIELDS.filter((f) => fields[f.key]).flatMap(
+    (f) => f.columns
+  );
+  const valid = rate > 0 && horizonS >= 0 && Number.isFinite(horizonS);
+  const count = valid ? Math.floor(horizonS * rate + 1e-9) + 1 : 0;
+
+  const handleExport = () => {
+    if (!valid) return;
+    const type = TRAJECTORY_TYPES[typeKey];
+    const rows = sampleTrajectory(type, params, rate, horizonS, columns);
+    const base = `${typeKey}_${rate}hz`;
+    if (format === "csv") {
+      downloadFile(`${base}.csv`, toCsv(columns, rows), "text/csv");
+    } else {
+      const meta = {
+        type: typeKey,
+        params,
+        command,
+        rate_hz: rate,
+        horizon_s: horizonS,
+      };
+      downloadFile(`${base}.json`, toJson(meta, columns, rows), "application/json");
+    }
+  };
+
+  return (
+    <div className="card mt-6">
+      <div className="section-label">Export reference samples</div>
+      <div className="export-grid">
+        <label className="label-sm">rate [Hz]</label>
+        <div className="row">
+          <input
+            type="number"
+            min={1}
+            step={1}
+            value={rate}
+            onChange={(e) => setRate(parseFloat(e.target.value))}
+            className="number-input"
+          />
+          {EXPORT_RATES.map((r) => (
+            <button
+              key={r}
+              onClick={() => setRate(r)}
+              className={r === rate ? "small-button active" : "small-button"}
+            >
+              {r}
+            </button>
+          ))}
+        </div>
+
+        <label className="label-sm">horizon [{unitLabel("s")}]</label>
+        <div className="row">
+          <input
+            type="number"
+            min={0}
+            step={0.25}
+            value={horizonS}
+            onChange={(e) => setHorizon(parseFloat(e.target.value))}
+            className="number-input"
+          />
+          <button onClick={() => setHorizon(null)} className="small-button">
+            Use plotted ({fmt2(plotTime)} {unitLabel("s")})
+          </button>
+        </div>
+
+        <label className="label-sm">fields</label>
+        <div className="row wrap">
+          {EXPORT_FIELDS.map((f) => (
+            <label key={f.key} className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={fields[f.key]}
+                onChange={(e) =>
+                  setFields((prev) => ({ ...prev, [f.key]: e.target.checked }))
+                }
+              />
+              {f.label}
+            </label>
+          ))}
+        </div>
+
+        <label className="label-sm">format</label>
+        <div className="row">
+          {["csv", "json"].map((f) => (
+            <label key={f} className="checkbox-label">
+              <input
+                type="radio"
+                name="export-format"
+                checked={format === f}
+                onChange={() => setFormat(f)}
+              />
+              {f.toUpperCase()}
+            </label>
+          ))}
+        </div>
+      </div>
+      <div className="row mt-2">
+        <button onClick={handleExport} disabled={!valid} className="copy-button">
+          Download
+        </button>
+        <span className="text-muted">
+          {valid
+            ? `${count} samples × ${columns.length + 1} columns`
+            : "rate and horizon must be positive numbers"}
+        </span>
+      </div>
+    </div>
+  );
+}
+
+// Local date as YYYY-MM-DD, the default test date of a report.
+function today() {
+  const d = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// Blob URLs of opened reports stay valid this long, enough for the new
+// window to load (and for its "save as" to work).
+const REPORT_URL_LIFETIME_MS = 60000;
+
+export function ReportPanel({ typeKey, types, params, limits, plotTime }) {
+  const [fields, setFields] = useState(() => ({
+    ...Object.fromEntries(REPORT_FIELDS.map((f) => [f.key, ""])),
+    date: today(),
+  }));
+  const [message, setMessage] = useState(null);
+
+  const html = () =>
+    toReportHtml({ typeKey, types, params, limits, fields, horizon: plotTime });
+  const filename = `${typeKey}_report_${fields.date.replace(/[^\w.-]+/g, "_") || "undated"}.html`;
+
+  const handleOpen = () => {
+    const url = URL.createObjectURL(new Blob([html()], { type: "text/html" }));
+    const win = window.open(url, "_blank");
+    setMessage(win ? null : "the browser blocked the new window, use Download HTML");
+    setTimeout(() => URL.revokeObjectURL(url), REPORT_URL_LIFETIME_MS);
+  };
+
+  return (
+    <div className="card mt-6">
+      <div className="section-label">Flight-test report</div>
+      <div className="export-grid">
+        {REPORT_FIELDS.map(({ key, label, multiline }) => (
+          <React.Fragment key={key}>
+            <label className="label-sm">{label}</label>
+            {multiline ? (
+              <textarea
+                value={fields[key]}
+                onChange={(e) => setFields((prev) => ({ ...prev, [key]: e.target.value }))}
+                rows={2}
+                className="textarea-input"
+              />
+            ) : (
+              <input
+                type="text"
+                value={fields[key]}
+                onChange={(e) => setFields((prev) => ({ ...prev, [key]: e.target.value }))}
+                className="text-input"
+              />
+            )}
+          </React.Fragment>
+        ))}
+      </div>
+      <div className="row mt-2">
+        <button onClick={handleOpen} className="copy-button">
+          Generate report
+        </button>
+        <button
+          onClick={() => downloadFile(filename, html(), "text/html")}
+          className="small-button"
+        >
+          Download HTML
+        </button>
+        <span className="text-muted">
+          {message ?? "XY and time plots, parameters, metrics and the command; print or save as PDF"}
+        </span>
+      </div>
+    </div>
+  );
+}
+
+const DEFAULT_SWEEP_AXES = [
+  { key: "duration", mode: "range", from: 20, to: 6, step: 2, list: "" },
+  { key: "", mode: "list", from: 0, to: 0, step: 0, list: "" },
+];
+
+// One or two parameters stepped over a range or a list; the runs are only
+// generated on request since each one samples a whole trajectory.
+export function SweepPanel({ typeKey, type, types, params, limits }) {
+  const fmt2 = useFmt2();
+  const unitLabel = useUnitLabel();
+  const [axes, setAxes] = useState(DEFAULT_SWEEP_AXES);
+  const [order, setOrder] = useState("first");
+  const [title, setTitle] = useState("Test campaign");
+  const [sweep, setSweep] = useState(null);
+
+  const keys = Object.keys(type.sliders);
+  const active = axes.filter((axis) => keys.includes(axis.key));
+  const values = active.map(sweepValues);
+  const valuesError = values.find((v) => v.error)?.error;
+  const runCount = valuesError
+    ? 0
+    : values.reduce((n, v) => n * v.values.length, active.length ? 1 : 0);
+
+  const updateAxis = (i, patch) =>
+    setAxes((prev) => prev.map((axis, j) => (j === i ? { ...axis, ...patch } : axis)));
+
+  const handleGenerate = () => {
+    if (!active.length || valuesError) return;
+    const sweepAxes = active.map((axis, i) => ({ key: axis.key, values: values[i].values }));
+    setSweep({
+      typeKey,
+      base: params,
+      ...buildSweep(typeKey, params, sweepAxes, order, limits, types),
+    });
+  };
+
+  const filename = title.trim().replace(/[^\w.-]+/g, "_") || "campaign";
+  const meta = sweep && {
+    title: title.trim() || "Test campaign",
+    typeKey: sweep.typeKey,
+    base: sweep.base,
+    limits,
+    types,
+  };
+
+  return (
+    <div className="card mt-6">
+      <div className="section-label">Parameter sweep</div>
+      <div className="export-grid">
+        {axes.map((axis, i) => (
+          <React.Fragment key={i}>
+            <label className="label-sm">{i === 0 ? "parameter" : "second"}</label>
+            <div className="row wrap">
+              <select
+                value={axis.key}
+                onChange={(e) => updateAxis(i, { key: e.target.value })}
+                className="select-input"
+              >
+                {i > 0 && <option value="">none</option>}
+                {keys.map((key) => (
+                  <option key={key} value={key}>
+                    {key}
+                  </option>
+                ))}
+              </select>
+              {keys.includes(axis.key) && (
+                <>
+                  <select
+                    value={axis.mode}
+                    onChange={(e) => updateAxis(i, { mode: e.target.value })}
+                    className="select-input"
+                  >
+                    <option value="range">range</option>
+                    <option value="list">list</option>
+                  </select>
+                  {axis.mode === "range" ? (
+                    ["from", "to", "step"].map((field) => (
+                      <label key={field} className="checkbox-label">
+                        {field}
+                        <input
+                          type="number"
+                          step={type.sliders[axis.key].step}
+                          value={axis[field]}
+                          onChange={(e) =>
+                            updateAxis(i, { [field]: parseFloat(e.target.value) })
+                          }
+                          className="number-input"
+                        />
+                      </label>
+                    ))
+                  ) : (
+                    <input
+                      type="text"
+                      value={axis.list}
+                      onChange={(e) => updateAxis(i, { list: e.target.value })}
+                      placeholder="e.g. 0.5, 0.75, 1"
+                      className="text-input"
+                    />
+                  )}
+                </>
+              )}
+            </div>
+          </React.Fragment>
+        ))}
+        <label className="label-sm">order</label>
+        <div className="row">
+          <select
+            value={order}
+            onChange={(e) => setOrder(e.target.value)}
+            disabled={active.length < 2}
+            className="select-input"
+          >
+            {SWEEP_ORDERS.map(({ key, label }) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <label className="label-sm">title</label>
+        <input
+          type="text"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          className="text-input"
+        />
+      </div>
+
+      <div className="row mt-2">
+        <button
+          onClick={handleGenerate}
+          disabled={!active.length || !!valuesError}
+          className="copy-button"
+        >
+          Generate runs
+        </button>
+        <span className="text-muted">
+          {valuesError ?? `${runCount} runs; other parameters as set above`}
+        </span>
+        {sweep?.runs.length > 0 && (
+          <>
+            <button
+              onClick={() =>
+                downloadFile(`${filename}.md`, toTestCards(sweep.runs, meta), "text/markdown")
+              }
+              className="small-button push-right"
+            >
+              Test cards
+            </button>
+            <button
+              onClick={() =>
+                downloadFile(`${filename}.sh`, toShellScript(sweep.runs, meta), "text/x-sh")
+              }
+              className="small-button"
+            >
+              Shell script
+            </button>
+          </>
+        )}
+      </div>
+
+      {sweep?.error && <div className="parse-error">{sweep.error}</div>}
+      {sweep?.runs.length > 0 && (
+        <table className="summary-table mt-2">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>values</th>
+              <th>peak speed</th>
+              <th>check</th>
+              <th>command</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sweep.runs.map((run) => (
+              <tr key={run.index} className={run.ok ? undefined : "row-bad"}>
+                <td>{run.index}</td>
+                <td>
+                  {Object.entries(run.values)
+                    .map(([key, v]) => `${key}=${v}`)
+                    .join(" ")}
+                </td>
+                <td>
+                  {run.peaks ? `${fmt2(run.peaks.speed)} ${unitLabel("m/s")}` : "–"}
+                </td>
+                <td>
+                  {run.errors.length
+                    ? run.errors.map((e) => `${e.field}: ${e.message}`).join("; ")
+                    : run.ok
+                      ? "ok"
+                      : `exceeds ${run.over.join(", ")}`}
+                </td>
+                <td>
+                  <code className="parse-command">{run.command}</code>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
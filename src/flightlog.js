@@ -0,0 +1,323 @@
+// Flight logs for post-flight comparison against the reference trajectory.
+//
+// Both loaders return { samples, frame } where samples are sorted by time
+// and look like { t, x, y, z, vx?, vy?, vz?, heading? } (t in seconds, log
+// clock). frame is "ned" for PX4 local position (x north, y east, z down)
+// or "flu" for data already in the trajectory frame.
+
+const ULOG_MAGIC = [0x55, 0x4c, 0x6f, 0x67, 0x01, 0x12, 0x35];
+
+// [size in bytes, DataView getter]
+const ULOG_TYPES = {
+  int8_t: [1, "getInt8"],
+  uint8_t: [1, "getUint8"],
+  int16_t: [2, "getInt16"],
+  uint16_t: [2, "getUint16"],
+  int32_t: [4, "getInt32"],
+  uint32_t: [4, "getUint32"],
+  int64_t: [8, "getBigInt64"],
+  uint64_t: [8, "getBigUint64"],
+  float: [4, "getFloat32"],
+  double: [8, "getFloat64"],
+  bool: [1, "getUint8"],
+  char: [1, "getUint8"],
+};
+
+const LOG_FIELDS = ["x", "y", "z", "vx", "vy", "vz", "heading"];
+
+// "float[3] q" -> { type: "float", count: 3, name: "q" }
+function parseFormat(text) {
+  const colon = text.indexOf(":");
+  const name = text.slice(0, colon);
+  const fields = text
+    .slice(colon + 1)
+    .split(";")
+    .filter((f) => f.trim())
+    .map((f) => {
+      const [typeSpec, fieldName] = f.trim().split(/\s+/);
+      const m = /^([\w]+)(?:\[(\d+)\])?$/.exec(typeSpec);
+      return { type: m[1], count: m[2] ? parseInt(m[2], 10) : 1, name: fieldName };
+    });
+  return { name, fields };
+}
+
+function formatSize(formats, name) {
+  if (ULOG_TYPES[name]) return ULOG_TYPES[name][0];
+  const format = formats[name];
+  if (!format) throw new Error(`ULog: unknown type '${name}'`);
+  return format.fields.reduce(
+    (sum, f) => sum + formatSize(formats, f.type) * f.count,
+    0
+  );
+}
+
+// Byte offsets of the scalar top-level fields of a message format.
+function scalarLayout(formats, name) {
+  const layout = {};
+  let offset = 0;
+  for (const f of formats[name].fields) {
+    if (ULOG_TYPES[f.type] && f.count === 1) {
+      layout[f.name] = { offset, getter: ULOG_TYPES[f.type][1] };
+    }
+    offset += formatSize(formats, f.type) * f.count;
+  }
+  return layout;
+}
+
+// Extracts the first instance of `topic` from a PX4 ULog file. Parsing stops
+// quietly at a truncated message, so logs cut off by a crash still load.
+export function parseULog(buffer, topic = "vehicle_local_position") {
+  const view = new DataView(buffer);
+  if (
+    view.byteLength < 16 ||
+    ULOG_MAGIC.some((b, i) => view.getUint8(i) !== b)
+  ) {
+    throw new Error("not a ULog file (bad header)");
+  }
+
+  const decoder = new TextDecoder();
+  const text = (start, end) =>
+    decoder.decode(new Uint8Array(buffer, start, end - start));
+
+  const formats = {};
+  let msgId = null;
+  let layout = null;
+  const samples = [];
+
+  let pos = 16;
+  while (pos + 3 <= view.byteLength) {
+    const size = view.getUint16(pos, true);
+    const msgType = String.fromCharCode(view.getUint8(pos + 2));
+    const start = pos + 3;
+    const end = start + size;
+    if (end > view.byteLength) break;
+
+    if (msgType === "F") {
+      const format = parseFormat(text(start, end));
+      formats[format.name] = format;
+    } else if (msgType === "A") {
+      const multiId = view.getUint8(start);
+      const name = text(start + 3, end);
+      if (name === topic && multiId === 0 && msgId === null) {
+        msgId = view.getUint16(start + 1, true);
+        layout = scalarLayout(formats, topic);
+        if (!layout.timestamp || !layout.x || !layout.y || !layout.z) {
+          throw new Error(`ULog: ${topic} has no timestamp/x/y/z fields`);
+        }
+      }
+    } else if (msgType === "D" && msgId !== null) {
+      if (view.getUint16(start, true) === msgId) {
+        const data = start + 2;
+        const read = ({ offset, getter }) => {
+          const v = view[getter](data + offset, true);
+          return typeof v === "bigint" ? Number(v) : v;
+        };
+        const sample = { t: read(layout.timestamp) / 1e6 };
+        for (const key of LOG_FIELDS) {
+          if (layout[key]) sample[key] = read(layout[key]);
+        }
+        samples.push(sample);
+      }
+    }
+    pos = end;
+  }
+
+  if (msgId === null) throw new Error(`ULog: no ${topic} messages`);
+  samples.sort((a, b) => a.t - b.t);
+  return { samples, frame: "ned" };
+}
+
+// CSV with a header row, e.g. the vehicle_local_position output of
+// ulog2csv. Time comes from `timestamp` (microseconds) or `t`/`time`
+// (seconds); x, y and z are required, velocities and heading are optional.
+export function parseLocalPositionCsv(text, frame = "ned") {
+  const lines = text.split(/\r?\n/).filter((l) => l.trim());
+  if (lines.length < 2) throw new Error("CSV: no data rows");
+
+  const header = lines[0].split(",").map((h) => h.trim().toLowerCase());
+  const col = (name) => header.indexOf(name);
+  let timeCol = col("timestamp");
+  let timeScale = 1e-6;
+  if (timeCol < 0) {
+    timeCol = col("t") >= 0 ? col("t") : col("time");
+    timeScale = 1;
+  }
+  if (timeCol < 0) throw new Error("CSV: no timestamp, t or time column");
+  for (const key of ["x", "y", "z"]) {
+    if (col(key) < 0) throw new Error(`CSV: no ${key} column`);
+  }
+
+  const samples = [];
+  for (let i = 1; i < lines.length; i++) {
+    const cells = lines[i].split(",");
+    const t = parseFloat(cells[timeCol]) * timeScale;
+    if (!Number.isFinite(t)) throw new Error(`CSV line ${i + 1}: bad time`);
+    const sample = { t };
+    for (const key of LOG_FIELDS) {
+      const c = col(key);
+      if (c < 0) continue;
+      const v = parseFloat(cells[c]);
+      if (Number.isFinite(v)) sample[key] = v;
+    }
+    if (["x", "y", "z"].some((k) => sample[k] === undefined)) {
+      throw new Error(`CSV line ${i + 1}: missing position`);
+    }
+    samples.push(sample);
+  }
+
+  samples.sort((a, b) => a.t - b.t);
+  return { samples, frame };
+}
+
+export function hasVelocity(log) {
+  return log.samples.length > 0 && log.samples[0].vx !== undefined;
+}
+
+// Linear interpolation of every field at time t (clamped to the log).
+export function sampleAt(samples, t) {
+  let lo = 0;
+  let hi = samples.length - 1;
+  if (t <= samples[lo].t) return samples[lo];
+  if (t >= samples[hi].t) return samples[hi];
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (samples[mid].t <= t) lo = mid;
+    else hi = mid;
+  }
+  const a = samples[lo];
+  const b = samples[hi];
+  const w = (t - a.t) / (b.t - a.t);
+  const out = { t };
+  for (const key of LOG_FIELDS) {
+    if (a[key] !== undefined && b[key] !== undefined) {
+      out[key] = a[key] + (b[key] - a[key]) * w;
+    }
+  }
+  return out;
+}
+
+// Yaw of the trajectory frame: the logged heading at `start` unless given.
+export function frameYaw(log, start, yaw) {
+  if (Number.isFinite(yaw)) return yaw;
+  if (log.frame !== "ned") return 0;
+  return sampleAt(log.samples, start).heading ?? 0;
+}
+
+// Maps a log sample into the trajectory frame: relative to `origin` and,
+// for NED logs, rotated into x forward / y left / z up at `yaw` [rad].
+function toTrajectoryFrame(s, origin, frame, yaw) {
+  const dx = s.x - origin.x;
+  const dy = s.y - origin.y;
+  const dz = s.z - origin.z;
+  if (frame !== "ned") {
+    return { x: dx, y: dy, z: dz, vx: s.vx, vy: s.vy, vz: s.vz };
+  }
+  const c = Math.cos(yaw);
+  const sn = Math.sin(yaw);
+  const out = { x: c * dx + sn * dy, y: sn * dx - c * dy, z: -dz };
+  if (s.vx !== undefined) {
+    out.vx = c * s.vx + sn * s.vy;
+    out.vy = sn * s.vx - c * s.vy;
+    out.vz = -s.vz;
+  }
+  return out;
+}
+
+const ALIGN_POINTS = 200;
+
+// Log time at which the reference starts: the start minimizing the mean
+// squared velocity error (position error for logs without velocity) over
+// the reference horizon. Coarse grid search, then a fine one around the best.
+export function autoAlign(log, evalRef, horizon, yaw) {
+  const { samples } = log;
+  const useVel = hasVelocity(log);
+  const taus = Array.from(
+    { length: ALIGN_POINTS },
+    (_, i) => (i / (ALIGN_POINTS - 1)) * horizon
+  );
+  const refs = taus.map((tau) => evalRef(tau));
+
+  const cost = (start) => {
+    const origin = sampleAt(samples, start);
+    const psi = frameYaw(log, start, yaw);
+    let sum = 0;
+    taus.forEach((tau, i) => {
+      const a = toTrajectoryFrame(sampleAt(samples, start + tau), origin, log.frame, psi);
+      const r = refs[i];
+      sum += useVel
+        ? (a.vx - r.vx) ** 2 + (a.vy - r.vy) ** 2 + (a.vz - r.vz) ** 2
+        : (a.x - r.x) ** 2 + (a.y - r.y) ** 2 + (a.z - r.z) ** 2;
+    });
+    return sum / taus.length;
+  };
+
+  const first = samples[0].t;
+  const last = Math.max(first, samples[samples.length - 1].t - horizon);
+  const search = (from, to, step) => {
+    let best = { start: from, cost: Infinity };
+    for (let s = from; s <= to + step * 1e-6; s += step) {
+      const c = cost(s);
+      if (c < best.cost) best = { start: s, cost: c };
+    }
+    return best;
+  };
+
+  const coarseStep = Math.max(0.05, (last - first) / 4000);
+  const coarse = search(first, last, coarseStep);
+  const fine = search(
+    Math.max(first, coarse.start - coarseStep),
+    Math.min(last, coarse.start + coarseStep),
+    coarseStep / 20
+  );
+  return fine.start;
+}
+
+// The flown path over the reference horizon, in the trajectory frame, with
+// position and velocity errors against the reference and summary stats.
+export function trackingError(log, evalRef, horizon, start, yaw) {
+  const { samples } = log;
+  const origin = sampleAt(samples, start);
+  const psi = frameYaw(log, start, yaw);
+  const useVel = hasVelocity(log);
+
+  const series = [];
+  let sumSq = 0;
+  const axisSq = [0, 0, 0];
+  let velSq = 0;
+  let max = { value: 0, t: 0 };
+
+  for (const s of samples) {
+    const tau = s.t - start;
+    if (tau < 0 || tau > horizon) continue;
+    const a = toTrajectoryFrame(s, origin, log.frame, psi);
+    const r = evalRef(tau);
+    const ex = a.x - r.x;
+    const ey = a.y - r.y;
+    const ez = a.z - r.z;
+    const e = Math.hypot(ex, ey, ez);
+    const point = { t: tau, x: a.x, y: a.y, z: a.z, ex, ey, ez, e };
+    if (useVel) {
+      point.speed = Math.hypot(a.vx, a.vy, a.vz);
+      point.ev = Math.hypot(a.vx - r.vx, a.vy - r.vy, a.vz - r.vz);
+      velSq += point.ev ** 2;
+    }
+    series.push(point);
+    sumSq += e * e;
+    axisSq[0] += ex * ex;
+    axisSq[1] += ey * ey;
+    axisSq[2] += ez * ez;
+    if (e > max.value) max = { value: e, t: tau };
+  }
+
+  const n = series.length;
+  if (!n) return { series, count: 0 };
+  return {
+    series,
+    count: n,
+    yaw: psi,
+    rmsPos: Math.sqrt(sumSq / n),
+    maxPos: max,
+    rmsAxis: axisSq.map((v) => Math.sqrt(v / n)),
+    rmsVel: useVel ? Math.sqrt(velSq / n) : null,
+  };
+}
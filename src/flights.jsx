@@ -0,0 +1,475 @@
+// Flown trajectories against the reference: recorded logs (ULog, CSV) and
+// live telemetry from the vehicle or a replay.
+import React, { useState, useEffect, useRef } from 'react';
+import { parseULog, parseLocalPositionCsv, hasVelocity } from './flightlog.js';
+import { DEFAULT_BRIDGE_URL, connectWebSocket } from './shell.js';
+import {
+  DEFAULT_START_PATTERN,
+  MAX_LIVE_SAMPLES,
+  createTelemetrySession,
+  startPatternError,
+  readTlog,
+  connectReplay,
+  simulateFlight,
+} from './telemetry.js';
+import { useFmt2, useUnitLabel } from './format.js';
+
+export function FlightLogPanel({
+  flightLog,
+  align,
+  tracking,
+  onLoad,
+  onAlignChange,
+  onAutoAlign,
+  onFrameChange,
+  onClear,
+}) {
+  const fmt2 = useFmt2();
+  const unitLabel = useUnitLabel();
+  const [csvFrame, setCsvFrame] = useState("ned");
+  const [error, setError] = useState("");
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    const isULog = /\.ulg$/i.test(file.name);
+    const read = isULog ? file.arrayBuffer() : file.text();
+    read
+      .then((content) => {
+        const log = isULog
+          ? parseULog(content)
+          : parseLocalPositionCsv(content, csvFrame);
+        if (log.samples.length < 2) throw new Error("log has fewer than 2 samples");
+        setError("");
+        onLoad({ ...log, name: file.name });
+      })
+      .catch((err) => setError(err.message));
+  };
+
+  const yawFromLog = align.yawDeg === null;
+
+  return (
+    <div className="card mt-6">
+      <div className="section-label">Flight log</div>
+      <div className="row">
+        <label className="copy-button">
+          Load ULog / CSV
+          <input type="file" accept=".ulg,.csv" onChange={handleFile} hidden />
+        </label>
+        <span className="text-muted">log frame</span>
+        <select
+          value={flightLog?.frame ?? csvFrame}
+          onChange={(e) =>
+            flightLog ? onFrameChange(e.target.value) : setCsvFrame(e.target.value)
+          }
+          className="select-input"
+        >
+          <option value="ned">NED (PX4 local position)</option>
+          <option value="flu">trajectory frame (x fwd, y left, z up)</option>
+        </select>
+        {flightLog && (
+          <button onClick={onClear} className="small-button push-right">
+            Clear
+          </button>
+        )}
+      </div>
+      {error && <div className="parse-error">{error}</div>}
+
+      {flightLog && (
+        <>
+          <div className="text-muted mt-2">
+            {flightLog.name}: {flightLog.samples.length} samples,{" "}
+            {fmt2(flightLog.samples[0].t)}–
+            {fmt2(flightLog.samples[flightLog.samples.length - 1].t)}{" "}
+            {unitLabel("s")}
+            {hasVelocity(flightLog) ? "" : " (no velocity)"}
+          </div>
+          <div className="export-grid mt-2">
+            <label className="label-sm">start [{unitLabel("s")}, log time]</label>
+            <div className="row">
+              <input
+                type="number"
+                step={0.01}
+                value={align.start}
+                onChange={(e) => {
+                  const v = parseFloat(e.target.value);
+                  if (Number.isFinite(v)) onAlignChange({ start: v });
+                }}
+                className="number-input"
+              />
+              <button onClick={onAutoAlign} className="small-button">
+                Auto-align
+              </button>
+            </div>
+            {flightLog.frame === "ned" && (
+              <>
+                <label className="label-sm">frame yaw [deg]</label>
+                <div className="row">
+                  <input
+                    type="number"
+                    step={1}
+                    value={
+                      yawFromLog
+                        ? ((tracking?.yaw ?? 0) * 180) / Math.PI
+                        : align.yawDeg
+                    }
+                    disabled={yawFromLog}
+                    onChange={(e) => {
+                      const v = parseFloat(e.target.value);
+                      if (Number.isFinite(v)) onAlignChange({ yawDeg: v });
+                    }}
+                    className="number-input"
+                  />
+                  <label className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={yawFromLog}
+                      onChange={(e) =>
+                        onAlignChange({
+                          yawDeg: e.target.checked
+                            ? null
+                            : Math.round(((tracking?.yaw ?? 0) * 180) / Math.PI),
+                        })
+                      }
+                    />
+                    heading at start
+                  </label>
+                </div>
+              </>
+            )}
+          </div>
+
+          {tracking?.count > 0 ? (
+            <table className="summary-table mt-2">
+              <tbody>
+                <tr>
+                  <td>RMS position error</td>
+                  <td>
+                    {fmt2(tracking.rmsPos)} {unitLabel("m")}
+                  </td>
+                </tr>
+                <tr>
+                  <td>max position error</td>
+                  <td>
+                    {fmt2(tracking.maxPos.value)} {unitLabel("m")} at t=
+                    {fmt2(tracking.maxPos.t)} {unitLabel("s")}
+                  </td>
+                </tr>
+                <tr>
+                  <td>RMS error x / y / z</td>
+                  <td>
+                    {tracking.rmsAxis.map(fmt2).join(" / ")} {unitLabel("m")}
+                  </td>
+                </tr>
+                {tracking.rmsVel !== null && (
+                  <tr>
+                    <td>RMS velocity error</td>
+                    <td>
+                      {fmt2(tracking.rmsVel)} {unitLabel("m/s")}
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          ) : (
+            <div className="parse-error">
+              no log samples inside the reference horizon from this start
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+// Live telemetry is batched into state this often, so a 50 Hz stream does
+// not re-render the page per message.
+const LIVE_REFRESH_MS = 100;
+const LIVE_REPLAY_SPEEDS = [1, 2, 4];
+
+// Vehicle position from a telemetry stream (see telemetry.js): samples since
+// connecting and the trajectory start in the stream's boot time, or null
+// until the start event (or "Mark start now").
+export function useLiveTelemetry() {
+  const [live, setLive] = useState({
+    status: "disconnected",
+    source: null,
+    samples: [],
+    start: null,
+    error: null,
+  });
+  const session = useRef(null);
+  const pending = useRef([]);
+
+  const flush = () => {
+    if (!pending.current.length) return;
+    const batch = pending.current;
+    pending.current = [];
+    setLive((prev) => ({
+      ...prev,
+      samples: [...prev.samples, ...batch].slice(-MAX_LIVE_SAMPLES),
+    }));
+  };
+
+  useEffect(() => {
+    if (live.status !== "connected") return;
+    const timer = setInterval(flush, LIVE_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [live.status]);
+
+  useEffect(() => () => session.current?.close(), []);
+
+  // `open` resolves to a transport; a new connection starts a new trail.
+  // The start pattern is checked first, so a bad one never opens the link.
+  const connect = async (open, source, startPattern) => {
+    const patternError = startPatternError(startPattern);
+    if (patternError) {
+      setLive((prev) => ({ ...prev, error: `start event: ${patternError}` }));
+      return;
+    }
+    pending.current = [];
+    setLive({ status: "connecting", source, samples: [], start: null, error: null });
+    let transport = null;
+    try {
+      transport = await open();
+      session.current = createTelemetrySession(transport, {
+        startPattern,
+        onSample: (s) => pending.current.push(s),
+        onStart: (t) => setLive((prev) => ({ ...prev, start: t })),
+        onClose: () => {
+          session.current = null;
+          flush();
+          setLive((prev) => ({ ...prev, status: "disconnected" }));
+        },
+      });
+      setLive((prev) => ({ ...prev, status: "connected" }));
+    } catch (err) {
+      transport?.close();
+      setLive((prev) => ({ ...prev, status: "disconnected", error: err.message }));
+    }
+  };
+
+  return {
+    ...live,
+    connect,
+    disconnect: () => session.current?.close(),
+    markStart: () =>
+      setLive((prev) =>
+        prev.samples.length ? { ...prev, start: prev.samples[prev.samples.length - 1].t } : prev
+      ),
+    clear: () => setLive((prev) => ({ ...prev, samples: [], start: null, source: null })),
+  };
+}
+
+export function LivePanel({
+  live,
+  tracking,
+  elapsed,
+  yawDeg,
+  onYawDeg,
+  follow,
+  onFollow,
+  type,
+  params,
+}) {
+  const fmt2 = useFmt2();
+  const unitLabel = useUnitLabel();
+  const [sourceKey, setSourceKey] = useState("websocket");
+  const [url, setUrl] = useState(DEFAULT_BRIDGE_URL);
+  const [startPattern, setStartPattern] = useState(DEFAULT_START_PATTERN);
+  const [speed, setSpeed] = useState(1);
+  const [fileError, setFileError] = useState("");
+
+  const idle = live.status === "disconnected";
+  const patternError = startPatternError(startPattern);
+  const replay = (records, source) =>
+    live.connect(() => connectReplay(records, { speed }), source, startPattern);
+
+  const handleConnect = () => {
+    if (sourceKey === "websocket") {
+      live.connect(() => connectWebSocket(url), url, startPattern);
+    } else {
+      replay(simulateFlight(type, params), "simulated flight");
+    }
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    file
+      .arrayBuffer()
+      .then((buffer) => {
+        const records = readTlog(buffer);
+        setFileError("");
+        replay(records, file.name);
+      })
+      .catch((err) => setFileError(err.message));
+  };
+
+  const now = tracking?.count > 0 ? tracking.series[tracking.series.length - 1] : null;
+  const yawFromHeading = yawDeg === null;
+
+  return (
+    <div className="card mt-6">
+      <div className="section-label">
+        Live telemetry{" "}
+        <span className={live.status === "connected" ? "badge-ok" : "text-muted"}>
+          {live.status}
+        </span>
+      </div>
+      <div className="export-grid">
+        <label className="label-sm">source</label>
+        <div className="row wrap">
+          <select
+            value={sourceKey}
+            onChange={(e) => setSourceKey(e.target.value)}
+            disabled={!idle}
+            className="select-input"
+          >
+            <option value="websocket">WebSocket bridge</option>
+            <option value="replay">replay a .tlog</option>
+            <option value="simulated">simulated flight of these parameters</option>
+          </select>
+          {sourceKey === "websocket" && (
+            <input
+              type="text"
+              value={url}
+              onChange={(e) => setUrl(e.target.value)}
+              disabled={!idle}
+              className="text-input"
+            />
+          )}
+          {sourceKey !== "websocket" &&
+            LIVE_REPLAY_SPEEDS.map((s) => (
+              <button
+                key={s}
+                onClick={() => setSpeed(s)}
+                disabled={!idle}
+                className={s === speed ? "small-button active" : "small-button"}
+              >
+                {s}×
+              </button>
+            ))}
+          {!idle ? (
+            <button onClick={live.disconnect} className="small-button">
+              {sourceKey === "websocket" ? "Disconnect" : "Stop"}
+            </button>
+          ) : sourceKey === "replay" ? (
+            <label className="small-button">
+              Open .tlog
+              <input
+                type="file"
+                accept=".tlog"
+                onChange={handleFile}
+                disabled={Boolean(patternError)}
+                hidden
+              />
+            </label>
+          ) : (
+            <button
+              onClick={handleConnect}
+              disabled={Boolean(patternError)}
+              className="small-button"
+            >
+              {sourceKey === "websocket" ? "Connect" : "Play"}
+            </button>
+          )}
+        </div>
+
+        <label className="label-sm">start event</label>
+        <div>
+          <div className="row">
+            <input
+              type="text"
+              value={startPattern}
+              onChange={(e) => setStartPattern(e.target.value)}
+              disabled={!idle}
+              className="text-input"
+              title="regular expression matched against STATUSTEXT messages"
+            />
+            <button
+              onClick={live.markStart}
+              disabled={!live.samples.length}
+              className="small-button"
+            >
+              Mark start now
+            </button>
+          </div>
+          {patternError && <div className="parse-error mt-2">{patternError}</div>}
+        </div>
+
+        <label className="label-sm">frame yaw [deg]</label>
+        <div className="row">
+          <input
+            type="number"
+            step={1}
+            value={yawFromHeading ? ((tracking?.yaw ?? 0) * 180) / Math.PI : yawDeg}
+            disabled={yawFromHeading}
+            onChange={(e) => {
+              const v = parseFloat(e.target.value);
+              if (Number.isFinite(v)) onYawDeg(v);
+            }}
+            className="number-input"
+          />
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={yawFromHeading}
+              onChange={(e) =>
+                onYawDeg(
+                  e.target.checked ? null : Math.round(((tracking?.yaw ?? 0) * 180) / Math.PI)
+                )
+              }
+            />
+            heading at start
+          </label>
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={follow}
+              onChange={(e) => onFollow(e.target.checked)}
+            />
+            marker follows the vehicle's time
+          </label>
+        </div>
+      </div>
+      {(live.error || fileError) && (
+        <div className="parse-error mt-2">{live.error || fileError}</div>
+      )}
+
+      {live.source && (
+        <div className="text-muted mt-2">
+          {live.source}: {live.samples.length} position samples
+          {live.start === null
+            ? ", waiting for the start event"
+            : `, started at ${fmt2(live.start)} ${unitLabel("s")} boot time`}
+          {elapsed !== null && `, t=${fmt2(elapsed)} ${unitLabel("s")}`}
+        </div>
+      )}
+      {now && (
+        <table className="summary-table mt-2">
+          <tbody>
+            <tr>
+              <td>current position error</td>
+              <td>
+                {fmt2(now.e)} {unitLabel("m")} (x {fmt2(now.ex)}, y {fmt2(now.ey)},
+                z {fmt2(now.ez)})
+                {elapsed > now.t && " at the end of the reference"}
+              </td>
+            </tr>
+            <tr>
+              <td>RMS / max so far</td>
+              <td>
+                {fmt2(tracking.rmsPos)} {unitLabel("m")} /{" "}
+                {fmt2(tracking.maxPos.value)} {unitLabel("m")} at t=
+                {fmt2(tracking.maxPos.t)} {unitLabel("s")}
+              </td>
+            </tr>
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
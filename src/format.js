@@ -0,0 +1,46 @@
+// Number and unit formatting for the tuner UI. The locale and the unit
+// symbols come from LissajousTuner's props through these contexts.
+import React, { useMemo, useContext } from "react";
+import { decimalsFromStep } from "./trajectory.js";
+
+// German-style decimal comma unless the `locale` prop says otherwise.
+export const DEFAULT_LOCALE = "de-DE";
+export const LocaleContext = React.createContext(DEFAULT_LOCALE);
+
+// Numbers with always 2 digits in `locale`.
+export function makeFmt2(locale) {
+  return (v) => {
+    const n = Number(v);
+    if (!Number.isFinite(n)) return String(v);
+    return n.toLocaleString(locale, {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    });
+  };
+}
+
+export function useFmt2() {
+  const locale = useContext(LocaleContext);
+  return useMemo(() => makeFmt2(locale), [locale]);
+}
+
+// Symbols of the length and time units in labels, unless the `units` prop
+// renames them. The numbers stay in metres and seconds.
+export const DEFAULT_UNITS = { length: "m", time: "s" };
+export const UnitsContext = React.createContext(DEFAULT_UNITS);
+
+// Label of an SI unit in `units`; units without length or time are kept.
+export function makeUnitLabel({ length: m, time: s }) {
+  const labels = { m, s, "m/s": `${m}/${s}`, "m/s²": `${m}/${s}²`, "m/s³": `${m}/${s}³` };
+  return (unit) => labels[unit] ?? unit;
+}
+
+export function useUnitLabel() {
+  const units = useContext(UnitsContext);
+  return useMemo(() => makeUnitLabel(units), [units]);
+}
+
+export function formatParam(cfg, val) {
+  const dec = cfg ? Math.min(6, decimalsFromStep(cfg.step)) : 3;
+  return Number.isFinite(val) ? val.toFixed(dec) : String(val);
+}
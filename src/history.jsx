@@ -0,0 +1,109 @@
+// Undo/redo of parameter changes and the list of them.
+import React, { useState, useEffect } from 'react';
+import { TRAJECTORY_TYPES } from './trajectory.js';
+
+const HISTORY_LIMIT = 100;
+// Changes to the same parameter closer together than this are one entry,
+// so a slider drag (or a burst of key nudges) undoes in one step.
+const HISTORY_MERGE_MS = 1000;
+
+function changedKeys(a, b) {
+  if (a.typeKey !== b.typeKey) return ["type"];
+  return Object.keys(b.params).filter((key) => a.params[key] !== b.params[key]);
+}
+
+function describeChange(from, to) {
+  const keys = changedKeys(from, to);
+  if (keys[0] === "type") return `type → ${TRAJECTORY_TYPES[to.typeKey].label}`;
+  if (keys.length === 1) return `${keys[0]} ${from.params[keys[0]]} → ${to.params[keys[0]]}`;
+  return `${keys.join(", ")} changed`;
+}
+
+// Records every { typeKey, params } state. Undo, redo and jumps restore an
+// entry through `restore`; the resulting state matches the entry, so it is
+// not recorded again.
+export function useParamHistory(typeKey, params, restore) {
+  const [history, setHistory] = useState(() => ({
+    entries: [{ typeKey, params, label: "start", mergeKey: null, at: Date.now() }],
+    index: 0,
+  }));
+
+  useEffect(() => {
+    setHistory(({ entries, index }) => {
+      const state = { typeKey, params };
+      const last = entries[index];
+      if (!changedKeys(last, state).length) return { entries, index };
+
+      const now = Date.now();
+      const keys = changedKeys(last, state);
+      const mergeKey = keys.length === 1 ? keys[0] : null;
+      const merge =
+        index > 0 &&
+        mergeKey !== null &&
+        last.mergeKey === mergeKey &&
+        now - last.at < HISTORY_MERGE_MS;
+      const from = merge ? entries[index - 1] : last;
+      const entry = { ...state, label: describeChange(from, state), mergeKey, at: now };
+      const kept = entries.slice(0, merge ? index : index + 1);
+      const next = [...kept, entry].slice(-HISTORY_LIMIT);
+      return { entries: next, index: next.length - 1 };
+    });
+  }, [typeKey, params]);
+
+  const jump = (i) => {
+    const entry = history.entries[i];
+    if (!entry) return;
+    // The next change starts a new entry instead of merging into this one.
+    setHistory(({ entries }) => ({
+      entries: entries.map((e, j) => (j === i ? { ...e, mergeKey: null } : e)),
+      index: i,
+    }));
+    restore(entry.typeKey, entry.params);
+  };
+
+  return {
+    ...history,
+    jump,
+    undo: () => jump(history.index - 1),
+    redo: () => jump(history.index + 1),
+    canUndo: history.index > 0,
+    canRedo: history.index < history.entries.length - 1,
+  };
+}
+
+export function HistoryPanel({ history, selectedKey }) {
+  const { entries, index, jump, undo, redo, canUndo, canRedo } = history;
+  return (
+    <div className="card mb-6">
+      <div className="row wrap">
+        <div className="label">history</div>
+        <button onClick={undo} disabled={!canUndo} className="small-button">
+          Undo
+        </button>
+        <button onClick={redo} disabled={!canRedo} className="small-button">
+          Redo
+        </button>
+        <span className="text-muted">
+          Ctrl+Z / Ctrl+Shift+Z · 1–9 select a parameter
+          {selectedKey ? ` (${selectedKey})` : ""} · ↑/↓ nudge by one step,
+          with Shift by ten · Esc deselect
+        </span>
+      </div>
+      <ol className="history-list">
+        {entries.map((entry, i) => (
+          <li key={`${entry.at}-${i}`}>
+            <button
+              onClick={() => jump(i)}
+              className={i === index ? "history-item active" : "history-item"}
+            >
+              <span className="text-muted">
+                {new Date(entry.at).toLocaleTimeString()}
+              </span>{" "}
+              {entry.label}
+            </button>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
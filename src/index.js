@@ -0,0 +1,11 @@
+// Library entry (lib/tuner.js): the tuner component and the registry its
+// props refer to. React, react-dom and recharts are left to the host.
+export { LissajousTuner } from "./app.jsx";
+export {
+  DEFAULT_TYPE,
+  PARAM_SLIDERS,
+  PARAM_UNITS,
+  TRAJECTORY_TYPES,
+  configureTypes,
+  isFlyable,
+} from "./trajectory.js";
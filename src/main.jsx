@@ -0,0 +1,7 @@
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import { LissajousTuner } from './app.jsx';
+
+// Mount the app (the standalone page shares links through the URL)
+const root = createRoot(document.getElementById("root"));
+root.render(<LissajousTuner syncUrl />);
@@ -0,0 +1,258 @@
+// Minimal MAVLink framing for the few messages the tool speaks: the shell
+// (SERIAL_CONTROL), a GCS HEARTBEAT and the telemetry for the live overlay
+// (LOCAL_POSITION_NED, ATTITUDE, STATUSTEXT). Frames are written as MAVLink 2
+// and read in either version; messages without a known CRC_EXTRA are skipped.
+
+const MAGIC_V1 = 0xfe;
+const MAGIC_V2 = 0xfd;
+
+export const MSG_HEARTBEAT = 0;
+export const MSG_ATTITUDE = 30;
+export const MSG_LOCAL_POSITION_NED = 32;
+export const MSG_SERIAL_CONTROL = 126;
+export const MSG_STATUSTEXT = 253;
+
+// Per-message seed of the checksum, from the message definitions.
+const CRC_EXTRA = {
+  [MSG_HEARTBEAT]: 50,
+  [MSG_ATTITUDE]: 39,
+  [MSG_LOCAL_POSITION_NED]: 185,
+  [MSG_SERIAL_CONTROL]: 220,
+  [MSG_STATUSTEXT]: 83,
+};
+
+const STATUSTEXT_LENGTH = 50;
+
+// SERIAL_CONTROL_DEV / SERIAL_CONTROL_FLAG from common.xml.
+export const SERIAL_CONTROL_DEV_SHELL = 10;
+export const SERIAL_CONTROL_FLAG_REPLY = 1;
+export const SERIAL_CONTROL_FLAG_RESPOND = 2;
+export const SERIAL_CONTROL_FLAG_EXCLUSIVE = 4;
+export const SERIAL_CONTROL_DATA_LENGTH = 70;
+
+// Our identity on the link: a ground station.
+export const GCS_SYSTEM_ID = 255;
+export const GCS_COMPONENT_ID = 190;
+const MAV_TYPE_GCS = 6;
+const MAV_AUTOPILOT_INVALID = 8;
+
+// CRC-16/MCRF4XX as used by MAVLink (X.25 polynomial, no final xor).
+export function crcX25(bytes, crc = 0xffff) {
+  for (const b of bytes) {
+    let tmp = (b ^ crc) & 0xff;
+    tmp = (tmp ^ (tmp << 4)) & 0xff;
+    crc = ((crc >> 8) ^ (tmp << 8) ^ (tmp << 3) ^ (tmp >> 4)) & 0xffff;
+  }
+  return crc;
+}
+
+// One MAVLink 2 frame. Trailing zero bytes of the payload are dropped, as
+// the protocol requires; the receiver pads them back.
+export function encodeFrame(
+  msgid,
+  payload,
+  { seq = 0, sysid = GCS_SYSTEM_ID, compid = GCS_COMPONENT_ID } = {}
+) {
+  let len = payload.length;
+  while (len > 1 && payload[len - 1] === 0) len--;
+  const frame = new Uint8Array(10 + len + 2);
+  frame.set([
+    MAGIC_V2,
+    len,
+    0,
+    0,
+    seq & 0xff,
+    sysid,
+    compid,
+    msgid & 0xff,
+    (msgid >> 8) & 0xff,
+    (msgid >> 16) & 0xff,
+  ]);
+  frame.set(payload.subarray(0, len), 10);
+  const crc = crcX25([CRC_EXTRA[msgid]], crcX25(frame.subarray(1, 10 + len)));
+  frame[10 + len] = crc & 0xff;
+  frame[11 + len] = crc >> 8;
+  return frame;
+}
+
+// Stream parser: push() takes byte chunks as they arrive (frames may be
+// split across chunks) and returns the complete messages found so far as
+// { msgid, sysid, compid, seq, payload }. Messages of other types are
+// skipped whole; garbage and bad checksums byte by byte to the next magic.
+export function createFrameParser() {
+  let buffer = new Uint8Array(0);
+
+  return {
+    push(chunk) {
+      const joined = new Uint8Array(buffer.length + chunk.length);
+      joined.set(buffer);
+      joined.set(chunk, buffer.length);
+      buffer = joined;
+
+      const messages = [];
+      let i = 0;
+      while (i < buffer.length) {
+        const magic = buffer[i];
+        if (magic !== MAGIC_V1 && magic !== MAGIC_V2) {
+          i++;
+          continue;
+        }
+        const v2 = magic === MAGIC_V2;
+        const headerLength = v2 ? 10 : 6;
+        if (buffer.length - i < headerLength) break;
+        const len = buffer[i + 1];
+        const incompat = v2 ? buffer[i + 2] : 0;
+        // Signing (0x01) is the only incompatibility flag defined.
+        if (incompat & ~0x01) {
+          i++;
+          continue;
+        }
+        const total = headerLength + len + 2 + (incompat ? 13 : 0);
+        if (buffer.length - i < total) break;
+
+        const msgid = v2
+          ? buffer[i + 7] | (buffer[i + 8] << 8) | (buffer[i + 9] << 16)
+          : buffer[i + 5];
+        const extra = CRC_EXTRA[msgid];
+        const end = i + headerLength + len;
+        const crc = buffer[end] | (buffer[end + 1] << 8);
+        if (extra === undefined) {
+          // Not ours to check; trust the length and skip the whole frame.
+          i += total;
+          continue;
+        }
+        if (crcX25([extra], crcX25(buffer.subarray(i + 1, end))) !== crc) {
+          i++;
+          continue;
+        }
+        messages.push({
+          msgid,
+          sysid: buffer[i + (v2 ? 5 : 3)],
+          compid: buffer[i + (v2 ? 6 : 4)],
+          seq: buffer[i + (v2 ? 4 : 2)],
+          payload: buffer.slice(i + headerLength, end),
+        });
+        i += total;
+      }
+      buffer = buffer.slice(i);
+      return messages;
+    },
+  };
+}
+
+export function encodeHeartbeat() {
+  const payload = new Uint8Array(9);
+  payload[4] = MAV_TYPE_GCS;
+  payload[5] = MAV_AUTOPILOT_INVALID;
+  payload[8] = 3; // mavlink_version
+  return payload;
+}
+
+// SERIAL_CONTROL payload, fields in wire order: baudrate u32, timeout u16,
+// device, flags, count, data[70], target_system, target_component.
+export function encodeSerialControl({
+  data = new Uint8Array(0),
+  flags = SERIAL_CONTROL_FLAG_RESPOND | SERIAL_CONTROL_FLAG_EXCLUSIVE,
+  device = SERIAL_CONTROL_DEV_SHELL,
+  timeout = 0,
+  targetSystem = 0,
+  targetComponent = 0,
+} = {}) {
+  if (data.length > SERIAL_CONTROL_DATA_LENGTH) {
+    throw new Error(
+      `SERIAL_CONTROL: at most ${SERIAL_CONTROL_DATA_LENGTH} bytes per message`
+    );
+  }
+  const payload = new Uint8Array(81);
+  const view = new DataView(payload.buffer);
+  view.setUint16(4, timeout, true);
+  payload[6] = device;
+  payload[7] = flags;
+  payload[8] = data.length;
+  payload.set(data, 9);
+  payload[79] = targetSystem;
+  payload[80] = targetComponent;
+  return payload;
+}
+
+// Received payloads may be truncated (MAVLink 2) or carry extensions we do
+// not read; this gives exactly `length` bytes, zero-padded.
+function padded(payload, length) {
+  const full = new Uint8Array(length);
+  full.set(payload.subarray(0, length));
+  return full;
+}
+
+export function decodeSerialControl(payload) {
+  const full = padded(payload, 81);
+  const count = Math.min(full[8], SERIAL_CONTROL_DATA_LENGTH);
+  return {
+    device: full[6],
+    flags: full[7],
+    data: full.slice(9, 9 + count),
+  };
+}
+
+// Splits text into SERIAL_CONTROL-sized UTF-8 chunks.
+export function shellChunks(text) {
+  const bytes = new TextEncoder().encode(text);
+  const chunks = [];
+  for (let i = 0; i < bytes.length; i += SERIAL_CONTROL_DATA_LENGTH) {
+    chunks.push(bytes.subarray(i, i + SERIAL_CONTROL_DATA_LENGTH));
+  }
+  return chunks;
+}
+
+// LOCAL_POSITION_NED: time_boot_ms u32, then x y z vx vy vz as float32.
+export function encodeLocalPositionNed({ timeBootMs, x, y, z, vx = 0, vy = 0, vz = 0 }) {
+  const payload = new Uint8Array(28);
+  const view = new DataView(payload.buffer);
+  view.setUint32(0, timeBootMs, true);
+  [x, y, z, vx, vy, vz].forEach((v, i) => view.setFloat32(4 + 4 * i, v, true));
+  return payload;
+}
+
+export function decodeLocalPositionNed(payload) {
+  const view = new DataView(padded(payload, 28).buffer);
+  const [x, y, z, vx, vy, vz] = [0, 1, 2, 3, 4, 5].map((i) =>
+    view.getFloat32(4 + 4 * i, true)
+  );
+  return { timeBootMs: view.getUint32(0, true), x, y, z, vx, vy, vz };
+}
+
+// ATTITUDE: time_boot_ms u32, then roll pitch yaw and their rates as float32.
+export function encodeAttitude({ timeBootMs, roll = 0, pitch = 0, yaw = 0 }) {
+  const payload = new Uint8Array(28);
+  const view = new DataView(payload.buffer);
+  view.setUint32(0, timeBootMs, true);
+  [roll, pitch, yaw].forEach((v, i) => view.setFloat32(4 + 4 * i, v, true));
+  return payload;
+}
+
+export function decodeAttitude(payload) {
+  const view = new DataView(padded(payload, 28).buffer);
+  return {
+    timeBootMs: view.getUint32(0, true),
+    roll: view.getFloat32(4, true),
+    pitch: view.getFloat32(8, true),
+    yaw: view.getFloat32(12, true),
+  };
+}
+
+// STATUSTEXT: severity u8 and up to 50 characters, NUL-terminated if shorter.
+export function encodeStatusText(severity, text) {
+  const payload = new Uint8Array(1 + STATUSTEXT_LENGTH);
+  payload[0] = severity;
+  payload.set(new TextEncoder().encode(text).subarray(0, STATUSTEXT_LENGTH), 1);
+  return payload;
+}
+
+export function decodeStatusText(payload) {
+  const full = padded(payload, 1 + STATUSTEXT_LENGTH);
+  const bytes = full.subarray(1);
+  const end = bytes.indexOf(0);
+  return {
+    severity: full[0],
+    text: new TextDecoder().decode(end < 0 ? bytes : bytes.subarray(0, end)),
+  };
+}
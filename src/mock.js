@@ -0,0 +1,131 @@
+// Stand-in vehicle for the MAVLink shell: answers SERIAL_CONTROL like PX4's
+// nsh with a pretend mc_raptor module, so the connection panel can be tried
+// and tested without hardware. bin/mock-vehicle.js serves it over a
+// WebSocket; connectMock() plugs it straight into the page.
+import {
+  MSG_SERIAL_CONTROL,
+  SERIAL_CONTROL_DEV_SHELL,
+  SERIAL_CONTROL_FLAG_REPLY,
+  createFrameParser,
+  encodeFrame,
+  encodeSerialControl,
+  decodeSerialControl,
+  shellChunks,
+} from "./mavlink.js";
+import { PARAM_SLIDERS, configureTypes, parseCommand } from "./trajectory.js";
+
+const PROMPT = "nsh> ";
+
+// The slider ranges are the UI's, not the firmware's: the module takes any
+// number, so the mock only checks the mode, the argument count and that the
+// arguments are numbers.
+const UNBOUNDED = { min: -Number.MAX_VALUE, max: Number.MAX_VALUE };
+const FIRMWARE_TYPES = configureTypes(
+  Object.fromEntries(Object.keys(PARAM_SLIDERS).map((name) => [name, UNBOUNDED]))
+);
+
+// Returns { receive(bytes) -> reply frames, state() }. Each connection gets
+// its own vehicle.
+export function createMockVehicle({ sysid = 1, compid = 1 } = {}) {
+  const parser = createFrameParser();
+  const decoder = new TextDecoder();
+  let seq = 0;
+  let line = "";
+  let running = false;
+  let intref = null;
+
+  function execute(command) {
+    const tokens = command.trim().split(/\s+/).filter(Boolean);
+    if (!tokens.length) return "";
+    if (tokens[0] !== "mc_raptor") return `nsh: ${tokens[0]}: command not found\n`;
+
+    switch (tokens[1]) {
+      case "start":
+        if (running) return "mc_raptor already running\n";
+        running = true;
+        return "INFO  [mc_raptor] started\n";
+      case "stop":
+        if (!running) return "mc_raptor not running\n";
+        running = false;
+        intref = null;
+        return "INFO  [mc_raptor] stopped\n";
+      case "status":
+        if (!running) return "mc_raptor not running\n";
+        return `INFO  [mc_raptor] running, intref: ${intref ?? "none"}\n`;
+      case "intref": {
+        if (!running) return "mc_raptor not running\n";
+        const { errors } = parseCommand(command, FIRMWARE_TYPES);
+        if (errors.length) {
+          return errors.map((e) => `ERROR [mc_raptor] ${e.field}: ${e.message}\n`).join("");
+        }
+        intref = tokens.slice(2).join(" ");
+        return `INFO  [mc_raptor] intref ${tokens[2]} set\n`;
+      }
+      default:
+        return "Usage: mc_raptor <start|stop|status|intref ...>\n";
+    }
+  }
+
+  // nsh echoes what it reads and answers each line followed by a prompt.
+  function input(text) {
+    let output = "";
+    for (const ch of text) {
+      if (ch === "\r") continue;
+      if (ch !== "\n") {
+        line += ch;
+        continue;
+      }
+      output += `${line}\r\n${execute(line).replace(/\n/g, "\r\n")}${PROMPT}`;
+      line = "";
+    }
+    return output;
+  }
+
+  const reply = (data) =>
+    encodeFrame(
+      MSG_SERIAL_CONTROL,
+      encodeSerialControl({
+        data,
+        flags: SERIAL_CONTROL_FLAG_REPLY,
+        device: SERIAL_CONTROL_DEV_SHELL,
+      }),
+      { seq: seq++, sysid, compid }
+    );
+
+  return {
+    receive(chunk) {
+      let output = "";
+      for (const msg of parser.push(chunk)) {
+        if (msg.msgid !== MSG_SERIAL_CONTROL) continue;
+        const { device, data } = decodeSerialControl(msg.payload);
+        if (device === SERIAL_CONTROL_DEV_SHELL) {
+          output += input(decoder.decode(data, { stream: true }));
+        }
+      }
+      return shellChunks(output).map(reply);
+    },
+    state: () => ({ running, intref }),
+  };
+}
+
+// Transport (see shell.js) to a mock vehicle living in the page. Replies
+// arrive asynchronously, as they would over a real link.
+export function connectMock(vehicle = createMockVehicle()) {
+  let open = true;
+  const transport = {
+    onData: null,
+    onClose: null,
+    send: (bytes) => {
+      if (!open) return;
+      for (const frame of vehicle.receive(bytes)) {
+        setTimeout(() => open && transport.onData?.(frame), 0);
+      }
+    },
+    close: () => {
+      if (!open) return;
+      open = false;
+      setTimeout(() => transport.onClose?.(), 0);
+    },
+  };
+  return Promise.resolve(transport);
+}
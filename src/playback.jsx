@@ -0,0 +1,144 @@
+// Animated time cursor and its transport buttons.
+import React, { useState, useEffect, useRef } from 'react';
+import { useUnitLabel } from './format.js';
+
+const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4];
+const PLAYBACK_STEP = 0.1;
+
+// Moves `t` along at wall-clock pace times `speed`. In real-time mode the
+// speed is 1× and t is anchored to the wall clock, so dropped frames never
+// make the marker lag; otherwise each frame advances by its (capped) duration.
+export function usePlayback(t, setT, plotTime) {
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const [loop, setLoop] = useState(false);
+  const [realTime, setRealTime] = useState(false);
+
+  const tRef = useRef(t);
+  tRef.current = t;
+
+  useEffect(() => {
+    if (!playing || !(plotTime > 0)) return;
+
+    let raf;
+    let last = performance.now();
+    let anchor = { wall: last, t: tRef.current };
+    let lastSet = tRef.current;
+
+    const tick = (now) => {
+      // Re-anchor when t was moved by hand during playback.
+      if (tRef.current !== lastSet) anchor = { wall: now, t: tRef.current };
+
+      let next = realTime
+        ? anchor.t + (now - anchor.wall) / 1000
+        : tRef.current + Math.min(0.1, (now - last) / 1000) * speed;
+      last = now;
+
+      if (next >= plotTime) {
+        if (loop) {
+          next %= plotTime;
+          anchor = { wall: now, t: next };
+        } else {
+          next = plotTime;
+          setPlaying(false);
+        }
+      }
+
+      lastSet = next;
+      tRef.current = next;
+      setT(next);
+      if (next < plotTime || loop) raf = requestAnimationFrame(tick);
+    };
+
+    raf = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(raf);
+  }, [playing, speed, loop, realTime, plotTime, setT]);
+
+  const togglePlay = () => {
+    // Playing from the end starts over.
+    if (!playing && tRef.current >= plotTime) setT(0);
+    setPlaying((p) => !p);
+  };
+
+  const step = (dir) =>
+    setT((prev) => Math.min(plotTime, Math.max(0, prev + dir * PLAYBACK_STEP)));
+
+  return {
+    playing,
+    togglePlay,
+    step,
+    speed,
+    setSpeed,
+    loop,
+    setLoop,
+    realTime,
+    setRealTime,
+  };
+}
+
+export function TransportControls({ playback, disabled, onRewind }) {
+  const { playing, togglePlay, step, speed, setSpeed } = playback;
+  const { loop, setLoop, realTime, setRealTime } = playback;
+  const unitLabel = useUnitLabel();
+
+  return (
+    <div className="row mt-2 wrap">
+      <button
+        onClick={onRewind}
+        disabled={disabled}
+        className="small-button"
+        title="Back to start"
+      >
+        ⏮
+      </button>
+      <button
+        onClick={() => step(-1)}
+        disabled={disabled}
+        className="small-button"
+        title={`Back ${PLAYBACK_STEP} ${unitLabel("s")}`}
+      >
+        ◀ {PLAYBACK_STEP} {unitLabel("s")}
+      </button>
+      <button onClick={togglePlay} disabled={disabled} className="copy-button">
+        {playing ? "Pause" : "Play"}
+      </button>
+      <button
+        onClick={() => step(1)}
+        disabled={disabled}
+        className="small-button"
+        title={`Forward ${PLAYBACK_STEP} ${unitLabel("s")}`}
+      >
+        {PLAYBACK_STEP} {unitLabel("s")} ▶
+      </button>
+      <select
+        value={realTime ? 1 : speed}
+        onChange={(e) => setSpeed(parseFloat(e.target.value))}
+        disabled={realTime}
+        className="select-input"
+        title="Playback speed"
+      >
+        {PLAYBACK_SPEEDS.map((s) => (
+          <option key={s} value={s}>
+            {s}×
+          </option>
+        ))}
+      </select>
+      <label className="checkbox-label">
+        <input
+          type="checkbox"
+          checked={loop}
+          onChange={(e) => setLoop(e.target.checked)}
+        />
+        loop
+      </label>
+      <label className="checkbox-label">
+        <input
+          type="checkbox"
+          checked={realTime}
+          onChange={(e) => setRealTime(e.target.checked)}
+        />
+        follow in real time
+      </label>
+    </div>
+  );
+}
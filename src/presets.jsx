@@ -0,0 +1,203 @@
+// Named parameter sets: built-in ones plus the user's, kept in localStorage
+// and exchanged as JSON files.
+import React, { useState } from 'react';
+import { TRAJECTORY_TYPES, sanitizeParams } from './trajectory.js';
+import { loadStored, storeValue, downloadFile } from './browser.js';
+
+const PRESET_STORAGE_KEY = "mc-raptor-trajectory-tool.presets";
+
+const BUILTIN_PRESETS = [
+  {
+    name: "C++ struct defaults",
+    type: "lissajous",
+    params: TRAJECTORY_TYPES.lissajous.defaults,
+  },
+  {
+    name: "Vertical figure-eight",
+    type: "lissajous",
+    params: { A: 0, B: 1.0, C: 0.5, a: 0, b: 1, c: 2, duration: 12, ramp_duration: 3 },
+  },
+  {
+    name: "Slow figure-eight",
+    type: "figure_eight",
+    params: { A: 0.5, B: 1.0, duration: 20, ramp_duration: 5 },
+  },
+  {
+    name: "Circle 1 m",
+    type: "circle",
+    params: TRAJECTORY_TYPES.circle.defaults,
+  },
+  {
+    name: "Hover 10 s",
+    type: "hover",
+    params: TRAJECTORY_TYPES.hover.defaults,
+  },
+];
+
+// Presets from storage or an imported file: [{ name, type, params }].
+// Entries that do not validate are dropped.
+function sanitizePresets(raw) {
+  const list = Array.isArray(raw) ? raw : raw?.presets;
+  if (!Array.isArray(list)) return [];
+  return list
+    .map((p) => {
+      const params = sanitizeParams(p?.type, p?.params);
+      const name = typeof p?.name === "string" ? p.name.trim() : "";
+      return params && name ? { name, type: p.type, params } : null;
+    })
+    .filter(Boolean);
+}
+
+// "name", "name (2)", "name (3)", ... whichever is not taken yet.
+function uniqueName(name, presets) {
+  const taken = new Set(presets.map((p) => p.name));
+  if (!taken.has(name)) return name;
+  let i = 2;
+  while (taken.has(`${name} (${i})`)) i++;
+  return `${name} (${i})`;
+}
+
+export function PresetManager({ typeKey, params, onLoad }) {
+  const [presets, setPresets] = useState(() =>
+    loadStored(PRESET_STORAGE_KEY, sanitizePresets)
+  );
+  const [name, setName] = useState("");
+  const [renaming, setRenaming] = useState(null);
+  const [message, setMessage] = useState("");
+
+  const update = (next) => {
+    setPresets(next);
+    storeValue(PRESET_STORAGE_KEY, next);
+  };
+
+  // Saving under an existing name overwrites that preset.
+  const handleSave = () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    const preset = { name: trimmed, type: typeKey, params: { ...params } };
+    const i = presets.findIndex((p) => p.name === trimmed);
+    update(
+      i >= 0
+        ? presets.map((p, j) => (j === i ? preset : p))
+        : [...presets, preset]
+    );
+    setName("");
+    setMessage(`saved "${trimmed}"`);
+  };
+
+  const handleRename = (i) => {
+    const trimmed = renaming.name.trim();
+    if (trimmed && trimmed !== presets[i].name) {
+      const others = presets.filter((_, j) => j !== i);
+      const newName = uniqueName(trimmed, others);
+      update(presets.map((p, j) => (j === i ? { ...p, name: newName } : p)));
+    }
+    setRenaming(null);
+  };
+
+  const handleDelete = (i) => update(presets.filter((_, j) => j !== i));
+
+  const handleExport = () => {
+    downloadFile(
+      "mc-raptor-presets.json",
+      JSON.stringify({ presets }, null, 2),
+      "application/json"
+    );
+  };
+
+  const handleImport = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    file.text().then((text) => {
+      let imported;
+      try {
+        imported = sanitizePresets(JSON.parse(text));
+      } catch (err) {
+        setMessage(`import failed: ${err.message}`);
+        return;
+      }
+      const next = [...presets];
+      for (const p of imported) next.push({ ...p, name: uniqueName(p.name, next) });
+      update(next);
+      setMessage(`imported ${imported.length} preset(s)`);
+    });
+  };
+
+  const presetRow = (p, i, builtin) => (
+    <li key={`${builtin ? "b" : "u"}-${i}`} className="preset-item row">
+      {renaming?.index === i && !builtin ? (
+        <input
+          type="text"
+          value={renaming.name}
+          onChange={(e) => setRenaming({ index: i, name: e.target.value })}
+          onKeyDown={(e) => e.key === "Enter" && handleRename(i)}
+          onBlur={() => handleRename(i)}
+          autoFocus
+          className="text-input"
+        />
+      ) : (
+        <span className="preset-name">{p.name}</span>
+      )}
+      <span className="text-muted">
+        {TRAJECTORY_TYPES[p.type].label}
+        {builtin ? " · built-in" : ""}
+      </span>
+      <button
+        onClick={() => onLoad(p.type, p.params)}
+        className="small-button push-right"
+      >
+        Load
+      </button>
+      {!builtin && (
+        <>
+          <button
+            onClick={() => setRenaming({ index: i, name: p.name })}
+            className="small-button"
+          >
+            Rename
+          </button>
+          <button onClick={() => handleDelete(i)} className="small-button">
+            Delete
+          </button>
+        </>
+      )}
+    </li>
+  );
+
+  return (
+    <div className="card mt-6">
+      <div className="section-label">Presets</div>
+      <div className="row">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && handleSave()}
+          placeholder="preset name"
+          className="text-input"
+        />
+        <button onClick={handleSave} className="copy-button">
+          Save current
+        </button>
+        <button onClick={handleExport} className="small-button push-right">
+          Export JSON
+        </button>
+        <label className="small-button">
+          Import JSON
+          <input
+            type="file"
+            accept="application/json,.json"
+            onChange={handleImport}
+            hidden
+          />
+        </label>
+      </div>
+      {message && <div className="text-muted mt-2">{message}</div>}
+      <ul className="preset-list">
+        {BUILTIN_PRESETS.map((p, i) => presetRow(p, i, true))}
+        {presets.map((p, i) => presetRow(p, i, false))}
+      </ul>
+    </div>
+  );
+}
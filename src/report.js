@@ -0,0 +1,261 @@
+// Flight-test report: one self-contained HTML page (inline SVG plots and
+// styles, nothing loaded from elsewhere) with the XY path, the speed /
+// acceleration / jerk time plots against the limits, the parameter table,
+// the derived metrics and the exact command, plus the test card's free-text
+// fields. Meant to be printed or saved as PDF for the safety documentation.
+import {
+  TRAJECTORY_TYPES,
+  isFlyable,
+  LIMIT_FIELDS,
+  exceeds,
+  makePow10Ticks,
+  periodicity,
+  plotHorizon,
+  samplePlot,
+} from "./trajectory.js";
+import { measure } from "./solver.js";
+
+// Free-text fields of the test card, in print order.
+export const REPORT_FIELDS = [
+  { key: "date", label: "test date" },
+  { key: "pilot", label: "pilot" },
+  { key: "airframe", label: "airframe" },
+  { key: "notes", label: "notes", multiline: true },
+];
+
+// Points per plotted curve; plenty for print and keeps the file small.
+const REPORT_STEPS = 1500;
+
+const PATH_COLOR = "#2563eb";
+const LIMIT_COLOR = "#dc2626";
+
+// Peaks and extents over the true period (see measure), the true period
+// (Infinity when the path does not repeat) and the total time.
+export function reportMetrics(type, params) {
+  const { cycles, period } = periodicity(type, params);
+  return { ...measure(type, params), cycles, period };
+}
+
+const escapeHtml = (s) =>
+  String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const num = (v, digits = 2) => (Number.isFinite(v) ? v.toFixed(digits) : String(v));
+
+function padDomain([lo, hi]) {
+  if (!(hi > lo)) return [lo - 1, hi + 1];
+  const pad = (hi - lo) * 0.05;
+  return [lo - pad, hi + pad];
+}
+
+// SVG line plot. `series`: [{ points: [[u, v]], color, dash? }] in data
+// units; `hLines`: [{ value, color }] horizontal reference lines. `equal`
+// widens the shorter domain so both axes have the same scale; `reversedU`
+// puts larger u on the left.
+function svgPlot({ series, hLines = [], uLabel, vLabel, width, height, equal, reversedU }) {
+  const margin = { top: 10, right: 14, bottom: 38, left: 52 };
+  const w = width - margin.left - margin.right;
+  const h = height - margin.top - margin.bottom;
+
+  const all = series.flatMap((s) => s.points);
+  let uDomain = padDomain([
+    Math.min(...all.map((p) => p[0])),
+    Math.max(...all.map((p) => p[0])),
+  ]);
+  let vDomain = padDomain([
+    Math.min(...all.map((p) => p[1]), ...hLines.map((l) => l.value)),
+    Math.max(...all.map((p) => p[1]), ...hLines.map((l) => l.value)),
+  ]);
+  if (equal) {
+    const scale = Math.max((uDomain[1] - uDomain[0]) / w, (vDomain[1] - vDomain[0]) / h);
+    const widen = ([lo, hi], size) => {
+      const mid = (lo + hi) / 2;
+      return [mid - (scale * size) / 2, mid + (scale * size) / 2];
+    };
+    uDomain = widen(uDomain, w);
+    vDomain = widen(vDomain, h);
+  }
+
+  const px = (u) => {
+    const f = (u - uDomain[0]) / (uDomain[1] - uDomain[0]);
+    return margin.left + (reversedU ? 1 - f : f) * w;
+  };
+  const py = (v) => margin.top + (1 - (v - vDomain[0]) / (vDomain[1] - vDomain[0])) * h;
+
+  const out = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif" font-size="10">`,
+  ];
+  for (const u of makePow10Ticks(uDomain, 8)) {
+    const x = px(u).toFixed(1);
+    out.push(
+      `<line x1="${x}" x2="${x}" y1="${margin.top}" y2="${margin.top + h}" stroke="#e5e7eb"/>`,
+      `<text x="${x}" y="${margin.top + h + 13}" text-anchor="middle">${num(u)}</text>`
+    );
+  }
+  for (const v of makePow10Ticks(vDomain, 8)) {
+    const y = py(v).toFixed(1);
+    out.push(
+      `<line x1="${margin.left}" x2="${margin.left + w}" y1="${y}" y2="${y}" stroke="#e5e7eb"/>`,
+      `<text x="${margin.left - 4}" y="${y}" dy="3" text-anchor="end">${num(v)}</text>`
+    );
+  }
+  out.push(
+    `<rect x="${margin.left}" y="${margin.top}" width="${w}" height="${h}" fill="none" stroke="#9ca3af"/>`,
+    `<text x="${margin.left + w / 2}" y="${height - 6}" text-anchor="middle">${escapeHtml(uLabel)}</text>`,
+    `<text transform="translate(12 ${margin.top + h / 2}) rotate(-90)" text-anchor="middle">${escapeHtml(vLabel)}</text>`
+  );
+  for (const { value, color } of hLines) {
+    const y = py(value).toFixed(1);
+    out.push(
+      `<line x1="${margin.left}" x2="${margin.left + w}" y1="${y}" y2="${y}" stroke="${color}" stroke-dasharray="6 4"/>`
+    );
+  }
+  for (const { points, color, dash } of series) {
+    const d = points
+      .map(([u, v], i) => `${i ? "L" : "M"}${px(u).toFixed(1)} ${py(v).toFixed(1)}`)
+      .join("");
+    out.push(
+      `<path d="${d}" fill="none" stroke="${color}" stroke-width="1.5"${dash ? ` stroke-dasharray="${dash}"` : ""}/>`
+    );
+  }
+  out.push("</svg>");
+  return out.join("");
+}
+
+const STYLE = `
+body { font-family: sans-serif; font-size: 12px; color: #111827; margin: 24px; }
+h1 { font-size: 18px; margin: 0 0 4px; }
+h2 { font-size: 14px; margin: 18px 0 6px; }
+table { border-collapse: collapse; }
+td, th { border: 1px solid #d1d5db; padding: 3px 8px; text-align: left; vertical-align: top; }
+td.num { text-align: right; font-variant-numeric: tabular-nums; }
+tr.bad td { color: #b91c1c; font-weight: bold; }
+pre { background: #f3f4f6; padding: 6px 8px; white-space: pre-wrap; word-break: break-all; }
+.fields td:last-child { min-width: 320px; white-space: pre-wrap; }
+.plots { display: flex; flex-wrap: wrap; gap: 12px; align-items: flex-start; }
+.plots figure { margin: 0; }
+.plots figcaption { font-size: 11px; color: #4b5563; }
+.sign td { height: 32px; min-width: 200px; }
+@media print { body { margin: 0; } .no-print { display: none; } h2, table, figure { break-inside: avoid; } }
+`;
+
+// The report page as a string. `fields` holds the REPORT_FIELDS values;
+// `horizon` is the plotted time span (default: the ramp and one duration);
+// `types` supplies the slider ranges listed with the parameters.
+export function toReportHtml({
+  typeKey,
+  params,
+  limits,
+  fields = {},
+  horizon = plotHorizon(params),
+  generatedAt = new Date(),
+  types = TRAJECTORY_TYPES,
+}) {
+  const type = types[typeKey];
+  const command = isFlyable(type)
+    ? type.command(params)
+    : `none: no intref mode flies a ${type.label.toLowerCase()}`;
+  const metrics = reportMetrics(type, params);
+  const data = samplePlot(type, params, horizon, REPORT_STEPS);
+  const title = `${type.label} flight test`;
+
+  const fieldRows = REPORT_FIELDS.map(
+    ({ key, label }) =>
+      `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(fields[key] ?? "")}</td></tr>`
+  );
+
+  const paramRows = Object.entries(type.sliders).map(
+    ([key, cfg]) =>
+      `<tr><th>${escapeHtml(key)}</th><td class="num">${escapeHtml(params[key])}</td><td>${cfg.min} … ${cfg.max}</td></tr>`
+  );
+
+  const limitRows = LIMIT_FIELDS.map(({ key, label, unit }) => {
+    const limit = limits?.[key];
+    const over = exceeds(metrics[key], limit);
+    return (
+      `<tr${over ? ' class="bad"' : ""}><th>peak ${escapeHtml(label)}</th>` +
+      `<td class="num">${num(metrics[key])} ${unit}</td>` +
+      `<td>${limit > 0 ? `limit ${limit} ${unit}${over ? ", EXCEEDED" : ""}` : "no limit"}</td></tr>`
+    );
+  });
+  const period = Number.isFinite(metrics.period)
+    ? `${num(metrics.period)} s (${metrics.cycles} × duration)`
+    : "does not repeat";
+  const metricRows = [
+    ...limitRows,
+    ...["x", "y", "z"].map((axis) => {
+      const key = `size${axis.toUpperCase()}`;
+      return `<tr><th>extent ${axis}</th><td class="num">${num(metrics[key])} m</td><td></td></tr>`;
+    }),
+    `<tr><th>true period</th><td class="num">${period}</td><td></td></tr>`,
+    `<tr><th>total time</th><td class="num">${num(metrics.time)} s</td><td>ramp_duration + duration</td></tr>`,
+  ];
+
+  const plots = [];
+  if (data.length) {
+    plots.push({
+      caption: "XY path (x forward is up, y left is left)",
+      svg: svgPlot({
+        series: [{ points: data.map((p) => [p.y, p.x]), color: PATH_COLOR }],
+        uLabel: "y (left) [m]",
+        vLabel: "x (forward) [m]",
+        width: 340,
+        height: 340,
+        equal: true,
+        reversedU: true,
+      }),
+    });
+    for (const { key, label, unit } of LIMIT_FIELDS) {
+      const limit = limits?.[key];
+      plots.push({
+        caption: `${label} over ${num(horizon)} s${limit > 0 ? `, dashed: limit ${limit} ${unit}` : ""}`,
+        svg: svgPlot({
+          series: [{ points: data.map((p) => [p.t, p[key]]), color: PATH_COLOR }],
+          hLines: limit > 0 ? [{ value: limit, color: LIMIT_COLOR }] : [],
+          uLabel: "t [s]",
+          vLabel: `${label} [${unit}]`,
+          width: 340,
+          height: 200,
+        }),
+      });
+    }
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}${fields.date ? ` ${escapeHtml(fields.date)}` : ""}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<button class="no-print" onclick="window.print()">Print</button>
+<h1>${escapeHtml(title)}</h1>
+<div>generated ${escapeHtml(generatedAt.toISOString())}</div>
+
+<h2>Test card</h2>
+<table class="fields">${fieldRows.join("")}</table>
+
+<h2>Command</h2>
+<pre>${escapeHtml(command)}</pre>
+
+<h2>Parameters</h2>
+<table><tr><th>parameter</th><th>value</th><th>range</th></tr>${paramRows.join("")}</table>
+
+<h2>Derived metrics</h2>
+<table>${metricRows.join("")}</table>
+
+<h2>Plots</h2>
+<div class="plots">${plots
+    .map((p) => `<figure>${p.svg}<figcaption>${escapeHtml(p.caption)}</figcaption></figure>`)
+    .join("")}</div>
+
+<h2>Sign-off</h2>
+<table class="sign"><tr><th>flown</th><td></td><th>log file</th><td></td></tr><tr><th>signature</th><td></td><th>remarks</th><td></td></tr></table>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,9 @@
+// Samples plots off the main thread. Requests name the trajectory type by
+// key (functions cannot be posted) and echo their id back with the points.
+import { TRAJECTORY_TYPES, samplePlot } from "./trajectory.js";
+
+self.onmessage = ({ data: request }) => {
+  const { id, typeKey, params, horizon, steps } = request;
+  const points = samplePlot(TRAJECTORY_TYPES[typeKey], params, horizon, steps);
+  self.postMessage({ id, full: request.full, points });
+};
@@ -0,0 +1,111 @@
+// Plot sampling that keeps up with the sliders: coarse right away, full
+// density off the main thread once the parameters settle.
+import { useState, useEffect, useRef } from "react";
+import { TRAJECTORY_TYPES, plotSteps, samplePlot } from "./trajectory.js";
+
+// While parameters change, plots get a coarse sampling right away and the
+// full one once they have been still for REFINE_DELAY_MS.
+const REFINE_DELAY_MS = 150;
+export const coarseSteps = (horizon) => Math.max(300, Math.round(plotSteps(horizon) / 8));
+
+// Samples the plot in a worker (inline where workers are unavailable).
+// `display` is what the charts draw, coarse or full; `exact` is always the
+// full-density sampling that peaks, spans and clearances are computed from,
+// and it trails the parameters until they settle: `stale` is set until it
+// matches the current ones. The initial sampling is synchronous so the first
+// render has data.
+export function useSampledTrajectory(typeKey, params, horizon) {
+  const [state, setState] = useState(() => {
+    const points = samplePlot(TRAJECTORY_TYPES[typeKey], params, horizon);
+    return { id: 0, display: points, exact: points, exactFor: { typeKey, params, horizon } };
+  });
+
+  const worker = useRef(null);
+  const inFlight = useRef(null);
+  const queued = useRef(null);
+  const nextId = useRef(0);
+  const mounted = useRef(false);
+
+  const apply = (request, points) =>
+    setState((prev) => {
+      const { id, full, typeKey, params, horizon } = request;
+      if (id < prev.id) return prev;
+      return full
+        ? { id, display: points, exact: points, exactFor: { typeKey, params, horizon } }
+        : { ...prev, id, display: points };
+    });
+
+  const sampleInline = (request) =>
+    apply(
+      request,
+      samplePlot(
+        TRAJECTORY_TYPES[request.typeKey],
+        request.params,
+        request.horizon,
+        request.steps
+      )
+    );
+
+  // One request in flight; a newer one replaces whatever is waiting.
+  const send = (request) => {
+    if (!worker.current) return sampleInline(request);
+    if (inFlight.current) {
+      queued.current = request;
+      return;
+    }
+    inFlight.current = request;
+    worker.current.postMessage(request);
+  };
+
+  useEffect(() => {
+    if (typeof Worker === "undefined") return;
+    let w;
+    try {
+      w = new Worker(new URL("./sampler.worker.js", import.meta.url), { type: "module" });
+    } catch {
+      return;
+    }
+    const next = () => {
+      inFlight.current = null;
+      const request = queued.current;
+      queued.current = null;
+      if (request) send(request);
+    };
+    w.onmessage = ({ data }) => {
+      apply(inFlight.current, data.points);
+      next();
+    };
+    // E.g. pages opened from file://: fall back to sampling inline, starting
+    // with the request the worker dropped.
+    w.onerror = () => {
+      w.terminate();
+      worker.current = null;
+      if (inFlight.current) sampleInline(inFlight.current);
+      next();
+    };
+    worker.current = w;
+    return () => {
+      w.terminate();
+      worker.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!mounted.current) {
+      mounted.current = true;
+      return;
+    }
+    const request = { typeKey, params, horizon };
+    send({ ...request, id: ++nextId.current, full: false, steps: coarseSteps(horizon) });
+    const timer = setTimeout(
+      () => send({ ...request, id: ++nextId.current, full: true }),
+      REFINE_DELAY_MS
+    );
+    return () => clearTimeout(timer);
+  }, [typeKey, params, horizon]);
+
+  const { display, exact, exactFor } = state;
+  const stale =
+    exactFor.typeKey !== typeKey || exactFor.params !== params || exactFor.horizon !== horizon;
+  return { display, exact, stale };
+}
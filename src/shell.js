@@ -0,0 +1,159 @@
+// The vehicle's NuttX shell over MAVLink SERIAL_CONTROL, the same protocol
+// as PX4's Tools/mavlink_shell.py. A session runs on a transport, the raw
+// MAVLink byte link: { send(bytes), close(), onData, onClose }.
+import {
+  MSG_HEARTBEAT,
+  MSG_SERIAL_CONTROL,
+  SERIAL_CONTROL_DEV_SHELL,
+  SERIAL_CONTROL_FLAG_REPLY,
+  SERIAL_CONTROL_FLAG_RESPOND,
+  SERIAL_CONTROL_FLAG_EXCLUSIVE,
+  createFrameParser,
+  encodeFrame,
+  encodeHeartbeat,
+  encodeSerialControl,
+  decodeSerialControl,
+  shellChunks,
+} from "./mavlink.js";
+
+// Commands besides the generated intref one.
+export const SHELL_ACTIONS = [
+  { key: "start", label: "Start", command: "mc_raptor start" },
+  { key: "stop", label: "Stop", command: "mc_raptor stop" },
+];
+
+export const TRANSPORTS = [
+  { key: "websocket", label: "WebSocket bridge" },
+  { key: "webserial", label: "WebSerial" },
+  { key: "mock", label: "Mock vehicle (in page)" },
+];
+
+export const DEFAULT_BRIDGE_URL = "ws://127.0.0.1:8765";
+export const DEFAULT_BAUD_RATE = 57600;
+
+const HEARTBEAT_INTERVAL_MS = 1000;
+// The vehicle only sends shell output in reply to a SERIAL_CONTROL request,
+// so an empty one goes out this often.
+const POLL_INTERVAL_MS = 100;
+// Ask for a reply and keep other shells (e.g. on the console) off the device.
+const SHELL_FLAGS = SERIAL_CONTROL_FLAG_RESPOND | SERIAL_CONTROL_FLAG_EXCLUSIVE;
+
+// Opens the shell on `transport`. Output text is passed to onOutput as it
+// arrives; onClose fires once when the link goes away.
+export function createShellSession(
+  transport,
+  { onOutput, onClose, pollInterval = POLL_INTERVAL_MS }
+) {
+  const parser = createFrameParser();
+  const decoder = new TextDecoder();
+  let seq = 0;
+  let open = true;
+
+  const send = (msgid, payload) => {
+    if (open) transport.send(encodeFrame(msgid, payload, { seq: seq++ }));
+  };
+  const serial = (data, flags = SHELL_FLAGS) =>
+    send(MSG_SERIAL_CONTROL, encodeSerialControl({ data, flags }));
+
+  transport.onData = (chunk) => {
+    for (const msg of parser.push(chunk)) {
+      if (msg.msgid !== MSG_SERIAL_CONTROL) continue;
+      const { device, flags, data } = decodeSerialControl(msg.payload);
+      const fromShell = device === SERIAL_CONTROL_DEV_SHELL && flags & SERIAL_CONTROL_FLAG_REPLY;
+      if (fromShell && data.length) onOutput(decoder.decode(data, { stream: true }));
+    }
+  };
+
+  const heartbeat = setInterval(
+    () => send(MSG_HEARTBEAT, encodeHeartbeat()),
+    HEARTBEAT_INTERVAL_MS
+  );
+  const poll = setInterval(() => serial(new Uint8Array(0)), pollInterval);
+  const stop = () => {
+    if (!open) return;
+    open = false;
+    clearInterval(heartbeat);
+    clearInterval(poll);
+    onClose?.();
+  };
+  transport.onClose = stop;
+
+  send(MSG_HEARTBEAT, encodeHeartbeat());
+  // An empty line brings up the prompt.
+  serial(shellChunks("\n")[0]);
+
+  return {
+    run(command) {
+      for (const chunk of shellChunks(`${command}\n`)) serial(chunk);
+    },
+    close() {
+      // Hand the shell back before hanging up.
+      serial(new Uint8Array(0), 0);
+      stop();
+      transport.close();
+    },
+  };
+}
+
+// A bridge that forwards raw MAVLink bytes as binary WebSocket messages, e.g.
+// websockify in front of a UDP/TCP MAVLink endpoint, or bin/mock-vehicle.js.
+export function connectWebSocket(url) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(url);
+    ws.binaryType = "arraybuffer";
+    const transport = {
+      onData: null,
+      onClose: null,
+      send: (bytes) => ws.readyState === WebSocket.OPEN && ws.send(bytes),
+      close: () => ws.close(),
+    };
+    ws.onopen = () => resolve(transport);
+    ws.onerror = () => reject(new Error(`could not connect to ${url}`));
+    ws.onmessage = ({ data }) => {
+      if (typeof data !== "string") transport.onData?.(new Uint8Array(data));
+    };
+    ws.onclose = () => transport.onClose?.();
+  });
+}
+
+// A serial port picked by the user: USB to the flight controller or a
+// telemetry radio.
+export async function connectWebSerial(baudRate = DEFAULT_BAUD_RATE) {
+  if (!navigator.serial) throw new Error("WebSerial is not available in this browser");
+  const port = await navigator.serial.requestPort();
+  await port.open({ baudRate });
+  const reader = port.readable.getReader();
+  const writer = port.writable.getWriter();
+  let open = true;
+
+  const transport = {
+    onData: null,
+    onClose: null,
+    send: (bytes) => {
+      if (open) writer.write(bytes).catch(() => {});
+    },
+    close: async () => {
+      open = false;
+      await reader.cancel().catch(() => {});
+    },
+  };
+
+  (async () => {
+    try {
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        transport.onData?.(value);
+      }
+    } catch {
+      // Unplugged: fall through and close.
+    } finally {
+      open = false;
+      reader.releaseLock();
+      writer.releaseLock();
+      await port.close().catch(() => {});
+      transport.onClose?.();
+    }
+  })();
+  return transport;
+}
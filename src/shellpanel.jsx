@@ -0,0 +1,222 @@
+// Sending commands to the vehicle's shell.
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  SHELL_ACTIONS,
+  TRANSPORTS,
+  DEFAULT_BRIDGE_URL,
+  DEFAULT_BAUD_RATE,
+  createShellSession,
+  connectWebSocket,
+  connectWebSerial,
+} from './shell.js';
+import { connectMock } from './mock.js';
+
+// Shell output kept in the panel; older text scrolls out.
+const SHELL_LOG_LIMIT = 20000;
+
+// Sends the generated command (and SHELL_ACTIONS) to the vehicle's shell.
+// Every live send is confirmed first; a dry run only logs what would go out.
+// While `checking`, the warnings are not yet those of `command`, so it cannot
+// be sent; a null `command` (a type no intref mode flies) never can.
+export function ShellPanel({ command, warnings, checking }) {
+  const [transportKey, setTransportKey] = useState("websocket");
+  const [url, setUrl] = useState(DEFAULT_BRIDGE_URL);
+  const [baudRate, setBaudRate] = useState(DEFAULT_BAUD_RATE);
+  const [status, setStatus] = useState("disconnected");
+  const [error, setError] = useState(null);
+  const [dryRun, setDryRun] = useState(false);
+  const [pending, setPending] = useState(null);
+  const [log, setLog] = useState("");
+  const session = useRef(null);
+
+  const appendLog = (text) =>
+    setLog((prev) => (prev + text.replace(/\r/g, "")).slice(-SHELL_LOG_LIMIT));
+
+  useEffect(() => () => session.current?.close(), []);
+
+  const handleConnect = async () => {
+    setError(null);
+    setStatus("connecting");
+    try {
+      const transport =
+        transportKey === "websocket"
+          ? await connectWebSocket(url)
+          : transportKey === "webserial"
+            ? await connectWebSerial(baudRate)
+            : await connectMock();
+      session.current = createShellSession(transport, {
+        onOutput: appendLog,
+        onClose: () => {
+          session.current = null;
+          setPending(null);
+          setStatus("disconnected");
+        },
+      });
+      setStatus("connected");
+    } catch (err) {
+      setError(err.message);
+      setStatus("disconnected");
+    }
+  };
+
+  const request = (label, text, cautions = []) => {
+    if (dryRun) {
+      appendLog(`[dry run] ${text}\n`);
+      return;
+    }
+    setPending({ label, command: text, cautions });
+  };
+
+  const handleConfirm = () => {
+    session.current?.run(pending.command);
+    setPending(null);
+  };
+
+  const connected = status === "connected";
+  const canSend = dryRun || connected;
+
+  return (
+    <div className="card mt-6">
+      <div className="section-label">
+        Vehicle shell{" "}
+        <span className={connected ? "badge-ok" : "text-muted"}>{status}</span>
+      </div>
+      <div className="export-grid">
+        <label className="label-sm">link</label>
+        <div className="row wrap">
+          <select
+            value={transportKey}
+            onChange={(e) => setTransportKey(e.target.value)}
+            disabled={status !== "disconnected"}
+            className="select-input"
+          >
+            {TRANSPORTS.map(({ key, label }) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+          </select>
+          {transportKey === "websocket" && (
+            <input
+              type="text"
+              value={url}
+              onChange={(e) => setUrl(e.target.value)}
+              disabled={status !== "disconnected"}
+              className="text-input"
+            />
+          )}
+          {transportKey === "webserial" && (
+            <>
+              <input
+                type="number"
+                min={1}
+                step={1}
+                value={baudRate}
+                onChange={(e) => setBaudRate(parseInt(e.target.value, 10))}
+                disabled={status !== "disconnected"}
+                className="number-input"
+              />
+              <span className="text-muted">baud</span>
+            </>
+          )}
+          {connected ? (
+            <button onClick={() => session.current?.close()} className="small-button">
+              Disconnect
+            </button>
+          ) : (
+            <button
+              onClick={handleConnect}
+              disabled={status === "connecting"}
+              className="small-button"
+            >
+              Connect
+            </button>
+          )}
+        </div>
+
+        <label className="label-sm">mode</label>
+        <div className="row">
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={dryRun}
+              onChange={(e) => {
+                setDryRun(e.target.checked);
+                setPending(null);
+              }}
+            />
+            dry run (log commands, send nothing)
+          </label>
+        </div>
+      </div>
+      {transportKey === "websocket" && (
+        <div className="text-muted mt-2">
+          The bridge forwards raw MAVLink bytes as binary WebSocket messages.
+          Without a vehicle, <code>npm run mock-vehicle</code> serves a mock
+          shell at {DEFAULT_BRIDGE_URL}.
+        </div>
+      )}
+      {error && <div className="parse-error mt-2">{error}</div>}
+
+      <div className="row wrap mt-2">
+        <button
+          onClick={() => request("Send trajectory", command, warnings)}
+          disabled={!canSend || checking || !command}
+          title={
+            !command
+              ? "no intref mode flies this trajectory type"
+              : checking
+                ? "checking the new parameters against the limits"
+                : undefined
+          }
+          className="copy-button"
+        >
+          Send command
+        </button>
+        {SHELL_ACTIONS.map(({ key, label, command: action }) => (
+          <button
+            key={key}
+            onClick={() => request(label, action)}
+            disabled={!canSend}
+            className="small-button"
+            title={action}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {pending && (
+        <div className="confirm-box mt-2">
+          <div>
+            {pending.label}: <code>{pending.command}</code>
+          </div>
+          {pending.cautions.map((c) => (
+            <div key={c} className="parse-error">
+              {c}
+            </div>
+          ))}
+          <div className="row mt-2">
+            <button onClick={handleConfirm} disabled={!connected} className="copy-button">
+              Confirm and send
+            </button>
+            <button onClick={() => setPending(null)} className="small-button">
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {log && (
+        <>
+          <pre className="shell-log mt-2">{log}</pre>
+          <div className="row mt-2">
+            <button onClick={() => setLog("")} className="small-button">
+              Clear output
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
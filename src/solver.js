@@ -0,0 +1,202 @@
+// Constraint-driven tuning: keeps the shape of the current parameters (the
+// frequencies, the amplitude proportions and the ramp_duration : duration
+// ratio) and solves for an overall size factor k and a duration D.
+//
+// With the ramp ratio fixed, the whole trajectory is the current one scaled
+// by k in space and by D / D0 in time, so its peaks scale exactly:
+// speed ~ k / D, acceleration ~ k / D^2, jerk ~ k / D^3, extents ~ k.
+// The result is snapped to the slider steps and re-checked with evalXYZ.
+import {
+  plotHorizon,
+  samplePlot,
+  findPeak,
+  exceeds,
+  periodicity,
+  snapToStep,
+} from "./trajectory.js";
+
+// Targets besides the dynamic limits (LIMIT_FIELDS). Box sizes are the full
+// extent along each axis of the trajectory frame; the total time is
+// ramp_duration + duration.
+export const SOLVER_TARGETS = [
+  { key: "sizeX", label: "box x", unit: "m", step: 0.1 },
+  { key: "sizeY", label: "box y", unit: "m", step: 0.1 },
+  { key: "sizeZ", label: "box z", unit: "m", step: 0.1 },
+  { key: "time", label: "total time", unit: "s", step: 0.5 },
+];
+
+const AXES = [
+  ["sizeX", "x"],
+  ["sizeY", "y"],
+  ["sizeZ", "z"],
+];
+
+// Peaks are searched over the true period, up to this many durations.
+const MAX_SOLVE_CYCLES = 20;
+// Snapping can push a peak just over its limit; retry this many times,
+// with a longer duration or, when the total time is fixed, a path smaller
+// by SHRINK_STEP.
+const MAX_SNAP_RETRIES = 40;
+const SHRINK_STEP = 0.99;
+
+const isOn = (v) => Number.isFinite(v) && v > 0;
+
+// Rounding that never loosens a constraint: durations up, sizes down.
+const ceilToStep = (v, step) => snapToStep(Math.ceil(v / step - 1e-9) * step, step);
+const floorToStep = (v, step) => snapToStep(Math.floor(v / step + 1e-9) * step, step);
+
+// Peak speed/acc/jerk and per-axis extents of a parameter set.
+export function measure(type, params) {
+  const { cycles } = periodicity(type, params);
+  const n = Number.isFinite(cycles) && cycles > 0
+    ? Math.min(MAX_SOLVE_CYCLES, Math.ceil(cycles))
+    : MAX_SOLVE_CYCLES;
+  const data = samplePlot(type, params, plotHorizon(params, n));
+  const out = {
+    speed: findPeak(data, "speed").value,
+    acc: findPeak(data, "acc").value,
+    jerk: findPeak(data, "jerk").value,
+    time: Math.max(0, params.ramp_duration ?? 0) + params.duration,
+  };
+  for (const [key, axis] of AXES) {
+    let lo = 0;
+    let hi = 0;
+    for (const p of data) {
+      lo = Math.min(lo, p[axis]);
+      hi = Math.max(hi, p[axis]);
+    }
+    out[key] = hi - lo;
+  }
+  return out;
+}
+
+function infeasible(reason) {
+  return { ok: false, reason };
+}
+
+// `targets` holds speed/acc/jerk limits and the SOLVER_TARGETS; anything not
+// a positive number is off. Without a box the current size is kept; without a
+// total time the shortest duration within the limits is chosen.
+//
+// Returns { ok: true, params, achieved, active, shrink } where `active` lists
+// the binding constraints and `shrink` how much smaller than the solved size
+// the path had to get (below 1 only when a fixed total time forced it), or
+// { ok: false, reason }.
+export function solveParams(type, params, targets) {
+  const amplitudes = type.amplitudes ?? [];
+  if (!amplitudes.some((key) => params[key] !== 0)) {
+    return infeasible("all amplitudes are zero, so there is no shape to scale");
+  }
+  if (!(params.duration > 0)) return infeasible("duration must be positive");
+
+  const base = measure(type, params);
+  const D0 = params.duration;
+  const rho = Math.max(0, params.ramp_duration ?? 0) / D0;
+  const { duration: durCfg, ramp_duration: rampCfg } = type.sliders;
+
+  // Size factor from the box, or 1 to keep the current size.
+  let k = 1;
+  let active = [];
+  const boxed = AXES.filter(([key]) => isOn(targets[key]) && base[key] > 1e-9);
+  if (boxed.length) {
+    const fits = boxed.map(([key]) => [key, targets[key] / base[key]]);
+    k = Math.min(...fits.map(([, f]) => f));
+    active = fits.filter(([, f]) => f <= k * (1 + 1e-9)).map(([key]) => key);
+  }
+
+  // Shortest duration allowed by each limit at size k.
+  const limits = [
+    ["speed", (lim) => (D0 * k * base.speed) / lim],
+    ["acc", (lim) => D0 * Math.sqrt((k * base.acc) / lim)],
+    ["jerk", (lim) => D0 * Math.cbrt((k * base.jerk) / lim)],
+  ].filter(([key]) => isOn(targets[key]) && base[key] > 0);
+  const needed = limits.map(([key, f]) => [key, f(targets[key])]);
+  const minTime = (D) => D * (1 + rho);
+
+  const hasRamp = "ramp_duration" in type.sliders;
+  const rampFor = (D) => (hasRamp ? snapToStep(rho * D, rampCfg.step) : 0);
+
+  let D;
+  let R;
+  if (isOn(targets.time)) {
+    // Split the total time so that the two add up exactly after snapping.
+    R = rampFor(targets.time / (1 + rho));
+    D = snapToStep(targets.time - R, durCfg.step);
+    const tight = needed.filter(([, d]) => d > D * (1 + 1e-9));
+    if (tight.length) {
+      const worst = tight.reduce((a, b) => (b[1] > a[1] ? b : a));
+      // Largest size within the time: invert the binding peak scaling.
+      const shrink = Math.min(
+        ...tight.map(([key, d]) => {
+          const r = D / d;
+          return key === "speed" ? r : key === "acc" ? r * r : r * r * r;
+        })
+      );
+      return infeasible(
+        `${worst[0]} limit needs at least ${minTime(worst[1]).toFixed(2)} s ` +
+          `total at this size; within ${targets.time} s the path must shrink ` +
+          `to ${(shrink * 100).toFixed(0)} % of it`
+      );
+    }
+    active = [...active, "time"];
+  } else {
+    if (!needed.length) {
+      return infeasible("set a speed, acceleration or jerk limit, or a total time");
+    }
+    const longest = needed.reduce((a, b) => (b[1] > a[1] ? b : a));
+    D = Math.max(durCfg.min, ceilToStep(longest[1], durCfg.step));
+    R = rampFor(D);
+    active = [...active, longest[0]];
+  }
+
+  const build = (D, R, k) => {
+    const next = { ...params, duration: D };
+    if (hasRamp) next.ramp_duration = R;
+    for (const key of amplitudes) {
+      next[key] = floorToStep(params[key] * k, type.sliders[key].step);
+    }
+    return next;
+  };
+  const violates = (m) => limits.some(([key]) => exceeds(m[key], targets[key]));
+
+  let next = build(D, R, k);
+  let achieved = measure(type, next);
+  // With the time fixed, only a smaller path brings a snapped peak back
+  // under its limit; that limit then binds as well, and the result says by
+  // how much the path shrank.
+  const solved = achieved;
+  const over = limits.filter(([key]) => exceeds(achieved[key], targets[key])).map(([key]) => key);
+  for (let i = 0; i < MAX_SNAP_RETRIES && violates(achieved); i++) {
+    if (isOn(targets.time)) {
+      k *= SHRINK_STEP;
+    } else {
+      D = snapToStep(D + durCfg.step, durCfg.step);
+      R = rampFor(D);
+    }
+    next = build(D, R, k);
+    achieved = measure(type, next);
+  }
+  if (violates(achieved)) {
+    return infeasible("rounding to the slider steps keeps a peak over its limit");
+  }
+
+  const outOfRange = Object.entries(type.sliders).find(
+    ([key, cfg]) => !cfg.amp && (next[key] < cfg.min || next[key] > cfg.max)
+  );
+  if (outOfRange) {
+    const [key, cfg] = outOfRange;
+    return infeasible(
+      `${key} would be ${next[key]}, outside its range ${cfg.min}–${cfg.max}`
+    );
+  }
+  if (!amplitudes.some((key) => next[key] > 0)) {
+    return infeasible("the box is smaller than one amplitude step");
+  }
+
+  if (achieved !== solved && isOn(targets.time)) {
+    const size = (m) => Math.max(...AXES.map(([key]) => m[key]));
+    active = [...active, ...over.filter((key) => !active.includes(key))];
+    return { ok: true, params: next, achieved, active, shrink: size(achieved) / size(solved) };
+  }
+  return { ok: true, params: next, achieved, active, shrink: 1 };
+}
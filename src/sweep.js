@@ -0,0 +1,193 @@
+// Test campaigns: one or two parameters stepped through a range or a list
+// of values, every run checked against the limits and exported as numbered
+// test cards and as a shell script that prints one run's command.
+import {
+  TRAJECTORY_TYPES,
+  isFlyable,
+  LIMIT_FIELDS,
+  parseParams,
+  samplePlot,
+  findPeak,
+  exceeds,
+} from "./trajectory.js";
+
+export const MAX_SWEEP_RUNS = 200;
+
+export const SWEEP_ORDERS = [
+  { key: "first", label: "first parameter outer" },
+  { key: "second", label: "second parameter outer" },
+  { key: "serpentine", label: "serpentine (inner loop alternates)" },
+];
+
+// Values of one swept parameter: { mode: "range", from, to, step } steps
+// from `from` towards `to` (either direction) and includes `to` when it is
+// hit; { mode: "list", list } takes comma- or space-separated values in the
+// given order. Returns { values } or { error }.
+export function sweepValues(axis) {
+  if (axis.mode === "list") {
+    const tokens = String(axis.list ?? "")
+      .split(/[\s,;]+/)
+      .filter(Boolean);
+    const values = tokens.map(Number);
+    const bad = tokens.find((_, i) => !Number.isFinite(values[i]));
+    if (bad !== undefined) return { error: `'${bad}' is not a number` };
+    if (!values.length) return { error: "the list is empty" };
+    return { values };
+  }
+
+  const { from, to, step } = axis;
+  if (![from, to, step].every(Number.isFinite)) {
+    return { error: "from, to and step must be numbers" };
+  }
+  if (!(step > 0)) return { error: "step must be positive" };
+  const count = Math.floor(Math.abs(to - from) / step + 1e-9) + 1;
+  if (count > MAX_SWEEP_RUNS) return { error: `more than ${MAX_SWEEP_RUNS} values` };
+  const dir = to >= from ? 1 : -1;
+  const values = Array.from(
+    { length: count },
+    (_, i) => Math.round((from + dir * i * step) * 1e9) / 1e9
+  );
+  return { values };
+}
+
+// Every combination of the axes' values ([{ key, values }], one or two) in
+// the chosen order, on top of `base`. Each run carries its command, its
+// peak speed/acc/jerk and the limits it exceeds; runs with parameters outside
+// the slider ranges of `types` carry `errors` instead. Types that cannot be
+// flown give no runs.
+export function buildSweep(typeKey, base, axes, order, limits, types = TRAJECTORY_TYPES) {
+  const type = types[typeKey];
+  if (!isFlyable(type)) return { runs: [], error: `${type.label}: no intref mode flies it` };
+  const [outer, inner] = order === "second" && axes.length > 1 ? [axes[1], axes[0]] : axes;
+  const total = outer.values.length * (inner ? inner.values.length : 1);
+  if (total > MAX_SWEEP_RUNS) {
+    return { runs: [], error: `${total} runs, at most ${MAX_SWEEP_RUNS} are supported` };
+  }
+
+  const combos = [];
+  outer.values.forEach((vo, i) => {
+    if (!inner) {
+      combos.push({ [outer.key]: vo });
+      return;
+    }
+    const innerValues =
+      order === "serpentine" && i % 2 === 1 ? [...inner.values].reverse() : inner.values;
+    for (const vi of innerValues) combos.push({ [outer.key]: vo, [inner.key]: vi });
+  });
+
+  const runs = combos.map((values, i) => {
+    const { params, errors } = parseParams(typeKey, { ...base, ...values }, types);
+    const run = { index: i + 1, values, params, command: type.command(params), errors };
+    if (errors.length) return { ...run, peaks: null, over: [], ok: false };
+
+    const data = samplePlot(type, params);
+    const peaks = Object.fromEntries(
+      LIMIT_FIELDS.map(({ key }) => [key, findPeak(data, key).value])
+    );
+    const over = LIMIT_FIELDS.filter(({ key }) => exceeds(peaks[key], limits[key])).map(
+      ({ key }) => key
+    );
+    return { ...run, peaks, over, ok: over.length === 0 };
+  });
+  return { runs };
+}
+
+// Titles come from a text input; in a comment line a newline would start
+// a command.
+function oneLine(title) {
+  return String(title).replace(/\r?\n|\r/g, " ");
+}
+
+function describeValues(values) {
+  return Object.entries(values)
+    .map(([key, v]) => `${key} = ${v}`)
+    .join(", ");
+}
+
+function runStatus(run) {
+  if (run.errors.length) {
+    return `INVALID: ${run.errors.map((e) => `${e.field} ${e.message}`).join("; ")}`;
+  }
+  return run.ok ? "within limits" : `EXCEEDS ${run.over.join(", ")} limit`;
+}
+
+// Markdown document with one numbered card per run, to print and tick off.
+// `types` is the registry the runs were built with (see buildSweep).
+export function toTestCards(runs, { title, typeKey, base, limits, types = TRAJECTORY_TYPES }) {
+  const type = types[typeKey];
+  const swept = Object.keys(runs[0]?.values ?? {});
+  const fixed = Object.fromEntries(
+    Object.keys(type.sliders)
+      .filter((key) => !swept.includes(key))
+      .map((key) => [key, base[key]])
+  );
+  const lines = [
+    `# ${oneLine(title)}`,
+    "",
+    `${type.label}, ${runs.length} runs. Fixed parameters: ${describeValues(fixed)}.`,
+    "",
+    "Limits: " +
+      LIMIT_FIELDS.map(
+        ({ key, label, unit }) => `${label} ${limits[key] > 0 ? `${limits[key]} ${unit}` : "off"}`
+      ).join(", ") +
+      ".",
+  ];
+  for (const run of runs) {
+    lines.push(
+      "",
+      `## Run ${run.index} of ${runs.length}: ${describeValues(run.values)}`,
+      "",
+      "```",
+      run.command,
+      "```",
+      ""
+    );
+    if (run.peaks) {
+      lines.push(
+        "- peaks: " +
+          LIMIT_FIELDS.map(
+            ({ key, label, unit }) => `${label} ${run.peaks[key].toFixed(2)} ${unit}`
+          ).join(", ")
+      );
+    }
+    lines.push(`- check: ${runStatus(run)}`, "- [ ] flown   log: ________   notes: ________");
+  }
+  return lines.join("\n") + "\n";
+}
+
+// POSIX shell script: `./script.sh 3` prints run 3's command (e.g. to pipe
+// into a MAVLink shell), `./script.sh list` lists all runs. Runs that exceed
+// a limit warn on stderr; invalid runs refuse.
+export function toShellScript(runs, { title }) {
+  const lines = [
+    "#!/bin/sh",
+    `# ${oneLine(title)}`,
+    "# usage: $0 <run number>   print the mc_raptor command of one run",
+    "#        $0 list           list all runs",
+    "",
+    'case "$1" in',
+  ];
+  for (const run of runs) {
+    lines.push(`  ${run.index})`, `    # ${describeValues(run.values)}: ${runStatus(run)}`);
+    if (run.errors.length) {
+      lines.push(`    echo "run ${run.index}: ${runStatus(run)}" >&2`, "    exit 1");
+    } else {
+      if (!run.ok) lines.push(`    echo "warning: run ${run.index} ${runStatus(run)}" >&2`);
+      lines.push(`    echo '${run.command}'`);
+    }
+    lines.push("    ;;");
+  }
+  lines.push(
+    "  list)",
+    "    cat <<'RUNS'",
+    ...runs.map((run) => `${run.index}\t${describeValues(run.values)}\t${runStatus(run)}`),
+    "RUNS",
+    "    ;;",
+    "  *)",
+    `    echo "usage: $0 <1-${runs.length}|list>" >&2`,
+    "    exit 2",
+    "    ;;",
+    "esac"
+  );
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,228 @@
+// Live vehicle position for the plots. LOCAL_POSITION_NED messages become
+// samples in the flightlog.js format ({ t, x, y, z, vx, vy, vz, heading },
+// t in seconds since boot, frame "ned"), so trackingError() works on them
+// as on a log. The trajectory start is taken from a STATUSTEXT matching a
+// pattern, as announced by mc_raptor.
+//
+// Streams come from a transport (see shell.js): a WebSocket bridge, or a
+// recorded .tlog replayed in place of a vehicle.
+import {
+  MSG_HEARTBEAT,
+  MSG_ATTITUDE,
+  MSG_LOCAL_POSITION_NED,
+  MSG_STATUSTEXT,
+  createFrameParser,
+  encodeFrame,
+  encodeHeartbeat,
+  encodeAttitude,
+  encodeLocalPositionNed,
+  encodeStatusText,
+  decodeAttitude,
+  decodeLocalPositionNed,
+  decodeStatusText,
+} from "./mavlink.js";
+import { plotHorizon } from "./trajectory.js";
+
+export const DEFAULT_START_PATTERN = "intref.*start";
+
+// Oldest samples are dropped beyond this (about 10 minutes at 30 Hz).
+export const MAX_LIVE_SAMPLES = 20000;
+
+const HEARTBEAT_INTERVAL_MS = 1000;
+const MAV_SEVERITY_INFO = 6;
+const START_TEXT = "mc_raptor: intref started";
+
+// Why `startPattern` is not a regular expression, or null when it is.
+export function startPatternError(startPattern) {
+  try {
+    new RegExp(startPattern, "i");
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+// Listens on `transport`. onSample(sample) fires per LOCAL_POSITION_NED,
+// onStart(t) when a STATUSTEXT matches `startPattern` (case-insensitive),
+// with t the latest boot time seen; onClose when the link goes away.
+export function createTelemetrySession(
+  transport,
+  { onSample, onStart, onClose, startPattern = DEFAULT_START_PATTERN }
+) {
+  const parser = createFrameParser();
+  const pattern = new RegExp(startPattern, "i");
+  let seq = 0;
+  let open = true;
+  let lastTime = 0;
+  let heading;
+
+  transport.onData = (chunk) => {
+    for (const msg of parser.push(chunk)) {
+      if (msg.msgid === MSG_ATTITUDE) {
+        const att = decodeAttitude(msg.payload);
+        heading = att.yaw;
+        lastTime = Math.max(lastTime, att.timeBootMs / 1000);
+      } else if (msg.msgid === MSG_LOCAL_POSITION_NED) {
+        const { timeBootMs, ...pos } = decodeLocalPositionNed(msg.payload);
+        lastTime = Math.max(lastTime, timeBootMs / 1000);
+        const sample = { t: timeBootMs / 1000, ...pos };
+        if (heading !== undefined) sample.heading = heading;
+        onSample(sample);
+      } else if (msg.msgid === MSG_STATUSTEXT) {
+        if (pattern.test(decodeStatusText(msg.payload).text)) onStart(lastTime);
+      }
+    }
+  };
+
+  const sendHeartbeat = () => {
+    if (!open) return;
+    transport.send(encodeFrame(MSG_HEARTBEAT, encodeHeartbeat(), { seq: seq++ }));
+  };
+  const heartbeat = setInterval(sendHeartbeat, HEARTBEAT_INTERVAL_MS);
+  const stop = () => {
+    if (!open) return;
+    open = false;
+    clearInterval(heartbeat);
+    onClose?.();
+  };
+  transport.onClose = stop;
+  sendHeartbeat();
+
+  return {
+    close() {
+      stop();
+      transport.close();
+    },
+  };
+}
+
+// Telemetry logs as written by QGroundControl and MAVProxy: every frame is
+// preceded by its receive time as a big-endian uint64 in microseconds.
+// Returns [{ time (s), bytes }].
+export function readTlog(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const records = [];
+  let i = 0;
+  while (i + 8 + 8 <= bytes.length) {
+    const magic = bytes[i + 8];
+    if (magic !== 0xfd && magic !== 0xfe) {
+      throw new Error(`tlog: no MAVLink frame at byte ${i + 8}`);
+    }
+    const len = bytes[i + 9];
+    const signed = magic === 0xfd && bytes[i + 10] & 0x01;
+    const frameLength = (magic === 0xfd ? 12 : 8) + len + (signed ? 13 : 0);
+    if (i + 8 + frameLength > bytes.length) break; // truncated at the end
+    records.push({
+      time: Number(view.getBigUint64(i, false)) / 1e6,
+      bytes: bytes.slice(i + 8, i + 8 + frameLength),
+    });
+    i += 8 + frameLength;
+  }
+  if (!records.length) throw new Error("tlog: no frames");
+  return records;
+}
+
+export function writeTlog(records) {
+  const total = records.reduce((sum, r) => sum + 8 + r.bytes.length, 0);
+  const out = new Uint8Array(total);
+  const view = new DataView(out.buffer);
+  let i = 0;
+  for (const { time, bytes } of records) {
+    view.setBigUint64(i, BigInt(Math.round(time * 1e6)), false);
+    out.set(bytes, i + 8);
+    i += 8 + bytes.length;
+  }
+  return out;
+}
+
+// Transport that plays `records` back in real time (times `speed`) from the
+// first one, then closes. Anything sent to it is ignored.
+export function connectReplay(records, { speed = 1 } = {}) {
+  let timer = null;
+  let next = 0;
+  const t0 = records[0].time;
+  const started = Date.now();
+
+  const transport = {
+    onData: null,
+    onClose: null,
+    send: () => {},
+    close: () => {
+      if (next > records.length) return;
+      next = records.length + 1;
+      clearTimeout(timer);
+      setTimeout(() => transport.onClose?.(), 0);
+    },
+  };
+
+  const pump = () => {
+    const now = ((Date.now() - started) / 1000) * speed;
+    while (next < records.length && records[next].time - t0 <= now) {
+      transport.onData?.(records[next++].bytes);
+    }
+    if (next < records.length) {
+      const wait = ((records[next].time - t0 - now) / speed) * 1000;
+      timer = setTimeout(pump, Math.max(0, wait));
+    } else {
+      transport.close();
+    }
+  };
+  timer = setTimeout(pump, 0);
+  return Promise.resolve(transport);
+}
+
+// A recording of a vehicle flying `type` with `params`, for trying the live
+// overlay without one: it hovers at `origin` (NED) for `delay` s, announces
+// the start and then follows the reference `lag` s late, yawed by `yawDeg`.
+export function simulateFlight(
+  type,
+  params,
+  {
+    rate = 30,
+    delay = 2,
+    lag = 0.15,
+    yawDeg = 0,
+    origin = { x: 0, y: 0, z: -1.5 },
+    horizon = plotHorizon(params),
+  } = {}
+) {
+  const yaw = (yawDeg * Math.PI) / 180;
+  const c = Math.cos(yaw);
+  const s = Math.sin(yaw);
+  const end = delay + horizon + 1;
+  const bootOffset = 5; // s since boot when the recording begins
+  const records = [];
+  let seq = 0;
+  const push = (time, msgid, payload) =>
+    records.push({
+      time,
+      bytes: encodeFrame(msgid, payload, { seq: seq++, sysid: 1, compid: 1 }),
+    });
+
+  for (let i = 0; i / rate <= end; i++) {
+    const time = i / rate;
+    const timeBootMs = Math.round((bootOffset + time) * 1000);
+    const tau = time - delay - lag;
+    const r = tau > 0 ? type.eval(tau, params) : { x: 0, y: 0, z: 0, vx: 0, vy: 0, vz: 0 };
+    // Inverse of the NED -> trajectory frame mapping in flightlog.js.
+    push(time, MSG_ATTITUDE, encodeAttitude({ timeBootMs, yaw }));
+    push(
+      time,
+      MSG_LOCAL_POSITION_NED,
+      encodeLocalPositionNed({
+        timeBootMs,
+        x: origin.x + c * r.x + s * r.y,
+        y: origin.y + s * r.x - c * r.y,
+        z: origin.z - r.z,
+        vx: c * r.vx + s * r.vy,
+        vy: s * r.vx - c * r.vy,
+        vz: -r.vz,
+      })
+    );
+    if (Math.abs(time - delay) < 0.5 / rate) {
+      push(time, MSG_STATUSTEXT, encodeStatusText(MAV_SEVERITY_INFO, START_TEXT));
+    }
+  }
+  return records;
+}
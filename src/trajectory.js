@@ -0,0 +1,672 @@
+// Trajectory math shared by the tuner UI, the CLI and the tests. Nothing in
+// here touches the DOM, so it runs unchanged in Node.
+
+// Mathematically identical to the C++ implementation:
+// time_velocity, ramp_time, progress, d_progress
+// dd_progress is constant during the ramp (progress is quadratic in time
+// there) and zero afterwards; d3_progress is always zero.
+export function evalProgress(time, params) {
+  const ramp_duration = params.ramp_duration ?? 0;
+  const time_velocity =
+    ramp_duration > 0 ? Math.min(time, ramp_duration) / ramp_duration : 1.0;
+
+  const ramp_time = time_velocity * Math.min(time, ramp_duration) / 2.0;
+  const progress =
+    (ramp_time + Math.max(0, time - ramp_duration)) *
+    (2 * Math.PI) /
+    params.duration;
+
+  const d_progress = (2 * Math.PI * time_velocity) / params.duration;
+  const dd_progress =
+    ramp_duration > 0 && time < ramp_duration
+      ? (2 * Math.PI) / (ramp_duration * params.duration)
+      : 0.0;
+
+  return { time_velocity, progress, d_progress, dd_progress };
+}
+
+// Position along a shape f(progress) and its time derivatives (chain rule):
+// v = f' p'
+// a = f'' p'^2 + f' p''
+// j = f''' p'^3 + 3 f'' p' p''
+// `shape` returns [f, f', f'', f'''] as [x, y, z] arrays.
+export function evalShape(time, params, shape) {
+  const { time_velocity, progress, d_progress, dd_progress } =
+    evalProgress(time, params);
+  const [f, df, ddf, dddf] = shape(progress, params);
+
+  const v = df.map((d1) => d1 * d_progress);
+  const a = df.map((d1, i) => ddf[i] * d_progress ** 2 + d1 * dd_progress);
+  const j = df.map(
+    (_, i) =>
+      dddf[i] * d_progress ** 3 + 3 * ddf[i] * d_progress * dd_progress
+  );
+
+  return {
+    x: f[0], y: f[1], z: f[2],
+    vx: v[0], vy: v[1], vz: v[2], speed: Math.hypot(...v),
+    ax: a[0], ay: a[1], az: a[2], acc: Math.hypot(...a),
+    jx: j[0], jy: j[1], jz: j[2], jerk: Math.hypot(...j),
+    progress, time_velocity,
+  };
+}
+
+// x = A*sin(a*progress), y = B*sin(b*progress), z = C*sin(c*progress)
+// v = [A*cos(a*progress)*a*d_progress, ...]
+export function lissajousShape(progress, params) {
+  const axes = [
+    [params.A, params.a],
+    [params.B, params.b],
+    [params.C, params.c],
+  ];
+  return [
+    axes.map(([K, k]) => K * Math.sin(k * progress)),
+    axes.map(([K, k]) => K * k * Math.cos(k * progress)),
+    axes.map(([K, k]) => -K * k * k * Math.sin(k * progress)),
+    axes.map(([K, k]) => -K * k * k * k * Math.cos(k * progress)),
+  ];
+}
+
+export function evalXYZ(time, params) {
+  return evalShape(time, params, lissajousShape);
+}
+
+// Circle of radius R to the left, entered at the origin heading forward.
+export function circleShape(progress, params) {
+  const R = params.R;
+  const s = Math.sin(progress);
+  const c = Math.cos(progress);
+  return [
+    [R * s, R * (1 - c), 0],
+    [R * c, R * s, 0],
+    [-R * s, R * c, 0],
+    [-R * c, -R * s, 0],
+  ];
+}
+
+// Figure-eight: the Lissajous curve with a:b = 2:1 and no vertical motion.
+function figureEightParams(params) {
+  return { ...params, C: 0, a: 2, b: 1, c: 1 };
+}
+
+export function hoverShape() {
+  const zero = [0, 0, 0];
+  return [zero, zero, zero, zero];
+}
+
+export function decimalsFromStep(step) {
+  const s = String(step);
+  if (s.includes("e-")) return parseInt(s.split("e-")[1], 10) || 0;
+  const i = s.indexOf(".");
+  return i >= 0 ? s.length - i - 1 : 0;
+}
+
+export function snapToStep(v, step) {
+  if (!Number.isFinite(v) || !Number.isFinite(step) || step <= 0) return v;
+  const snapped = Math.round(v / step) * step;
+  const dec = Math.min(8, decimalsFromStep(step));
+  return parseFloat(snapped.toFixed(dec));
+}
+
+function pow10(x) {
+  if (!(x > 0) || !Number.isFinite(x)) return 1;
+  return Math.pow(10, Math.floor(Math.log10(x)));
+}
+
+// Clean ticks: step is a pure power-of-ten (… 0.01, 0.1, 1, 10, …)
+export function makePow10Ticks(domain, maxTicks = 9) {
+  if (!domain || domain.length !== 2) return [];
+  let [min, max] = domain;
+  if (!Number.isFinite(min) || !Number.isFinite(max)) return [];
+  if (max < min) [min, max] = [max, min];
+
+  const range = max - min;
+  if (!(range > 0)) return [min];
+
+  let step = pow10(range / Math.max(1, maxTicks - 1));
+  let count = Math.floor(range / step) + 1;
+  while (count > maxTicks) {
+    step *= 10;
+    count = Math.floor(range / step) + 1;
+  }
+
+  const start = Math.ceil(min / step) * step;
+  const end = Math.floor(max / step) * step;
+
+  const ticks = [];
+  for (let v = start; v <= end + step * 0.5; v += step) {
+    let vv = parseFloat(v.toFixed(12));
+    if (Math.abs(vv) < step * 1e-9) vv = 0; // avoid -0
+    ticks.push(vv);
+  }
+
+  if (min <= 0 && max >= 0 && !ticks.some((x) => x === 0)) {
+    ticks.push(0);
+    ticks.sort((a, b) => a - b);
+  }
+
+  return ticks;
+}
+
+// Sliders marked `amp` share the dynamic amplitude max in the UI.
+export const PARAM_SLIDERS = {
+  A: { min: 0, max: 3, step: 0.05, amp: true },
+  B: { min: 0, max: 3, step: 0.05, amp: true },
+  C: { min: 0, max: 3, step: 0.05 },
+  a: { min: 0, max: 10, step: 0.25 },
+  b: { min: 0, max: 10, step: 0.25 },
+  c: { min: 0, max: 10, step: 0.25 },
+  duration: { min: 0.1, max: 60, step: 0.25 },
+  ramp_duration: { min: 0, max: 30, step: 0.25 },
+};
+
+// Every trajectory type defines its sliders (the parameter schema, in UI
+// order), its defaults, its shape f(progress) for evalShape, its evaluation
+// function and the Mavlink shell command that flies it. New `intref` modes
+// only need a new entry here. Types with an `intref` entry (mode and argument
+// order) can also be loaded back from a pasted command. Types with a null
+// `command` have no intref mode that flies them: they are plotted and
+// checked like the others but cannot be sent (see isFlyable). `axes` lists
+// [amplitude, frequency, frequency parameter?] per axis for the closure
+// analysis; `amplitudes` names the parameters that scale the path's size and
+// `extents` the one that sets its extent along x and y (the XY drag handles).
+export const TRAJECTORY_TYPES = {
+  lissajous: {
+    label: "Lissajous",
+    sliders: PARAM_SLIDERS,
+    // Defaults match the provided C++ struct.
+    defaults: {
+      A: 0.5,
+      B: 1.0,
+      C: 0.0,
+      a: 2.0,
+      b: 1.0,
+      c: 1.0,
+      duration: 10.0,
+      ramp_duration: 3.0,
+    },
+    shape: lissajousShape,
+    eval: evalXYZ,
+    axes: (p) => [[p.A, p.a, "a"], [p.B, p.b, "b"], [p.C, p.c, "c"]],
+    amplitudes: ["A", "B", "C"],
+    extents: { x: "A", y: "B" },
+    intref: {
+      mode: "lissajous",
+      args: ["A", "B", "C", "a", "b", "c", "duration", "ramp_duration"],
+    },
+    command: (p) =>
+      `mc_raptor intref lissajous ${p.A} ${p.B} ${p.C} ${p.a} ${p.b} ${p.c} ${p.duration} ${p.ramp_duration}`,
+  },
+  circle: {
+    label: "Circle",
+    note:
+      "Not flyable: no intref mode flies a circle, and the lissajous mode has " +
+      "no phase to make one. Plotted and checked for comparison only.",
+    sliders: {
+      R: { min: 0, max: 3, step: 0.05, amp: true },
+      duration: PARAM_SLIDERS.duration,
+      ramp_duration: PARAM_SLIDERS.ramp_duration,
+    },
+    defaults: { R: 1.0, duration: 10.0, ramp_duration: 3.0 },
+    shape: circleShape,
+    eval: (time, params) => evalShape(time, params, circleShape),
+    axes: (p) => [[p.R, 1]],
+    amplitudes: ["R"],
+    extents: { x: "R", y: "R" },
+    command: null,
+  },
+  figure_eight: {
+    label: "Figure-eight",
+    note: "Lissajous with a:b = 2:1 in the horizontal plane.",
+    sliders: {
+      A: PARAM_SLIDERS.A,
+      B: PARAM_SLIDERS.B,
+      duration: PARAM_SLIDERS.duration,
+      ramp_duration: PARAM_SLIDERS.ramp_duration,
+    },
+    defaults: { A: 0.5, B: 1.0, duration: 10.0, ramp_duration: 3.0 },
+    shape: (progress, params) =>
+      lissajousShape(progress, figureEightParams(params)),
+    eval: (time, params) => evalXYZ(time, figureEightParams(params)),
+    axes: (p) => [[p.A, 2], [p.B, 1]],
+    amplitudes: ["A", "B"],
+    extents: { x: "A", y: "B" },
+    command: (p) =>
+      `mc_raptor intref lissajous ${p.A} ${p.B} 0 2 1 1 ${p.duration} ${p.ramp_duration}`,
+  },
+  hover: {
+    label: "Hover",
+    note: "Holds the start position: Lissajous with zero amplitudes.",
+    sliders: { duration: PARAM_SLIDERS.duration },
+    defaults: { duration: 10.0 },
+    shape: hoverShape,
+    eval: (time, params) => evalShape(time, params, hoverShape),
+    axes: () => [],
+    amplitudes: [],
+    extents: {},
+    command: (p) => `mc_raptor intref lissajous 0 0 0 0 0 0 ${p.duration} 0`,
+  },
+};
+
+export const DEFAULT_TYPE = "lissajous";
+
+// Whether an intref mode flies the type, i.e. it has a shell command.
+export function isFlyable(type) {
+  return typeof type.command === "function";
+}
+
+// Units of the parameters, as shown next to the sliders.
+export const PARAM_UNITS = {
+  A: "m",
+  B: "m",
+  C: "m",
+  R: "m",
+  a: "",
+  b: "",
+  c: "",
+  duration: "s",
+  ramp_duration: "s",
+};
+
+// The registry with other slider ranges: `sliders` maps parameter names to
+// { min, max, step } (any of them) and applies to every type that has the
+// parameter. Values that are not finite numbers, and steps that are not
+// positive, are ignored. The `types` argument of parseCommand and friends
+// takes the result.
+export function configureTypes(sliders = {}) {
+  const valid = (key, v) => Number.isFinite(v) && (key !== "step" || v > 0);
+  return Object.fromEntries(
+    Object.entries(TRAJECTORY_TYPES).map(([typeKey, type]) => {
+      const configured = Object.fromEntries(
+        Object.entries(type.sliders).map(([name, cfg]) => {
+          const range = Object.entries(sliders[name] ?? {}).filter(
+            ([key, v]) => ["min", "max", "step"].includes(key) && valid(key, v)
+          );
+          return [name, { ...cfg, ...Object.fromEntries(range) }];
+        })
+      );
+      return [typeKey, { ...type, sliders: configured }];
+    })
+  );
+}
+
+export function defaultParamsByType() {
+  return Object.fromEntries(
+    Object.entries(TRAJECTORY_TYPES).map(([key, type]) => [
+      key,
+      { ...type.defaults },
+    ])
+  );
+}
+
+const NUMBER_RE = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+// Parses one `mc_raptor intref <mode> ...` command back into parameters of
+// the type whose `intref` entry matches. Returns { typeKey, params, errors }
+// where errors is a list of { field, message }.
+export function parseCommand(command, types = TRAJECTORY_TYPES) {
+  const tokens = command.trim().split(/\s+/);
+  const start = tokens.indexOf("mc_raptor");
+  if (start < 0 || tokens[start + 1] !== "intref") {
+    return {
+      errors: [{ field: "command", message: "expected 'mc_raptor intref <mode> ...'" }],
+    };
+  }
+
+  const mode = tokens[start + 2];
+  const args = tokens.slice(start + 3);
+  const typeKey = Object.keys(types).find((key) => types[key].intref?.mode === mode);
+  if (!typeKey) {
+    const known = Object.values(types)
+      .filter((type) => type.intref)
+      .map((type) => type.intref.mode);
+    return {
+      errors: [
+        {
+          field: "mode",
+          message: `unknown intref mode '${mode ?? ""}' (expected ${known.join(", ")})`,
+        },
+      ],
+    };
+  }
+
+  const type = types[typeKey];
+  const names = type.intref.args;
+  if (args.length !== names.length) {
+    return {
+      typeKey,
+      errors: [
+        {
+          field: "arguments",
+          message: `expected ${names.length} arguments (${names.join(" ")}), got ${args.length}`,
+        },
+      ],
+    };
+  }
+
+  const raw = Object.fromEntries(names.map((name, i) => [name, args[i]]));
+  return { typeKey, ...parseParams(typeKey, raw, types) };
+}
+
+// Checks raw parameter values (strings or numbers) against the type's
+// slider limits. Returns { params, errors } like parseCommand; parameters
+// that are not given keep their defaults.
+export function parseParams(typeKey, raw, types = TRAJECTORY_TYPES) {
+  const type = types[typeKey];
+  const params = { ...type.defaults };
+  const errors = [];
+  for (const [name, value] of Object.entries(raw)) {
+    const cfg = type.sliders[name];
+    if (!cfg) {
+      errors.push({ field: name, message: `not a ${type.label} parameter` });
+      continue;
+    }
+    if (typeof value !== "number" && !NUMBER_RE.test(String(value))) {
+      errors.push({ field: name, message: `'${value}' is not a number` });
+      continue;
+    }
+    const v = typeof value === "number" ? value : parseFloat(value);
+    if (!Number.isFinite(v)) {
+      errors.push({ field: name, message: `'${value}' is not a number` });
+    } else if (v < cfg.min) {
+      errors.push({ field: name, message: `${v} is below the minimum ${cfg.min}` });
+    } else if (v > cfg.max) {
+      errors.push({ field: name, message: `${v} is above the maximum ${cfg.max}` });
+    }
+    params[name] = v;
+  }
+  return { params, errors };
+}
+
+// Every line of `text` that mentions mc_raptor is parsed as one command, so
+// whole flight notes can be pasted. Trailing `# comments` are ignored.
+export function parseCommands(text, types = TRAJECTORY_TYPES) {
+  return text
+    .split(/\r?\n/)
+    .map((line, i) => ({ line: i + 1, text: line.replace(/#.*$/, "").trim() }))
+    .filter(({ text }) => text.includes("mc_raptor"))
+    .map((entry) => ({ ...entry, ...parseCommand(entry.text, types) }));
+}
+
+// Dynamic limits, checked against the norm of the 3D vectors.
+export const LIMIT_FIELDS = [
+  { key: "speed", label: "speed", unit: "m/s", step: 0.1 },
+  { key: "acc", label: "acceleration", unit: "m/s²", step: 0.1 },
+  { key: "jerk", label: "jerk", unit: "m/s³", step: 1 },
+];
+
+export const DEFAULT_LIMITS = { speed: 3.0, acc: 5.0, jerk: 30.0 };
+
+// A limit that is not a positive number is treated as disabled.
+export function exceeds(value, limit) {
+  return Number.isFinite(limit) && limit > 0 && value > limit;
+}
+
+export function findPeak(trajectory, key) {
+  let peak = { value: 0, t: 0 };
+  for (const p of trajectory) {
+    if (p[key] > peak.value) peak = { value: p[key], t: p.t };
+  }
+  return peak;
+}
+
+// Contiguous time spans [t0, t1] over which `key` exceeds its limit.
+export function violationSpans(trajectory, key, limit) {
+  const spans = [];
+  let start = null;
+  for (let i = 0; i < trajectory.length; i++) {
+    const p = trajectory[i];
+    if (exceeds(p[key], limit)) {
+      if (start === null) start = p.t;
+    } else if (start !== null) {
+      spans.push([start, trajectory[i - 1].t]);
+      start = null;
+    }
+  }
+  if (start !== null) spans.push([start, trajectory[trajectory.length - 1].t]);
+  return spans;
+}
+
+// The ramp ends with a step in dd_progress, so the acceleration jumps there
+// (the jerk is an impulse). Returns the size of that jump in m/s².
+export function rampAccStep(type, params) {
+  if (!(params.ramp_duration > 0) || !(params.duration > 0)) return 0;
+  const { progress } = evalProgress(params.ramp_duration, params);
+  const dd_progress = (2 * Math.PI) / (params.ramp_duration * params.duration);
+  const df = type.shape(progress, params)[1];
+  return Math.hypot(...df) * dd_progress;
+}
+
+// Frequencies are resolved to 1/FREQUENCY_RESOLUTION when looking for the
+// true period; anything that needs more cycles than MAX_CYCLES to repeat is
+// reported as not repeating at all.
+const FREQUENCY_RESOLUTION = 1000;
+export const MAX_CYCLES = 100;
+const SEAM_TOLERANCE = 1e-9;
+
+function gcd(a, b) {
+  while (b) [a, b] = [b, a % b];
+  return a;
+}
+
+// Progress advances by 2*pi per `duration`; the shape repeats once every
+// moving axis has gone through a whole number of cycles, i.e. after
+// 1 / gcd(frequencies) durations. The seam is the jump the vehicle sees when
+// the pattern restarts at progress 0 after one duration at full speed.
+export function periodicity(type, params) {
+  const frequencies = (type.axes?.(params) ?? [])
+    .filter(([amplitude, frequency]) => amplitude !== 0 && frequency !== 0)
+    .map(([, frequency]) => Math.abs(frequency));
+
+  const [f0, df0] = type.shape(0, params);
+  const [f1, df1] = type.shape(2 * Math.PI, params);
+  const d_progress = params.duration > 0 ? (2 * Math.PI) / params.duration : 0;
+  const positionJump = Math.hypot(...f1.map((v, i) => v - f0[i]));
+  const velocityJump =
+    Math.hypot(...df1.map((v, i) => v - df0[i])) * d_progress;
+  const closes = positionJump < SEAM_TOLERANCE && velocityJump < SEAM_TOLERANCE;
+
+  if (!frequencies.length) {
+    return { closes, cycles: 0, period: 0, positionJump, velocityJump };
+  }
+  const g = frequencies
+    .map((f) => Math.round(f * FREQUENCY_RESOLUTION))
+    .reduce(gcd);
+  const cycles = g > 0 ? FREQUENCY_RESOLUTION / g : Infinity;
+  return {
+    closes,
+    cycles: cycles <= MAX_CYCLES ? cycles : Infinity,
+    period: cycles <= MAX_CYCLES ? cycles * params.duration : Infinity,
+    positionJump,
+    velocityJump,
+  };
+}
+
+// Parameter changes that make an open path close after one duration, for
+// types with tunable frequencies. "round" moves every frequency to the
+// nearest whole number (the shape changes slightly); "scale" multiplies the
+// frequencies and the duration by the number of cycles in the true period,
+// which flies exactly the same path at the same speed. Options that would
+// leave the slider ranges are dropped. `unitLabel` names the second in
+// the labels (see makeUnitLabel).
+export function closingSnaps(type, params, unitLabel = (unit) => unit) {
+  const tunable = (type.axes?.(params) ?? []).filter(
+    ([amplitude, frequency, key]) => key && amplitude !== 0 && frequency !== 0
+  );
+  const { closes, cycles } = periodicity(type, params);
+  if (closes || !tunable.length) return [];
+
+  const inRange = (p) =>
+    Object.entries(type.sliders).every(
+      ([key, { min, max }]) => p[key] >= min && p[key] <= max
+    );
+  const ratio = (p) => tunable.map(([, , key]) => p[key]).join(":");
+  const snaps = [];
+
+  const rounded = { ...params };
+  for (const [, frequency, key] of tunable) {
+    rounded[key] = Math.sign(frequency) * Math.max(1, Math.round(Math.abs(frequency)));
+  }
+  if (inRange(rounded)) {
+    snaps.push({ kind: "round", label: `round to ${ratio(rounded)}`, params: rounded });
+  }
+
+  if (Number.isInteger(cycles)) {
+    const scaled = {
+      ...params,
+      duration: snapToStep(params.duration * cycles, type.sliders.duration.step),
+    };
+    for (const [, , key] of tunable) {
+      scaled[key] = snapToStep(params[key] * cycles, type.sliders[key].step);
+    }
+    if (inRange(scaled)) {
+      snaps.push({
+        kind: "scale",
+        label: `scale to ${ratio(scaled)} over ${scaled.duration} ${unitLabel("s")}`,
+        params: scaled,
+      });
+    }
+  }
+  return snaps;
+}
+
+// Keeps only known, finite parameters of a known type; anything missing or
+// malformed falls back to the type's defaults. Returns null for unknown types.
+export function sanitizeParams(typeKey, raw, types = TRAJECTORY_TYPES) {
+  const type = types[typeKey];
+  if (!type) return null;
+  const params = { ...type.defaults };
+  for (const key of Object.keys(type.sliders)) {
+    const v = typeof raw?.[key] === "string" ? parseFloat(raw[key]) : raw?.[key];
+    if (Number.isFinite(v)) params[key] = v;
+  }
+  return params;
+}
+
+// Plotted horizon: the ramp plus `cycles` full periods.
+export function plotHorizon(params, cycles = 1) {
+  if (!(params.duration > 0)) return 0;
+  return Math.max(0, params.ramp_duration ?? 0) + cycles * params.duration;
+}
+
+// Drag handles on the XY plot: the middle of each edge of the path's bounding
+// box whose axis has an amplitude in type.extents. Every path starts at the
+// origin and scales about it, so moving an edge from `value` to v scales its
+// amplitude by v / value; edges at the origin (a circle's right side) have
+// no handle. Returns [{ key, axis, side, value, across }], `across` being
+// the middle of the box along the other axis.
+export function extentHandles(type, data) {
+  if (!data.length) return [];
+  const box = { x: [Infinity, -Infinity], y: [Infinity, -Infinity] };
+  for (const p of data) {
+    for (const axis of ["x", "y"]) {
+      box[axis][0] = Math.min(box[axis][0], p[axis]);
+      box[axis][1] = Math.max(box[axis][1], p[axis]);
+    }
+  }
+  const handles = [];
+  for (const [axis, key] of Object.entries(type.extents ?? {})) {
+    const other = axis === "x" ? "y" : "x";
+    const across = (box[other][0] + box[other][1]) / 2;
+    box[axis].forEach((value, i) => {
+      if (Math.abs(value) > 1e-6) {
+        handles.push({ key, axis, side: i ? "max" : "min", value, across });
+      }
+    });
+  }
+  return handles;
+}
+
+// Amplitude that puts `handle`'s edge at v, snapped to the slider step and
+// kept at or above its minimum (dragging past the origin gives the minimum).
+export function amplitudeForHandle(handle, amplitude, v, cfg) {
+  const scaled = (amplitude * v) / handle.value;
+  return Math.max(cfg.min, snapToStep(scaled, cfg.step));
+}
+
+// Full plot density: roughly constant with duration, capped.
+export function plotSteps(horizon) {
+  return Math.min(12000, Math.max(2000, Math.round(horizon * 300)));
+}
+
+// Signals carried by the plot samples, offered in the time-series charts.
+// Every key is a field of the evalShape output.
+export const PLOT_SIGNALS = [
+  { key: "x", label: "x", unit: "m", group: "position" },
+  { key: "y", label: "y", unit: "m", group: "position" },
+  { key: "z", label: "z", unit: "m", group: "position" },
+  { key: "vx", label: "vx", unit: "m/s", group: "velocity" },
+  { key: "vy", label: "vy", unit: "m/s", group: "velocity" },
+  { key: "vz", label: "vz", unit: "m/s", group: "velocity" },
+  { key: "speed", label: "speed", unit: "m/s", group: "velocity" },
+  { key: "ax", label: "ax", unit: "m/s²", group: "acceleration" },
+  { key: "ay", label: "ay", unit: "m/s²", group: "acceleration" },
+  { key: "az", label: "az", unit: "m/s²", group: "acceleration" },
+  { key: "acc", label: "acceleration", unit: "m/s²", group: "acceleration" },
+  { key: "jx", label: "jx", unit: "m/s³", group: "jerk" },
+  { key: "jy", label: "jy", unit: "m/s³", group: "jerk" },
+  { key: "jz", label: "jz", unit: "m/s³", group: "jerk" },
+  { key: "jerk", label: "jerk", unit: "m/s³", group: "jerk" },
+  { key: "progress", label: "progress", unit: "rad", group: "progress" },
+  { key: "time_velocity", label: "time_velocity", unit: "", group: "progress" },
+];
+
+// Dense samples for plots and peak search. Fewer `steps` only make sense for
+// drawing; peaks and spans are taken at the full density.
+export function samplePlot(
+  type,
+  params,
+  horizon = plotHorizon(params),
+  steps = plotSteps(horizon)
+) {
+  const data = [];
+  if (!(params.duration > 0) || horizon <= 0) return data;
+
+  for (let i = 0; i < steps; i++) {
+    const time = (i / (steps - 1)) * horizon;
+    const s = type.eval(time, params);
+    const point = { t: time };
+    for (const { key } of PLOT_SIGNALS) point[key] = s[key];
+    data.push(point);
+  }
+
+  return data;
+}
+
+// Field groups offered for export; each maps to columns of evalShape output.
+export const EXPORT_FIELDS = [
+  { key: "position", label: "position", columns: ["x", "y", "z"], checked: true },
+  { key: "velocity", label: "velocity", columns: ["vx", "vy", "vz"], checked: true },
+  { key: "acceleration", label: "acceleration", columns: ["ax", "ay", "az"], checked: false },
+  { key: "jerk", label: "jerk", columns: ["jx", "jy", "jz"], checked: false },
+  { key: "progress", label: "progress", columns: ["progress"], checked: true },
+  { key: "time_velocity", label: "time_velocity", columns: ["time_velocity"], checked: true },
+];
+
+// Samples at t = i / rate for i = 0 .. floor(horizon * rate), i.e. on the
+// exact controller ticks, without the plot's adaptive resampling.
+export function sampleTrajectory(type, params, rate, horizon, columns) {
+  const n = Math.floor(horizon * rate + 1e-9);
+  const rows = [];
+  for (let i = 0; i <= n; i++) {
+    const time = i / rate;
+    const s = type.eval(time, params);
+    const row = [time];
+    for (const c of columns) row.push(s[c]);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Numbers are written with full round-trip precision.
+export function toCsv(columns, rows) {
+  return [["t", ...columns].join(","), ...rows.map((r) => r.join(","))].join("\n") + "\n";
+}
+
+export function toJson(meta, columns, rows) {
+  const keys = ["t", ...columns];
+  const samples = rows.map((r) =>
+    Object.fromEntries(keys.map((k, i) => [k, r[i]]))
+  );
+  return JSON.stringify({ ...meta, columns: keys, samples }, null, 1);
+}
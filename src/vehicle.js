@@ -0,0 +1,49 @@
+// Point-mass multirotor model. The rotors only push along the body z axis,
+// so following a reference acceleration a (trajectory frame, z up) takes the
+// thrust vector m * (a + g e_z): its length is the collective thrust and its
+// angle to the vertical is the tilt.
+export const GRAVITY = 9.81;
+
+export const DEFAULT_VEHICLE = {
+  enabled: false,
+  mass: 1.0,
+  thrustToWeight: 2.0,
+  tiltDeg: 35,
+};
+
+export const VEHICLE_FIELDS = [
+  { key: "mass", label: "mass", unit: "kg", step: 0.05 },
+  { key: "thrustToWeight", label: "max thrust / weight", unit: "", step: 0.1 },
+  { key: "tiltDeg", label: "max tilt", unit: "deg", step: 1 },
+];
+
+// Quantities plotted over time and the vehicle limit each is checked against.
+export const LOAD_FIELDS = [
+  { key: "tw", label: "thrust / weight", unit: "× weight", limitKey: "thrustToWeight" },
+  { key: "tilt", label: "tilt", unit: "deg", limitKey: "tiltDeg" },
+];
+
+// Collective thrust [N], thrust-to-weight ratio and tilt [deg] needed at one
+// sample with acceleration components ax, ay, az.
+export function thrustAndTilt(p, vehicle) {
+  const fz = p.az + GRAVITY;
+  const f = Math.hypot(p.ax, p.ay, fz);
+  return {
+    thrust: vehicle.mass * f,
+    tw: f / GRAVITY,
+    tilt: f > 0 ? (Math.acos(Math.min(1, fz / f)) * 180) / Math.PI : 0,
+  };
+}
+
+export function vehicleLoad(trajectory, vehicle) {
+  return trajectory.map((p) => ({ t: p.t, ...thrustAndTilt(p, vehicle) }));
+}
+
+export function sanitizeVehicle(raw) {
+  const vehicle = { ...DEFAULT_VEHICLE };
+  for (const { key } of VEHICLE_FIELDS) {
+    if (Number.isFinite(raw?.[key]) && raw[key] > 0) vehicle[key] = raw[key];
+  }
+  vehicle.enabled = raw?.enabled !== false;
+  return vehicle;
+}
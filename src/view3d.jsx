@@ -0,0 +1,182 @@
+// Rotatable 3D view of the path, drawn as SVG.
+import React, { useState, useMemo } from 'react';
+import { makePow10Ticks } from './trajectory.js';
+import { useFmt2 } from './format.js';
+import { ARENA_COLOR } from './charts.jsx';
+
+const VIEW3D_SIZE = 600;
+const VIEW3D_DEFAULT = { yaw: -35, pitch: 25 };
+const VIEW3D_MAX_POINTS = 1500;
+
+// Orthographic projection of the FLU frame (x forward, y left, z up).
+// yaw turns the scene about z, pitch tilts the camera down towards the
+// ground: pitch 0 looks forward along x, pitch 90 is the XY plot's top view.
+function makeProjector(view, center, scale) {
+  const cy = Math.cos((view.yaw * Math.PI) / 180);
+  const sy = Math.sin((view.yaw * Math.PI) / 180);
+  const cp = Math.cos((view.pitch * Math.PI) / 180);
+  const sp = Math.sin((view.pitch * Math.PI) / 180);
+  return (x, y, z) => {
+    const dx = x - center[0];
+    const dy = y - center[1];
+    const dz = z - center[2];
+    const xr = dx * cy - dy * sy;
+    const yr = dx * sy + dy * cy;
+    const up = dz * cp + xr * sp;
+    return [VIEW3D_SIZE / 2 - yr * scale, VIEW3D_SIZE / 2 - up * scale];
+  };
+}
+
+// `arena` holds the geofence corners in the trajectory frame (see
+// arenaCorners) or null; the ground plane is drawn at z = groundZ.
+export function Trajectory3DView({ data, cur, bounds, arena, groundZ }) {
+  const fmt2 = useFmt2();
+  const [view, setView] = useState(VIEW3D_DEFAULT);
+  const [drag, setDrag] = useState(null);
+
+  // The polyline is re-projected on every drag move, so thin it out.
+  const points = useMemo(() => {
+    const stride = Math.max(1, Math.ceil(data.length / VIEW3D_MAX_POINTS));
+    return data.filter((_, i) => i % stride === 0 || i === data.length - 1);
+  }, [data]);
+
+  const center = [
+    (bounds.xDomain[0] + bounds.xDomain[1]) / 2,
+    (bounds.yDomain[0] + bounds.yDomain[1]) / 2,
+    (bounds.zDomain[0] + bounds.zDomain[1]) / 2,
+  ];
+  // Bounding sphere of the plotted box, so no rotation clips the scene.
+  const radius = Math.hypot(
+    (bounds.xDomain[1] - bounds.xDomain[0]) / 2,
+    (bounds.yDomain[1] - bounds.yDomain[0]) / 2,
+    (bounds.zDomain[1] - bounds.zDomain[0]) / 2
+  );
+  const scale = (VIEW3D_SIZE / 2 - 24) / (radius > 0 ? radius : 1);
+  const project = makeProjector(view, center, scale);
+
+  const toPath = (pts) =>
+    pts
+      .map(([u, v], i) => `${i ? "L" : "M"}${u.toFixed(1)},${v.toFixed(1)}`)
+      .join("");
+
+  const gridX = makePow10Ticks(bounds.xDomain, 9);
+  const gridY = makePow10Ticks(bounds.yDomain, 9);
+  const [x0, x1] = bounds.xDomain;
+  const [y0, y1] = bounds.yDomain;
+  const grid = [
+    ...gridX.map((gx) => toPath([project(gx, y0, groundZ), project(gx, y1, groundZ)])),
+    ...gridY.map((gy) => toPath([project(x0, gy, groundZ), project(x1, gy, groundZ)])),
+  ];
+  const ground = toPath([
+    project(x0, y0, groundZ),
+    project(x1, y0, groundZ),
+    project(x1, y1, groundZ),
+    project(x0, y1, groundZ),
+  ]);
+
+  // Floor ring, ceiling ring and the four vertical edges.
+  const fence = arena
+    ? [0, 1, 2, 3].flatMap((i) => {
+        const j = (i + 1) % 4;
+        const [a, b, c] = [arena[i], arena[j], arena[i + 4]];
+        const d = arena[j + 4];
+        return [
+          toPath([a, b].map((p) => project(p.x, p.y, p.z))),
+          toPath([c, d].map((p) => project(p.x, p.y, p.z))),
+          toPath([a, c].map((p) => project(p.x, p.y, p.z))),
+        ];
+      })
+    : [];
+
+  const axisLen = radius * 0.35;
+  const origin = project(0, 0, 0);
+  const axes = [
+    { label: "x", color: "#dc2626", tip: project(axisLen, 0, 0) },
+    { label: "y", color: "#16a34a", tip: project(0, axisLen, 0) },
+    { label: "z", color: "#2563eb", tip: project(0, 0, axisLen) },
+  ];
+
+  const path = toPath(points.map((p) => project(p.x, p.y, p.z)));
+  const shadow = toPath(points.map((p) => project(p.x, p.y, groundZ)));
+  const marker = project(cur.x, cur.y, cur.z);
+  const markerFoot = project(cur.x, cur.y, groundZ);
+
+  const onPointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDrag({ x: e.clientX, y: e.clientY, view });
+  };
+  const onPointerMove = (e) => {
+    if (!drag) return;
+    const yaw = drag.view.yaw + (e.clientX - drag.x) * 0.5;
+    const pitch = drag.view.pitch + (e.clientY - drag.y) * 0.5;
+    setView({ yaw, pitch: Math.min(90, Math.max(-90, pitch)) });
+  };
+  const onPointerUp = () => setDrag(null);
+
+  return (
+    <div className="flex-col">
+      <svg
+        className="view3d"
+        viewBox={`0 0 ${VIEW3D_SIZE} ${VIEW3D_SIZE}`}
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerCancel={onPointerUp}
+      >
+        <path d={ground} fill="#f1f5f9" stroke="#cbd5e1" />
+        {grid.map((d, i) => (
+          <path key={i} d={d} stroke="#e2e8f0" fill="none" />
+        ))}
+        <path d={shadow} stroke="#94a3b8" strokeOpacity={0.5} fill="none" />
+        {fence.map((d, i) => (
+          <path key={i} d={d} stroke={ARENA_COLOR} strokeDasharray="6 4" fill="none" />
+        ))}
+        {axes.map(({ label, color, tip }) => (
+          <g key={label}>
+            <line
+              x1={origin[0]}
+              y1={origin[1]}
+              x2={tip[0]}
+              y2={tip[1]}
+              stroke={color}
+              strokeWidth={2}
+            />
+            <text x={tip[0] + 4} y={tip[1] - 4} fill={color} fontSize={14}>
+              {label}
+            </text>
+          </g>
+        ))}
+        <circle cx={origin[0]} cy={origin[1]} r={4} fill="#0f172a" />
+        <path d={path} stroke="#2563eb" strokeWidth={1.5} fill="none" />
+        <line
+          x1={marker[0]}
+          y1={marker[1]}
+          x2={markerFoot[0]}
+          y2={markerFoot[1]}
+          stroke="#991b1b"
+          strokeDasharray="4 3"
+        />
+        <circle
+          cx={marker[0]}
+          cy={marker[1]}
+          r={6}
+          fill="#ef4444"
+          stroke="#991b1b"
+        />
+      </svg>
+      <div className="row">
+        <span className="text-muted">
+          drag to rotate · yaw {view.yaw.toFixed(0)}° · pitch{" "}
+          {view.pitch.toFixed(0)}° · grey: ground plane (z = {fmt2(groundZ)}) and
+          shadow{arena ? " · purple: geofence" : ""}
+        </span>
+        <button
+          onClick={() => setView(VIEW3D_DEFAULT)}
+          className="small-button push-right"
+        >
+          Reset view
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  DEFAULT_ARENA,
+  trajectoryToArena,
+  arenaToTrajectory,
+  arenaCorners,
+  arenaClearance,
+  sanitizeArena,
+} from "../src/arena.js";
+
+const rotated = { ...DEFAULT_ARENA, x0: 1, y0: -0.5, z0: 1.2, yawDeg: 90 };
+
+const near = (actual, expected) =>
+  Object.keys(expected).forEach((key) =>
+    assert.ok(Math.abs(actual[key] - expected[key]) < 1e-12, `${key}: ${actual[key]}`)
+  );
+
+test("trajectory and arena coordinates round-trip", () => {
+  // Yawed by 90 degrees: trajectory forward is arena +Y, left is arena -X.
+  near(trajectoryToArena(rotated, { x: 2, y: 0, z: 0 }), { X: 1, Y: 1.5, Z: 1.2 });
+  near(trajectoryToArena(rotated, { x: 0, y: 1, z: 0.5 }), { X: 0, Y: -0.5, Z: 1.7 });
+
+  for (const arena of [DEFAULT_ARENA, rotated, { ...rotated, yawDeg: -33 }]) {
+    for (const p of [
+      { x: 0, y: 0, z: 0 },
+      { x: 1.25, y: -0.75, z: 0.4 },
+    ]) {
+      const { X, Y, Z } = trajectoryToArena(arena, p);
+      near(arenaToTrajectory(arena, X, Y, Z), p);
+    }
+  }
+});
+
+test("arenaCorners lists the floor and then the ceiling rectangle", () => {
+  const corners = arenaCorners(rotated);
+  assert.equal(corners.length, 8);
+  near(trajectoryToArena(rotated, corners[0]), { X: -3, Y: -2, Z: 0 });
+  near(trajectoryToArena(rotated, corners[6]), { X: 3, Y: 2, Z: 3 });
+});
+
+test("arenaClearance finds the closest approach to each wall", () => {
+  // 1 m either way along trajectory x, which is arena Y once rotated.
+  const path = [
+    { t: 0, x: 0, y: 0, z: 0 },
+    { t: 1, x: 1, y: 0, z: 0.5 },
+    { t: 2, x: -1, y: 0, z: 0 },
+  ];
+  const clearance = arenaClearance(path, rotated);
+  const wall = (label) => clearance.walls.find((w) => w.label === label);
+  near(wall("y max wall"), { min: 2 - 0.5, t: 1 });
+  near(wall("y min wall"), { min: -1.5 + 2, t: 2 });
+  near(wall("x max wall"), { min: 2, t: 0 });
+  near(wall("ceiling"), { min: 3 - 1.7, t: 1 });
+  assert.equal(clearance.inside, true);
+  assert.equal(clearance.safe, true);
+
+  // Inside, but closer than the margin to the y max wall.
+  const close = arenaClearance([{ t: 0, x: 2.3, y: 0, z: 0 }], rotated);
+  assert.deepEqual([close.inside, close.safe], [true, false]);
+
+  // Unrotated, 2.5 m forward is arena X = 3.5, past the x max wall.
+  const unrotated = arenaClearance([{ t: 0, x: 2.5, y: 0, z: 0 }], { ...rotated, yawDeg: 0 });
+  assert.deepEqual([unrotated.inside, unrotated.safe], [false, false]);
+  near(unrotated.walls.find((w) => w.label === "x max wall"), { min: -0.5 });
+});
+
+test("sanitizeArena keeps finite numbers and defaults the rest", () => {
+  const arena = sanitizeArena({ x0: 2, yawDeg: "90", margin: NaN, bogus: 1 });
+  assert.deepEqual(arena, { ...DEFAULT_ARENA, enabled: true, x0: 2 });
+  assert.equal(sanitizeArena({ enabled: false }).enabled, false);
+  assert.equal(sanitizeArena(null).enabled, true);
+});
@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+const CLI = fileURLToPath(new URL("../bin/mc-raptor-trajectory.js", import.meta.url));
+
+const run = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding: "utf8" });
+
+test("command prints the Mavlink shell command", () => {
+  const r = run("command", "--A", "0.75", "--duration", "12");
+  assert.equal(r.status, 0);
+  assert.equal(r.stdout, "mc_raptor intref lissajous 0.75 1 0 2 1 1 12 3\n");
+
+  assert.equal(
+    run("command", "--type", "figure_eight", "--B", "1.5").stdout,
+    "mc_raptor intref lissajous 0.5 1.5 0 2 1 1 10 3\n"
+  );
+
+  // No intref mode flies a circle.
+  const circle = run("command", "--type", "circle", "--R", "1.5");
+  assert.equal(circle.status, 2);
+  assert.match(circle.stderr, /type: circle: no intref mode flies it/);
+});
+
+test("peaks exits 1 when a limit is exceeded", () => {
+  const ok = run("peaks", "--json");
+  assert.equal(ok.status, 0);
+  assert.equal(JSON.parse(ok.stdout).ok, true);
+
+  const bad = run(
+    "peaks",
+    "--json",
+    "--from-command",
+    "mc_raptor intref lissajous 1 2 0 2 1 1 4 1"
+  );
+  assert.equal(bad.status, 1);
+  const out = JSON.parse(bad.stdout);
+  assert.equal(out.peaks.speed.ok, false);
+  assert.ok(out.peaks.speed.value > 3);
+});
+
+test("sample writes setpoints on controller ticks", () => {
+  const r = run("sample", "--rate", "10", "--horizon", "0.5", "--fields", "position");
+  assert.equal(r.status, 0);
+  const lines = r.stdout.trim().split("\n");
+  assert.equal(lines[0], "t,x,y,z");
+  assert.equal(lines.length, 7);
+  assert.ok(lines[6].startsWith("0.5,"));
+});
+
+test("bad arguments exit 2 with the reason", () => {
+  const r = run("sample", "--A", "9");
+  assert.equal(r.status, 2);
+  assert.match(r.stderr, /A: 9 is above the maximum 3/);
+  assert.equal(run("frobnicate").status, 2);
+});
@@ -0,0 +1,67 @@
+// Transcription of the mc_raptor `intref lissajous` evaluation, used to
+// regenerate lissajous_reference.json:
+//   g++ -O2 -o /tmp/lissajous_reference lissajous_reference.cpp
+//   /tmp/lissajous_reference > lissajous_reference.json
+#include <algorithm>
+#include <cmath>
+#include <cstdio>
+
+struct Lissajous {
+  double A = 0.5, B = 1.0, C = 0.0;
+  double a = 2.0, b = 1.0, c = 1.0;
+  double duration = 10.0, ramp_duration = 3.0;
+};
+
+struct Setpoint {
+  double position[3];
+  double linear_velocity[3];
+};
+
+Setpoint evaluate(const Lissajous& p, double time) {
+  double time_velocity =
+      p.ramp_duration > 0 ? std::min(time, p.ramp_duration) / p.ramp_duration : 1.0;
+  double ramp_time = time_velocity * std::min(time, p.ramp_duration) / 2.0;
+  double progress =
+      (ramp_time + std::max(0.0, time - p.ramp_duration)) * 2 * M_PI / p.duration;
+  double d_progress = 2 * M_PI * time_velocity / p.duration;
+  Setpoint s;
+  s.position[0] = p.A * std::sin(p.a * progress);
+  s.position[1] = p.B * std::sin(p.b * progress);
+  s.position[2] = p.C * std::sin(p.c * progress);
+  s.linear_velocity[0] = p.A * std::cos(p.a * progress) * p.a * d_progress;
+  s.linear_velocity[1] = p.B * std::cos(p.b * progress) * p.b * d_progress;
+  s.linear_velocity[2] = p.C * std::cos(p.c * progress) * p.c * d_progress;
+  return s;
+}
+
+int main() {
+  Lissajous cases[3];
+  cases[1].ramp_duration = 0.0;
+  cases[2].A = 1.2; cases[2].B = 0.8; cases[2].C = 0.4;
+  cases[2].a = 3.0; cases[2].b = 2.0; cases[2].c = 1.5;
+  cases[2].duration = 7.5; cases[2].ramp_duration = 2.25;
+  const double times[] = {0.0, 0.5, 1.5, 2.25, 2.999, 3.0, 4.2, 7.7, 12.9};
+
+  std::printf("[\n");
+  for (int i = 0; i < 3; i++) {
+    const Lissajous& p = cases[i];
+    std::printf(
+        "  {\n    \"params\": {\"A\": %.17g, \"B\": %.17g, \"C\": %.17g, \"a\": %.17g, "
+        "\"b\": %.17g, \"c\": %.17g, \"duration\": %.17g, \"ramp_duration\": %.17g},\n"
+        "    \"samples\": [\n",
+        p.A, p.B, p.C, p.a, p.b, p.c, p.duration, p.ramp_duration);
+    const int n = sizeof(times) / sizeof(times[0]);
+    for (int j = 0; j < n; j++) {
+      Setpoint s = evaluate(p, times[j]);
+      std::printf(
+          "      {\"t\": %.17g, \"x\": %.17g, \"y\": %.17g, \"z\": %.17g, "
+          "\"vx\": %.17g, \"vy\": %.17g, \"vz\": %.17g}%s\n",
+          times[j], s.position[0], s.position[1], s.position[2],
+          s.linear_velocity[0], s.linear_velocity[1], s.linear_velocity[2],
+          j + 1 < n ? "," : "");
+    }
+    std::printf("    ]\n  }%s\n", i + 1 < 3 ? "," : "");
+  }
+  std::printf("]\n");
+  return 0;
+}
@@ -0,0 +1,187 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { TRAJECTORY_TYPES } from "../src/trajectory.js";
+import {
+  parseULog,
+  parseLocalPositionCsv,
+  sampleAt,
+  autoAlign,
+  trackingError,
+} from "../src/flightlog.js";
+
+const encoder = new TextEncoder();
+
+// One ULog message: uint16 size, type character, payload.
+function message(type, payload) {
+  const out = new Uint8Array(3 + payload.length);
+  new DataView(out.buffer).setUint16(0, payload.length, true);
+  out[2] = type.charCodeAt(0);
+  out.set(payload, 3);
+  return out;
+}
+
+function subscription(msgId, name) {
+  const payload = new Uint8Array(3 + name.length);
+  payload[0] = 0;
+  new DataView(payload.buffer).setUint16(1, msgId, true);
+  payload.set(encoder.encode(name), 3);
+  return message("A", payload);
+}
+
+// vehicle_local_position with an array field in the middle, so the offsets
+// of the fields after it are checked too.
+const POSITION_FORMAT =
+  "vehicle_local_position:uint64_t timestamp;float x;float y;uint8_t[3] flags;float z;" +
+  "float vx;float vy;float vz;float heading;";
+
+function positionData(msgId, { t, x, y, z, vx, vy, vz, heading }) {
+  const payload = new Uint8Array(2 + 8 + 4 * 2 + 3 + 4 * 5);
+  const view = new DataView(payload.buffer);
+  view.setUint16(0, msgId, true);
+  view.setBigUint64(2, BigInt(Math.round(t * 1e6)), true);
+  view.setFloat32(10, x, true);
+  view.setFloat32(14, y, true);
+  [z, vx, vy, vz, heading].forEach((v, i) => view.setFloat32(21 + 4 * i, v, true));
+  return message("D", payload);
+}
+
+function ulog(messages) {
+  const header = new Uint8Array(16);
+  header.set([0x55, 0x4c, 0x6f, 0x67, 0x01, 0x12, 0x35, 0x01]);
+  const parts = [header, ...messages];
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let i = 0;
+  for (const p of parts) {
+    out.set(p, i);
+    i += p.length;
+  }
+  return out.buffer;
+}
+
+const still = { x: 0, y: 0, z: 0, vx: 0, vy: 0, vz: 0, heading: 0 };
+
+test("parseULog reads the first vehicle_local_position instance", () => {
+  const buffer = ulog([
+    message("F", encoder.encode("other:uint64_t timestamp;float x;")),
+    message("F", encoder.encode(POSITION_FORMAT)),
+    subscription(1, "other"),
+    subscription(4, "vehicle_local_position"),
+    positionData(4, { ...still, t: 2, x: 1.5, y: -2, z: -3, vy: 0.25, heading: 1 }),
+    // Another topic's data with the same layout size is not picked up.
+    positionData(1, { ...still, t: 1.5, x: 9 }),
+    positionData(4, { ...still, t: 1, x: 0.5 }),
+    // Cut off mid-message, as after a crash.
+    message("D", new Uint8Array(10)).subarray(0, 7),
+  ]);
+  const { samples, frame } = parseULog(buffer);
+  assert.equal(frame, "ned");
+  assert.deepEqual(
+    samples.map((s) => [s.t, s.x]),
+    [
+      [1, 0.5],
+      [2, 1.5],
+    ]
+  );
+  assert.deepEqual(samples[1], {
+    ...still,
+    t: 2,
+    x: 1.5,
+    y: -2,
+    z: -3,
+    vy: 0.25,
+    heading: 1,
+  });
+
+  assert.throws(() => parseULog(new ArrayBuffer(16)), /not a ULog file/);
+  assert.throws(() => parseULog(ulog([])), /no vehicle_local_position messages/);
+});
+
+test("parseLocalPositionCsv takes microsecond timestamps and checks positions", () => {
+  const log = parseLocalPositionCsv("timestamp,x,y,z,vx\n2000000,1,2,3,0.5\n1000000,0,0,0,\n");
+  assert.deepEqual(log.samples, [
+    { t: 1, x: 0, y: 0, z: 0 },
+    { t: 2, x: 1, y: 2, z: 3, vx: 0.5 },
+  ]);
+  assert.throws(() => parseLocalPositionCsv("t,x,y\n0,1,2\n"), /no z column/);
+  assert.throws(() => parseLocalPositionCsv("t,x,y,z\n0,1,,3\n"), /line 2: missing position/);
+});
+
+test("sampleAt interpolates between samples and clamps at the ends", () => {
+  const samples = [
+    { t: 0, x: 0, y: 0, z: 0 },
+    { t: 2, x: 4, y: -2, z: 1 },
+  ];
+  assert.deepEqual(sampleAt(samples, 0.5), { t: 0.5, x: 1, y: -0.5, z: 0.25 });
+  assert.equal(sampleAt(samples, -1), samples[0]);
+  assert.equal(sampleAt(samples, 5), samples[1]);
+});
+
+test("NED samples are rotated into the trajectory frame at the start heading", () => {
+  // Facing east: east is forward, north is left, up is up.
+  const heading = Math.PI / 2;
+  const log = {
+    frame: "ned",
+    samples: [
+      { t: 10, x: 5, y: 5, z: -2, vx: 0, vy: 1, vz: 0, heading },
+      { t: 11, x: 5, y: 7, z: -3, vx: 1, vy: 0, vz: -1, heading },
+      { t: 12, x: 6, y: 5, z: -2, vx: 0, vy: 0, vz: 0, heading },
+    ],
+  };
+  const zero = () => ({ x: 0, y: 0, z: 0, vx: 0, vy: 0, vz: 0 });
+  const { series, yaw } = trackingError(log, zero, 5, 10);
+  assert.equal(yaw, heading);
+  const near = (actual, expected) =>
+    expected.forEach((v, i) =>
+      assert.ok(Math.abs(actual[i] - v) < 1e-12, `${actual} vs ${expected}`)
+    );
+  near([series[0].x, series[0].y, series[0].z], [0, 0, 0]);
+  near([series[1].x, series[1].y, series[1].z], [2, 0, 1]);
+  near([series[2].x, series[2].y, series[2].z], [0, 1, 0]);
+  // Velocity north and up at that heading: left and up at sqrt(2) m/s.
+  near([series[1].speed, series[1].ev], [Math.SQRT2, Math.SQRT2]);
+
+  // An explicit yaw wins over the logged heading.
+  assert.equal(trackingError(log, zero, 5, 10, 0).yaw, 0);
+});
+
+test("autoAlign finds where a synthetic flight starts its reference", () => {
+  const type = TRAJECTORY_TYPES.lissajous;
+  const params = type.defaults;
+  const horizon = params.ramp_duration + params.duration;
+  const offset = 3.7;
+  const yaw = 0.4;
+  const c = Math.cos(yaw);
+  const s = Math.sin(yaw);
+  // Hover at an arbitrary NED origin, then fly the reference; 50 Hz log
+  // whose clock starts at 100 s.
+  const samples = [];
+  for (let i = 0; i <= (offset + horizon + 2) * 50; i++) {
+    const t = i / 50;
+    const r = t > offset ? type.eval(t - offset, params) : type.eval(0, params);
+    samples.push({
+      t: 100 + t,
+      x: 3 + c * r.x + s * r.y,
+      y: -1 + s * r.x - c * r.y,
+      z: -1.5 - r.z,
+      vx: c * r.vx + s * r.vy,
+      vy: s * r.vx - c * r.vy,
+      vz: -r.vz,
+      heading: yaw,
+    });
+  }
+  const log = { samples, frame: "ned" };
+  const evalRef = (tau) => type.eval(tau, params);
+
+  const start = autoAlign(log, evalRef, horizon);
+  assert.ok(Math.abs(start - (100 + offset)) < 0.02, `start ${start}`);
+  const { maxPos } = trackingError(log, evalRef, horizon, start);
+  assert.ok(maxPos.value < 0.01);
+
+  // Without velocities the position error is matched instead.
+  const positions = {
+    frame: "ned",
+    samples: samples.map(({ t, x, y, z, heading }) => ({ t, x, y, z, heading })),
+  };
+  assert.ok(Math.abs(autoAlign(positions, evalRef, horizon) - (100 + offset)) < 0.05);
+});
@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { TRAJECTORY_TYPES } from "../src/trajectory.js";
+import { measure } from "../src/solver.js";
+import { reportMetrics, toReportHtml } from "../src/report.js";
+
+const params = TRAJECTORY_TYPES.lissajous.defaults;
+const limits = { speed: 0.5, acc: 5, jerk: 0 };
+
+test("reportMetrics adds the true period to the measured peaks and extents", () => {
+  const { cycles, period, ...measured } = reportMetrics(TRAJECTORY_TYPES.lissajous, params);
+  assert.deepEqual(measured, measure(TRAJECTORY_TYPES.lissajous, params));
+  assert.deepEqual([cycles, period, measured.time], [1, 10, 13]);
+
+  const open = reportMetrics(TRAJECTORY_TYPES.lissajous, { ...params, a: 1.5 });
+  assert.equal(open.period, 20);
+});
+
+test("toReportHtml is a self-contained page with plots, tables and the card fields", () => {
+  const html = toReportHtml({
+    typeKey: "lissajous",
+    params,
+    limits,
+    fields: { date: "2026-10-19", pilot: "R. <Test>", airframe: "x500 & co" },
+    generatedAt: new Date("2026-10-19T12:00:00Z"),
+  });
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.equal(html.match(/<svg /g).length, 4);
+  assert.ok(html.includes("<pre>mc_raptor intref lissajous 0.5 1 0 2 1 1 10 3</pre>"));
+  assert.ok(html.includes("R. &lt;Test&gt;"));
+  assert.ok(html.includes("x500 &amp; co"));
+  assert.match(html, /<th>duration<\/th><td class="num">10<\/td>/);
+  // The speed limit of 0.5 m/s is exceeded, the jerk limit is off.
+  assert.match(html, /<tr class="bad"><th>peak speed<\/th>.*EXCEEDED/);
+  assert.match(html, /peak jerk<\/th><td class="num">[\d.]+ m\/s³<\/td><td>no limit/);
+  assert.match(html, /true period<\/th><td class="num">10\.00 s/);
+  // Nothing is fetched when the page is opened or printed.
+  assert.doesNotMatch(html, /<script|<link|src=|href=/);
+});
+
+test("toReportHtml handles a hover, which has no extent", () => {
+  const html = toReportHtml({
+    typeKey: "hover",
+    params: TRAJECTORY_TYPES.hover.defaults,
+    limits,
+  });
+  assert.equal(html.match(/<svg /g).length, 4);
+  assert.doesNotMatch(html, /NaN/);
+  assert.match(html, /true period<\/th><td class="num">0\.00 s/);
+});
+
+test("toReportHtml says when no intref mode flies the type", () => {
+  const html = toReportHtml({
+    typeKey: "circle",
+    params: TRAJECTORY_TYPES.circle.defaults,
+    limits,
+  });
+  assert.ok(html.includes("<pre>none: no intref mode flies a circle</pre>"));
+  assert.doesNotMatch(html, /mc_raptor/);
+});
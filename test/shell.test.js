@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { connect } from "node:net";
+import { randomBytes } from "node:crypto";
+import { fileURLToPath } from "node:url";
+
+import { createShellSession } from "../src/shell.js";
+import { createMockVehicle, connectMock } from "../src/mock.js";
+import { TRAJECTORY_TYPES } from "../src/trajectory.js";
+import { MSG_SERIAL_CONTROL, encodeFrame, encodeSerialControl, shellChunks } from "../src/mavlink.js";
+
+const MOCK = fileURLToPath(new URL("../bin/mock-vehicle.js", import.meta.url));
+const command = TRAJECTORY_TYPES.lissajous.command(TRAJECTORY_TYPES.lissajous.defaults);
+
+// Runs `commands` through a session on the in-page mock and resolves with
+// everything the shell printed once the vehicle has gone quiet.
+async function converse(vehicle, commands) {
+  const transport = await connectMock(vehicle);
+  let output = "";
+  const session = createShellSession(transport, { onOutput: (s) => (output += s) });
+  for (const c of commands) session.run(c);
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  session.close();
+  return output;
+}
+
+test("a shell session runs commands on the mock vehicle", async () => {
+  const vehicle = createMockVehicle();
+  const output = await converse(vehicle, [command, "mc_raptor start", command]);
+  assert.match(output, /^\r\nnsh> /);
+  assert.match(output, /mc_raptor intref lissajous 0\.5 1 0 2 1 1 10 3\r\nmc_raptor not running/);
+  assert.match(output, /INFO {2}\[mc_raptor\] started/);
+  assert.match(output, /INFO {2}\[mc_raptor\] intref lissajous set\r\nnsh> $/);
+  assert.deepEqual(vehicle.state(), { running: true, intref: "lissajous 0.5 1 0 2 1 1 10 3" });
+
+  const more = await converse(vehicle, [
+    "mc_raptor intref lissajous 1 2",
+    "mc_raptor intref circle 1 10 3",
+    "mc_raptor intref lissajous 1 1 0 2 1 1 ten 3",
+    "mc_raptor stop",
+    "ls",
+  ]);
+  assert.match(more, /ERROR \[mc_raptor\] arguments: expected 8 arguments/);
+  assert.match(more, /ERROR \[mc_raptor\] mode: unknown intref mode 'circle'/);
+  assert.match(more, /ERROR \[mc_raptor\] duration: 'ten' is not a number/);
+  assert.match(more, /INFO {2}\[mc_raptor\] stopped/);
+  assert.match(more, /nsh: ls: command not found/);
+  assert.equal(vehicle.state().running, false);
+});
+
+test("the mock vehicle takes arguments outside the slider ranges", async () => {
+  const vehicle = createMockVehicle();
+  const output = await converse(vehicle, [
+    "mc_raptor start",
+    "mc_raptor intref lissajous 5 -1 0 12 1 1 90 3",
+  ]);
+  assert.match(output, /INFO {2}\[mc_raptor\] intref lissajous set/);
+  assert.doesNotMatch(output, /ERROR/);
+  assert.equal(vehicle.state().intref, "lissajous 5 -1 0 12 1 1 90 3");
+});
+
+// Client side of RFC 6455, just enough to talk to the mock server.
+function maskedFrame(payload) {
+  const mask = randomBytes(4);
+  const body = Buffer.from(payload).map((b, i) => b ^ mask[i % 4]);
+  return Buffer.concat([Buffer.from([0x82, 0x80 | body.length]), mask, body]);
+}
+
+test("bin/mock-vehicle.js serves the mock shell over a WebSocket", async (t) => {
+  const server = spawn(process.execPath, [MOCK, "--port", "0"]);
+  t.after(() => server.kill());
+  const url = await new Promise((resolve) =>
+    server.stdout.once("data", (d) => resolve(/ws:\/\/\S+/.exec(String(d))[0]))
+  );
+  const { hostname, port } = new URL(url);
+
+  const socket = connect(Number(port), hostname);
+  t.after(() => socket.destroy());
+  let received = Buffer.alloc(0);
+  socket.on("data", (d) => (received = Buffer.concat([received, d])));
+  socket.write(
+    "GET / HTTP/1.1\r\nHost: x\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n" +
+      "Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\nSec-WebSocket-Version: 13\r\n\r\n"
+  );
+  const frame = encodeFrame(
+    MSG_SERIAL_CONTROL,
+    encodeSerialControl({ data: shellChunks("mc_raptor start\n")[0] })
+  );
+  socket.write(maskedFrame(frame));
+
+  const deadline = Date.now() + 5000;
+  while (!String(received).includes("started") && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  const reply = String(received);
+  assert.match(reply, /Sec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK\+xOo=/);
+  assert.match(reply, /INFO {2}\[mc_raptor\] started/);
+});
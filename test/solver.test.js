@@ -0,0 +1,85 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { TRAJECTORY_TYPES, evalXYZ } from "../src/trajectory.js";
+import { measure, solveParams } from "../src/solver.js";
+
+const lissajous = TRAJECTORY_TYPES.lissajous;
+const LIMITS = { speed: 3, acc: 5, jerk: 30 };
+
+test("measure reports peaks and extents of the path", () => {
+  const m = measure(lissajous, lissajous.defaults);
+  // Peak speed sqrt((A a)^2 + (B b)^2) * 2 pi / duration at the origin.
+  assert.ok(Math.abs(m.speed - (Math.SQRT2 * 2 * Math.PI) / 10) < 1e-6);
+  assert.ok(Math.abs(m.sizeX - 1) < 1e-5);
+  assert.ok(Math.abs(m.sizeY - 2) < 1e-5);
+  assert.equal(m.sizeZ, 0);
+  assert.equal(m.time, 13);
+});
+
+test("without a time target the shortest duration within the limits wins", () => {
+  const result = solveParams(lissajous, lissajous.defaults, LIMITS);
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.active, ["acc"]);
+  const { params } = result;
+  assert.ok(result.achieved.acc <= LIMITS.acc);
+  // One duration step shorter breaks the acceleration limit.
+  const shorter = { ...params, duration: params.duration - 0.25 };
+  assert.ok(measure(lissajous, shorter).acc > LIMITS.acc);
+  // Shape kept: same frequencies and amplitudes, ramp share roughly kept.
+  for (const key of ["A", "B", "C", "a", "b", "c"]) {
+    assert.equal(params[key], lissajous.defaults[key]);
+  }
+  assert.ok(Math.abs(params.ramp_duration / params.duration - 0.3) < 0.05);
+});
+
+test("a box scales the amplitudes and reports the binding axis", () => {
+  const result = solveParams(lissajous, lissajous.defaults, {
+    speed: 1,
+    sizeX: 2,
+    sizeY: 3,
+  });
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.active, ["sizeY", "speed"]);
+  assert.equal(result.params.A, 0.75);
+  assert.equal(result.params.B, 1.5);
+  assert.ok(result.achieved.speed <= 1);
+});
+
+test("a total time target is met exactly or fails with the minimum time", () => {
+  const result = solveParams(lissajous, lissajous.defaults, { ...LIMITS, time: 8 });
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.active, ["time"]);
+  assert.equal(result.params.ramp_duration + result.params.duration, 8);
+  // evalXYZ at the solved parameters stays within the limits.
+  assert.ok(evalXYZ(result.params.ramp_duration, result.params).acc <= LIMITS.acc);
+
+  const tooShort = solveParams(lissajous, lissajous.defaults, { ...LIMITS, time: 4 });
+  assert.equal(tooShort.ok, false);
+  assert.match(tooShort.reason, /acc limit needs at least 5\.\d\d s total/);
+});
+
+test("shrinking the path to keep a snapped peak within the time is reported", () => {
+  const base = { ...lissajous.defaults, duration: 7.7, ramp_duration: 1.3 };
+  const result = solveParams(lissajous, base, { jerk: 2.1, time: 11 });
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.active, ["time", "jerk"]);
+  assert.ok(result.achieved.jerk <= 2.1);
+  assert.ok(result.shrink < 1);
+  const size = (m) => Math.max(m.sizeX, m.sizeY, m.sizeZ);
+  assert.ok(Math.abs(size(result.achieved) - result.shrink * size(measure(lissajous, base))) < 1e-4);
+
+  assert.equal(solveParams(lissajous, lissajous.defaults, { ...LIMITS, time: 8 }).shrink, 1);
+});
+
+test("infeasible targets fail with a reason", () => {
+  assert.match(solveParams(lissajous, lissajous.defaults, {}).reason, /set a speed/);
+  assert.match(
+    solveParams(lissajous, lissajous.defaults, { ...LIMITS, time: 100 }).reason,
+    /duration would be .* outside its range/
+  );
+  assert.match(
+    solveParams(TRAJECTORY_TYPES.hover, { duration: 10 }, LIMITS).reason,
+    /all amplitudes are zero/
+  );
+});
@@ -0,0 +1,105 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdtempSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+import { TRAJECTORY_TYPES } from "../src/trajectory.js";
+import { sweepValues, buildSweep, toTestCards, toShellScript } from "../src/sweep.js";
+
+const base = TRAJECTORY_TYPES.lissajous.defaults;
+const limits = { speed: 1, acc: 5, jerk: 30 };
+
+test("sweepValues steps in either direction and parses lists", () => {
+  assert.deepEqual(sweepValues({ mode: "range", from: 20, to: 6, step: 2 }).values, [
+    20, 18, 16, 14, 12, 10, 8, 6,
+  ]);
+  assert.deepEqual(sweepValues({ mode: "range", from: 0.5, to: 1, step: 0.2 }).values, [
+    0.5, 0.7, 0.9,
+  ]);
+  assert.deepEqual(sweepValues({ mode: "list", list: "1, 0.5;2 3" }).values, [1, 0.5, 2, 3]);
+  assert.match(sweepValues({ mode: "list", list: "1, x" }).error, /'x' is not a number/);
+  assert.match(sweepValues({ mode: "range", from: 1, to: 2, step: 0 }).error, /positive/);
+});
+
+test("buildSweep orders the runs and checks each one", () => {
+  const axes = [
+    { key: "duration", values: [20, 10] },
+    { key: "A", values: [0.5, 1] },
+  ];
+  const values = (order) => buildSweep("lissajous", base, axes, order, limits).runs.map((r) => r.values);
+  assert.deepEqual(values("first"), [
+    { duration: 20, A: 0.5 },
+    { duration: 20, A: 1 },
+    { duration: 10, A: 0.5 },
+    { duration: 10, A: 1 },
+  ]);
+  assert.deepEqual(values("second")[1], { A: 0.5, duration: 10 });
+  assert.deepEqual(values("serpentine")[2], { duration: 10, A: 1 });
+
+  const { runs } = buildSweep("lissajous", base, axes, "first", limits);
+  assert.equal(runs[0].command, "mc_raptor intref lissajous 0.5 1 0 2 1 1 20 3");
+  assert.equal(runs[0].ok, true);
+  // sqrt(1 + 1) * 2 pi / 10 > 1 m/s
+  assert.deepEqual(runs[3].over, ["speed"]);
+
+  const invalid = buildSweep("lissajous", base, [{ key: "duration", values: [0] }], "first", limits);
+  assert.equal(invalid.runs[0].errors[0].field, "duration");
+
+  // Nothing to fly for a circle.
+  const circle = buildSweep("circle", TRAJECTORY_TYPES.circle.defaults, axes, "first", limits);
+  assert.deepEqual(circle.runs, []);
+  assert.match(circle.error, /Circle: no intref mode flies it/);
+});
+
+test("the exported script prints one run's command", () => {
+  const { runs } = buildSweep(
+    "lissajous",
+    base,
+    [{ key: "duration", values: [20, 5, 0] }],
+    "first",
+    limits
+  );
+  const cards = toTestCards(runs, { title: "SysID", typeKey: "lissajous", base, limits });
+  assert.match(cards, /^# SysID\n/);
+  assert.match(cards, /## Run 2 of 3: duration = 5\n/);
+  assert.doesNotMatch(cards, /Fixed parameters: .*\bduration =/);
+
+  const dir = mkdtempSync(join(tmpdir(), "sweep-"));
+  const script = join(dir, "campaign.sh");
+  writeFileSync(script, toShellScript(runs, { title: "SysID" }));
+  const run = (arg) => spawnSync("sh", [script, arg], { encoding: "utf8" });
+
+  assert.equal(run("1").stdout, "mc_raptor intref lissajous 0.5 1 0 2 1 1 20 3\n");
+  assert.match(run("2").stderr, /warning: run 2 EXCEEDS speed limit/);
+  assert.equal(run("3").status, 1);
+  assert.equal(run("list").stdout.split("\n").length, 4);
+  assert.equal(run("9").status, 2);
+});
+
+test("a multi-line title stays in the comment", () => {
+  const { runs } = buildSweep("lissajous", base, [{ key: "duration", values: [20] }], "first", limits);
+  const title = "SysID\ntouch pwned\r\nrm -rf x";
+  const script = toShellScript(runs, { title });
+  assert.match(script, /^#!\/bin\/sh\n# SysID touch pwned rm -rf x\n# usage/);
+  const cards = toTestCards(runs, { title, typeKey: "lissajous", base, limits });
+  assert.match(cards, /^# SysID touch pwned rm -rf x\n\n/);
+});
+
+test("test cards describe the type from the registry the sweep used", () => {
+  const types = {
+    ...TRAJECTORY_TYPES,
+    lissajous: {
+      ...TRAJECTORY_TYPES.lissajous,
+      label: "Lab Lissajous",
+      sliders: { ...TRAJECTORY_TYPES.lissajous.sliders, duration: { min: 30, max: 60, step: 1 } },
+    },
+  };
+  const axes = [{ key: "duration", values: [20, 40] }];
+  const { runs } = buildSweep("lissajous", base, axes, "first", limits, types);
+  assert.equal(runs[0].errors[0].field, "duration");
+  const cards = toTestCards(runs, { title: "Lab", typeKey: "lissajous", base, limits, types });
+  assert.match(cards, /^Lab Lissajous, 2 runs\./m);
+  assert.match(cards, /## Run 1 of 2: duration = 20\n[^#]*check: INVALID: duration 20 is below the minimum 30/);
+});
@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { TRAJECTORY_TYPES, plotHorizon } from "../src/trajectory.js";
+import { trackingError } from "../src/flightlog.js";
+import {
+  createTelemetrySession,
+  startPatternError,
+  readTlog,
+  writeTlog,
+  connectReplay,
+  simulateFlight,
+} from "../src/telemetry.js";
+
+const type = TRAJECTORY_TYPES.lissajous;
+const params = type.defaults;
+
+test("tlog records round-trip", () => {
+  const records = simulateFlight(type, params, { rate: 10 });
+  const read = readTlog(writeTlog(records).buffer);
+  assert.equal(read.length, records.length);
+  assert.deepEqual(read[5], records[5]);
+  assert.throws(() => readTlog(new Uint8Array(20)), /no MAVLink frame/);
+});
+
+test("a replayed flight yields NED samples, the start and the tracking error", async () => {
+  const records = simulateFlight(type, params, { delay: 2, lag: 0, yawDeg: 30 });
+  const transport = await connectReplay(records, { speed: 1000 });
+
+  const samples = [];
+  let start = null;
+  await new Promise((resolve) =>
+    createTelemetrySession(transport, {
+      onSample: (s) => samples.push(s),
+      onStart: (t) => (start = t),
+      onClose: resolve,
+    })
+  );
+
+  // 30 Hz over 2 s hover + the horizon + 1 s, boot time 5 s at the first one.
+  assert.equal(samples.length, Math.floor((3 + plotHorizon(params)) * 30) + 1);
+  assert.equal(samples[0].t, 5);
+  assert.equal(start, 7);
+  assert.ok(Math.abs(samples[0].heading - Math.PI / 6) < 1e-6);
+
+  // Without lag the vehicle is on the reference, up to the whole-millisecond
+  // timestamps (under 1 m/s * 0.5 ms).
+  const tracking = trackingError(
+    { samples, frame: "ned" },
+    (tau) => type.eval(tau, params),
+    plotHorizon(params),
+    start
+  );
+  assert.ok(tracking.count > 300);
+  assert.ok(tracking.maxPos.value < 1e-3, `max error ${tracking.maxPos.value}`);
+});
+
+test("startPatternError rejects patterns that are not regular expressions", () => {
+  assert.equal(startPatternError("intref.*start"), null);
+  assert.match(startPatternError("intref (start"), /Invalid regular expression/);
+});
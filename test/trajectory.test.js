@@ -0,0 +1,330 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import {
+  evalXYZ,
+  snapToStep,
+  decimalsFromStep,
+  makePow10Ticks,
+  TRAJECTORY_TYPES,
+  isFlyable,
+  PARAM_SLIDERS,
+  configureTypes,
+  parseCommand,
+  parseCommands,
+  findPeak,
+  violationSpans,
+  rampAccStep,
+  periodicity,
+  closingSnaps,
+  plotHorizon,
+  plotSteps,
+  extentHandles,
+  amplitudeForHandle,
+  PLOT_SIGNALS,
+  samplePlot,
+  sampleTrajectory,
+  toCsv,
+} from "../src/trajectory.js";
+
+// Generated by test/fixtures/lissajous_reference.cpp.
+const reference = JSON.parse(
+  readFileSync(new URL("./fixtures/lissajous_reference.json", import.meta.url))
+);
+
+const close = (actual, expected, tol, label) =>
+  assert.ok(
+    Math.abs(actual - expected) <= tol,
+    `${label}: ${actual} != ${expected} (tol ${tol})`
+  );
+
+test("evalXYZ matches the C++ reference position and velocity", () => {
+  for (const { params, samples } of reference) {
+    for (const s of samples) {
+      const r = evalXYZ(s.t, params);
+      for (const key of ["x", "y", "z", "vx", "vy", "vz"]) {
+        close(r[key], s[key], 1e-12, `${key} at t=${s.t}`);
+      }
+    }
+  }
+});
+
+test("acceleration and jerk are the derivatives of velocity and acceleration", () => {
+  const params = reference[2].params;
+  const h = 1e-5;
+  // Away from t = 0 and the ramp end, where dd_progress jumps.
+  for (const t of [0.7, 1.9, 3.1, 5.6, 9.4]) {
+    const r = evalXYZ(t, params);
+    const p = evalXYZ(t + h, params);
+    const m = evalXYZ(t - h, params);
+    for (const axis of ["x", "y", "z"]) {
+      close(r[`a${axis}`], (p[`v${axis}`] - m[`v${axis}`]) / (2 * h), 1e-6, `a${axis}`);
+      close(r[`j${axis}`], (p[`a${axis}`] - m[`a${axis}`]) / (2 * h), 1e-5, `j${axis}`);
+    }
+  }
+});
+
+test("every trajectory type starts at the origin at rest", () => {
+  for (const [key, type] of Object.entries(TRAJECTORY_TYPES)) {
+    const r = type.eval(0, type.defaults);
+    for (const k of ["x", "y", "z", "speed"]) close(r[k], 0, 1e-12, `${key} ${k}`);
+  }
+});
+
+test("rampAccStep is the jump in acceleration at the end of the ramp", () => {
+  const type = TRAJECTORY_TYPES.lissajous;
+  const params = reference[2].params;
+  const R = params.ramp_duration;
+  const before = evalXYZ(R - 1e-9, params);
+  const after = evalXYZ(R, params);
+  const jump = Math.hypot(before.ax - after.ax, before.ay - after.ay, before.az - after.az);
+  close(rampAccStep(type, params), jump, 1e-6, "step");
+  assert.equal(rampAccStep(type, { ...params, ramp_duration: 0 }), 0);
+});
+
+test("periodicity finds the true period and the seam jump", () => {
+  const type = TRAJECTORY_TYPES.lissajous;
+  const closed = periodicity(type, type.defaults);
+  assert.equal(closed.closes, true);
+  assert.equal(closed.cycles, 1);
+
+  // a:b = 9:4 repeats after four durations; after one, x = A sin(4.5 pi) = A
+  // and vx drops from A a d_progress to zero.
+  const params = { ...type.defaults, a: 2.25 };
+  const open = periodicity(type, params);
+  assert.equal(open.closes, false);
+  assert.equal(open.cycles, 4);
+  assert.equal(open.period, 40);
+  close(open.positionJump, params.A, 1e-12, "position jump");
+  close(open.velocityJump, (params.A * 2.25 * 2 * Math.PI) / 10, 1e-12, "velocity jump");
+
+  // Axes without amplitude do not count.
+  assert.equal(periodicity(type, { ...params, A: 0 }).closes, true);
+  assert.equal(periodicity(type, { ...type.defaults, a: 1.333 }).cycles, Infinity);
+  assert.equal(periodicity(TRAJECTORY_TYPES.hover, { duration: 10 }).cycles, 0);
+});
+
+test("closingSnaps offers rounded and scaled frequencies that close", () => {
+  const type = TRAJECTORY_TYPES.lissajous;
+  assert.deepEqual(closingSnaps(type, type.defaults), []);
+
+  const params = { ...type.defaults, a: 2.25 };
+  const snaps = closingSnaps(type, params);
+  assert.deepEqual(
+    snaps.map((s) => s.label),
+    ["round to 2:1", "scale to 9:4 over 40 s"]
+  );
+  for (const snap of snaps) assert.equal(periodicity(type, snap.params).closes, true);
+  assert.equal(
+    closingSnaps(type, params, (unit) => (unit === "s" ? "min" : unit))[1].label,
+    "scale to 9:4 over 40 min"
+  );
+
+  // Scaling keeps the path in time.
+  const scaled = snaps[1].params;
+  for (const t of [1, 4.2, 17]) {
+    close(evalXYZ(t, scaled).x, evalXYZ(t, params).x, 1e-12, `x at ${t}`);
+  }
+
+  // Out of the slider range: 40 durations of 10 s.
+  assert.deepEqual(
+    closingSnaps(type, { ...params, a: 2.025 }).map((s) => s.kind),
+    ["round"]
+  );
+});
+
+test("snapToStep rounds to the step's decimals", () => {
+  assert.equal(snapToStep(0.5249, 0.05), 0.5);
+  assert.equal(snapToStep(0.5251, 0.05), 0.55);
+  assert.equal(snapToStep(7.13, 0.25), 7.25);
+  assert.equal(snapToStep(3, 0), 3);
+  assert.equal(decimalsFromStep(0.25), 2);
+  assert.equal(decimalsFromStep(1e-7), 7);
+  assert.equal(decimalsFromStep(10), 0);
+});
+
+test("makePow10Ticks uses power-of-ten steps and includes zero", () => {
+  assert.deepEqual(makePow10Ticks([-1.2, 1.2], 9), [-1, 0, 1]);
+  assert.deepEqual(makePow10Ticks([0.05, 0.42], 9), [0.1, 0.2, 0.3, 0.4]);
+  assert.deepEqual(makePow10Ticks([-0.25, 0.25], 9), [-0.2, -0.1, 0, 0.1, 0.2]);
+  assert.deepEqual(makePow10Ticks([2, 2]), [2]);
+  assert.deepEqual(makePow10Ticks(null), []);
+});
+
+test("the lissajous command round-trips through parseCommand", () => {
+  const type = TRAJECTORY_TYPES.lissajous;
+  const command = type.command(type.defaults);
+  assert.equal(command, "mc_raptor intref lissajous 0.5 1 0 2 1 1 10 3");
+  const parsed = parseCommand(command);
+  assert.equal(parsed.typeKey, "lissajous");
+  assert.deepEqual(parsed.errors, []);
+  assert.deepEqual(parsed.params, type.defaults);
+});
+
+test("the circle is plotted on its radius but has no command", () => {
+  const circle = TRAJECTORY_TYPES.circle;
+  const params = { ...circle.defaults, R: 1.5 };
+  // Left turn about (0, R) in the horizontal plane, tangent to x at the start.
+  for (const p of samplePlot(circle, params)) {
+    assert.ok(Math.abs(Math.hypot(p.x, p.y - 1.5) - 1.5) < 1e-9, `t=${p.t}`);
+    assert.equal(p.z, 0);
+  }
+  assert.deepEqual(extentHandles(circle, samplePlot(circle, params)).map((h) => h.key), [
+    "R",
+    "R",
+    "R",
+  ]);
+
+  assert.equal(isFlyable(circle), false);
+  assert.equal(circle.command, null);
+  assert.ok(["lissajous", "figure_eight", "hover"].every((k) => isFlyable(TRAJECTORY_TYPES[k])));
+});
+
+test("parseCommand reports per-field errors", () => {
+  assert.match(
+    parseCommand("mc_raptor intref lissajous 1 2 3").errors[0].message,
+    /expected 8 arguments .* got 3/
+  );
+  assert.match(parseCommand("mc_raptor intref spiral 1").errors[0].message, /unknown intref mode/);
+  // The firmware has no circle mode (a lissajous has no phase to make one).
+  assert.match(
+    parseCommand("mc_raptor intref circle 1 10 3").errors[0].message,
+    /unknown intref mode/
+  );
+
+  const { errors } = parseCommand("mc_raptor intref lissajous 0.5 x 0 2 1 1 0.05 3");
+  assert.deepEqual(
+    errors.map((e) => e.field),
+    ["B", "duration"]
+  );
+  assert.match(errors[1].message, /below the minimum 0.1/);
+});
+
+test("configureTypes replaces slider ranges for every type and the parsers", () => {
+  const types = configureTypes({
+    A: { max: 5, step: 0.1 },
+    R: { max: 4 },
+    duration: { min: 2, max: "x", step: 0 },
+  });
+  assert.deepEqual(types.lissajous.sliders.A, { min: 0, max: 5, step: 0.1, amp: true });
+  assert.deepEqual(types.figure_eight.sliders.A, types.lissajous.sliders.A);
+  assert.equal(types.circle.sliders.R.max, 4);
+  assert.deepEqual(types.hover.sliders.duration, { ...PARAM_SLIDERS.duration, min: 2 });
+  // The shared registry is left alone.
+  assert.equal(TRAJECTORY_TYPES.lissajous.sliders.A.max, 3);
+
+  const command = "mc_raptor intref lissajous 4 1 0 2 1 1 1 3";
+  assert.deepEqual(
+    parseCommand(command).errors.map((e) => e.field),
+    ["A"]
+  );
+  assert.deepEqual(
+    parseCommand(command, types).errors.map((e) => e.field),
+    ["duration"]
+  );
+});
+
+test("parseCommands picks the commands out of flight notes", () => {
+  const results = parseCommands(
+    "flight 3, windy\nnsh> mc_raptor intref lissajous 1 1 0 2 1 1 20 3 # slow\n\nmc_raptor intref lissajous 1\n"
+  );
+  assert.deepEqual(
+    results.map((r) => [r.line, r.errors.length]),
+    [
+      [2, 0],
+      [4, 1],
+    ]
+  );
+  assert.deepEqual(results[0].params, {
+    A: 1,
+    B: 1,
+    C: 0,
+    a: 2,
+    b: 1,
+    c: 1,
+    duration: 20,
+    ramp_duration: 3,
+  });
+});
+
+test("peaks and violation spans come from the plot samples", () => {
+  const type = TRAJECTORY_TYPES.lissajous;
+  const data = samplePlot(type, type.defaults);
+  assert.equal(data[data.length - 1].t, plotHorizon(type.defaults));
+
+  // Full speed sqrt((A*a)^2 + (B*b)^2) * 2*pi/duration is reached at the
+  // crossings of the origin after the ramp.
+  const peak = findPeak(data, "speed");
+  close(peak.value, Math.SQRT2 * (2 * Math.PI) / 10, 1e-6, "peak speed");
+
+  assert.deepEqual(violationSpans(data, "speed", 10), []);
+  assert.deepEqual(violationSpans(data, "speed", 0), []);
+  const spans = violationSpans(data, "speed", peak.value * 0.99);
+  assert.ok(spans.length > 0);
+  assert.ok(spans.some(([t0, t1]) => t0 <= peak.t && peak.t <= t1));
+});
+
+test("samplePlot density follows the horizon unless given", () => {
+  const type = TRAJECTORY_TYPES.lissajous;
+  assert.equal(plotSteps(13), 3900);
+  assert.equal(plotSteps(1), 2000);
+  assert.equal(plotSteps(1000), 12000);
+
+  const full = samplePlot(type, type.defaults);
+  assert.equal(full.length, plotSteps(13));
+  // A coarse preview spans the same horizon on the same curve.
+  const coarse = samplePlot(type, type.defaults, 13, 400);
+  assert.equal(coarse.length, 400);
+  assert.equal(coarse[399].t, full[full.length - 1].t);
+  assert.equal(coarse[100].x, evalXYZ(coarse[100].t, type.defaults).x);
+});
+
+test("plot samples carry every signal of every trajectory type", () => {
+  for (const [key, type] of Object.entries(TRAJECTORY_TYPES)) {
+    const [, point] = samplePlot(type, type.defaults, 4, 3);
+    for (const signal of PLOT_SIGNALS) {
+      assert.ok(Number.isFinite(point[signal.key]), `${key} ${signal.key}`);
+    }
+  }
+});
+
+test("extent handles sit on the bounding box and scale the amplitudes", () => {
+  const lissajous = TRAJECTORY_TYPES.lissajous;
+  const handles = extentHandles(lissajous, samplePlot(lissajous, lissajous.defaults));
+  assert.deepEqual(
+    handles.map((h) => [h.key, h.axis, h.side]),
+    [
+      ["A", "x", "min"],
+      ["A", "x", "max"],
+      ["B", "y", "min"],
+      ["B", "y", "max"],
+    ]
+  );
+  close(handles[1].value, 0.5, 1e-4, "x max");
+  close(handles[1].across, 0, 1e-4, "y middle");
+
+  const cfg = lissajous.sliders.A;
+  assert.equal(amplitudeForHandle(handles[1], 0.5, 0.76, cfg), 0.75);
+  assert.equal(amplitudeForHandle(handles[0], 0.5, -1.2, cfg), 1.2);
+  assert.equal(amplitudeForHandle(handles[0], 0.5, 0.3, cfg), 0);
+
+  // A circle lies left of its start: no handle on the right edge (y = 0).
+  const circle = TRAJECTORY_TYPES.circle;
+  const edges = extentHandles(circle, samplePlot(circle, circle.defaults));
+  assert.deepEqual(
+    edges.map((h) => `${h.axis} ${h.side}`),
+    ["x min", "x max", "y max"]
+  );
+  close(edges[2].value, 2, 1e-4, "diameter");
+  assert.deepEqual(extentHandles(TRAJECTORY_TYPES.hover, []), []);
+});
+
+test("sampleTrajectory samples on exact controller ticks", () => {
+  const type = TRAJECTORY_TYPES.lissajous;
+  const rows = sampleTrajectory(type, type.defaults, 400, 13, ["x", "vx"]);
+  assert.equal(rows.length, 13 * 400 + 1);
+  assert.equal(rows[400][0], 1);
+  assert.equal(rows[400][1], evalXYZ(1, type.defaults).x);
+  assert.equal(toCsv(["x", "vx"], rows.slice(0, 1)), "t,x,vx\n0,0,0\n");
+});
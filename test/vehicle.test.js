@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { TRAJECTORY_TYPES, samplePlot } from "../src/trajectory.js";
+import { GRAVITY, thrustAndTilt, vehicleLoad, sanitizeVehicle } from "../src/vehicle.js";
+
+const vehicle = { mass: 2, thrustToWeight: 2, tiltDeg: 30 };
+
+test("thrustAndTilt balances gravity plus the reference acceleration", () => {
+  assert.deepEqual(thrustAndTilt({ ax: 0, ay: 0, az: 0 }, vehicle), {
+    thrust: 2 * GRAVITY,
+    tw: 1,
+    tilt: 0,
+  });
+
+  const sideways = thrustAndTilt({ ax: 0, ay: GRAVITY, az: 0 }, vehicle);
+  assert.ok(Math.abs(sideways.tw - Math.SQRT2) < 1e-12);
+  assert.ok(Math.abs(sideways.tilt - 45) < 1e-12);
+
+  const climbing = thrustAndTilt({ ax: 0, ay: 0, az: GRAVITY }, vehicle);
+  assert.equal(climbing.tw, 2);
+  assert.equal(climbing.tilt, 0);
+});
+
+test("hovering needs exactly the weight along the whole reference", () => {
+  const hover = TRAJECTORY_TYPES.hover;
+  for (const p of vehicleLoad(samplePlot(hover, hover.defaults), vehicle)) {
+    assert.equal(p.tw, 1);
+    assert.equal(p.tilt, 0);
+  }
+});
+
+test("sanitizeVehicle keeps positive numbers only", () => {
+  assert.deepEqual(sanitizeVehicle({ mass: 0.5, thrustToWeight: -1, tiltDeg: "x" }), {
+    enabled: true,
+    mass: 0.5,
+    thrustToWeight: 2,
+    tiltDeg: 35,
+  });
+});